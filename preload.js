@@ -8,7 +8,40 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // --- Invoke methods (Renderer -> Main -> Renderer) ---
 
   // Send project idea to main process for plan generation
-  generatePlan: (projectIdea) => ipcRenderer.invoke('generate-plan', projectIdea),
+  // (options.reviewGates pauses after analysis and structuring for review;
+  //  options.projectFolder plans against an existing project and only adds files to it;
+  //  options.referenceFiles adds the text of the attached documents to the prompts;
+  //  options.presetId applies a tech-stack preset from the presets folder)
+  generatePlan: (projectIdea, options) => ipcRenderer.invoke('generate-plan', projectIdea, options),
+
+  // Pick reference documents to attach (resolves to an empty array if cancelled)
+  selectReferenceFiles: () => ipcRenderer.invoke('select-reference-files'),
+
+  // List the tech-stack presets: [{ id, name, description }]
+  listPresets: () => ipcRenderer.invoke('list-presets'),
+
+  // Pick an existing project folder for brownfield mode (resolves to null if cancelled)
+  selectProjectFolder: () => ipcRenderer.invoke('select-project-folder'),
+
+  // Resume a saved run from its first incomplete stage, and list saved runs
+  resumeRun: (runId, options) => ipcRenderer.invoke('resume-run', runId, options),
+  listRuns: () => ipcRenderer.invoke('list-runs'),
+
+  // Re-run one artifact stage of a saved run and overwrite only that file
+  // options: { overwrite } - replace existing files of a brownfield run (the user confirmed it)
+  listRegenerableArtifacts: () => ipcRenderer.invoke('list-regenerable-artifacts'),
+  regenerateArtifact: (runId, stageName, options) => ipcRenderer.invoke('regenerate-artifact', runId, stageName, options),
+
+  // Revise a saved run's roo-plan.md and .roomodes with feedback; the diff is reviewed before saving
+  revisePlan: (runId, feedback) => ipcRenderer.invoke('revise-plan', runId, feedback),
+  savePlanRevision: (revisionId, options) => ipcRenderer.invoke('save-plan-revision', revisionId, options),
+  discardPlanRevision: (revisionId) => ipcRenderer.invoke('discard-plan-revision', revisionId),
+
+  // Answer a review request: { action: 'approve' | 'edit' | 'regenerate', content? }
+  submitReview: (reviewId, decision) => ipcRenderer.invoke('submit-review', reviewId, decision),
+
+  // Cancel a running generation (aborts in-flight LLM requests)
+  cancelGeneration: (generationId) => ipcRenderer.invoke('cancel-generation', generationId),
 
   // Request to export the generated plan content to a file
   exportPlan: (planContent) => ipcRenderer.invoke('export-plan', planContent),
@@ -16,13 +49,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Request to save generated config files
   saveConfigFiles: (configFiles) => ipcRenderer.invoke('save-config-files', configFiles),
 
+  // API key management for the active provider (stored encrypted in the main process)
+  getApiKeyStatus: () => ipcRenderer.invoke('get-api-key-status'),
+  setApiKey: (apiKey) => ipcRenderer.invoke('set-api-key', apiKey),
+  testApiKey: (apiKey) => ipcRenderer.invoke('test-api-key', apiKey),
+  rotateApiKey: (newApiKey) => ipcRenderer.invoke('rotate-api-key', newApiKey),
+  deleteApiKey: () => ipcRenderer.invoke('delete-api-key'),
+
   // --- Send methods (Renderer -> Main) ---
   // (Could add one-way messages if needed, e.g., notifications)
 
   // --- On methods (Main -> Renderer) ---
-  // Example: Handle updates or messages pushed from main process
-  // handlePlanUpdate: (callback) => ipcRenderer.on('plan-update', (_event, value) => callback(value))
-  // We will primarily use invoke for request/response in this simple app.
+
+  // Subscribe to generation progress (stage messages and streamed LLM output).
+  // Returns a function that removes the listener.
+  onGenerationProgress: (callback) => {
+    const listener = (_event, progress) => callback(progress);
+    ipcRenderer.on('generation-progress', listener);
+    return () => ipcRenderer.removeListener('generation-progress', listener);
+  },
+
+  // Subscribe to review requests from paused stages. Returns a function that removes the listener.
+  onReviewRequest: (callback) => {
+    const listener = (_event, review) => callback(review);
+    ipcRenderer.on('review-request', listener);
+    return () => ipcRenderer.removeListener('review-request', listener);
+  },
 });
 
 console.log('Preload script loaded.');
\ No newline at end of file
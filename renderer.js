@@ -2,26 +2,461 @@
 
 const projectIdeaTextarea = document.getElementById('project-idea');
 const generatePlanBtn = document.getElementById('generate-plan-btn');
+const cancelGenerationBtn = document.getElementById('cancel-generation-btn');
 const loadingIndicator = document.getElementById('loading-indicator');
+const resumeSection = document.getElementById('resume-section');
+const resumeRunSelect = document.getElementById('resume-run-select');
+const resumeRunBtn = document.getElementById('resume-run-btn');
+const regenerateArtifactSelect = document.getElementById('regenerate-artifact-select');
+const regenerateArtifactBtn = document.getElementById('regenerate-artifact-btn');
+const revisePlanFeedback = document.getElementById('revise-plan-feedback');
+const revisePlanBtn = document.getElementById('revise-plan-btn');
+const revisionSection = document.getElementById('revision-section');
+const revisionSummary = document.getElementById('revision-summary');
+const revisionIssues = document.getElementById('revision-issues');
+const revisionPlanDiff = document.getElementById('revision-plan-diff');
+const revisionRoomodes = document.getElementById('revision-roomodes');
+const revisionRoomodesDiff = document.getElementById('revision-roomodes-diff');
+const saveRevisionBtn = document.getElementById('save-revision-btn');
+const discardRevisionBtn = document.getElementById('discard-revision-btn');
+const progressSection = document.getElementById('progress-section');
+const streamStageList = document.getElementById('stream-stage-list');
+const usageSummary = document.getElementById('usage-summary');
+const liveOutputStage = document.getElementById('live-output-stage');
+const liveOutput = document.getElementById('live-output');
+const apiKeyStatus = document.getElementById('api-key-status');
+const apiKeyName = document.getElementById('api-key-name');
+const apiKeyInput = document.getElementById('api-key-input');
+const apiKeyMessage = document.getElementById('api-key-message');
+const saveApiKeyBtn = document.getElementById('save-api-key-btn');
+const testApiKeyBtn = document.getElementById('test-api-key-btn');
+const rotateApiKeyBtn = document.getElementById('rotate-api-key-btn');
+const deleteApiKeyBtn = document.getElementById('delete-api-key-btn');
+const reviewGatesCheckbox = document.getElementById('review-gates-checkbox');
+const selectProjectFolderBtn = document.getElementById('select-project-folder-btn');
+const clearProjectFolderBtn = document.getElementById('clear-project-folder-btn');
+const projectFolderPath = document.getElementById('project-folder-path');
+const attachReferenceFilesBtn = document.getElementById('attach-reference-files-btn');
+const referenceFileList = document.getElementById('reference-file-list');
+const presetSelect = document.getElementById('preset-select');
+const reviewSection = document.getElementById('review-section');
+const reviewTitle = document.getElementById('review-title');
+const reviewErrors = document.getElementById('review-errors');
+const reviewStructure = document.getElementById('review-structure');
+const reviewStructureTree = document.getElementById('review-structure-tree');
+const reviewContent = document.getElementById('review-content');
+const approveReviewBtn = document.getElementById('approve-review-btn');
+const regenerateReviewBtn = document.getElementById('regenerate-review-btn');
 // Removed references to output elements as they will be deleted from HTML
 
+// A stage with no streamed output for this long is flagged as possibly stalled
+const STALL_THRESHOLD_MS = 30000;
+// Unchanged lines shown around each change in a revision diff
+const DIFF_CONTEXT_LINES = 3;
+
+// Streamed LLM output per stage: stage -> { text, outputTokens, attempt, done, lastUpdate }
+let streamStates = new Map();
+let liveStage = null; // Stage whose text is shown in the live output pane
+let stallTimer = null;
+let activeGenerationId = null; // Learned from the first progress event of a run
+let runUsage = null; // Latest usage summary from the main process: { totals, stages, budget }
+let reviewQueue = []; // Review requests from paused stages; the first one is shown
+let pendingRevisionId = null; // Plan revision shown in the revision panel, not yet saved
+let pendingRevisionRunId = null; // The run that revision belongs to
+let projectFolder = null; // Existing project to plan against (brownfield mode); null for a new project
+let referenceFiles = []; // Paths of attached reference documents
+
+// --- Progress Updates ---
+
+window.electronAPI.onGenerationProgress((progress) => {
+    if (progress.generationId) activeGenerationId = progress.generationId;
+    if (progress.stream) {
+        handleStreamProgress(progress.stage, progress.stream);
+    } else if (progress.usage) {
+        handleUsageProgress(progress.usage, progress.message);
+    } else {
+        loadingIndicator.textContent = `${progress.stage}: ${progress.message}`;
+    }
+});
+
+// --- Review Requests ---
+
+window.electronAPI.onReviewRequest((review) => {
+    reviewQueue.push(review);
+    if (reviewQueue.length === 1) showReview(review);
+});
+
 // --- Event Listeners ---
 
 generatePlanBtn.addEventListener('click', async () => {
     const idea = projectIdeaTextarea.value.trim();
     if (!idea) {
-        alert('Please enter a project idea.');
+        alert(projectFolder ? 'Please describe the change to make to the existing project.' : 'Please enter a project idea.');
+        return;
+    }
+    const options = { reviewGates: reviewGatesCheckbox.checked };
+    if (projectFolder) options.projectFolder = projectFolder;
+    if (referenceFiles.length > 0) options.referenceFiles = referenceFiles;
+    if (presetSelect.value) options.presetId = presetSelect.value;
+    await runGeneration(() => window.electronAPI.generatePlan(idea, options));
+});
+
+selectProjectFolderBtn.addEventListener('click', async () => {
+    try {
+        const folder = await window.electronAPI.selectProjectFolder();
+        if (folder) setProjectFolder(folder);
+    } catch (error) {
+        console.error('Error invoking selectProjectFolder IPC:', error);
+    }
+});
+
+clearProjectFolderBtn.addEventListener('click', () => setProjectFolder(null));
+
+attachReferenceFilesBtn.addEventListener('click', async () => {
+    try {
+        const filePaths = await window.electronAPI.selectReferenceFiles();
+        referenceFiles = [...new Set([...referenceFiles, ...filePaths])];
+        renderReferenceFiles();
+    } catch (error) {
+        console.error('Error invoking selectReferenceFiles IPC:', error);
+    }
+});
+
+resumeRunBtn.addEventListener('click', async () => {
+    const runId = resumeRunSelect.value;
+    if (!runId) return;
+    await runGeneration(() => window.electronAPI.resumeRun(runId, { reviewGates: reviewGatesCheckbox.checked }));
+});
+
+regenerateArtifactBtn.addEventListener('click', async () => {
+    const runId = resumeRunSelect.value;
+    const stageName = regenerateArtifactSelect.value;
+    if (!runId || !stageName) return;
+    const overwrite = confirmBrownfieldOverwrite(runId);
+    const result = await runGeneration(() => window.electronAPI.regenerateArtifact(runId, stageName, { overwrite }));
+    if (result && result.success) alert(result.message);
+});
+
+revisePlanBtn.addEventListener('click', async () => {
+    const runId = resumeRunSelect.value;
+    const feedback = revisePlanFeedback.value.trim();
+    if (!runId) return;
+    if (!feedback) {
+        alert('Describe the change you want in the plan.');
+        return;
+    }
+    await discardPendingRevision();
+    const result = await runGeneration(() => window.electronAPI.revisePlan(runId, feedback));
+    if (result && result.success) showRevision(result);
+});
+
+saveRevisionBtn.addEventListener('click', async () => {
+    if (!pendingRevisionId) return;
+    saveRevisionBtn.disabled = true;
+    try {
+        const overwrite = confirmBrownfieldOverwrite(pendingRevisionRunId);
+        const result = await window.electronAPI.savePlanRevision(pendingRevisionId, { overwrite });
+        if (result.success) {
+            pendingRevisionId = null;
+            revisionSection.style.display = 'none';
+            revisePlanFeedback.value = '';
+            alert(result.message);
+        } else if (result.error) {
+            alert(`Error saving the revision: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('Error invoking savePlanRevision IPC:', error);
+        alert(`An unexpected error occurred while saving the revision: ${error.message}`);
+    } finally {
+        saveRevisionBtn.disabled = false;
+    }
+});
+
+discardRevisionBtn.addEventListener('click', () => discardPendingRevision());
+
+// Approving unchanged text approves the stage's result; changed text is sent as an edit
+approveReviewBtn.addEventListener('click', () => {
+    const review = reviewQueue[0];
+    if (!review) return;
+    const decision = reviewContent.value === review.content ? { action: 'approve' } : { action: 'edit', content: reviewContent.value };
+    submitReview(decision);
+});
+regenerateReviewBtn.addEventListener('click', () => {
+    if (reviewContent.value !== reviewQueue[0]?.content && !confirm('Discard your edits and regenerate?')) return;
+    submitReview({ action: 'regenerate' });
+});
+
+cancelGenerationBtn.addEventListener('click', async () => {
+    if (!activeGenerationId) return;
+    cancelGenerationBtn.disabled = true;
+    loadingIndicator.textContent = 'Cancelling...';
+    try {
+        const result = await window.electronAPI.cancelGeneration(activeGenerationId);
+        if (!result.success) console.warn(result.message);
+    } catch (error) {
+        console.error('Error invoking cancelGeneration IPC:', error);
+    }
+});
+
+saveApiKeyBtn.addEventListener('click', () => runApiKeyAction(() => window.electronAPI.setApiKey(apiKeyInput.value)));
+testApiKeyBtn.addEventListener('click', () => runApiKeyAction(() => window.electronAPI.testApiKey(apiKeyInput.value), { keepInput: true }));
+rotateApiKeyBtn.addEventListener('click', () => runApiKeyAction(() => window.electronAPI.rotateApiKey(apiKeyInput.value)));
+deleteApiKeyBtn.addEventListener('click', () => {
+    if (!confirm('Delete the stored API key? The app will fall back to the environment variable or config.json, if set.')) return;
+    runApiKeyAction(() => window.electronAPI.deleteApiKey());
+});
+
+refreshApiKeyStatus();
+refreshSavedRuns();
+refreshRegenerableArtifacts();
+refreshPresets();
+
+// Removed event listeners for copy, export, and save config buttons
+// as the output section is removed and saving is handled by main process.
+
+
+// --- Helper Functions ---
+
+/**
+ * Applies a streamed chunk to the stage's buffer and refreshes the live view.
+ * @param {string} stage - The stage the chunk belongs to.
+ * @param {{delta: string, outputTokens: number, attempt: number, done: boolean}} stream - The streamed chunk.
+ */
+function handleStreamProgress(stage, stream) {
+    let state = streamStates.get(stage);
+    // A new attempt (retry) or a follow-up call in the same stage (e.g. a JSON repair) restarts the response text
+    if (!state || state.attempt !== stream.attempt || state.done) {
+        state = { text: '', outputTokens: 0, attempt: stream.attempt, done: false, lastUpdate: Date.now() };
+        streamStates.set(stage, state);
+    }
+    state.text += stream.delta;
+    state.outputTokens = stream.outputTokens;
+    state.done = stream.done;
+    state.lastUpdate = Date.now();
+
+    if (stream.delta || !liveStage) liveStage = stage;
+    renderStreamStages();
+    if (liveStage === stage) {
+        liveOutputStage.textContent = stage;
+        liveOutput.textContent = state.text;
+        liveOutput.scrollTop = liveOutput.scrollHeight;
+    }
+}
+
+/**
+ * Shows the run's running token and cost totals, including the budget when one is set.
+ * @param {{totals: object, stages: Record<string, object>, budget: object|null}} usage - The usage summary.
+ * @param {string} message - The formatted one-line summary.
+ */
+function handleUsageProgress(usage, message) {
+    runUsage = usage;
+    let text = `Usage: ${message}`;
+    if (usage.budget) {
+        const limits = [];
+        if (usage.budget.maxCostUsd !== undefined) limits.push(`$${usage.budget.maxCostUsd}`);
+        if (usage.budget.maxTotalTokens !== undefined) limits.push(`${usage.budget.maxTotalTokens} tokens`);
+        text += ` | Budget: ${limits.join(' / ')}`;
+        if (usage.budget.exceeded) text += ` - EXCEEDED (${usage.budget.onExceeded})`;
+    }
+    usageSummary.textContent = text;
+    usageSummary.className = usage.budget?.exceeded ? 'exceeded' : '';
+    renderStreamStages();
+}
+
+/**
+ * Renders one line per streaming stage with its token count and status,
+ * flagging stages that have produced no output for a while.
+ */
+function renderStreamStages() {
+    const now = Date.now();
+    streamStageList.replaceChildren(...Array.from(streamStates, ([stage, state]) => {
+        const item = document.createElement('li');
+        const idleSeconds = Math.floor((now - state.lastUpdate) / 1000);
+        let status;
+        if (state.done) {
+            status = 'done';
+        } else if (now - state.lastUpdate > STALL_THRESHOLD_MS) {
+            status = `no output for ${idleSeconds}s - possibly stalled`;
+            item.className = 'stalled';
+        } else {
+            status = state.outputTokens > 0 ? 'receiving' : 'waiting for first token';
+        }
+        const attemptNote = state.attempt > 1 ? `, attempt ${state.attempt}` : '';
+        const stageUsage = runUsage?.stages[stage];
+        const costNote = stageUsage ? `, est. $${stageUsage.costUsd.toFixed(4)}` : '';
+        item.textContent = `${stage}: ~${state.outputTokens} tokens (${status}${attemptNote}${costNote})`;
+        return item;
+    }));
+}
+
+/**
+ * Shows a review request: the stage's text for editing and, for the structure, the files it will scaffold.
+ * @param {{title: string, content: string, structureList?: Array<{type: string, path: string}>, errors: string[]}} review - The request.
+ */
+function showReview(review) {
+    reviewTitle.textContent = `Review: ${review.title}`;
+    reviewErrors.replaceChildren(...review.errors.map(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        return item;
+    }));
+    reviewStructure.style.display = review.structureList ? 'block' : 'none';
+    reviewStructureTree.textContent = review.structureList ? formatStructureTree(review.structureList) : '';
+    reviewContent.value = review.content;
+    approveReviewBtn.disabled = false;
+    regenerateReviewBtn.disabled = false;
+    reviewSection.style.display = 'block';
+    reviewSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Sends the decision for the review on screen, then shows the next queued review (if any).
+ * @param {{action: string, content?: string}} decision - The user's decision.
+ */
+async function submitReview(decision) {
+    const review = reviewQueue.shift();
+    approveReviewBtn.disabled = true;
+    regenerateReviewBtn.disabled = true;
+    reviewSection.style.display = 'none';
+    try {
+        const result = await window.electronAPI.submitReview(review.reviewId, decision);
+        if (!result.success) console.warn(result.message);
+    } catch (error) {
+        console.error('Error invoking submitReview IPC:', error);
+    }
+    if (reviewQueue.length > 0) showReview(reviewQueue[0]);
+}
+
+/**
+ * Hides the review panel and drops queued reviews (used when a run ends).
+ */
+function clearReviews() {
+    reviewQueue = [];
+    reviewSection.style.display = 'none';
+}
+
+/**
+ * Renders a flat structure list as an indented tree, directories marked with a trailing slash.
+ * @param {Array<{type: string, path: string}>} structureList - The parsed Proposed Structure.
+ * @returns {string} One line per item.
+ */
+function formatStructureTree(structureList) {
+    if (structureList.length === 0) return '(no valid structure found)';
+    return [...structureList]
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .map(item => {
+            const segments = item.path.split('/');
+            return `${'  '.repeat(segments.length - 1)}${segments[segments.length - 1]}${item.type === 'dir' ? '/' : ''}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Shows a proposed plan revision: the model's summary, remaining validation issues and the line diffs.
+ * @param {{revisionId: string, summary: string, planValidationIssues: string[], planDiff: object[], roomodesDiff: object[]|null}} revision - The revise-plan result.
+ */
+function showRevision(revision) {
+    pendingRevisionId = revision.revisionId;
+    pendingRevisionRunId = revision.runId;
+    revisionSummary.textContent = revision.summary || 'No summary was given.';
+    revisionIssues.replaceChildren(...revision.planValidationIssues.map(issue => {
+        const item = document.createElement('li');
+        item.textContent = `Validation: ${issue}`;
+        return item;
+    }));
+    renderDiff(revisionPlanDiff, revision.planDiff);
+    revisionRoomodes.style.display = revision.roomodesDiff ? 'block' : 'none';
+    if (revision.roomodesDiff) renderDiff(revisionRoomodesDiff, revision.roomodesDiff);
+    // Invalid revisions can't be saved; more feedback starts a new revision from the saved plan
+    saveRevisionBtn.disabled = revision.planValidationIssues.length > 0;
+    revisionSection.style.display = 'block';
+    revisionSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Discards the revision on screen, if any.
+ */
+async function discardPendingRevision() {
+    revisionSection.style.display = 'none';
+    if (!pendingRevisionId) return;
+    const revisionId = pendingRevisionId;
+    pendingRevisionId = null;
+    try {
+        await window.electronAPI.discardPlanRevision(revisionId);
+    } catch (error) {
+        console.error('Error invoking discardPlanRevision IPC:', error);
+    }
+}
+
+/**
+ * Renders a line diff, collapsing long runs of unchanged lines.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<{type: 'same'|'added'|'removed', line: string}>} diff - The diff from the main process.
+ */
+function renderDiff(container, diff) {
+    const isNearChange = index => diff
+        .slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1)
+        .some(entry => entry.type !== 'same');
+    const elements = [];
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped === 0) return;
+        const marker = document.createElement('div');
+        marker.className = 'diff-skipped';
+        marker.textContent = `... ${skipped} unchanged line(s) ...`;
+        elements.push(marker);
+        skipped = 0;
+    };
+    diff.forEach((entry, index) => {
+        if (entry.type === 'same' && !isNearChange(index)) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+        const line = document.createElement('div');
+        const prefix = { same: ' ', added: '+', removed: '-' }[entry.type];
+        line.className = `diff-${entry.type}`;
+        line.textContent = `${prefix} ${entry.line}`;
+        elements.push(line);
+    });
+    flushSkipped();
+    if (!diff.some(entry => entry.type !== 'same')) {
+        container.textContent = '(no changes)';
         return;
     }
+    container.replaceChildren(...elements);
+}
+
+/**
+ * Clears streamed output from a previous run.
+ */
+function resetStreamState() {
+    streamStates = new Map();
+    liveStage = null;
+    runUsage = null;
+    usageSummary.textContent = '';
+    usageSummary.className = '';
+    streamStageList.replaceChildren();
+    liveOutputStage.textContent = '';
+    liveOutput.textContent = '';
+}
 
+/**
+ * Runs a new or resumed generation (or a single-artifact regeneration) with the progress UI, reporting errors.
+ * @param {() => Promise<object>} startRun - Invokes generate-plan, resume-run or regenerate-artifact.
+ * @returns {Promise<object|undefined>} The main process's result, if the call completed.
+ */
+async function runGeneration(startRun) {
+    let result;
     // Disable UI elements during processing
+    resetStreamState();
     setLoadingState(true);
     // Output area is removed, no need to clear/hide elements here
 
     try {
         // Call the main process function via preload script
         // The main process now handles generation AND saving via dialog
-        const result = await window.electronAPI.generatePlan(idea);
+        result = await startRun();
 
         // Basic check if the main process reported success/failure/cancellation
         // Specific handling might depend on the structure returned by the updated main process function
@@ -38,29 +473,209 @@ generatePlanBtn.addEventListener('click', async () => {
         }
         // No need to display plan or files here anymore
     } catch (error) {
-        console.error('Error invoking generatePlan IPC:', error);
+        console.error('Error invoking generation IPC:', error);
         alert(`An unexpected error occurred while communicating with the generation process: ${error.message}`);
         // No output area to display error in
     } finally {
         // Re-enable UI elements
+        clearReviews();
         setLoadingState(false);
+        refreshSavedRuns();
     }
-});
+    return result;
+}
 
-// Removed event listeners for copy, export, and save config buttons
-// as the output section is removed and saving is handled by main process.
+/**
+ * Switches between planning a new project and planning against an existing folder.
+ * @param {string|null} folder - The existing project folder, or null for a new project.
+ */
+function setProjectFolder(folder) {
+    projectFolder = folder;
+    projectFolderPath.textContent = folder ? `Existing project: ${folder}` : 'New project';
+    clearProjectFolderBtn.style.display = folder ? 'inline-block' : 'none';
+    projectIdeaTextarea.placeholder = folder
+        ? 'Describe the feature or change to add to this project...'
+        : 'Describe the project you want Roo Code to build...';
+}
 
+/**
+ * Lists the attached reference documents, each with a button that detaches it.
+ */
+function renderReferenceFiles() {
+    referenceFileList.replaceChildren(...referenceFiles.map(filePath => {
+        const item = document.createElement('li');
+        item.textContent = filePath;
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            referenceFiles = referenceFiles.filter(attached => attached !== filePath);
+            renderReferenceFiles();
+        });
+        item.appendChild(removeBtn);
+        return item;
+    }));
+}
 
-// --- Helper Functions ---
+/**
+ * Fills the preset picker with the presets found in the presets folder, after the "No preset" option.
+ */
+async function refreshPresets() {
+    let presets;
+    try {
+        presets = await window.electronAPI.listPresets();
+    } catch (error) {
+        console.error('Error invoking listPresets IPC:', error);
+        return;
+    }
+    presetSelect.replaceChildren(presetSelect.options[0], ...presets.map(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        option.title = preset.description;
+        return option;
+    }));
+}
+
+/**
+ * Fills the saved-run picker with runs that can be resumed (or re-saved, if complete).
+ */
+async function refreshSavedRuns() {
+    let runs;
+    try {
+        runs = await window.electronAPI.listRuns();
+    } catch (error) {
+        console.error('Error invoking listRuns IPC:', error);
+        return;
+    }
+    resumeSection.style.display = runs.length > 0 ? 'block' : 'none';
+    resumeRunSelect.replaceChildren(...runs.map(run => {
+        const option = document.createElement('option');
+        option.value = run.runId;
+        const idea = run.projectIdea.length > 40 ? `${run.projectIdea.substring(0, 40)}...` : run.projectIdea;
+        const existingNote = run.existingProject ? ` (existing: ${run.existingProject.folder})` : '';
+        if (run.existingProject) option.dataset.existingFolder = run.existingProject.folder;
+        const referenceNote = run.referenceDocuments?.length > 0 ? ` (${run.referenceDocuments.length} document(s))` : '';
+        const presetNote = run.preset ? ` (preset: ${run.preset.name})` : '';
+        option.textContent = `${run.runId} [${run.status}, ${run.completedStages.length} stage(s) done] ${idea}${existingNote}${referenceNote}${presetNote}`;
+        return option;
+    }));
+}
+
+/**
+ * Asks whether regenerating or revising a brownfield run may replace files that already exist in the user's project.
+ * @param {string} runId - The saved run.
+ * @returns {boolean} True to overwrite; false to keep existing files (always false for runs that created a new project).
+ */
+function confirmBrownfieldOverwrite(runId) {
+    const option = [...resumeRunSelect.options].find(runOption => runOption.value === runId);
+    const existingFolder = option?.dataset.existingFolder;
+    if (!existingFolder) return false;
+    return confirm(`This run plans against the existing project in ${existingFolder}.\n\nOverwrite files that already exist there? Choose Cancel to keep them and only write files that are missing.`);
+}
+
+/**
+ * Fills the picker of files that can be regenerated on their own.
+ */
+async function refreshRegenerableArtifacts() {
+    let artifacts;
+    try {
+        artifacts = await window.electronAPI.listRegenerableArtifacts();
+    } catch (error) {
+        console.error('Error invoking listRegenerableArtifacts IPC:', error);
+        return;
+    }
+    regenerateArtifactSelect.replaceChildren(...artifacts.map(artifact => {
+        const option = document.createElement('option');
+        option.value = artifact.stage;
+        option.textContent = artifact.label;
+        return option;
+    }));
+}
+
+/**
+ * Shows the active provider, where its key comes from and whether the LLM is ready.
+ * @param {object} [status] - Status from the main process; fetched when omitted.
+ */
+async function refreshApiKeyStatus(status) {
+    try {
+        status = status || await window.electronAPI.getApiKeyStatus();
+    } catch (error) {
+        apiKeyStatus.textContent = `Could not load API key status: ${error.message}`;
+        return;
+    }
+    const keyButtons = [saveApiKeyBtn, testApiKeyBtn, rotateApiKeyBtn, deleteApiKeyBtn];
+    const configNote = status.configProblems.length > 0 ? ` Config problems: ${status.configProblems.join('; ')}` : '';
+    if (!status.keyName) {
+        apiKeyName.textContent = '';
+        apiKeyStatus.textContent = `Provider ${status.provider} does not use an API key.${configNote}`;
+        keyButtons.forEach(button => { button.disabled = true; });
+        return;
+    }
+    apiKeyName.textContent = status.keyName;
+    const storedNote = status.storedKey
+        ? `Stored key saved ${new Date(status.storedKey.updatedAt).toLocaleString()} (${status.storedKey.backend} encryption).`
+        : `No stored key; new keys use ${status.storageBackend} encryption.`;
+    const readyNote = status.ready ? 'Ready.' : `Not ready: ${status.error || 'unknown error'}`;
+    apiKeyStatus.textContent = `${status.provider}/${status.model} - key source: ${status.keySource}. ${storedNote} ${readyNote}${configNote}`;
+    keyButtons.forEach(button => { button.disabled = false; });
+    deleteApiKeyBtn.disabled = !status.storedKey;
+}
+
+/**
+ * Runs one API key action, shows its message and refreshes the status.
+ * @param {() => Promise<{success: boolean, message: string, status?: object}>} action - The IPC call.
+ * @param {{keepInput?: boolean}} [options] - keepInput leaves the typed key in place (used by Test).
+ */
+async function runApiKeyAction(action, { keepInput = false } = {}) {
+    apiKeyMessage.textContent = 'Working...';
+    apiKeyMessage.className = '';
+    try {
+        const result = await action();
+        apiKeyMessage.textContent = result.message;
+        apiKeyMessage.className = result.success ? '' : 'error';
+        if (result.success && !keepInput) apiKeyInput.value = '';
+        await refreshApiKeyStatus(result.status);
+    } catch (error) {
+        console.error('Error invoking API key IPC:', error);
+        apiKeyMessage.textContent = `Unexpected error: ${error.message}`;
+        apiKeyMessage.className = 'error';
+    }
+}
 
 function setLoadingState(isLoading) {
     if (isLoading) {
+        loadingIndicator.textContent = 'Processing...';
         loadingIndicator.style.display = 'block';
+        progressSection.style.display = 'block';
         generatePlanBtn.disabled = true;
+        selectProjectFolderBtn.disabled = true;
+        clearProjectFolderBtn.disabled = true;
+        attachReferenceFilesBtn.disabled = true;
+        presetSelect.disabled = true;
+        resumeRunBtn.disabled = true;
+        regenerateArtifactBtn.disabled = true;
+        revisePlanBtn.disabled = true;
+        activeGenerationId = null;
+        cancelGenerationBtn.disabled = false;
+        cancelGenerationBtn.style.display = 'inline-block';
+        // Re-render periodically so idle timers keep counting between chunks
+        stallTimer = setInterval(renderStreamStages, 1000);
         // Removed disabling of other buttons
     } else {
         loadingIndicator.style.display = 'none';
         generatePlanBtn.disabled = false;
+        selectProjectFolderBtn.disabled = false;
+        clearProjectFolderBtn.disabled = false;
+        attachReferenceFilesBtn.disabled = false;
+        presetSelect.disabled = false;
+        resumeRunBtn.disabled = false;
+        regenerateArtifactBtn.disabled = false;
+        revisePlanBtn.disabled = false;
+        cancelGenerationBtn.style.display = 'none';
+        activeGenerationId = null;
+        clearInterval(stallTimer);
+        stallTimer = null;
+        renderStreamStages();
         // Removed re-enabling of other buttons
     }
 }
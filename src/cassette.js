@@ -0,0 +1,136 @@
+// src/cassette.js - Record/replay of LLM prompt/response pairs (offline "cassettes")
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log'); // Import electron-log
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+const CASSETTE_FORMAT_VERSION = 1;
+
+// --- Cassette State ---
+let cassetteMode = 'off';
+let cassettePath = null;
+let cassette = null; // { version, recordedAt, provider, model, interactions: { [hash]: [{ prompt, response }] } }
+let replayCounters = {}; // hash -> number of responses already replayed in this run
+let pendingWrite = Promise.resolve(); // Serializes writes from parallel stages
+
+/**
+ * Hashes a prompt to the key used in cassette files.
+ * @param {string} prompt - The prompt text.
+ * @returns {string} The SHA-256 hex digest of the prompt.
+ */
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt, 'utf8').digest('hex');
+}
+
+/**
+ * Configures the cassette mode and file. Called by loadConfigAndInitialize.
+ * In replay mode the cassette is loaded immediately so a missing or broken file surfaces as a config error.
+ * @param {{mode: string, filePath: string}} options - The cassette mode ('off', 'record', 'replay') and file path.
+ * @returns {Promise<string|null>} An error message if the cassette could not be configured, otherwise null.
+ */
+async function configureCassette({ mode, filePath }) {
+    cassetteMode = CASSETTE_MODES.includes(mode) ? mode : 'off';
+    cassettePath = filePath;
+    cassette = null;
+    replayCounters = {};
+
+    if (mode && !CASSETTE_MODES.includes(mode)) {
+        log.warn(`Unknown cassette mode "${mode}". Cassettes disabled.`);
+    }
+    if (cassetteMode === 'off') return null;
+
+    log.info(`LLM cassette mode: ${cassetteMode} (${cassettePath})`);
+    if (cassetteMode === 'replay') {
+        try {
+            cassette = JSON.parse(await fs.readFile(cassettePath, 'utf8'));
+            const interactionCount = Object.values(cassette.interactions || {}).reduce((sum, entries) => sum + entries.length, 0);
+            log.info(`Loaded cassette with ${interactionCount} recorded response(s) (recorded with ${cassette.provider} "${cassette.model}").`);
+        } catch (error) {
+            cassetteMode = 'off';
+            const cassetteErrorMsg = `Failed to load cassette for replay from ${cassettePath}: ${error.message}`;
+            log.error(cassetteErrorMsg);
+            return cassetteErrorMsg;
+        }
+    }
+    return null;
+}
+
+/**
+ * Starts a new run. Replay counters are reset so the run replays from the first recorded response;
+ * in record mode the cassette is cleared so it contains exactly one run.
+ * @param {{provider: string, model: string}} metadata - Provider details stored alongside recordings.
+ */
+function startCassetteRun(metadata) {
+    replayCounters = {};
+    if (cassetteMode === 'record') {
+        cassette = {
+            version: CASSETTE_FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            provider: metadata.provider,
+            model: metadata.model,
+            interactions: {}
+        };
+        log.info(`Recording LLM responses to cassette: ${cassettePath}`);
+    }
+}
+
+/**
+ * Returns the current cassette mode.
+ * @returns {'off'|'record'|'replay'} The active mode.
+ */
+function getCassetteMode() {
+    return cassetteMode;
+}
+
+/**
+ * Looks up the next recorded response for a prompt.
+ * Identical prompts made several times in a run are replayed in the order they were recorded.
+ * @param {string} prompt - The prompt text.
+ * @returns {string|null} The recorded response, or null if the cassette has none for this prompt.
+ */
+function getRecordedResponse(prompt) {
+    const hash = hashPrompt(prompt);
+    const entries = cassette?.interactions?.[hash];
+    if (!entries || entries.length === 0) return null;
+    const index = replayCounters[hash] || 0;
+    replayCounters[hash] = index + 1;
+    // Repeat the last response if the run asks more often than the recording did
+    return entries[Math.min(index, entries.length - 1)].response;
+}
+
+/**
+ * Records a prompt/response pair and persists the cassette to disk.
+ * The file is rewritten after every call so an interrupted run still leaves a usable cassette.
+ * @param {string} prompt - The prompt text.
+ * @param {string} response - The LLM response text.
+ * @returns {Promise<void>}
+ */
+async function recordResponse(prompt, response) {
+    if (cassetteMode !== 'record' || !cassette) return;
+    const hash = hashPrompt(prompt);
+    if (!cassette.interactions[hash]) cassette.interactions[hash] = [];
+    cassette.interactions[hash].push({ prompt, response });
+
+    pendingWrite = pendingWrite.then(async () => {
+        try {
+            await fs.mkdir(path.dirname(cassettePath), { recursive: true });
+            await fs.writeFile(cassettePath, JSON.stringify(cassette, null, 2));
+        } catch (error) {
+            // Recording is a debugging aid; never fail the run because of it
+            log.error(`Failed to write cassette to ${cassettePath}: ${error.message}`);
+        }
+    });
+    return pendingWrite;
+}
+
+module.exports = {
+    CASSETTE_MODES,
+    hashPrompt,
+    configureCassette,
+    startCassetteRun,
+    getCassetteMode,
+    getRecordedResponse,
+    recordResponse,
+};
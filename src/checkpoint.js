@@ -0,0 +1,217 @@
+// src/checkpoint.js - Persists stage outputs of a generation run so it can be resumed
+//
+// Each run gets a directory under <userData>/runs/<runId>/ holding run.json (the project idea,
+// status, completed stages, the models that served each stage, the folder the output was saved to, the attached reference
+// documents and, for brownfield runs, the scanned project) and one <stage>.json per completed stage. Resuming a run reloads
+// those outputs and only re-runs the stages that never completed.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+const log = require('electron-log'); // Import electron-log
+
+const RUNS_DIR_NAME = 'runs';
+const MANIFEST_FILE_NAME = 'run.json';
+const RUN_STATUSES = ['running', 'failed', 'cancelled', 'complete'];
+
+/**
+ * Returns the directory holding every run's checkpoint directory.
+ * @returns {string} <userData>/runs.
+ */
+function getRunsDir() {
+    return path.join(app.getPath('userData'), RUNS_DIR_NAME);
+}
+
+/**
+ * Writes JSON via a temporary file and rename, so a crash mid-write never leaves a truncated checkpoint.
+ * @param {string} filePath - The destination file.
+ * @param {*} value - The value to write.
+ */
+async function writeJsonAtomic(filePath, value) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Wraps a run's manifest and directory in the checkpoint object used by the engine.
+ * @param {string} runDir - The run directory.
+ * @param {object} manifest - The parsed run.json.
+ * @param {Record<string, *>} stageOutputs - Outputs of the completed stages, by stage key.
+ * @returns {{runId: string, projectIdea: string, existingProject: {folder: string, summary: string}|null, referenceDocuments: object[], preset: object|null, runDir: string, outputDirectory: string|null, has: Function, get: Function, getStageModels: Function, save: Function, setOutputDirectory: Function, finish: Function}} The checkpoint.
+ */
+function createCheckpointHandle(runDir, manifest, stageOutputs) {
+    let pendingWrite = Promise.resolve(); // Serializes manifest writes from parallel stages
+    const writeManifest = () => {
+        manifest.updatedAt = new Date().toISOString();
+        const snapshot = { ...manifest, completedStages: [...manifest.completedStages], stageModels: { ...manifest.stageModels } };
+        pendingWrite = pendingWrite.then(() => writeJsonAtomic(path.join(runDir, MANIFEST_FILE_NAME), snapshot));
+        return pendingWrite;
+    };
+
+    return {
+        runId: manifest.runId,
+        projectIdea: manifest.projectIdea,
+        existingProject: manifest.existingProject || null,
+        referenceDocuments: manifest.referenceDocuments || [],
+        preset: manifest.preset || null,
+        runDir,
+        get outputDirectory() {
+            return manifest.outputDirectory || null;
+        },
+        /**
+         * @param {string} stageKey - The stage's checkpoint key (e.g. 'analysis').
+         * @returns {boolean} True if the stage completed in this or an earlier attempt.
+         */
+        has(stageKey) {
+            return Object.prototype.hasOwnProperty.call(stageOutputs, stageKey);
+        },
+        get(stageKey) {
+            return stageOutputs[stageKey];
+        },
+        /**
+         * @param {string} stageKey - The stage's checkpoint key.
+         * @returns {string[]|null} The models that served the stage's saved output, or null if none were recorded.
+         */
+        getStageModels(stageKey) {
+            return manifest.stageModels?.[stageKey] || null;
+        },
+        /**
+         * Persists a completed stage's output before the next stage starts.
+         * @param {string} stageKey - The stage's checkpoint key.
+         * @param {*} output - The stage's return value (must be JSON-serializable).
+         * @param {{models?: string[]}} [metadata] - The models that served the stage, reported for the artifact when the run is resumed.
+         */
+        async save(stageKey, output, { models } = {}) {
+            stageOutputs[stageKey] = output;
+            await writeJsonAtomic(path.join(runDir, `${stageKey}.json`), output);
+            if (!manifest.completedStages.includes(stageKey)) manifest.completedStages.push(stageKey);
+            if (models) manifest.stageModels = { ...manifest.stageModels, [stageKey]: models };
+            await writeManifest();
+            log.info(`Checkpointed stage "${stageKey}" of run ${manifest.runId}.`); // Use log.info
+        },
+        /**
+         * Records where the run's files were saved, so single artifacts can be regenerated in place.
+         * @param {string} directoryPath - The output folder.
+         */
+        async setOutputDirectory(directoryPath) {
+            manifest.outputDirectory = directoryPath;
+            await writeManifest();
+        },
+        /**
+         * Records how the run attempt ended.
+         * @param {'failed'|'cancelled'|'complete'} status - The outcome.
+         * @param {string} [errorMessage] - Why it failed, if it did.
+         */
+        async finish(status, errorMessage) {
+            manifest.status = status;
+            manifest.error = errorMessage || null;
+            await writeManifest();
+        }
+    };
+}
+
+/**
+ * Creates the run directory for a new generation run.
+ * @param {string} projectIdea - The user's project idea.
+ * @param {{existingProject?: {folder: string, summary: string}|null, referenceDocuments?: object[], preset?: object|null}} [context] - The scanned
+ *   project of a brownfield run, the attached reference documents and the picked preset, kept so a resumed run uses the same prompt context.
+ * @returns {Promise<object>} The checkpoint (see createCheckpointHandle).
+ */
+async function createRunCheckpoint(projectIdea, { existingProject = null, referenceDocuments = [], preset = null } = {}) {
+    const runId = new Date().toISOString().replace(/[:.]/g, '-');
+    const runDir = path.join(getRunsDir(), runId);
+    await fs.mkdir(runDir, { recursive: true });
+    const manifest = {
+        runId,
+        projectIdea,
+        existingProject,
+        referenceDocuments,
+        preset,
+        status: 'running',
+        error: null,
+        completedStages: [],
+        stageModels: {},
+        outputDirectory: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: null
+    };
+    const checkpoint = createCheckpointHandle(runDir, manifest, {});
+    await checkpoint.finish('running');
+    log.info(`Checkpointing run ${runId} to ${runDir}`); // Use log.info
+    return checkpoint;
+}
+
+/**
+ * Reopens a saved run with the outputs of its completed stages.
+ * @param {string} runId - The run to resume.
+ * @param {{resume?: boolean}} [options] - resume: false leaves the run's status alone (e.g. to regenerate one artifact).
+ * @returns {Promise<object>} The checkpoint (see createCheckpointHandle), marked as running again when resuming.
+ * @throws {Error} If the run doesn't exist or its manifest can't be read.
+ */
+async function loadRunCheckpoint(runId, { resume = true } = {}) {
+    if (!/^[\w-]+$/.test(runId || '')) throw new Error(`Invalid run id "${runId}".`);
+    const runDir = path.join(getRunsDir(), runId);
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(path.join(runDir, MANIFEST_FILE_NAME), 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot open run ${runId}: ${error.code === 'ENOENT' ? 'run not found' : error.message}`);
+    }
+
+    const stageOutputs = {};
+    const completedStages = [];
+    for (const stageKey of manifest.completedStages || []) {
+        try {
+            stageOutputs[stageKey] = JSON.parse(await fs.readFile(path.join(runDir, `${stageKey}.json`), 'utf8'));
+            completedStages.push(stageKey);
+        } catch (error) {
+            // The stage simply runs again
+            log.warn(`Discarding checkpoint for stage "${stageKey}" of run ${runId}: ${error.message}`); // Use log.warn
+        }
+    }
+    manifest.completedStages = completedStages;
+
+    const checkpoint = createCheckpointHandle(runDir, manifest, stageOutputs);
+    if (!resume) return checkpoint;
+    await checkpoint.finish('running');
+    log.info(`Resuming run ${runId} with ${completedStages.length} completed stage(s): ${completedStages.join(', ') || 'none'}`); // Use log.info
+    return checkpoint;
+}
+
+/**
+ * Lists saved runs, newest first.
+ * @returns {Promise<Array<{runId: string, projectIdea: string, existingProject?: {folder: string}|null, referenceDocuments: Array<{name: string}>, preset?: {name: string}|null, status: string, error: string|null, completedStages: string[], outputDirectory?: string|null, updatedAt: string}>>} The runs' manifests.
+ */
+async function listRuns() {
+    let entries;
+    try {
+        entries = await fs.readdir(getRunsDir(), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const runs = [];
+    for (const entry of entries.filter(dirEntry => dirEntry.isDirectory())) {
+        try {
+            const manifest = JSON.parse(await fs.readFile(path.join(getRunsDir(), entry.name, MANIFEST_FILE_NAME), 'utf8'));
+            if (!RUN_STATUSES.includes(manifest.status)) continue;
+            // The picker only needs the folder, file and preset names, not the project summary, document contents or preset rules
+            runs.push({
+                ...manifest,
+                existingProject: manifest.existingProject ? { folder: manifest.existingProject.folder } : null,
+                referenceDocuments: (manifest.referenceDocuments || []).map(document => ({ name: document.name })),
+                preset: manifest.preset ? { name: manifest.preset.name } : null
+            });
+        } catch (error) {
+            log.warn(`Skipping unreadable run directory ${entry.name}: ${error.message}`); // Use log.warn
+        }
+    }
+    return runs.sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+module.exports = {
+    createRunCheckpoint,
+    loadRunCheckpoint,
+    listRuns,
+};
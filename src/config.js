@@ -0,0 +1,275 @@
+// src/config.js - Layered config.json loading with environment interpolation and schema validation
+//
+// Settings are merged from defaults, then user-level config, then per-project config, later layers winning:
+// the defaults below, the user-level config.json in the app's userData folder, the install config.json in the
+// app's own folder (next to the app's package.json), and the .roo-plan-generator.json in the folder of the
+// project a plan is generated for (the brownfield project or the run's output folder), when there is one.
+// Objects (LLM_BUDGET, LLM_PROFILES, ...) are merged key by key; arrays and other values are replaced.
+// String values may reference environment variables as ${VAR} or ${VAR:-default}.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+const log = require('electron-log'); // Import electron-log
+const { validateAgainstSchema } = require('./jsonSchema');
+
+const CONFIG_FILE_NAME = 'config.json';
+const PROJECT_CONFIG_FILE_NAME = '.roo-plan-generator.json';
+const PLACEHOLDER_REGEX = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// Lowest layer. Only settings without an environment variable fallback belong here,
+// since a default would otherwise hide the variable (see loadConfigAndInitialize).
+// LLM_MAX_OUTPUT_TOKENS has no default here: output limits differ per provider (see src/providers/outputTokens.js).
+const DEFAULT_CONFIG = {
+    LLM_TEMPERATURE: 1,
+    LLM_STREAMING: true,
+};
+
+const PROFILE_SCHEMA = {
+    type: 'object',
+    properties: {
+        model: { type: 'string', minLength: 1 },
+        temperature: { type: 'number', minimum: 0, maximum: 1 },
+        maxOutputTokens: { type: 'integer', minimum: 1 }
+    }
+};
+
+// Every setting read by the app. Unknown top-level keys are reported as warnings, not errors.
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        LLM_PROVIDER: { type: 'string', minLength: 1 },
+        LLM_MODEL_NAME: { type: 'string', minLength: 1 },
+        LLM_BASE_URL: { type: 'string', pattern: '^https?://' },
+        LLM_TEMPERATURE: { type: 'number', minimum: 0, maximum: 1 },
+        LLM_MAX_OUTPUT_TOKENS: { type: 'integer', minimum: 1 },
+        LLM_MAX_PROMPT_TOKENS: { type: 'integer', minimum: 1 },
+        LLM_STREAMING: { type: 'boolean' },
+        LLM_CASSETTE_MODE: { type: 'string', enum: ['off', 'record', 'replay'] },
+        LLM_CASSETTE_PATH: { type: 'string', minLength: 1 },
+        LLM_PRICING: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['inputPerMillion', 'outputPerMillion'],
+                properties: {
+                    inputPerMillion: { type: 'number', minimum: 0 },
+                    outputPerMillion: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        LLM_BUDGET: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                maxCostUsd: { type: 'number', minimum: 0 },
+                maxTotalTokens: { type: 'integer', minimum: 1 },
+                onExceeded: { type: 'string', enum: ['abort', 'skip-optional'] }
+            }
+        },
+        LLM_PROFILES: { type: 'object', additionalProperties: PROFILE_SCHEMA },
+        LLM_STAGE_SETTINGS: {
+            type: 'object',
+            additionalProperties: { anyOf: [{ type: 'string', minLength: 1 }, PROFILE_SCHEMA] }
+        },
+        LLM_FALLBACKS: {
+            type: 'array',
+            items: {
+                anyOf: [
+                    { type: 'string', minLength: 1 },
+                    {
+                        type: 'object',
+                        properties: {
+                            provider: { type: 'string', minLength: 1 },
+                            model: { type: 'string', minLength: 1 },
+                            baseUrl: { type: 'string', pattern: '^https?://' }
+                        }
+                    }
+                ]
+            }
+        },
+        LLM_CIRCUIT_BREAKER: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                failureThreshold: { type: 'integer', minimum: 1 }
+            }
+        },
+        PIPELINE_STAGES: { type: 'object', additionalProperties: { type: 'boolean' } },
+        PLAN_CANDIDATES: { type: 'integer', minimum: 1, maximum: 5 },
+        PRESETS_DIRECTORY: { type: 'string', minLength: 1 },
+        GEMINI_API_KEY: { type: 'string' },
+        OPENAI_API_KEY: { type: 'string' },
+        ANTHROPIC_API_KEY: { type: 'string' },
+    }
+};
+
+/**
+ * Expands ${VAR} and ${VAR:-default} references in every string of a parsed config.
+ * A string that is exactly one unset reference is removed, so the setting falls back to a lower layer;
+ * a longer string with an unset reference is removed and reported.
+ * Whole-string references to number or boolean settings are converted, since the environment only holds strings.
+ * @param {*} value - The value to expand.
+ * @param {object|undefined} schema - The value's schema, used to convert whole-string references.
+ * @param {string} location - JSONPath-style location, for messages.
+ * @param {string[]} problems - Receives references to unset variables inside longer strings.
+ * @returns {*} The expanded value, or undefined if it should be removed.
+ */
+function interpolate(value, schema, location, problems) {
+    if (typeof value === 'string') {
+        const wholeMatch = value.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}$/);
+        if (wholeMatch) {
+            const expanded = process.env[wholeMatch[1]] ?? wholeMatch[2];
+            return expanded === undefined ? undefined : convertFromEnvironment(expanded, schema);
+        }
+        let unresolved = false;
+        const expandedText = value.replace(PLACEHOLDER_REGEX, (placeholder, variableName, fallback) => {
+            const expanded = process.env[variableName] ?? fallback;
+            if (expanded !== undefined) return expanded;
+            problems.push(`${location}: environment variable ${variableName} is not set`);
+            unresolved = true;
+            return placeholder;
+        });
+        return unresolved ? undefined : expandedText;
+    }
+    if (Array.isArray(value)) {
+        return value
+            .map((item, index) => interpolate(item, schema?.items, `${location}[${index}]`, problems))
+            .filter(item => item !== undefined);
+    }
+    if (value && typeof value === 'object') {
+        const expandedObject = {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema?.properties?.[key] || (typeof schema?.additionalProperties === 'object' ? schema.additionalProperties : undefined);
+            const expanded = interpolate(propertyValue, propertySchema, `${location}.${key}`, problems);
+            if (expanded !== undefined) expandedObject[key] = expanded;
+        }
+        return expandedObject;
+    }
+    return value;
+}
+
+/**
+ * Converts an environment variable's text to the type its setting expects. Text that doesn't
+ * convert cleanly is returned unchanged so validation reports it.
+ * @param {string} text - The variable's value.
+ * @param {object|undefined} schema - The setting's schema.
+ * @returns {string|number|boolean} The converted value.
+ */
+function convertFromEnvironment(text, schema) {
+    const type = schema?.type;
+    if ((type === 'number' || type === 'integer') && text.trim() !== '' && !Number.isNaN(Number(text))) {
+        return Number(text);
+    }
+    if (type === 'boolean' && ['true', 'false'].includes(text.trim().toLowerCase())) {
+        return text.trim().toLowerCase() === 'true';
+    }
+    return text;
+}
+
+/**
+ * Merges one config layer over another. Plain objects merge key by key; everything else is replaced.
+ * @param {object} base - The lower layer.
+ * @param {object} overrides - The higher layer.
+ * @returns {object} The merged config.
+ */
+function mergeLayers(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+        const baseIsPlainObject = merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+        merged[key] = isPlainObject && baseIsPlainObject ? mergeLayers(merged[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Reads and expands one config file.
+ * @param {string} filePath - The file to read.
+ * @param {string[]} problems - Receives parse and interpolation problems.
+ * @returns {Promise<object|null>} The expanded layer, or null if the file doesn't exist or can't be used.
+ */
+async function readConfigLayer(filePath, problems) {
+    let parsed;
+    try {
+        parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        problems.push(error instanceof SyntaxError ? `Error parsing ${filePath}: ${error.message}` : `Error reading ${filePath}: ${error.message}`);
+        return null;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        problems.push(`${filePath}: must contain a JSON object`);
+        return null;
+    }
+    const layerProblems = [];
+    const layer = interpolate(parsed, CONFIG_SCHEMA, '$', layerProblems);
+    problems.push(...layerProblems.map(problem => `${filePath}: ${problem}`));
+    log.info(`Read config layer ${filePath}`); // Use log.info
+    return layer;
+}
+
+/**
+ * Returns the config files to layer over the defaults, lowest precedence first.
+ * @param {string|null} [projectFolder] - The project's folder, if the run has one.
+ * @returns {string[]} The user-level config path, the install config path (the app's root folder) and the project's config path.
+ */
+function getConfigLayerPaths(projectFolder) {
+    const layerPaths = [
+        path.join(app.getPath('userData'), CONFIG_FILE_NAME),
+        path.join(__dirname, '..', CONFIG_FILE_NAME)
+    ];
+    if (projectFolder) layerPaths.push(path.join(projectFolder, PROJECT_CONFIG_FILE_NAME));
+    return layerPaths;
+}
+
+/**
+ * Loads the layered configuration, expanding environment variables and validating every setting.
+ * Invalid settings are dropped (falling back to their default) and all problems are reported together.
+ * @param {{projectFolder?: string|null}} [options] - projectFolder adds that folder's .roo-plan-generator.json as the highest layer.
+ * @returns {Promise<{config: object, problems: string[], warnings: string[], layers: string[]}>}
+ *   The merged config, every error found, warnings such as unknown keys, and the files that were read.
+ */
+async function loadConfig({ projectFolder = null } = {}) {
+    const problems = [];
+    const warnings = [];
+    const layers = [];
+    let config = { ...DEFAULT_CONFIG };
+
+    for (const filePath of getConfigLayerPaths(projectFolder)) {
+        const layer = await readConfigLayer(filePath, problems);
+        if (!layer) continue;
+        layers.push(filePath);
+        for (const key of Object.keys(layer)) {
+            if (!CONFIG_SCHEMA.properties[key]) warnings.push(`${filePath}: unknown setting "${key}"`);
+        }
+        config = mergeLayers(config, layer);
+    }
+
+    const invalidKeys = new Set();
+    for (const error of validateAgainstSchema(config, CONFIG_SCHEMA)) {
+        problems.push(error);
+        const keyMatch = error.match(/^\$\.([A-Za-z0-9_]+)/);
+        if (keyMatch) invalidKeys.add(keyMatch[1]);
+    }
+    for (const key of invalidKeys) {
+        if (DEFAULT_CONFIG[key] !== undefined) {
+            config[key] = DEFAULT_CONFIG[key];
+        } else {
+            delete config[key];
+        }
+    }
+
+    warnings.forEach(warning => log.warn(`Config: ${warning}`)); // Use log.warn
+    if (problems.length > 0) {
+        log.error(`Config has ${problems.length} problem(s); invalid settings use their defaults:\n- ${problems.join('\n- ')}`); // Use log.error
+    }
+    return { config, problems, warnings, layers };
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILE_NAME,
+    DEFAULT_CONFIG,
+    CONFIG_SCHEMA,
+    loadConfig,
+};
@@ -1,6 +1,6 @@
 // src/engine.js - Core multi-stage reasoning engine for plan generation (Refactored)
 
-const { callLLM } = require('./llm'); // Import the LLM call function
+const { callLLM, CancellationError } = require('./llm'); // Import the LLM call function and shared CancellationError
 const { getAnalysisPrompt } = require('./prompts/stage1/analysis');
 const { getAnalysisValidationPrompt } = require('./prompts/stage1/analysisValidation');
 const { getStructurePrompt } = require('./prompts/stage2/structure');
@@ -14,20 +14,33 @@ const { getWorkspaceRulesGenerationPrompt } = require('./prompts/stage4/workspac
 const { getWorkspaceRulesRefinementPrompt } = require('./prompts/stage4/workspaceRulesRefinement');
 const { getFootgunPromptGenerationPrompt } = require('./prompts/stage4/footgunPromptGeneration');
 const { getFootgunRefinementPrompt } = require('./prompts/stage4/footgunPromptRefinement');
+const { getMemoryBankGenerationPrompt } = require('./prompts/stage4/memoryBankGeneration');
+const { getMemoryBankRefinementPrompt } = require('./prompts/stage4/memoryBankRefinement');
+const { getMcpConfigGenerationPrompt } = require('./prompts/stage4/mcpConfigGeneration');
+const { getTestSkeletonGenerationPrompt } = require('./prompts/stage4/testSkeletonGeneration');
+const { getTestSkeletonRefinementPrompt } = require('./prompts/stage4/testSkeletonRefinement');
 const { getModesGenerationPrompt } = require('./prompts/stage5/modesGeneration');
+const { getModeRulesGenerationPrompt } = require('./prompts/stage5/modeRulesGeneration');
+const { getModeRulesRefinementPrompt } = require('./prompts/stage5/modeRulesRefinement');
 const { getPlanAssemblyPrompt } = require('./prompts/stage6/planAssembly');
 const { getPlanRefinementPrompt } = require('./prompts/stage6/planRefinement'); // For validation failure
 const { getPlanReviewRefinementPrompt } = require('./prompts/stage6/planReviewRefinement'); // For general review
-const { parseStructureFromJsonMd, parseOutlinesFromMd } = require('./utils'); // Import parsing functions
+const { getPlanRevisionPrompt } = require('./prompts/stage6/planRevision'); // For user feedback after generation
+const { getPlanJudgePrompt } = require('./prompts/stage6/planJudge'); // For best-of-N plan selection
+const { parseStructureFromJsonMd, parseOutlinesFromMd, parseTechnologyStackFromMd, findStructureJsonBlock, replaceStructureJsonBlock, mapWithConcurrency } = require('./utils'); // Import parsing functions and the bounded parallel map
+const { generateStructuredJson, repairStructuredJson } = require('./structuredOutput'); // Schema-constrained JSON with repair
+const { ROOMODES_SCHEMA, PROPOSED_STRUCTURE_SCHEMA, PLAN_JUDGE_SCHEMA, MCP_SERVERS_SCHEMA, validateResponse } = require('./schemas');
+const { getPlanCandidateCount, rankPlanCandidates } = require('./planSelection');
+const { getPresetStructureSchema, mergePresetModes } = require('./presets');
+const { MCP_CONFIG_FILENAME, buildMcpSettings, linkModesToMcpServers } = require('./mcpConfig');
+const { getTestSkeletonTargets, cleanTestSkeleton, isValidTestSkeleton } = require('./testSkeletons');
+const { parseJsonResponse } = require('./jsonSchema');
+const { formatUsageSummary, getUsageSummary } = require('./usage');
+const { runStageGraph, rerunStage, isStageEnabled } = require('./stageGraph'); // Dependency-ordered, concurrent stage execution
 const log = require('electron-log'); // Use electron-log
 
-// Define CancellationError if not already defined globally or imported
-class CancellationError extends Error {
-  constructor(message = "Operation cancelled by user.") {
-    super(message);
-    this.name = "CancellationError";
-  }
-}
+// Most LLM calls one stage makes at once when it generates one file per item (test skeletons, per-mode rules)
+const MAX_PARALLEL_FILE_CALLS = 4;
 
 /**
  * Helper function to report progress via callback and logger.
@@ -42,23 +55,49 @@ function reportProgress(callback, stage, message) {
     }
 }
 
+/**
+ * Builds the per-call options for callLLM so streamed output and token usage are forwarded
+ * to the progress callback, attributed to the given stage name.
+ * @param {Function|null} callback - The progress callback.
+ * @param {string} stage - The stage name making the call (e.g., 'Analysis Validation').
+ * @param {{optional?: boolean, streamLabel?: string}} [flags] - `optional` marks refinement/validation calls that are skipped once the budget is exceeded;
+ *   `streamLabel` shows streamed output under another name, for parallel calls of the same stage.
+ * @returns {{stage: string, optional: boolean, onStream?: Function, onUsage?: Function}} Options for callLLM.
+ */
+function stageCallOptions(callback, stage, { optional = false, streamLabel = stage } = {}) {
+    const callOptions = { stage, optional };
+    if (callback && typeof callback === 'function') {
+        callOptions.onUsage = (usage) => {
+            callback({ stage: 'Usage', message: formatUsageSummary(usage), usage });
+        };
+        callOptions.onStream = ({ delta, outputTokens, attempt, done = false }) => {
+            const message = done ? `Response received (~${outputTokens} tokens).` : `Receiving response (~${outputTokens} tokens)...`;
+            callback({ stage: streamLabel, message, stream: { delta, outputTokens, attempt, done } });
+        };
+    }
+    return callOptions;
+}
+
 // --- Stage 1: Analysis ---
 /**
  * Runs the analysis stage of the plan generation.
  * @param {string} projectIdea - The user's project idea.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @param {{existingProject?: string, referenceDocuments?: object[], preset?: object|null}} [context] - Summary of the existing codebase for
+ *   brownfield runs (empty for a new project), the attached reference documents (see src/referenceDocs.js) and the run's preset (see src/presets.js).
  * @returns {Promise<string>} The analysis result (potentially refined).
  * @throws {Error|CancellationError} If the LLM call fails critically or is cancelled.
  */
-async function runAnalysisStage(projectIdea, progressCallback, cancellationToken) {
-    reportProgress(progressCallback, 'Analysis', 'Analyzing project idea...');
+async function runAnalysisStage(projectIdea, progressCallback, cancellationToken, { existingProject = '', referenceDocuments = [], preset = null } = {}) {
+    reportProgress(progressCallback, 'Analysis', existingProject ? 'Analyzing the requested change against the existing project...' : 'Analyzing project idea...');
     if (cancellationToken.isCancellationRequested) throw new CancellationError();
-    const analysisPrompt = getAnalysisPrompt(projectIdea);
+    const analysisPrompt = getAnalysisPrompt(projectIdea, existingProject, referenceDocuments, preset);
     let analysisResult;
     try {
-        analysisResult = await callLLM(analysisPrompt, undefined, cancellationToken); // Pass token
+        analysisResult = await callLLM(analysisPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Analysis')); // Pass token
     } catch (error) {
+        if (error instanceof CancellationError) throw error; // Never swallow a cancellation
         log.error(`Error during Stage 1 LLM call: ${error.message}`);
         throw new Error(`Analysis stage failed: ${error.message}`); // Re-throw for handler
     }
@@ -70,8 +109,9 @@ async function runAnalysisStage(projectIdea, progressCallback, cancellationToken
     let validationResponse;
     try {
         reportProgress(progressCallback, 'Analysis Validation', 'Calling LLM for validation...');
-        validationResponse = await callLLM(analysisValidationPrompt, undefined, cancellationToken); // Pass token
+        validationResponse = await callLLM(analysisValidationPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Analysis Validation', { optional: true })); // Pass token
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 1.5 LLM call: ${error.message}`);
         // Non-critical validation failure, proceed with unvalidated analysis but log warning
         log.warn("Analysis validation failed. Proceeding with potentially unrefined analysis.");
@@ -93,18 +133,22 @@ async function runAnalysisStage(projectIdea, progressCallback, cancellationToken
  * @param {string} projectIdea - The user's project idea.
  * @param {string} analysisResult - The result from the analysis stage.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @param {{existingProject?: string, referenceDocuments?: object[], preset?: object|null}} [context] - Summary of the existing codebase for
+ *   brownfield runs (empty for a new project), the attached reference documents (see src/referenceDocs.js) and the run's preset, whose
+ *   mandatory files and banned libraries the Proposed Structure must respect (see src/presets.js).
  * @returns {Promise<{structureResultMd: string, conciseCommand: string}>} Object containing the structured Markdown and concise command.
  * @throws {Error|CancellationError} If the LLM call fails critically or is cancelled.
  */
-async function runStructuringStage(projectIdea, analysisResult, progressCallback, cancellationToken) {
+async function runStructuringStage(projectIdea, analysisResult, progressCallback, cancellationToken, { existingProject = '', referenceDocuments = [], preset = null } = {}) {
     reportProgress(progressCallback, 'Structuring', 'Generating structure and concise command...');
     if (cancellationToken.isCancellationRequested) throw new CancellationError();
-    const structurePrompt = getStructurePrompt(projectIdea, analysisResult);
+    const structurePrompt = getStructurePrompt(projectIdea, analysisResult, existingProject, referenceDocuments, preset);
     let structureResultRaw;
     try {
-        structureResultRaw = await callLLM(structurePrompt, undefined, cancellationToken); // Pass token
+        structureResultRaw = await callLLM(structurePrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Structuring')); // Pass token
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 2 LLM call: ${error.message}`);
         throw new Error(`Structuring stage failed: ${error.message}`);
     }
@@ -116,8 +160,9 @@ async function runStructuringStage(projectIdea, analysisResult, progressCallback
     let structureValidationResponse;
     try {
         reportProgress(progressCallback, 'Structure Validation', 'Calling LLM for validation...');
-        structureValidationResponse = await callLLM(structureValidationPrompt, undefined, cancellationToken);
+        structureValidationResponse = await callLLM(structureValidationPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Structure Validation', { optional: true }));
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 2.5 LLM call: ${error.message}`);
         log.warn("Structure validation failed. Proceeding with potentially invalid structure.");
         // Proceed with the potentially unrefined structureResultRaw
@@ -143,16 +188,68 @@ async function runStructuringStage(projectIdea, analysisResult, progressCallback
         // throw new Error("Critical failure: Could not extract structured Markdown and concise command.");
     }
 
+    // Validate the Proposed Structure JSON block against its schema (and the preset's rules), repairing it if needed
+    try {
+        structureResultMd = await ensureValidStructureBlock(structureResultMd, progressCallback, cancellationToken, getPresetStructureSchema(preset));
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error repairing the Proposed Structure block: ${error.message}`);
+        throw new Error(`Structuring stage failed: ${error.message}`);
+    }
+
     return { structureResultMd, conciseCommand };
 }
 
+/**
+ * Validates the "Proposed Structure (JSON)" block of the structured Markdown against PROPOSED_STRUCTURE_SCHEMA.
+ * @param {string} structureResultMd - The structured Markdown.
+ * @param {object} [schemaDefinition=PROPOSED_STRUCTURE_SCHEMA] - The schema definition to check against (see getPresetStructureSchema).
+ * @returns {string[]} Schema errors; empty if the block is valid.
+ */
+function getStructureBlockErrors(structureResultMd, schemaDefinition = PROPOSED_STRUCTURE_SCHEMA) {
+    const structureBlock = findStructureJsonBlock(structureResultMd);
+    if (!structureBlock) return ['$: no "Proposed Structure (JSON)" code block found'];
+    const { value, error } = parseJsonResponse(structureBlock.json);
+    // The block holds the bare array; the schema wraps it in { structure } for providers that need an object root
+    return error ? [`$: ${error}`] : validateResponse({ structure: value }, schemaDefinition);
+}
+
+/**
+ * Checks the "Proposed Structure (JSON)" block of the structured Markdown against PROPOSED_STRUCTURE_SCHEMA.
+ * An invalid or missing block is repaired in schema-constrained JSON mode and written back into the Markdown.
+ * @param {string} structureResultMd - The structured Markdown from Stage 2.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @param {object} [schemaDefinition=PROPOSED_STRUCTURE_SCHEMA] - The schema definition to check and repair against (see getPresetStructureSchema).
+ * @returns {Promise<string>} The Markdown with a schema-valid structure block.
+ * @throws {StructuredOutputError|CancellationError} If the block cannot be repaired, or if cancelled.
+ */
+async function ensureValidStructureBlock(structureResultMd, progressCallback, cancellationToken, schemaDefinition = PROPOSED_STRUCTURE_SCHEMA) {
+    const structureBlock = findStructureJsonBlock(structureResultMd);
+    const validationErrors = getStructureBlockErrors(structureResultMd, schemaDefinition);
+    if (validationErrors.length === 0) {
+        log.info("Proposed Structure block matches its schema.");
+        return structureResultMd;
+    }
+
+    reportProgress(progressCallback, 'Structuring', `Repairing the Proposed Structure block (${validationErrors.length} schema error(s))...`);
+    const { structure } = await repairStructuredJson(
+        structureBlock ? structureBlock.json : structureResultMd,
+        validationErrors,
+        schemaDefinition,
+        cancellationToken,
+        stageCallOptions(progressCallback, 'Structuring')
+    );
+    return replaceStructureJsonBlock(structureResultMd, structure);
+}
+
 // --- Stage 3: Outline Refinement ---
 /**
  * Runs the outline refinement stage, improving the core logic outlines within the structured Markdown.
  * @param {string} analysisResult - The result from the analysis stage.
  * @param {string} structureResultMd - The structured Markdown from the previous stage.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<string>} The structured Markdown with refined outlines.
  * @throws {Error|CancellationError} If the LLM call fails critically or is cancelled.
  */
@@ -172,8 +269,9 @@ async function runOutlineRefinementStage(analysisResult, structureResultMd, prog
     try {
         reportProgress(progressCallback, 'Outlines', 'Calling LLM for refinement...');
         if (cancellationToken.isCancellationRequested) throw new CancellationError();
-        refinedOutlinesContent = await callLLM(outlineRefinementPrompt, undefined, cancellationToken);
+        refinedOutlinesContent = await callLLM(outlineRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Outlines', { optional: true }));
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 3 LLM call: ${error.message}`);
         // If refinement fails, we might want to proceed with the original outlines or throw
         // For now, let's proceed with original structureResultMd but log the error
@@ -206,18 +304,20 @@ async function runOutlineRefinementStage(analysisResult, structureResultMd, prog
  * Runs the generation and validation stage for .clinerules-code.
  * @param {string} structureResultMd - The structured Markdown containing project details.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @param {object|null} [preset=null] - The run's preset; its constraints become rules (see src/presets.js).
  * @returns {Promise<string|null>} The generated rules content, or null if generation/validation fails.
  * @throws {CancellationError} If cancelled.
  */
-async function runRulesGenerationStage(structureResultMd, progressCallback, cancellationToken) {
+async function runRulesGenerationStage(structureResultMd, progressCallback, cancellationToken, preset = null) {
     reportProgress(progressCallback, 'Rules', 'Generating .clinerules-code...');
     if (cancellationToken.isCancellationRequested) throw new CancellationError();
-    const rulesPrompt = getRulesGenerationPrompt(structureResultMd);
+    const rulesPrompt = getRulesGenerationPrompt(structureResultMd, preset);
     let rawRulesResult;
     try {
-        rawRulesResult = await callLLM(rulesPrompt, undefined, cancellationToken); // Pass token
+        rawRulesResult = await callLLM(rulesPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Rules')); // Pass token
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 4 LLM call: ${error.message}`);
         log.warn("Failed to generate .clinerules-code. Skipping artifact.");
         return null; // Indicate failure for this artifact
@@ -243,8 +343,9 @@ async function runRulesGenerationStage(structureResultMd, progressCallback, canc
         let refinedRawResult;
         try {
             reportProgress(progressCallback, 'Rules Validation', 'Calling LLM for refinement...');
-            refinedRawResult = await callLLM(rulesRefinementPrompt, undefined, cancellationToken);
+            refinedRawResult = await callLLM(rulesRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Rules Validation', { optional: true }));
         } catch (error) {
+            if (error instanceof CancellationError) throw error;
             log.error(`Error during Stage 4.1 LLM call: ${error.message}`);
             log.warn("Failed to refine .clinerules-code. Skipping artifact.");
             return null; // Indicate failure
@@ -273,7 +374,7 @@ async function runRulesGenerationStage(structureResultMd, progressCallback, canc
  * Runs the generation and validation stage for .rooignore.
  * @param {string} structureResultMd - The structured Markdown containing project details.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<string|null>} The generated .rooignore content, or null if generation/validation fails.
  * @throws {CancellationError} If cancelled.
  */
@@ -283,8 +384,9 @@ async function runRooignoreGenerationStage(structureResultMd, progressCallback,
     const rooignorePrompt = getRooignoreGenerationPrompt(structureResultMd);
     let rooignoreResult;
     try {
-        rooignoreResult = await callLLM(rooignorePrompt, undefined, cancellationToken); // Pass token
+        rooignoreResult = await callLLM(rooignorePrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Ignore Rules')); // Pass token
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 4.5 LLM call: ${error.message}`);
         log.warn("Failed to generate .rooignore. Skipping artifact.");
         return null; // Indicate failure
@@ -301,8 +403,9 @@ async function runRooignoreGenerationStage(structureResultMd, progressCallback,
         const rooignoreRefinementPrompt = getRooignoreRefinementPrompt(rooignoreResult, structureResultMd);
         try {
             reportProgress(progressCallback, 'Ignore Rules Validation', 'Calling LLM for refinement...');
-            rooignoreResult = await callLLM(rooignoreRefinementPrompt, undefined, cancellationToken);
+            rooignoreResult = await callLLM(rooignoreRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Ignore Rules Validation', { optional: true }));
         } catch (error) {
+            if (error instanceof CancellationError) throw error;
             log.error(`Error during Stage 4.5.1 LLM call: ${error.message}`);
             log.warn("Failed to refine .rooignore. Skipping artifact.");
             return null; // Indicate failure
@@ -324,7 +427,7 @@ async function runRooignoreGenerationStage(structureResultMd, progressCallback,
  * Runs the generation and validation stage for the workspace .clinerules file.
  * @param {string} structureResultMd - The structured Markdown containing project details.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<string|null>} The generated workspace rules content, or null if generation/validation fails.
  * @throws {CancellationError} If cancelled.
  */
@@ -334,8 +437,9 @@ async function runWorkspaceRulesGenerationStage(structureResultMd, progressCallb
     const workspaceRulesPrompt = getWorkspaceRulesGenerationPrompt(structureResultMd);
     let workspaceRulesResult;
     try {
-        workspaceRulesResult = await callLLM(workspaceRulesPrompt, undefined, cancellationToken); // Pass token
+        workspaceRulesResult = await callLLM(workspaceRulesPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Workspace Rules')); // Pass token
     } catch (error) {
+        if (error instanceof CancellationError) throw error;
         log.error(`Error during Stage 4.6 LLM call: ${error.message}`);
         log.warn("Failed to generate workspace .clinerules. Skipping artifact.");
         return null; // Indicate failure
@@ -352,8 +456,9 @@ async function runWorkspaceRulesGenerationStage(structureResultMd, progressCallb
         const workspaceRulesRefinementPrompt = getWorkspaceRulesRefinementPrompt(workspaceRulesResult, structureResultMd);
         try {
             reportProgress(progressCallback, 'Workspace Rules Validation', 'Calling LLM for refinement...');
-            workspaceRulesResult = await callLLM(workspaceRulesRefinementPrompt, undefined, cancellationToken);
+            workspaceRulesResult = await callLLM(workspaceRulesRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Workspace Rules Validation', { optional: true }));
         } catch (error) {
+            if (error instanceof CancellationError) throw error;
             log.error(`Error during Stage 4.6.1 LLM call: ${error.message}`);
             log.warn("Failed to refine workspace .clinerules. Skipping artifact.");
             return null; // Indicate failure
@@ -376,7 +481,7 @@ async function runWorkspaceRulesGenerationStage(structureResultMd, progressCallb
  * @param {string} analysisResult - The result from the analysis stage.
  * @param {string} structureResultMd - The structured Markdown containing project details.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<{footgunPromptResult: string|null, footgunTargetMode: string|null}>} Object containing the generated prompt and target mode slug, or nulls if not needed/failed.
  * @throws {CancellationError} If cancelled.
  */
@@ -394,9 +499,10 @@ async function runFootgunPromptGenerationStage(analysisResult, structureResultMd
         const footgunPrompt = getFootgunPromptGenerationPrompt(footgunTargetMode, structureResultMd);
         try {
             reportProgress(progressCallback, 'Footgun Prompt', `Calling LLM to generate prompt for ${footgunTargetMode}...`);
-            footgunPromptResult = await callLLM(footgunPrompt, undefined, cancellationToken);
+            footgunPromptResult = await callLLM(footgunPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Footgun Prompt'));
             reportProgress(progressCallback, 'Footgun Prompt', `Generated Footgun Prompt content for ${footgunTargetMode}. Length: ${footgunPromptResult?.length}`);
         } catch (error) {
+             if (error instanceof CancellationError) throw error;
              log.error(`Error during Stage 4.7 initial LLM call: ${error.message}`);
              log.warn(`Failed to generate footgun prompt for ${footgunTargetMode}. Skipping.`);
              return { footgunPromptResult: null, footgunTargetMode: null }; // Indicate failure
@@ -409,8 +515,9 @@ async function runFootgunPromptGenerationStage(analysisResult, structureResultMd
             const footgunRefinementPrompt = getFootgunRefinementPrompt(footgunTargetMode, structureResultMd);
                  try { // TRY for refinement call
                      reportProgress(progressCallback, 'Footgun Prompt', `Calling LLM to refine prompt for ${footgunTargetMode}...`);
-                     footgunPromptResult = await callLLM(footgunRefinementPrompt, undefined, cancellationToken);
+                     footgunPromptResult = await callLLM(footgunRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Footgun Prompt', { optional: true }));
                  } catch (error) { // CATCH for refinement call
+                if (error instanceof CancellationError) throw error;
                 log.error(`Error during Stage 4.7 refinement LLM call: ${error.message}`);
                 log.warn(`Failed to refine footgun prompt for ${footgunTargetMode}. Skipping.`);
                 return { footgunPromptResult: null, footgunTargetMode: null }; // Indicate failure
@@ -434,137 +541,474 @@ async function runFootgunPromptGenerationStage(analysisResult, structureResultMd
     return { footgunPromptResult, footgunTargetMode };
 }
 
+// --- Stage 4.8: Generate the Memory Bank ---
+// The Memory Bank files, in the order they are requested, and the title each file's header starts with
+const MEMORY_BANK_FILES = [
+    { filename: 'memory-bank/productContext.md', title: 'Product Context' },
+    { filename: 'memory-bank/activeContext.md', title: 'Active Context' },
+    { filename: 'memory-bank/systemPatterns.md', title: 'System Patterns' },
+    { filename: 'memory-bank/techContext.md', title: 'Tech Context' },
+    { filename: 'memory-bank/progress.md', title: 'Progress' }
+];
+const MEMORY_BANK_MARKER_REGEX = /^--- FILE: (\S+) ---[ \t]*$/gm;
+
+/**
+ * Splits a Memory Bank response into its files at the "--- FILE: <path> ---" marker lines.
+ * @param {string|null} response - The raw LLM response.
+ * @returns {Record<string, string>} File path -> content (without a wrapping code fence), for every marker found.
+ */
+function splitMemoryBankFiles(response) {
+    const files = {};
+    const markers = [...(response || '').matchAll(MEMORY_BANK_MARKER_REGEX)];
+    markers.forEach((marker, index) => {
+        const end = index + 1 < markers.length ? markers[index + 1].index : response.length;
+        let content = response.slice(marker.index + marker[0].length, end).trim();
+        if (content.startsWith('```') && content.endsWith('```')) {
+            content = content.substring(content.indexOf('\n') + 1, content.lastIndexOf('```')).trim();
+        }
+        files[marker[1]] = content;
+    });
+    return files;
+}
+
+/**
+ * Picks the Memory Bank files of a response that pass validation: each must start with
+ * "# <Title> for <project>" and have content below that header.
+ * @param {string|null} response - The raw LLM response.
+ * @param {Array<{filename: string, title: string}>} expectedFiles - The files to look for (see MEMORY_BANK_FILES).
+ * @returns {Record<string, string>} File path -> content of the valid files.
+ */
+function getValidMemoryBankFiles(response, expectedFiles) {
+    const generatedFiles = splitMemoryBankFiles(response);
+    const validFiles = {};
+    for (const { filename, title } of expectedFiles) {
+        const content = generatedFiles[filename];
+        const headerRegex = new RegExp(`^# ${title} for .+`);
+        if (content && headerRegex.test(content) && content.split('\n').slice(1).some(line => line.trim())) {
+            validFiles[filename] = content;
+        }
+    }
+    return validFiles;
+}
+
+/**
+ * Runs the generation and validation stage for the Memory Bank (memory-bank/*.md), the files Roo Code modes
+ * read to recover the project's context at the start of a session. Files that fail validation get one refinement attempt.
+ * @param {string} analysisResult - The result from the analysis stage.
+ * @param {string} structureResultMd - The structured Markdown containing project details.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<Record<string, string>|null>} File path -> content of the files that passed validation, or null if none did.
+ * @throws {CancellationError} If cancelled.
+ */
+async function runMemoryBankGenerationStage(analysisResult, structureResultMd, progressCallback, cancellationToken) {
+    reportProgress(progressCallback, 'Memory Bank', 'Generating Memory Bank (memory-bank/*.md)...');
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    const memoryBankPrompt = getMemoryBankGenerationPrompt(analysisResult, structureResultMd);
+    let memoryBankResponse;
+    try {
+        memoryBankResponse = await callLLM(memoryBankPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Memory Bank')); // Pass token
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 4.8 LLM call: ${error.message}`);
+        log.warn("Failed to generate the Memory Bank. Skipping artifact.");
+        return null; // Indicate failure
+    }
+
+    // --- Stage 4.8.1: Validate/Refine the Memory Bank ---
+    reportProgress(progressCallback, 'Memory Bank Validation', 'Validating Memory Bank files...');
+    // No LLM call here unless a file fails
+    const validFiles = getValidMemoryBankFiles(memoryBankResponse, MEMORY_BANK_FILES);
+    let invalidFiles = MEMORY_BANK_FILES.filter(file => !validFiles[file.filename]);
+    if (invalidFiles.length > 0) {
+        reportProgress(progressCallback, 'Memory Bank Validation', `${invalidFiles.length} Memory Bank file(s) failed initial validation. Attempting refinement...`);
+        if (cancellationToken.isCancellationRequested) throw new CancellationError();
+        const generatedFiles = splitMemoryBankFiles(memoryBankResponse);
+        const memoryBankRefinementPrompt = getMemoryBankRefinementPrompt(invalidFiles.map(file => ({
+            filename: file.filename,
+            header: `# ${file.title} for [Project Name/Purpose]`,
+            content: generatedFiles[file.filename] || null
+        })), structureResultMd);
+        try {
+            reportProgress(progressCallback, 'Memory Bank Validation', 'Calling LLM for refinement...');
+            const refinedResponse = await callLLM(memoryBankRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Memory Bank Validation', { optional: true }));
+            Object.assign(validFiles, getValidMemoryBankFiles(refinedResponse, invalidFiles));
+        } catch (error) {
+            if (error instanceof CancellationError) throw error;
+            log.error(`Error during Stage 4.8.1 LLM call: ${error.message}`);
+            log.warn("Failed to refine the Memory Bank. Keeping the files that passed validation.");
+        }
+        invalidFiles = MEMORY_BANK_FILES.filter(file => !validFiles[file.filename]);
+        if (invalidFiles.length > 0) {
+            log.error(`Memory Bank files still invalid after refinement. Skipping: ${invalidFiles.map(file => file.filename).join(', ')}`);
+        } else {
+            log.info("Memory Bank refined successfully.");
+        }
+    } else {
+        log.info("Memory Bank passed validation.");
+    }
+
+    // Keep the files in their usual order, whichever response they came from
+    const memoryBankFiles = {};
+    for (const { filename } of MEMORY_BANK_FILES) {
+        if (validFiles[filename]) memoryBankFiles[filename] = validFiles[filename];
+    }
+    return Object.keys(memoryBankFiles).length > 0 ? memoryBankFiles : null;
+}
+
+// --- Stage 4.9: Generate the MCP Server Configuration (.roo/mcp.json) ---
+/**
+ * Runs the generation and validation stage for .roo/mcp.json. The servers are requested as schema-constrained JSON
+ * (invalid output is repaired with the schema errors) and the file is checked against the MCP settings schema.
+ * @param {string} analysisResult - The result from the analysis stage.
+ * @param {string} structureResultMd - The structured Markdown with refined outlines.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<{mcpConfig: string|null, mcpServers: object[]}|null>} The file content (null if the project needs no MCP servers)
+ *   and the servers for the modes stage, or null if generation/validation fails.
+ * @throws {CancellationError} If cancelled.
+ */
+async function runMcpConfigGenerationStage(analysisResult, structureResultMd, progressCallback, cancellationToken) {
+    reportProgress(progressCallback, 'MCP Config', `Generating MCP server configuration (${MCP_CONFIG_FILENAME})...`);
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    const mcpConfigPrompt = getMcpConfigGenerationPrompt(analysisResult, structureResultMd);
+    let mcpServers;
+    try {
+        const { servers } = await generateStructuredJson(mcpConfigPrompt, MCP_SERVERS_SCHEMA, cancellationToken, stageCallOptions(progressCallback, 'MCP Config')); // Pass token
+        mcpServers = servers;
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 4.9: ${error.message}`);
+        log.warn(`Failed to generate ${MCP_CONFIG_FILENAME}. Skipping artifact.`);
+        return null; // Indicate failure
+    }
+
+    if (mcpServers.length === 0) {
+        log.info(`Stage 4.9: No MCP servers needed; skipping ${MCP_CONFIG_FILENAME}.`);
+        return { mcpConfig: null, mcpServers };
+    }
+    let mcpSettings;
+    try {
+        mcpSettings = buildMcpSettings(mcpServers);
+    } catch (error) {
+        log.error(error.message);
+        return null;
+    }
+    log.info(`Generated schema-valid ${MCP_CONFIG_FILENAME}. Servers: ${mcpServers.map(server => server.name).join(', ')}`);
+    return { mcpConfig: JSON.stringify(mcpSettings, null, 2), mcpServers };
+}
+
+// --- Stage 4.10: Generate Test Skeletons ---
+/**
+ * Generates and validates the test skeleton for one outlined source file. Invalid output gets one refinement attempt.
+ * @param {{sourcePath: string, testPath: string, framework: string, outline: string}} target - The source file and its test (see src/testSkeletons.js).
+ * @param {string} structureResultMd - The structured Markdown with refined outlines.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<string|null>} The test file content, or null if generation/validation fails.
+ * @throws {CancellationError} If cancelled.
+ */
+async function generateTestSkeleton(target, structureResultMd, progressCallback, cancellationToken) {
+    let testSkeletonResult;
+    try {
+        testSkeletonResult = await callLLM(getTestSkeletonGenerationPrompt(target, structureResultMd), undefined, cancellationToken,
+            stageCallOptions(progressCallback, 'Test Skeletons', { streamLabel: `Test Skeletons (${target.testPath})` })); // Pass token
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 4.10 LLM call for ${target.testPath}: ${error.message}`);
+        return null;
+    }
+    let testSkeleton = cleanTestSkeleton(testSkeletonResult);
+    if (isValidTestSkeleton(testSkeleton, target.framework)) return `${testSkeleton}\n`;
+
+    // --- Stage 4.10.1: Validate/Refine this test skeleton ---
+    reportProgress(progressCallback, 'Test Skeletons Validation', `${target.testPath} failed initial validation. Attempting refinement...`);
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    try {
+        const refinedResult = await callLLM(getTestSkeletonRefinementPrompt(target, testSkeletonResult, structureResultMd), undefined, cancellationToken,
+            stageCallOptions(progressCallback, 'Test Skeletons Validation', { optional: true, streamLabel: `Test Skeletons Validation (${target.testPath})` }));
+        testSkeleton = cleanTestSkeleton(refinedResult);
+        if (isValidTestSkeleton(testSkeleton, target.framework)) {
+            log.info(`Test skeleton ${target.testPath} refined successfully.`);
+            return `${testSkeleton}\n`;
+        }
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 4.10.1 LLM call for ${target.testPath}: ${error.message}`);
+    }
+    log.error(`Test skeleton ${target.testPath} still invalid after refinement. Skipping.`);
+    return null;
+}
+
+/**
+ * Runs the generation and validation stage for test skeletons: one test file per outlined source file, in the stack's
+ * conventional framework and location, with pending test cases taken from the functional requirements. Files are
+ * generated in parallel (MAX_PARALLEL_FILE_CALLS at a time) and validated on their own, so one failing file doesn't discard the others.
+ * @param {string} structureResultMd - The structured Markdown with refined outlines.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<Record<string, string>|null>} Test file path -> content of the files that passed validation, or null if none did
+ *   (or no outlined file is in a supported language).
+ * @throws {CancellationError} If cancelled.
+ */
+async function runTestSkeletonGenerationStage(structureResultMd, progressCallback, cancellationToken) {
+    const targets = getTestSkeletonTargets(parseOutlinesFromMd(structureResultMd));
+    if (targets.length === 0) {
+        log.info("Stage 4.10: No outlined JavaScript/TypeScript, Python or Go files; skipping test skeletons.");
+        return null;
+    }
+    reportProgress(progressCallback, 'Test Skeletons', `Generating test skeletons for ${targets.length} outlined file(s)...`);
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    const results = await mapWithConcurrency(targets, MAX_PARALLEL_FILE_CALLS, target => generateTestSkeleton(target, structureResultMd, progressCallback, cancellationToken));
+
+    const testFiles = {};
+    targets.forEach((target, index) => {
+        if (results[index]) testFiles[target.testPath] = results[index];
+    });
+    const generatedCount = Object.keys(testFiles).length;
+    if (generatedCount === 0) {
+        log.warn("Failed to generate any test skeleton. Skipping artifact.");
+        return null;
+    }
+    log.info(`Generated ${generatedCount} of ${targets.length} test skeleton(s): ${Object.keys(testFiles).join(', ')}`);
+    return testFiles;
+}
+
 
 // --- Stage 5: Dynamic Custom Mode Generation (.roomodes) ---
 /**
  * Runs the generation and validation stage for .roomodes file content.
- * Includes fallback generation if LLM fails.
+ * The modes are requested as schema-constrained JSON; invalid output is repaired with the schema errors.
  * @param {string} structureResultMd - The structured Markdown containing project details.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
- * @returns {Promise<{roomodesResult: string, techSpecificSlugs: string[], parsedModesSuccessfully: boolean}>} Object containing the generated JSON string, extracted tech slugs, and parsing success status.
- * @throws {CancellationError} If cancelled.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @param {{preset?: object|null, mcpServers?: object[], testPaths?: string[]}} [context] - The run's preset, whose default modes
+ *   are added to the generated ones (see src/presets.js), the servers in .roo/mcp.json, which the modes are cross-linked with (see src/mcpConfig.js),
+ *   and the test skeleton paths, which a testing mode is told to own.
+ * @returns {Promise<{roomodesResult: string, techSpecificSlugs: string[]}>} Object containing the generated JSON string and extracted tech slugs.
+ * @throws {Error|CancellationError} If no schema-valid .roomodes could be generated, or if cancelled.
  */
-async function runModesGenerationStage(structureResultMd, progressCallback, cancellationToken) {
+async function runModesGenerationStage(structureResultMd, progressCallback, cancellationToken, { preset = null, mcpServers = [], testPaths = [] } = {}) {
     reportProgress(progressCallback, 'Modes', 'Generating custom modes (.roomodes)...');
     if (cancellationToken.isCancellationRequested) throw new CancellationError();
-    const roomodesPrompt = getModesGenerationPrompt(structureResultMd);
-    let rawRoomodesResult;
+    const roomodesPrompt = getModesGenerationPrompt(structureResultMd, mcpServers, testPaths);
+    let parsedModes;
     try {
-        rawRoomodesResult = await callLLM(roomodesPrompt, undefined, cancellationToken); // Pass token
+        parsedModes = await generateStructuredJson(roomodesPrompt, ROOMODES_SCHEMA, cancellationToken, stageCallOptions(progressCallback, 'Modes')); // Pass token
     } catch (error) {
-        log.error(`Error during Stage 5 LLM call: ${error.message}`);
-        log.warn("Failed to generate .roomodes. Using fallback.");
-        // Force fallback generation by setting raw result to something invalid
-        rawRoomodesResult = "{}";
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 5: ${error.message}`);
+        throw new Error(`Modes generation failed: ${error.message}`);
     }
-    let roomodesResult = rawRoomodesResult.trim();
-    let techSpecificSlugs = [];
-    let parsedModesSuccessfully = false;
+    parsedModes = linkModesToMcpServers(mergePresetModes(preset, parsedModes), mcpServers);
 
-    // Clean potential Markdown fences
-    if (roomodesResult.startsWith('```json') && roomodesResult.endsWith('```')) {
-        roomodesResult = roomodesResult.substring(7, roomodesResult.length - 3).trim();
-    } else if (roomodesResult.startsWith('```') && roomodesResult.endsWith('```')) {
-        roomodesResult = roomodesResult.substring(3, roomodesResult.length - 3).trim();
+    const roomodesResult = JSON.stringify(parsedModes, null, 2);
+    log.info(`Generated schema-valid .roomodes. Slugs: ${parsedModes.customModes.map(mode => mode.slug).join(', ')}`);
+    return { roomodesResult, techSpecificSlugs: getTechSpecificSlugs(parsedModes) };
+} // Closing brace for runModesGenerationStage
+
+/**
+ * Lists the mode slugs the plan can delegate to.
+ * @param {{customModes: Array<{slug: string}>}} parsedModes - Schema-valid .roomodes content.
+ * @returns {string[]} The slugs, excluding the orchestrator; ['code'] if no other mode exists.
+ */
+function getTechSpecificSlugs(parsedModes) {
+    const techSpecificSlugs = parsedModes.customModes
+        .map(mode => mode.slug)
+        // Filter out project-orchestrator if it exists, keep others
+        .filter(slug => slug !== 'project-orchestrator'); // Keep this filter if orchestrator shouldn't be a delegate
+
+    // Ensure 'code' is available as a delegate for the plan if no other delegates exist
+    if (techSpecificSlugs.length === 0) {
+        log.warn("LLM generated modes but no delegate slugs found (excluding orchestrator). Adding 'code' as fallback delegate for plan.");
+        techSpecificSlugs.push('code');
+    }
+    return techSpecificSlugs;
+}
+
+// --- Stage 5.5: Generate Per-Mode Rules (.roo/rules-{slug}/) ---
+/**
+ * Returns the path of a mode's rules file inside its .roo/rules-{slug}/ folder.
+ * @param {string} slug - The mode slug.
+ * @returns {string} The file path.
+ */
+function getModeRulesFilename(slug) {
+    return `.roo/rules-${slug}/01-guidelines.md`;
+}
+
+/**
+ * Checks one mode's rules: the content must start with "# Rules for <slug>" and have rules below that header.
+ * @param {string|null} content - The generated rules.
+ * @param {string} slug - The mode slug.
+ * @returns {boolean} True if the rules are valid.
+ */
+function isValidModeRules(content, slug) {
+    const escapedSlug = slug.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const lines = (content || '').trim().split('\n');
+    return new RegExp(`^# Rules for \`?${escapedSlug}\`?\\s*$`).test(lines[0]) && lines.slice(1).some(line => line.trim());
+}
+
+/**
+ * Generates and validates the rules for one mode. Invalid rules get one refinement attempt.
+ * @param {{slug: string, name: string, roleDefinition: string, customInstructions?: string}} mode - The mode from .roomodes.
+ * @param {string} structureResultMd - The structured Markdown with refined outlines.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<string|null>} The rules, or null if generation/validation fails.
+ * @throws {CancellationError} If cancelled.
+ */
+async function generateModeRules(mode, structureResultMd, progressCallback, cancellationToken) {
+    const streamLabel = `Mode Rules (${mode.slug})`;
+    let modeRulesResult;
+    try {
+        modeRulesResult = await callLLM(getModeRulesGenerationPrompt(mode, structureResultMd), undefined, cancellationToken, stageCallOptions(progressCallback, 'Mode Rules', { streamLabel })); // Pass token
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 5.5 LLM call for mode "${mode.slug}": ${error.message}`);
+        return null;
     }
+    if (isValidModeRules(modeRulesResult, mode.slug)) return modeRulesResult.trim();
 
+    // --- Stage 5.5.1: Validate/Refine this mode's rules ---
+    reportProgress(progressCallback, 'Mode Rules Validation', `Rules for "${mode.slug}" failed initial validation. Attempting refinement...`);
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
     try {
-        const parsedModes = JSON.parse(roomodesResult);
-        // --- MODIFIED CONDITION ---
-        // Check if customModes exists, is an array, and is not empty. No longer requires 'project-orchestrator'.
-        if (parsedModes && Array.isArray(parsedModes.customModes) && parsedModes.customModes.length > 0) {
-            // Basic check: Ensure customModes is an array and has at least one mode
-             if (!Array.isArray(parsedModes.customModes) || parsedModes.customModes.length === 0) {
-                log.warn("LLM returned JSON for .roomodes, but the 'customModes' array is missing or empty.");
-                throw new Error("Invalid .roomodes structure: 'customModes' array missing or empty.");
-            }
-            // Extract slugs correctly after successful parsing
-            techSpecificSlugs = parsedModes.customModes.map(mode => mode.slug).filter(Boolean); // Get all defined slugs
-            log.info(`Successfully parsed .roomodes JSON from LLM. Slugs: ${techSpecificSlugs.join(', ')}`);
-            // --- END ORIGINAL SUCCESS LOGIC MOVED ---
-
-            // Original logic for handling slugs (moved inside the successful parse block)
-            techSpecificSlugs = parsedModes.customModes
-                .map(mode => mode.slug)
-                // Filter out project-orchestrator if it exists, keep others
-                .filter(slug => slug && slug !== 'project-orchestrator'); // Keep this filter if orchestrator shouldn't be a delegate
-
-            // Ensure 'code' is added if no other delegates exist
-            if (techSpecificSlugs.length === 0) {
-                 log.warn("LLM generated modes but no specific delegate slugs found (excluding orchestrator/manager). Adding 'code' as fallback delegate for plan.");
-                 // Check if 'code' mode actually exists in the parsed modes before adding it blindly
-                 if (parsedModes.customModes.some(m => m.slug === 'code')) {
-                    techSpecificSlugs.push('code');
-                 } else {
-                    // If 'code' doesn't exist either, this indicates a potential issue with mode generation logic
-                    log.warn("Neither specific delegates nor a 'code' mode found. Plan generation might rely on incorrect fallback.");
-                    // Decide if we should still add 'code' as a placeholder or handle differently
-                    techSpecificSlugs.push('code'); // Add 'code' as a last resort for plan generation
-                 }
-            }
-            parsedModesSuccessfully = true;
+        const refinedResult = await callLLM(getModeRulesRefinementPrompt(mode, modeRulesResult, structureResultMd), undefined, cancellationToken,
+            stageCallOptions(progressCallback, 'Mode Rules Validation', { optional: true, streamLabel: `Mode Rules Validation (${mode.slug})` }));
+        if (isValidModeRules(refinedResult, mode.slug)) {
+            log.info(`Rules for mode "${mode.slug}" refined successfully.`);
+            return refinedResult.trim();
+        }
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during Stage 5.5.1 LLM call for mode "${mode.slug}": ${error.message}`);
+    }
+    log.error(`Rules for mode "${mode.slug}" still invalid after refinement. Skipping ${getModeRulesFilename(mode.slug)}.`);
+    return null;
+}
 
-        } else {
-             // This case means JSON was parsed, but customModes was missing, empty, or not an array.
-            log.warn(`Invalid .roomodes structure after JSON parsing. 'customModes' is missing, not an array, or empty. Parsed data: ${JSON.stringify(parsedModes)}`);
-            throw new Error("Invalid .roomodes structure: 'customModes' array missing, empty, or invalid.");
+/**
+ * Runs the generation and validation stage for the per-mode rules folders (.roo/rules-{slug}/), which Roo Code
+ * loads only while that mode is active. Every mode in .roomodes is generated in parallel (MAX_PARALLEL_FILE_CALLS at a time)
+ * and validated on its own, so one failing mode doesn't discard the others.
+ * @param {string} structureResultMd - The structured Markdown with refined outlines.
+ * @param {string} roomodesResult - The .roomodes JSON from the modes stage.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<Record<string, string>|null>} File path -> content of the rules that passed validation, or null if none did.
+ * @throws {CancellationError} If cancelled.
+ */
+async function runModeRulesGenerationStage(structureResultMd, roomodesResult, progressCallback, cancellationToken) {
+    const { customModes } = JSON.parse(roomodesResult);
+    reportProgress(progressCallback, 'Mode Rules', `Generating rules for ${customModes.length} mode(s) (.roo/rules-{slug}/)...`);
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    const results = await mapWithConcurrency(customModes, MAX_PARALLEL_FILE_CALLS, mode => generateModeRules(mode, structureResultMd, progressCallback, cancellationToken));
+
+    const modeRulesFiles = {};
+    customModes.forEach((mode, index) => {
+        if (results[index]) modeRulesFiles[getModeRulesFilename(mode.slug)] = results[index];
+    });
+    const generatedCount = Object.keys(modeRulesFiles).length;
+    if (generatedCount === 0) {
+        log.warn("Failed to generate rules for any mode. Skipping artifact.");
+        return null;
+    }
+    log.info(`Generated rules for ${generatedCount} of ${customModes.length} mode(s).`);
+    return modeRulesFiles;
+}
+
+/**
+ * Checks a roo-plan.md for the structure Roo Code needs: title, concise goal, an initial
+ * <switch_mode> step, phase headers, at least one <new_task>, and valid JSON in every <message>.
+ * @param {string} finalPlan - The plan content.
+ * @returns {string[]} The issues found; empty if the plan is valid.
+ */
+function validatePlan(finalPlan) {
+    const planValidationIssues = [];
+    // --- Updated Validation Logic for Flexible Structure ---
+    if (!finalPlan.includes('# Roo Code Execution Plan:')) planValidationIssues.push("Missing Title");
+    if (!finalPlan.includes('**Concise Goal:**')) planValidationIssues.push("Missing Concise Goal");
+    // Check for *any* initial switch_mode, not just orchestrator
+    if (!finalPlan.match(/1\.\s+\*\*.*?Switch.*?\*\*:\s*<switch_mode><mode_slug>[a-z0-9-]+<\/mode_slug><\/switch_mode>/)) {
+         planValidationIssues.push("Missing or invalid initial <switch_mode> step (Step 1)");
+    }
+    // Check for at least one phase header (##)
+    if (!finalPlan.includes('## ')) planValidationIssues.push("Missing phase headers (e.g., ## Phase 1: ...)");
+    // Check for at least one new_task delegation
+    if (!finalPlan.includes('<new_task>')) planValidationIssues.push("Missing at least one <new_task> delegation");
+
+    // Validate JSON within <message> tags (remains the same)
+    const messageJsonRegex = /<message>([\s\S]*?)<\/message>/g;
+    let match;
+    while ((match = messageJsonRegex.exec(finalPlan)) !== null) {
+        try {
+            JSON.parse(match[1]);
+        } catch (e) {
+            planValidationIssues.push(`Invalid JSON in <message>: ${e.message}`);
+            break;
         }
-    } catch (parseError) {
-        // This catch block now specifically handles JSON.parse errors
-        log.error("Failed to parse JSON for .roomodes from LLM:", parseError.message);
-        // Log the raw response snippet
-        const rawResponseSnippet = rawRoomodesResult.substring(0, 500) + (rawRoomodesResult.length > 500 ? '...' : '');
-        log.warn(`Raw LLM response (snippet): ${rawResponseSnippet}`);
-        log.warn("Generating fallback .roomodes structure.");
-        // Attempt a slightly more intelligent fallback
-        // If structureResultMd suggests a very simple project (e.g., few files, simple goal), maybe just a 'developer' mode. Otherwise, default to manager + code.
-        // This is a basic heuristic. A more robust approach might involve another LLM call with a simpler prompt.
-        let fallbackModes;
-        const simpleProjectHeuristic = structureResultMd.split('\n').length < 20; // Very basic check
-
-        if (simpleProjectHeuristic) {
-            log.info("Fallback: Simple project detected, creating single 'developer' mode.");
-            fallbackModes = {
-                customModes: [
-                    {
-                        slug: "developer",
-                        name: "Developer",
-                        roleDefinition: "Implement the project based on the analysis.",
-                        groups: ["read", "edit", "command", "attempt_completion"],
-                        customInstructions: "Implement features based on the project plan and requirements. Follow any available coding standards. (Fallback due to modes generation error)"
-                    }
-                ]
-            };
-            techSpecificSlugs = ['developer'];
+    }
+    return planValidationIssues;
+}
+
+/**
+ * Drafts several candidate plans in parallel and returns the highest-scoring one (see src/planSelection.js).
+ * Candidates after the first are optional calls, so a "skip-optional" budget stops drafting extras.
+ * If the judge fails, candidates are ranked on the structural checks alone.
+ * @param {string} planPrompt - The Stage 6 plan assembly prompt.
+ * @param {number} candidateCount - How many candidates to draft.
+ * @param {string} structureResultMd - The structured Markdown, for the judge.
+ * @param {string[]} techSpecificSlugs - Slugs for tech-specific modes generated in Stage 5.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<string|null>} The best candidate, or null if every draft failed.
+ * @throws {CancellationError} If cancelled.
+ */
+async function selectBestPlanCandidate(planPrompt, candidateCount, structureResultMd, techSpecificSlugs, progressCallback, cancellationToken) {
+    reportProgress(progressCallback, 'Plan Assembly', `Drafting ${candidateCount} candidate plans...`);
+    const drafts = await Promise.all(Array.from({ length: candidateCount }, async (unused, index) => {
+        const callOptions = stageCallOptions(progressCallback, 'Plan Assembly', { optional: index > 0, streamLabel: `Plan Assembly (candidate ${index + 1})` });
+        try {
+            return await callLLM(planPrompt, undefined, cancellationToken, callOptions);
+        } catch (error) {
+            if (error instanceof CancellationError) throw error;
+            log.warn(`Plan candidate ${index + 1} failed: ${error.message}`);
+            return null;
+        }
+    }));
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+
+    const candidates = drafts
+        .filter(draft => typeof draft === 'string' && draft.trim())
+        .map(plan => ({ plan, validationIssues: validatePlan(plan) }));
+    if (candidates.length <= 1) return candidates[0]?.plan || null;
+
+    reportProgress(progressCallback, 'Plan Judge', `Scoring ${candidates.length} candidate plans...`);
+    let judgeScores = null;
+    try {
+        const judgePrompt = getPlanJudgePrompt(candidates.map(candidate => candidate.plan), structureResultMd, techSpecificSlugs);
+        const { scores } = await generateStructuredJson(judgePrompt, PLAN_JUDGE_SCHEMA, cancellationToken, stageCallOptions(progressCallback, 'Plan Judge', { optional: true }));
+        if (candidates.every((candidate, index) => scores.some(score => score.candidate === index + 1))) {
+            judgeScores = scores;
         } else {
-             log.info("Fallback: Creating 'project-manager' and 'code' modes.");
-             fallbackModes = {
-                customModes: [
-                    {
-                        slug: "project-manager",
-                        name: "Project Manager",
-                        roleDefinition: `Manage the build based on the analysis, delegate tasks.`,
-                        groups: ["read", "new_task", "switch_mode"],
-                        customInstructions: "Delegate tasks via <new_task> to the 'code' mode. Monitor progress. Use information from the analysis and structure documents. (Fallback due to modes generation error)"
-                    },
-                    {
-                        slug: "code",
-                        name: "General Developer",
-                        roleDefinition: "Implement delegated tasks.",
-                        groups: ["read", "edit", "command", "attempt_completion"],
-                        customInstructions: "Implement features based on delegated tasks. Follow any available coding standards. (Fallback due to modes generation error)"
-                    }
-                ]
-            };
-             techSpecificSlugs = ['code']; // Only delegate slug needed for plan
+            log.warn("Plan judge did not score every candidate. Ranking on structural checks only.");
         }
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.warn(`Plan judge failed: ${error.message}. Ranking on structural checks only.`);
+    }
 
-        roomodesResult = JSON.stringify(fallbackModes, null, 2);
-        parsedModesSuccessfully = false; // Mark as fallback
+    // techSpecificSlugs leaves out the orchestrator, which plans usually switch to first
+    const ranked = rankPlanCandidates(candidates, [...techSpecificSlugs, 'project-orchestrator'], judgeScores);
+    for (const candidate of ranked) {
+        const judgeNote = candidate.judge
+            ? `, judge ${candidate.judge.requirementsCoverage}/${candidate.judge.slugUsage}/${candidate.judge.taskGranularity}: ${candidate.judge.rationale}`
+            : '';
+        log.info(`Plan candidate ${candidate.index + 1}: score ${candidate.score.toFixed(2)} (${candidate.validationIssues.length} validation issue(s), unknown slugs: ${candidate.unknownSlugs.join(', ') || 'none'}${judgeNote})`);
     }
-    return { roomodesResult, techSpecificSlugs, parsedModesSuccessfully };
-} // Closing brace for runModesGenerationStage
+    reportProgress(progressCallback, 'Plan Judge', `Keeping candidate ${ranked[0].index + 1} of ${candidates.length} (score ${ranked[0].score.toFixed(2)}).`);
+    return ranked[0].plan;
+}
 
 // --- Stage 6: Assemble Final Roo Code Plan ---
 /**
@@ -574,7 +1018,7 @@ async function runModesGenerationStage(structureResultMd, progressCallback, canc
  * @param {string} structureResultMd - The structured Markdown.
  * @param {string[]} techSpecificSlugs - Slugs for tech-specific modes generated in Stage 5.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<{finalPlan: string, planIsValid: boolean}>} Object containing the final plan content and its validation status.
  * @throws {CancellationError} If cancelled.
  */
@@ -583,12 +1027,19 @@ async function runPlanAssemblyStage(conciseCommand, structureResultMd, techSpeci
     if (cancellationToken.isCancellationRequested) throw new CancellationError();
     const planPrompt = getPlanAssemblyPrompt(conciseCommand, structureResultMd, techSpecificSlugs);
     let finalPlan;
-    try {
-        finalPlan = await callLLM(planPrompt, undefined, cancellationToken); // Pass token
-    } catch (error) {
-        log.error(`Error during Stage 6 LLM call: ${error.message}`);
-        log.warn("Failed to generate initial roo-plan.md. Using fallback.");
-        finalPlan = null; // Will trigger fallback generation below
+    const candidateCount = getPlanCandidateCount();
+    if (candidateCount > 1) {
+        // Best-of-N: the winning candidate goes through the same validation as a single draft
+        finalPlan = await selectBestPlanCandidate(planPrompt, candidateCount, structureResultMd, techSpecificSlugs, progressCallback, cancellationToken);
+    } else {
+        try {
+            finalPlan = await callLLM(planPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Plan Assembly')); // Pass token
+        } catch (error) {
+            if (error instanceof CancellationError) throw error;
+            log.error(`Error during Stage 6 LLM call: ${error.message}`);
+            log.warn("Failed to generate initial roo-plan.md. Using fallback.");
+            finalPlan = null; // Will trigger fallback generation below
+        }
     }
 
 
@@ -596,32 +1047,8 @@ async function runPlanAssemblyStage(conciseCommand, structureResultMd, techSpeci
     reportProgress(progressCallback, 'Plan Validation', 'Validating roo-plan.md...');
     // No LLM call here
     let planIsValid = false;
-    let planValidationIssues = [];
     if (finalPlan && typeof finalPlan === 'string') {
-        // --- Updated Validation Logic for Flexible Structure ---
-        if (!finalPlan.includes('# Roo Code Execution Plan:')) planValidationIssues.push("Missing Title");
-        if (!finalPlan.includes('**Concise Goal:**')) planValidationIssues.push("Missing Concise Goal");
-        // Check for *any* initial switch_mode, not just orchestrator
-        if (!finalPlan.match(/1\.\s+\*\*.*?Switch.*?\*\*:\s*<switch_mode><mode_slug>[a-z0-9-]+<\/mode_slug><\/switch_mode>/)) {
-             planValidationIssues.push("Missing or invalid initial <switch_mode> step (Step 1)");
-        }
-        // Check for at least one phase header (##)
-        if (!finalPlan.includes('## ')) planValidationIssues.push("Missing phase headers (e.g., ## Phase 1: ...)");
-        // Check for at least one new_task delegation
-        if (!finalPlan.includes('<new_task>')) planValidationIssues.push("Missing at least one <new_task> delegation");
-
-        // Validate JSON within <message> tags (remains the same)
-        const messageJsonRegex = /<message>([\s\S]*?)<\/message>/g;
-        let match;
-        while ((match = messageJsonRegex.exec(finalPlan)) !== null) {
-            try {
-                JSON.parse(match[1]);
-            } catch (e) {
-                planValidationIssues.push(`Invalid JSON in <message>: ${e.message}`);
-                break;
-            }
-        }
-
+        const planValidationIssues = validatePlan(finalPlan);
         if (planValidationIssues.length === 0) {
             log.info("LLM generated roo-plan.md passed validation.");
             planIsValid = true;
@@ -631,7 +1058,7 @@ async function runPlanAssemblyStage(conciseCommand, structureResultMd, techSpeci
             const planRefinementPrompt = getPlanRefinementPrompt(planValidationIssues, finalPlan, structureResultMd, techSpecificSlugs);
             try {
                 reportProgress(progressCallback, 'Plan Validation', 'Calling LLM for refinement...');
-                finalPlan = await callLLM(planRefinementPrompt, undefined, cancellationToken);
+                finalPlan = await callLLM(planRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Plan Validation', { optional: true }));
                 // Basic re-validation after refinement (could be more thorough)
                 if (finalPlan && finalPlan.includes('# Roo Code Execution Plan:')) {
                      reportProgress(progressCallback, 'Plan Validation', 'Plan refined successfully.');
@@ -641,6 +1068,7 @@ async function runPlanAssemblyStage(conciseCommand, structureResultMd, techSpeci
                      planIsValid = false;
                 }
             } catch (error) {
+                if (error instanceof CancellationError) throw error;
                 log.error(`Error during Stage 6.1 refinement LLM call: ${error.message}`);
                 log.warn("Failed to refine roo-plan.md. Using potentially invalid plan.");
                 // Keep planIsValid as false, fallback will be used later
@@ -706,7 +1134,7 @@ async function runPlanAssemblyStage(conciseCommand, structureResultMd, techSpeci
  * @param {string} roomodesResult - The generated .roomodes JSON string.
  * @param {string} structureResultMd - The structured Markdown.
  * @param {Function} progressCallback - Callback function for progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<string>} The potentially refined plan content.
  * @throws {CancellationError} If cancelled.
  */
@@ -717,7 +1145,7 @@ async function runPlanRefinementStage(finalPlan, roomodesResult, structureResult
 
     try {
         reportProgress(progressCallback, 'Plan Refinement', 'Calling LLM for final review...');
-        const planRefinementResponse = await callLLM(planRefinementPrompt, undefined, cancellationToken);
+        const planRefinementResponse = await callLLM(planRefinementPrompt, undefined, cancellationToken, stageCallOptions(progressCallback, 'Plan Refinement', { optional: true }));
         if (planRefinementResponse.trim().toUpperCase() !== "OK") {
             log.info("roo-plan.md refined by Stage 6.5.");
             return planRefinementResponse.trim(); // Return the refined plan
@@ -726,112 +1154,479 @@ async function runPlanRefinementStage(finalPlan, roomodesResult, structureResult
             return finalPlan; // Return original plan if OK
         }
     } catch (refinementError) {
+        if (refinementError instanceof CancellationError) throw refinementError;
         log.warn(`Error during Stage 6.5 plan refinement: ${refinementError.message}. Proceeding with potentially unrefined plan.`);
         return finalPlan; // Return original plan on error
     }
 } // Closing brace for runPlanRefinementStage
 
 
-// --- Main Engine Function ---
+// --- Plan Revision (on request, after generation) ---
 /**
- * Orchestrates the multi-stage plan generation process.
- * @param {string} projectIdea - The user's initial project idea.
- * @param {Function} progressCallback - Function to report progress updates.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
- * @returns {Promise<{artifacts: Record<string, string>, structureList: Array<{type: string, path: string}>, outlines: Record<string, string>}>} An object containing generated artifacts, the parsed file structure, and parsed code outlines.
- * @throws {Error|CancellationError} If a critical stage of the engine fails or is cancelled.
+ * Applies the user's feedback to roo-plan.md and .roomodes together. The revised modes must match
+ * ROOMODES_SCHEMA (invalid JSON is repaired) and the revised plan goes through the same validation as
+ * Stage 6, with one correction attempt. Nothing is saved here; the caller shows the result first.
+ * @param {string} feedback - The user's natural-language feedback.
+ * @param {string} finalPlan - The current plan.
+ * @param {string} roomodesResult - The current .roomodes JSON string.
+ * @param {string} structureResultMd - The structured Markdown.
+ * @param {Function} progressCallback - Callback function for progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<{finalPlan: string, roomodesResult: string, techSpecificSlugs: string[], summary: string, planValidationIssues: string[]}>}
+ *   The revised files, the model's summary of its changes, and any validation issues left in the plan.
+ * @throws {Error|CancellationError} If the revision call fails, its response can't be parsed, or it is cancelled.
  */
-async function runAdvancedReasoningEngine(projectIdea, progressCallback, cancellationToken) {
-    reportProgress(progressCallback, 'Starting', 'Initiating plan generation...');
-    const generatedArtifacts = {};
-    let proposedStructureList = [];
-    let coreLogicOutlines = {};
-
+async function runPlanRevisionStage(feedback, finalPlan, roomodesResult, structureResultMd, progressCallback, cancellationToken) {
+    reportProgress(progressCallback, 'Plan Revision', 'Applying your feedback to roo-plan.md and .roomodes...');
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    let revisionResponse;
     try {
-        // Stage 1: Analysis
-        const analysisResult = await runAnalysisStage(projectIdea, progressCallback, cancellationToken);
-        if (cancellationToken.isCancellationRequested) throw new CancellationError();
+        revisionResponse = await callLLM(getPlanRevisionPrompt(feedback, finalPlan, roomodesResult, structureResultMd), undefined, cancellationToken, stageCallOptions(progressCallback, 'Plan Revision'));
+    } catch (error) {
+        if (error instanceof CancellationError) throw error;
+        log.error(`Error during plan revision LLM call: ${error.message}`);
+        throw new Error(`Plan revision failed: ${error.message}`);
+    }
 
-        // Stage 2: Structuring
-        let { structureResultMd, conciseCommand } = await runStructuringStage(projectIdea, analysisResult, progressCallback, cancellationToken);
-        if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    const responseMatch = revisionResponse.match(/---\s*SUMMARY\s*---([\s\S]*?)---\s*ROO-PLAN\.MD\s*---([\s\S]*?)---\s*\.ROOMODES\s*---([\s\S]*)$/i);
+    if (!responseMatch || !responseMatch[2].trim()) {
+        throw new Error('Plan revision failed: the response did not contain the revised plan in the expected format.');
+    }
+    const summary = responseMatch[1].trim();
+    let revisedPlan = responseMatch[2].trim();
+    const modesText = responseMatch[3].trim();
+
+    // --- Validate the revised .roomodes ---
+    let revisedModes = JSON.parse(roomodesResult);
+    if (modesText.toUpperCase() !== 'UNCHANGED') {
+        const { value, error } = parseJsonResponse(modesText);
+        const modesErrors = error ? [`$: ${error}`] : validateResponse(value, ROOMODES_SCHEMA);
+        if (modesErrors.length === 0) {
+            revisedModes = value;
+        } else {
+            reportProgress(progressCallback, 'Plan Revision', `Revised .roomodes failed schema validation (${modesErrors.length} error(s)). Repairing...`);
+            try {
+                revisedModes = await repairStructuredJson(modesText, modesErrors, ROOMODES_SCHEMA, cancellationToken, stageCallOptions(progressCallback, 'Plan Revision'));
+            } catch (repairError) {
+                if (repairError instanceof CancellationError) throw repairError;
+                throw new Error(`Plan revision failed: the revised .roomodes is invalid: ${repairError.message}`);
+            }
+        }
+    }
+    const techSpecificSlugs = getTechSpecificSlugs(revisedModes);
 
-        // Stage 3: Outline Refinement
-        structureResultMd = await runOutlineRefinementStage(analysisResult, structureResultMd, progressCallback, cancellationToken); // Update structureResultMd
+    // --- Validate the revised plan (as in Stage 6.1) ---
+    reportProgress(progressCallback, 'Plan Validation', 'Validating revised roo-plan.md...');
+    let planValidationIssues = validatePlan(revisedPlan);
+    if (planValidationIssues.length > 0) {
+        reportProgress(progressCallback, 'Plan Validation', `Revised roo-plan.md failed validation: ${planValidationIssues.join(', ')}. Attempting refinement...`);
         if (cancellationToken.isCancellationRequested) throw new CancellationError();
+        try {
+            const refinedPlan = await callLLM(getPlanRefinementPrompt(planValidationIssues, revisedPlan, structureResultMd, techSpecificSlugs), undefined, cancellationToken, stageCallOptions(progressCallback, 'Plan Validation', { optional: true }));
+            const refinedIssues = validatePlan(refinedPlan);
+            if (refinedIssues.length < planValidationIssues.length) {
+                revisedPlan = refinedPlan.trim();
+                planValidationIssues = refinedIssues;
+            }
+        } catch (error) {
+            if (error instanceof CancellationError) throw error;
+            log.warn(`Failed to refine the revised roo-plan.md: ${error.message}`);
+        }
+    }
+    reportProgress(progressCallback, 'Plan Revision', planValidationIssues.length === 0 ? 'Revision ready for review.' : `Revision still has validation issues: ${planValidationIssues.join(', ')}`);
+
+    return {
+        finalPlan: revisedPlan,
+        roomodesResult: JSON.stringify(revisedModes, null, 2),
+        techSpecificSlugs,
+        summary,
+        planValidationIssues
+    };
+}
+
+/**
+ * Lists the models that answered the given LLM calls in this attempt.
+ * @param {string[]} llmStages - Usage labels of the calls (see stageCallOptions).
+ * @returns {string[]} Distinct "provider/model" labels (empty if none of the calls ran or the run was replayed).
+ */
+function getUsageModels(llmStages = []) {
+    const { stages } = getUsageSummary();
+    return [...new Set(llmStages.flatMap(llmStage => stages[llmStage]?.models || []))];
+}
 
-        // --- Run Stages 4.x and 5 in Parallel ---
-        reportProgress(progressCallback, 'Parallel Generation', 'Starting parallel generation of rules, modes, etc...');
+/**
+ * Lists the models that served a pipeline stage in this attempt; passed to the stage graph so they are checkpointed with the result.
+ * @param {object} stage - The stage definition.
+ * @returns {string[]} Distinct "provider/model" labels.
+ */
+function getStageModels(stage) {
+    return getUsageModels(stage.llmStages);
+}
 
-        const parallelStagePromises = [
-            runRulesGenerationStage(structureResultMd, progressCallback, cancellationToken),         // Stage 4
-            runRooignoreGenerationStage(structureResultMd, progressCallback, cancellationToken),      // Stage 4.5
-            runWorkspaceRulesGenerationStage(structureResultMd, progressCallback, cancellationToken), // Stage 4.6
-            runFootgunPromptGenerationStage(analysisResult, structureResultMd, progressCallback, cancellationToken), // Stage 4.7
-            runModesGenerationStage(structureResultMd, progressCallback, cancellationToken)           // Stage 5
-        ];
+/**
+ * Looks up which models answered the stages that produced each artifact, so the run report can
+ * show where the fallback chain took over. Stages restored from the checkpoint made no calls in this
+ * attempt, so their models come from the checkpoint instead.
+ * @param {Record<string, object[]>} artifactStages - Artifact filename -> the stages that wrote it (the artifact stage and its builtFrom stages).
+ * @param {object} [checkpoint] - The run's checkpoint.
+ * @returns {Record<string, string[]>} Artifact filename -> "provider/model" labels (empty for replayed runs).
+ */
+function getArtifactModels(artifactStages, checkpoint) {
+    const artifactModels = {};
+    for (const [filename, stages] of Object.entries(artifactStages)) {
+        artifactModels[filename] = [...new Set(stages.flatMap(stage => {
+            const models = getStageModels(stage);
+            return models.length > 0 ? models : (checkpoint?.getStageModels(stage.name) || []);
+        }))];
+    }
+    return artifactModels;
+}
 
-        // Wait for all parallel stages to complete
-        const parallelResults = await Promise.all(parallelStagePromises);
-        if (cancellationToken.isCancellationRequested) throw new CancellationError("Cancelled during parallel generation stages.");
+/**
+ * Lists the stages whose LLM calls wrote an artifact: the artifact stage and the stages it is built from.
+ * @param {object} stage - The artifact stage.
+ * @returns {object[]} The stage definitions.
+ */
+function getArtifactStages(stage) {
+    return [...(stage.artifact.builtFrom || []).map(stageName => PIPELINE.find(candidate => candidate.name === stageName)), stage];
+}
 
-        // --- Process Parallel Results ---
-        reportProgress(progressCallback, 'Parallel Generation', 'Processing results from parallel stages...');
+// --- Pipeline Definition ---
+// The generation pipeline as a stage graph (see src/stageGraph.js). Stage names are the checkpoint
+// keys and the names accepted by the PIPELINE_STAGES setting; the optional stages can be disabled there.
+const PIPELINE = [
+    {
+        name: 'analysis', // Stage 1
+        inputs: ['projectIdea', 'existingProject', 'referenceDocuments', 'preset'],
+        outputs: ['analysisResult'],
+        run: ({ projectIdea, existingProject, referenceDocuments, preset }, { progressCallback, cancellationToken }) => runAnalysisStage(projectIdea, progressCallback, cancellationToken, { existingProject, referenceDocuments, preset }),
+        review: {
+            present: analysisResult => ({ title: 'Analysis', content: analysisResult }),
+            applyEdit: (analysisResult, content) => (content.trim() ? { result: content } : { errors: ['The analysis cannot be empty.'] })
+        }
+    },
+    {
+        name: 'structuring', // Stage 2
+        inputs: ['projectIdea', 'existingProject', 'referenceDocuments', 'preset', 'analysisResult'],
+        outputs: ['draftStructureMd', 'conciseCommand'],
+        run: ({ projectIdea, existingProject, referenceDocuments, preset, analysisResult }, { progressCallback, cancellationToken }) => runStructuringStage(projectIdea, analysisResult, progressCallback, cancellationToken, { existingProject, referenceDocuments, preset }),
+        provides: ({ structureResultMd, conciseCommand }) => ({ draftStructureMd: structureResultMd, conciseCommand }),
+        review: {
+            // The parsed tree shows what will be scaffolded; edits go to the Markdown, which must keep a valid structure block
+            present: ({ structureResultMd }) => ({ title: 'Structure', content: structureResultMd, structureList: parseStructureFromJsonMd(structureResultMd) }),
+            applyEdit: (structuringResult, content, { preset }) => {
+                const errors = getStructureBlockErrors(content, getPresetStructureSchema(preset));
+                return errors.length > 0 ? { errors } : { result: { ...structuringResult, structureResultMd: content } };
+            }
+        }
+    },
+    {
+        name: 'outlineRefinement', // Stage 3
+        inputs: ['analysisResult', 'draftStructureMd'],
+        outputs: ['structureResultMd'],
+        run: ({ analysisResult, draftStructureMd }, { progressCallback, cancellationToken }) => runOutlineRefinementStage(analysisResult, draftStructureMd, progressCallback, cancellationToken)
+    },
+    {
+        name: 'rules', // Stage 4
+        optional: true,
+        inputs: ['structureResultMd', 'preset'],
+        outputs: ['rulesResult'],
+        run: ({ structureResultMd, preset }, { progressCallback, cancellationToken }) => runRulesGenerationStage(structureResultMd, progressCallback, cancellationToken, preset),
+        llmStages: ['Rules', 'Rules Validation'],
+        artifact: { filename: '.clinerules-code' }
+    },
+    {
+        name: 'rooignore', // Stage 4.5
+        optional: true,
+        inputs: ['structureResultMd'],
+        outputs: ['rooignoreResult'],
+        run: ({ structureResultMd }, { progressCallback, cancellationToken }) => runRooignoreGenerationStage(structureResultMd, progressCallback, cancellationToken),
+        llmStages: ['Ignore Rules', 'Ignore Rules Validation'],
+        artifact: { filename: '.rooignore' }
+    },
+    {
+        name: 'workspaceRules', // Stage 4.6
+        optional: true,
+        inputs: ['structureResultMd'],
+        outputs: ['workspaceRulesResult'],
+        run: ({ structureResultMd }, { progressCallback, cancellationToken }) => runWorkspaceRulesGenerationStage(structureResultMd, progressCallback, cancellationToken),
+        llmStages: ['Workspace Rules', 'Workspace Rules Validation'],
+        artifact: { filename: '.clinerules' }
+    },
+    {
+        name: 'footgunPrompt', // Stage 4.7
+        optional: true,
+        inputs: ['analysisResult', 'structureResultMd'],
+        outputs: ['footgunPrompt'],
+        run: ({ analysisResult, structureResultMd }, { progressCallback, cancellationToken }) => runFootgunPromptGenerationStage(analysisResult, structureResultMd, progressCallback, cancellationToken),
+        isComplete: output => Boolean(output.footgunPromptResult), // Re-checking a run without an override costs no LLM call
+        llmStages: ['Footgun Prompt'],
+        artifact: {
+            label: '.roo/system-prompt-{mode}',
+            filename: ({ footgunPromptResult, footgunTargetMode }) => (footgunPromptResult && footgunTargetMode ? `.roo/system-prompt-${footgunTargetMode}` : null),
+            content: ({ footgunPromptResult }) => footgunPromptResult
+        }
+    },
+    {
+        name: 'memoryBank', // Stage 4.8
+        optional: true,
+        inputs: ['analysisResult', 'structureResultMd'],
+        outputs: ['memoryBankFiles'],
+        run: ({ analysisResult, structureResultMd }, { progressCallback, cancellationToken }) => runMemoryBankGenerationStage(analysisResult, structureResultMd, progressCallback, cancellationToken),
+        llmStages: ['Memory Bank', 'Memory Bank Validation'],
+        artifact: { label: 'memory-bank/*.md', files: memoryBankFiles => memoryBankFiles || {} }
+    },
+    {
+        name: 'mcpConfig', // Stage 4.9
+        optional: true,
+        inputs: ['analysisResult', 'structureResultMd'],
+        outputs: ['mcpServers'],
+        run: ({ analysisResult, structureResultMd }, { progressCallback, cancellationToken }) => runMcpConfigGenerationStage(analysisResult, structureResultMd, progressCallback, cancellationToken),
+        provides: result => ({ mcpServers: result?.mcpServers || [] }),
+        llmStages: ['MCP Config'],
+        artifact: { filename: MCP_CONFIG_FILENAME, content: result => result?.mcpConfig }
+    },
+    {
+        name: 'testSkeletons', // Stage 4.10
+        optional: true,
+        inputs: ['structureResultMd'],
+        outputs: ['testFiles'],
+        run: ({ structureResultMd }, { progressCallback, cancellationToken }) => runTestSkeletonGenerationStage(structureResultMd, progressCallback, cancellationToken),
+        // Written by scaffolding as part of the structure list; saved directly when regenerated
+        llmStages: ['Test Skeletons', 'Test Skeletons Validation'],
+        artifact: { label: 'test skeletons', files: testFiles => testFiles || {}, scaffolded: true }
+    },
+    {
+        name: 'modes', // Stage 5
+        inputs: ['structureResultMd', 'preset'],
+        optionalInputs: ['mcpServers'], // Modes are cross-linked with the MCP servers unless that stage is disabled
+        outputs: ['roomodesResult', 'techSpecificSlugs'],
+        // The test skeleton paths are known from the outlines, so modes don't wait for the skeletons to be generated
+        run: ({ structureResultMd, preset, mcpServers }, { progressCallback, cancellationToken }) => runModesGenerationStage(structureResultMd, progressCallback, cancellationToken, {
+            preset,
+            mcpServers,
+            testPaths: isStageEnabled('testSkeletons') ? getTestSkeletonTargets(parseOutlinesFromMd(structureResultMd)).map(target => target.testPath) : []
+        }),
+        provides: ({ roomodesResult, techSpecificSlugs }) => ({ roomodesResult, techSpecificSlugs }),
+        llmStages: ['Modes'],
+        artifact: { filename: '.roomodes', content: ({ roomodesResult }) => roomodesResult }
+    },
+    {
+        name: 'modeRules', // Stage 5.5
+        optional: true,
+        inputs: ['structureResultMd', 'roomodesResult'],
+        outputs: ['modeRulesFiles'],
+        run: ({ structureResultMd, roomodesResult }, { progressCallback, cancellationToken }) => runModeRulesGenerationStage(structureResultMd, roomodesResult, progressCallback, cancellationToken),
+        llmStages: ['Mode Rules', 'Mode Rules Validation'],
+        artifact: { label: '.roo/rules-{slug}/', files: modeRulesFiles => modeRulesFiles || {} }
+    },
+    {
+        name: 'planAssembly', // Stage 6
+        inputs: ['conciseCommand', 'structureResultMd', 'techSpecificSlugs'],
+        outputs: ['assembledPlan', 'planIsValid'],
+        run: ({ conciseCommand, structureResultMd, techSpecificSlugs }, { progressCallback, cancellationToken }) => runPlanAssemblyStage(conciseCommand, structureResultMd, techSpecificSlugs, progressCallback, cancellationToken),
+        provides: ({ finalPlan, planIsValid }) => ({ assembledPlan: finalPlan, planIsValid }),
+        isComplete: output => output.planIsValid, // A fallback (invalid) plan is not checkpointed, so resuming tries the assembly again
+        llmStages: ['Plan Assembly', 'Plan Judge', 'Plan Validation']
+    },
+    {
+        name: 'planRefinement', // Stage 6.5 (only if the assembled plan was valid)
+        inputs: ['assembledPlan', 'planIsValid', 'roomodesResult', 'structureResultMd'],
+        outputs: ['finalPlan'],
+        run: ({ assembledPlan, planIsValid, roomodesResult, structureResultMd }, { progressCallback, cancellationToken }) => {
+            if (!planIsValid || !roomodesResult) {
+                reportProgress(progressCallback, 'Plan Refinement', "Skipping Stage 6.5 plan refinement because initial plan generation failed or resulted in fallback.");
+                return assembledPlan;
+            }
+            return runPlanRefinementStage(assembledPlan, roomodesResult, structureResultMd, progressCallback, cancellationToken);
+        },
+        isComplete: (output, { planIsValid, roomodesResult }) => Boolean(output && planIsValid && roomodesResult), // Only checkpoint a plan that was actually refined
+        llmStages: ['Plan Refinement'],
+        artifact: { filename: 'roo-plan.md', builtFrom: ['planAssembly'] }
+    },
+];
 
-        const rulesResult = parallelResults[0];
-        if (rulesResult) generatedArtifacts[".clinerules-code"] = rulesResult;
+/**
+ * Resolves the files a stage's result is saved as. Most stages write one file (artifact.filename and artifact.content);
+ * stages that write several map their result to all of them with artifact.files.
+ * @param {object} stage - A PIPELINE stage with an artifact spec.
+ * @param {*} result - The stage's result.
+ * @returns {Record<string, string>} Filename -> content; empty when the stage produced nothing to save.
+ */
+function getArtifactFiles(stage, result) {
+    let files;
+    if (stage.artifact.files) {
+        files = stage.artifact.files(result);
+    } else {
+        const filename = typeof stage.artifact.filename === 'function' ? stage.artifact.filename(result) : stage.artifact.filename;
+        files = filename ? { [filename]: stage.artifact.content ? stage.artifact.content(result) : result } : {};
+    }
+    return Object.fromEntries(Object.entries(files).filter(([, content]) => content));
+}
 
-        const rooignoreResult = parallelResults[1];
-        if (rooignoreResult) generatedArtifacts[".rooignore"] = rooignoreResult;
+/**
+ * Lists the artifacts that can be regenerated on their own from a saved run.
+ * @returns {Array<{stage: string, label: string}>} The artifact stages and the files they write.
+ */
+function listRegenerableArtifacts() {
+    return PIPELINE.filter(stage => stage.artifact).map(stage => ({
+        stage: stage.name,
+        label: stage.artifact.label || stage.artifact.filename
+    }));
+}
 
-        const workspaceRulesResult = parallelResults[2];
-        if (workspaceRulesResult) generatedArtifacts[".clinerules"] = workspaceRulesResult;
+/**
+ * Re-runs one artifact stage of a saved run against its checkpointed structure, after the stages the artifact is built from
+ * (roo-plan.md is assembled by planAssembly before planRefinement refines it), without re-running anything else.
+ * The stages' checkpoints are replaced, so later resumes and regenerations see the new output.
+ * @param {object} checkpoint - The saved run (see src/checkpoint.js).
+ * @param {string} stageName - The artifact stage (see listRegenerableArtifacts).
+ * @param {Function} progressCallback - Function to report progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<{files: Record<string, string>, artifactModels: Record<string, string[]>}>} The regenerated files (filename -> content) and the models that wrote them.
+ * @throws {Error|CancellationError} If the stage fails, is cancelled, or produced nothing to save.
+ */
+async function regenerateArtifact(checkpoint, stageName, progressCallback, cancellationToken) {
+    const stage = PIPELINE.find(candidate => candidate.name === stageName);
+    if (!stage || !stage.artifact) throw new Error(`Stage "${stageName}" does not produce an artifact.`);
+    reportProgress(progressCallback, 'Regenerate', `Regenerating ${stage.artifact.label || stage.artifact.filename} from run ${checkpoint.runId}...`);
 
-        const { footgunPromptResult, footgunTargetMode } = parallelResults[3];
-        if (footgunPromptResult && footgunTargetMode) {
-            const footgunFilename = `.roo/system-prompt-${footgunTargetMode}`;
-            generatedArtifacts[footgunFilename] = footgunPromptResult;
-            reportProgress(progressCallback, 'Footgun Prompt', `Adding Footgun Prompt to artifacts: ${footgunFilename}`);
-        }
+    const stageNames = getArtifactStages(stage).map(artifactStage => artifactStage.name);
+    const result = await rerunStage(PIPELINE, stageNames, getRunInitialValues(checkpoint), { progressCallback, cancellationToken, checkpoint, getStageModels });
+    if (cancellationToken.isCancellationRequested) throw new CancellationError();
+    const files = getArtifactFiles(stage, result);
+    if (Object.keys(files).length === 0) {
+        throw new Error(`Stage "${stageName}" produced no file (its output was skipped or failed validation).`);
+    }
+    const artifactStages = Object.fromEntries(Object.keys(files).map(filename => [filename, getArtifactStages(stage)]));
+    return { files, artifactModels: getArtifactModels(artifactStages, checkpoint) };
+}
 
-        const { roomodesResult, techSpecificSlugs, parsedModesSuccessfully } = parallelResults[4];
-        if (roomodesResult) generatedArtifacts[".roomodes"] = roomodesResult;
+/**
+ * Revises the plan and modes of a saved run with the user's feedback (see runPlanRevisionStage).
+ * Revisions build on each other, since applying one updates the run's saved outputs.
+ * @param {object} checkpoint - The saved run (see src/checkpoint.js).
+ * @param {string} feedback - The user's natural-language feedback.
+ * @param {Function} progressCallback - Function to report progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @returns {Promise<{current: {finalPlan: string, roomodesResult: string}, revision: object}>} The run's current files and the proposed revision, with the models that wrote it.
+ * @throws {Error|CancellationError} If the run has no refined plan yet, or the revision fails or is cancelled.
+ */
+async function revisePlanFromRun(checkpoint, feedback, progressCallback, cancellationToken) {
+    const missingStages = ['outlineRefinement', 'modes', 'planRefinement'].filter(stageName => !checkpoint.has(stageName));
+    if (missingStages.length > 0) {
+        throw new Error(`Run ${checkpoint.runId} has no saved ${missingStages.join(', ')} output. Resume the run first.`);
+    }
+    const current = { finalPlan: checkpoint.get('planRefinement'), roomodesResult: checkpoint.get('modes').roomodesResult };
+    const revision = await runPlanRevisionStage(feedback, current.finalPlan, current.roomodesResult, checkpoint.get('outlineRefinement'), progressCallback, cancellationToken);
+    return { current, revision: { ...revision, models: getUsageModels(['Plan Revision', 'Plan Validation']) } };
+}
 
-        // --- Parse Final Structure & Outlines using utils (can run after parallel stages) ---
-        reportProgress(progressCallback, 'Parsing', 'Parsing final structure and outlines...');
-        proposedStructureList = parseStructureFromJsonMd(structureResultMd);
-        coreLogicOutlines = parseOutlinesFromMd(structureResultMd);
-        reportProgress(progressCallback, 'Parsing', `Parsed ${proposedStructureList.length} structure items and outlines for ${Object.keys(coreLogicOutlines).length} files.`);
+/**
+ * Makes an accepted revision the run's plan and modes, so later revisions and regenerations build on it.
+ * @param {object} checkpoint - The saved run.
+ * @param {{finalPlan: string, roomodesResult: string, techSpecificSlugs: string[], models?: string[]}} revision - The accepted revision and the models that wrote it.
+ */
+async function applyPlanRevision(checkpoint, { finalPlan, roomodesResult, techSpecificSlugs, models }) {
+    await checkpoint.save('modes', { roomodesResult, techSpecificSlugs }, { models });
+    await checkpoint.save('planRefinement', finalPlan, { models });
+}
 
+/**
+ * Records how a run attempt ended, if the run is checkpointed. Never throws.
+ * @param {object|undefined} checkpoint - The run's checkpoint.
+ * @param {'failed'|'cancelled'|'complete'} status - The outcome.
+ * @param {string} [errorMessage] - Why it failed or stopped.
+ */
+async function finishCheckpoint(checkpoint, status, errorMessage) {
+    if (!checkpoint) return;
+    try {
+        await checkpoint.finish(status, errorMessage);
+    } catch (error) {
+        log.error(`Failed to update run status: ${error.message}`);
+    }
+}
 
-        // Stage 6: Assemble Final Roo Code Plan
-        let { finalPlan, planIsValid } = await runPlanAssemblyStage(conciseCommand, structureResultMd, techSpecificSlugs, progressCallback, cancellationToken);
-        if (cancellationToken.isCancellationRequested) throw new CancellationError();
+/**
+ * Returns the values a saved run's pipeline starts from. Older runs have no project summary, reference documents or preset.
+ * @param {object} checkpoint - The run's checkpoint.
+ * @returns {{projectIdea: string, existingProject: string, referenceDocuments: object[], preset: object|null}} The initial stage graph values.
+ */
+function getRunInitialValues(checkpoint) {
+    return {
+        projectIdea: checkpoint.projectIdea,
+        existingProject: checkpoint.existingProject?.summary || '',
+        referenceDocuments: checkpoint.referenceDocuments || [],
+        preset: checkpoint.preset || null
+    };
+}
 
-        // Stage 6.5: Refine roo-plan.md (only if initial plan was valid and modes were parsed)
-        if (planIsValid && parsedModesSuccessfully && roomodesResult) {
-            finalPlan = await runPlanRefinementStage(finalPlan, roomodesResult, structureResultMd, progressCallback, cancellationToken);
-        } else if (!parsedModesSuccessfully) {
-             reportProgress(progressCallback, 'Plan Refinement', "Skipping Stage 6.5 plan refinement because initial modes generation failed or resulted in fallback.");
-        } else if (!planIsValid) {
-             reportProgress(progressCallback, 'Plan Refinement', "Skipping Stage 6.5 plan refinement because initial plan generation failed or resulted in fallback.");
-        }
+// --- Main Engine Function ---
+/**
+ * Orchestrates the multi-stage plan generation process by running the PIPELINE stage graph.
+ * Stages disabled with PIPELINE_STAGES are skipped and produce no artifact. With a checkpoint, each stage's output is persisted as it completes, and stages already
+ * completed by an earlier attempt of the run are reused instead of re-run.
+ * @param {string} projectIdea - The user's initial project idea.
+ * @param {Function} progressCallback - Function to report progress updates.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
+ * @param {object} [checkpoint] - The run's checkpoint (see src/checkpoint.js).
+ * @param {{requestReview?: Function, existingProject?: string, referenceDocuments?: object[], preset?: object|null}} [options] - requestReview
+ *   pauses the run after analysis and structuring until the user approves, edits or regenerates the result (see runStageGraph). existingProject
+ *   is the scanned summary of the codebase a brownfield run plans against, referenceDocuments are the attached documents and preset is the
+ *   team preset picked for the run; with a checkpoint, the ones saved with the run are used instead.
+ * @returns {Promise<{artifacts: Record<string, string>, structureList: Array<{type: string, path: string}>, outlines: Record<string, string>, technologies: string[], artifactModels: Record<string, string[]>}>} An object containing generated artifacts, the parsed file structure, parsed code outlines, the technologies scaffolded config files are built from (the Technology Stack plus the preset's stack), and the models that produced each artifact.
+ * @throws {Error|CancellationError} If a critical stage of the engine fails or is cancelled.
+ */
+async function runAdvancedReasoningEngine(projectIdea, progressCallback, cancellationToken, checkpoint, { requestReview, existingProject = '', referenceDocuments = [], preset = null } = {}) {
+    reportProgress(progressCallback, 'Starting', 'Initiating plan generation...');
+    const generatedArtifacts = {};
+    const artifactStages = {}; // Artifact filename -> stages whose LLM calls wrote it (see getArtifactStages)
+    let proposedStructureList = [];
+    let coreLogicOutlines = {};
+    let technologies = [];
+    const scaffoldedFiles = {}; // Artifacts written by scaffolding (test skeletons) instead of saved on their own
+
+    try {
+        // Stages run as soon as their inputs are ready, so Stages 4.x and 5 run in parallel after Stage 3
+        const initialValues = checkpoint ? getRunInitialValues(checkpoint) : { projectIdea, existingProject, referenceDocuments, preset };
+        const { values, results } = await runStageGraph(PIPELINE, initialValues, { progressCallback, cancellationToken, checkpoint, requestReview, getStageModels });
         if (cancellationToken.isCancellationRequested) throw new CancellationError();
 
-        if (finalPlan) generatedArtifacts["roo-plan.md"] = finalPlan;
+        for (const stage of PIPELINE) {
+            if (!stage.artifact || !results.has(stage.name)) continue; // Disabled stages produce no artifact
+            for (const [filename, content] of Object.entries(getArtifactFiles(stage, results.get(stage.name)))) {
+                (stage.artifact.scaffolded ? scaffoldedFiles : generatedArtifacts)[filename] = content;
+                artifactStages[filename] = getArtifactStages(stage);
+            }
+        }
 
+        // --- Parse Final Structure & Outlines using utils ---
+        reportProgress(progressCallback, 'Parsing', 'Parsing final structure and outlines...');
+        proposedStructureList = parseStructureFromJsonMd(values.structureResultMd);
+        coreLogicOutlines = parseOutlinesFromMd(values.structureResultMd);
+        // Scaffolded files join the structure list, with their content in place of an outline
+        for (const [filename, content] of Object.entries(scaffoldedFiles)) {
+            if (!proposedStructureList.some(item => item.path === filename)) proposedStructureList.push({ type: 'file', path: filename });
+            coreLogicOutlines[filename] = content;
+        }
+        technologies = [...parseTechnologyStackFromMd(values.structureResultMd), ...(values.preset?.stack || [])];
+        reportProgress(progressCallback, 'Parsing', `Parsed ${proposedStructureList.length} structure items and outlines for ${Object.keys(coreLogicOutlines).length} files.`);
 
         reportProgress(progressCallback, 'Complete', 'Plan generation complete. Ready for saving.');
-        return { artifacts: generatedArtifacts, structureList: proposedStructureList, outlines: coreLogicOutlines };
+        await finishCheckpoint(checkpoint, 'complete');
+        const artifactModels = getArtifactModels(artifactStages, checkpoint);
+        return { artifacts: generatedArtifacts, structureList: proposedStructureList, outlines: coreLogicOutlines, technologies, artifactModels };
 
     } catch (error) {
         if (error instanceof CancellationError) {
              log.warn("Advanced Reasoning Engine cancelled."); // Use log.warn for cancellations
+             await finishCheckpoint(checkpoint, 'cancelled', error.message);
              reportProgress(progressCallback, 'Cancelled', 'Operation cancelled by user.');
              // Re-throw cancellation error specifically if needed by caller
              throw error;
         } else {
             log.error("Error occurred within the Advanced Reasoning Engine:", error); // Use log.error
+            await finishCheckpoint(checkpoint, 'failed', error.message);
             reportProgress(progressCallback, 'Error', `Engine failed: ${error.message}`); // Report error via callback
             // Re-throw the error so the caller (ipcHandler) knows it failed
             throw new Error(`Advanced Reasoning Engine failed: ${error.message || 'An unknown internal error occurred.'}`);
@@ -841,6 +1636,11 @@ async function runAdvancedReasoningEngine(projectIdea, progressCallback, cancell
 
 module.exports = {
     runAdvancedReasoningEngine,
+    PIPELINE,
+    listRegenerableArtifacts,
+    regenerateArtifact,
+    revisePlanFromRun,
+    applyPlanRevision,
     // Export individual stages for use in ipcHandlers
     runAnalysisStage,
     runStructuringStage,
@@ -849,7 +1649,10 @@ module.exports = {
     runRooignoreGenerationStage,
     runWorkspaceRulesGenerationStage,
     runFootgunPromptGenerationStage,
+    runTestSkeletonGenerationStage,
     runModesGenerationStage,
+    runModeRulesGenerationStage,
     runPlanAssemblyStage,
     runPlanRefinementStage, // Added missing comma
+    runPlanRevisionStage,
 };
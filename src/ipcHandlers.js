@@ -4,21 +4,63 @@ const { ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const log = require('electron-log'); // Import electron-log
-const { runAdvancedReasoningEngine } = require('./engine'); // Import the main engine function
-const { scaffoldProject, parseStructureFromJsonMd, parseOutlinesFromMd } = require('./utils'); // Import utils including parsers
-const { callLLM } = require('./llm'); // Import the LLM call function
+const { runAdvancedReasoningEngine, listRegenerableArtifacts, regenerateArtifact, revisePlanFromRun, applyPlanRevision } = require('./engine'); // Import the main engine function, single-artifact regeneration and plan revision
+const { scaffoldProject, parseStructureFromJsonMd, parseOutlinesFromMd, diffLines } = require('./utils'); // Import utils including parsers
+const { applyProjectConfig, startLLMRun, CancellationError, loadConfigAndInitialize, getLLMStatus, testApiKey } = require('./llm'); // Import the run hooks, shared CancellationError and key management helpers
+const { setStoredApiKey, deleteStoredApiKey } = require('./keyStore'); // Encrypted API key storage
+const { getUsageSummary, formatUsageSummary } = require('./usage'); // Per-run token usage and cost
+const { createRunCheckpoint, loadRunCheckpoint, listRuns } = require('./checkpoint'); // Run directories for resume
+const { generateStructuredJson } = require('./structuredOutput'); // Schema-constrained JSON with repair
+const { SETUP_COMMANDS_SCHEMA } = require('./schemas');
 const { getSetupCommandsPrompt } = require('./prompts/utility/setupCommands'); // Import the new prompt loader
+const { scanExistingProject } = require('./projectScanner'); // Brownfield project summaries
+const { loadReferenceDocuments, SUPPORTED_EXTENSIONS: REFERENCE_EXTENSIONS } = require('./referenceDocs'); // Attached PRDs, API specs and notes
+const { listPresets, loadPreset } = require('./presets'); // Team tech-stack presets
 
-// Define CancellationError if not already defined globally or imported
-class CancellationError extends Error {
-  constructor(message = "Operation cancelled by user.") {
-    super(message);
-    this.name = "CancellationError";
-  }
+// Store active cancellation tokens (simple in-memory store); LLM runs share the usage, cassette and fallback state of src/llm.js, so only one runs at a time
+const activeGenerationTokens = new Map();
+// Review requests waiting for the user: reviewId -> resolve(decision)
+const pendingReviews = new Map();
+const REVIEW_ACTIONS = ['approve', 'edit', 'regenerate'];
+// Plan revisions shown to the user but not yet saved: revisionId -> { runId, revision }
+const pendingRevisions = new Map();
+
+/**
+ * Creates a cancellation token for one generation run.
+ * `isCancellationRequested` is checked between stages; `signal` is passed down to the
+ * providers so cancelling also aborts any HTTP requests that are still in flight.
+ * @returns {{isCancellationRequested: boolean, signal: AbortSignal, cancel: Function}} The token.
+ */
+function createCancellationToken() {
+    const abortController = new AbortController();
+    return {
+        isCancellationRequested: false,
+        signal: abortController.signal,
+        cancel() {
+            this.isCancellationRequested = true;
+            abortController.abort();
+        }
+    };
 }
 
-// Store active cancellation tokens (simple in-memory store)
-const activeGenerationTokens = new Map();
+/**
+ * Creates the progress callback for one run, forwarding updates to the renderer.
+ * @param {Electron.WebContents} sender - The window to send progress updates to.
+ * @param {string} generationId - The run's generation ID (lets the UI cancel it).
+ * @returns {Function} The progress callback.
+ */
+function createProgressCallback(sender, generationId) {
+    return (progressData) => {
+        // Ensure progressData has the expected structure
+        if (progressData && progressData.stage && progressData.message) {
+            // Include generationId for UI to potentially show cancel button
+            sender.send('generation-progress', { ...progressData, generationId });
+        } else {
+            log.warn("Received invalid progress data:", progressData); // Use log.warn
+            sender.send('generation-progress', { stage: 'Update', message: 'Processing...', generationId });
+        }
+    };
+}
 
 // --- Helper Functions for generate-plan ---
 
@@ -64,19 +106,22 @@ async function promptForSaveFolder(progressCallback) {
  * @param {Array<{type: string, path: string}>} proposedStructureList - List of files and directories to create.
  * @param {Record<string, string>} coreLogicOutlines - Outlines to add as comments to scaffolded files.
  * @param {Function} progressCallback - Function to report progress.
+ * @param {{createOnly?: boolean, skipped?: string[], technologies?: string[]}} [options] - createOnly keeps existing files (brownfield runs); their paths are added to `skipped`.
+ *   technologies are the analysed stack that starter config files are built from.
  * @returns {Promise<Array<{path: string, error: string}>>} A list of errors encountered during scaffolding.
  */
-async function runScaffolding(directoryPath, proposedStructureList, coreLogicOutlines, progressCallback) {
-    progressCallback({ stage: 'Scaffolding', message: 'Creating directory structure...' });
+async function runScaffolding(directoryPath, proposedStructureList, coreLogicOutlines, progressCallback, { createOnly = false, skipped = [], technologies = [] } = {}) {
+    progressCallback({ stage: 'Scaffolding', message: createOnly ? 'Adding new files to the existing project...' : 'Creating directory structure...' });
     let scaffoldingErrors = [];
     if (proposedStructureList && proposedStructureList.length > 0) {
         log.info(`Starting scaffolding for ${proposedStructureList.length} items...`); // Use log.info
-        scaffoldingErrors = await scaffoldProject(directoryPath, proposedStructureList, coreLogicOutlines); // scaffoldProject logs internally now
+        scaffoldingErrors = await scaffoldProject(directoryPath, proposedStructureList, coreLogicOutlines, { createOnly, skipped, technologies }); // scaffoldProject logs internally now
+        const keptNote = skipped.length > 0 ? ` ${skipped.length} existing file(s) left unchanged.` : '';
         if (scaffoldingErrors.length > 0) {
-            progressCallback({ stage: 'Scaffolding', message: `Scaffolding completed with ${scaffoldingErrors.length} error(s).` });
+            progressCallback({ stage: 'Scaffolding', message: `Scaffolding completed with ${scaffoldingErrors.length} error(s).${keptNote}` });
             log.warn(`Scaffolding completed with ${scaffoldingErrors.length} error(s):`, scaffoldingErrors); // Use log.warn
         } else {
-            progressCallback({ stage: 'Scaffolding', message: 'Scaffolding completed successfully.' });
+            progressCallback({ stage: 'Scaffolding', message: `Scaffolding completed successfully.${keptNote}` });
         }
     } else {
         // Log a warning if no structure list was provided or it was empty
@@ -88,15 +133,18 @@ async function runScaffolding(directoryPath, proposedStructureList, coreLogicOut
 
 /**
  * Saves the generated artifact files (like roo-plan.md, .clinerules, etc.) to the specified directory.
+ * A filename that resolves outside the directory is reported as an error and not written.
  * @param {string} directoryPath - The directory to save artifacts in.
  * @param {Record<string, string>} generatedArtifacts - An object where keys are filenames and values are file contents.
  * @param {Function} progressCallback - Function to report progress.
- * @returns {Promise<{savedArtifactCount: number, artifactSaveErrors: Array<{path: string, error: string}>}>} Object with count of saved files and any errors.
+ * @param {{createOnly?: boolean}} [options] - createOnly keeps files that already exist (brownfield runs) instead of overwriting them.
+ * @returns {Promise<{savedArtifactCount: number, artifactSaveErrors: Array<{path: string, error: string}>, skippedArtifacts: string[]}>} Object with count of saved files, any errors and the existing files that were kept.
  */
-async function saveGeneratedArtifacts(directoryPath, generatedArtifacts, progressCallback) {
+async function saveGeneratedArtifacts(directoryPath, generatedArtifacts, progressCallback, { createOnly = false } = {}) {
     progressCallback({ stage: 'Saving Artifacts', message: 'Saving generated files...' });
     let savedArtifactCount = 0;
     let artifactSaveErrors = [];
+    const skippedArtifacts = [];
     if (generatedArtifacts && Object.keys(generatedArtifacts).length > 0) {
         log.info(`Saving ${Object.keys(generatedArtifacts).length} artifact(s) to: ${directoryPath}`); // Use log.info
         for (const filename in generatedArtifacts) {
@@ -107,6 +155,12 @@ async function saveGeneratedArtifacts(directoryPath, generatedArtifacts, progres
                     continue;
                 }
                 const fullFilePath = path.join(directoryPath, filename);
+                const relativePath = path.relative(directoryPath, fullFilePath);
+                if (!relativePath || relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath)) { // Never write outside the output folder
+                    log.warn(`Skipping artifact outside the output folder: ${filename}`); // Use log.warn
+                    artifactSaveErrors.push({ path: filename, error: 'Path is outside the output folder.' });
+                    continue;
+                }
                 const fileDir = path.dirname(fullFilePath);
                 if (fileDir !== directoryPath && fileDir !== '.') {
                     try {
@@ -120,16 +174,22 @@ async function saveGeneratedArtifacts(directoryPath, generatedArtifacts, progres
                     }
                 }
                 try {
-                    await fs.writeFile(fullFilePath, content);
+                    await fs.writeFile(fullFilePath, content, { flag: createOnly ? 'wx' : 'w' });
                     log.info(`Saved: ${fullFilePath}`); // Use log.info
                     savedArtifactCount++;
                 } catch (writeError) {
+                    if (createOnly && writeError.code === 'EEXIST') {
+                        log.info(`Keeping existing file: ${fullFilePath}`); // Use log.info
+                        skippedArtifacts.push(filename);
+                        continue;
+                    }
                     log.error(`Error saving artifact "${filename}" to ${fullFilePath}:`, writeError); // Use log.error
                     artifactSaveErrors.push({ path: filename, error: `File write error: ${writeError.message}` });
                 }
             }
         }
-        progressCallback({ stage: 'Saving Artifacts', message: `${savedArtifactCount} of ${Object.keys(generatedArtifacts).length} artifacts saved.` });
+        const keptNote = skippedArtifacts.length > 0 ? ` Kept existing: ${skippedArtifacts.join(', ')}.` : '';
+        progressCallback({ stage: 'Saving Artifacts', message: `${savedArtifactCount} of ${Object.keys(generatedArtifacts).length} artifacts saved.${keptNote}` });
         if (artifactSaveErrors.length > 0) {
              log.warn(`Encountered ${artifactSaveErrors.length} error(s) while saving artifacts.`); // Use log.warn
         }
@@ -137,7 +197,32 @@ async function saveGeneratedArtifacts(directoryPath, generatedArtifacts, progres
          progressCallback({ stage: 'Saving Artifacts', message: 'No artifacts were generated to save.' });
          log.warn("No artifacts were generated to save."); // Use log.warn
     }
-    return { savedArtifactCount, artifactSaveErrors };
+    return { savedArtifactCount, artifactSaveErrors, skippedArtifacts };
+}
+
+/**
+ * Remembers where a run's files were saved, for single-artifact regeneration. Never throws.
+ * @param {object|undefined} checkpoint - The run's checkpoint.
+ * @param {string} directoryPath - The output folder.
+ */
+async function recordOutputDirectory(checkpoint, directoryPath) {
+    if (!checkpoint) return;
+    try {
+        await checkpoint.setOutputDirectory(directoryPath);
+    } catch (error) {
+        log.warn(`Could not record the output folder of run ${checkpoint.runId}: ${error.message}`); // Use log.warn
+    }
+}
+
+/**
+ * Decides how regeneration and revision saves may write to a saved run's folder. Brownfield runs write into
+ * the user's project, so existing files there are only replaced when the user confirmed overwriting them.
+ * @param {object} checkpoint - The run's checkpoint.
+ * @param {boolean} overwrite - True if the user confirmed overwriting existing files.
+ * @returns {{createOnly: boolean}} Options for saveGeneratedArtifacts.
+ */
+function getRunSaveOptions(checkpoint, overwrite) {
+    return { createOnly: Boolean(checkpoint.existingProject) && overwrite !== true };
 }
 
 /**
@@ -146,7 +231,7 @@ async function saveGeneratedArtifacts(directoryPath, generatedArtifacts, progres
  * @param {Record<string, string>} generatedArtifacts - The generated artifact files.
  * @param {Array<{type: string, path: string}>} proposedStructureList - The scaffolded project structure.
  * @param {Function} progressCallback - Function to report progress.
- * @param {{isCancellationRequested: boolean}} cancellationToken - Token to check for cancellation requests.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} cancellationToken - Token to check for cancellation requests.
  * @returns {Promise<{suggestedCommands: string[], commandSuggestionText: string}>} Object with the list of commands and formatted text for display.
  */
 async function suggestSetupCommandsLLM(directoryPath, generatedArtifacts, proposedStructureList, progressCallback, cancellationToken) {
@@ -165,34 +250,14 @@ async function suggestSetupCommandsLLM(directoryPath, generatedArtifacts, propos
     let commandSuggestionText = "";
 
     try {
-        let llmResponse = await callLLM(prompt, undefined, cancellationToken); // Pass token
-        llmResponse = llmResponse.trim(); // Trim whitespace first
-
-        // Clean potential Markdown fences before parsing
-        if (llmResponse.startsWith('```json') && llmResponse.endsWith('```')) {
-            llmResponse = llmResponse.substring(7, llmResponse.length - 3).trim();
-        } else if (llmResponse.startsWith('```') && llmResponse.endsWith('```')) {
-            llmResponse = llmResponse.substring(3, llmResponse.length - 3).trim();
-        }
-
-        // Attempt to parse the cleaned JSON response
-        const parsedCommands = JSON.parse(llmResponse);
-        if (Array.isArray(parsedCommands) && parsedCommands.every(cmd => typeof cmd === 'string')) {
-            suggestedCommands = parsedCommands;
-            log.info(`LLM suggested setup commands: ${suggestedCommands.join(', ')}`);
-        } else {
-            throw new Error("LLM response was not a valid JSON array of strings.");
-        }
+        // Schema-constrained JSON; invalid output is repaired with the schema errors
+        const { commands } = await generateStructuredJson(prompt, SETUP_COMMANDS_SCHEMA, cancellationToken, { stage: 'Setup Commands', optional: true }); // Pass token
+        suggestedCommands = commands.map(cmd => cmd.trim());
+        log.info(`LLM suggested setup commands: ${suggestedCommands.join(', ')}`);
     } catch (error) {
-        log.error(`Failed to generate or parse setup commands via LLM: ${error.message}`);
-        log.warn("Falling back to basic setup command suggestions.");
-        // Fallback to basic hardcoded logic
-        suggestedCommands.push(`cd "${directoryPath}"`);
-        const hasPackageJson = artifactList.includes('package.json') || proposedStructureList?.some(item => item.path.endsWith('package.json'));
-        if (hasPackageJson) suggestedCommands.push(`npm install`);
-        const hasRequirementsTxt = artifactList.includes('requirements.txt') || proposedStructureList?.some(item => item.path.endsWith('requirements.txt'));
-        if (hasRequirementsTxt) suggestedCommands.push(`pip install -r requirements.txt`);
-        suggestedCommands.push(`git init && git add . && git commit -m "Initial commit from RooCodeGen"`);
+        if (error instanceof CancellationError) throw error; // Never swallow a cancellation
+        log.error(`Failed to generate setup commands via LLM: ${error.message}`);
+        commandSuggestionText = `\n\nSetup command suggestions are unavailable: ${error.message}`;
     }
 
     if (suggestedCommands.length > 0) {
@@ -213,110 +278,534 @@ async function suggestSetupCommandsLLM(directoryPath, generatedArtifacts, propos
     return { suggestedCommands, commandSuggestionText };
 }
 
+// --- Helper Functions for review gates ---
+
+/**
+ * Sends a stage result to the renderer for review and waits for the user's decision.
+ * Cancelling the run rejects the wait, so a paused run can still be cancelled.
+ * @param {Electron.WebContents} sender - The window showing the run.
+ * @param {string} generationId - The run's generation ID.
+ * @param {{signal: AbortSignal}} cancellationToken - The run's cancellation token.
+ * @param {{stage: string, title: string, content: string, structureList?: Array<{type: string, path: string}>, errors: string[]}} review - What to review.
+ * @returns {Promise<{action: 'approve'|'edit'|'regenerate', content?: string}>} The user's decision.
+ * @throws {CancellationError} If the run is cancelled while waiting.
+ */
+function requestStageReview(sender, generationId, cancellationToken, review) {
+    const reviewId = `${generationId}-${review.stage}-${Date.now()}`;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            pendingReviews.delete(reviewId);
+            reject(new CancellationError(`Cancelled while waiting for review of ${review.title}.`));
+        };
+        if (cancellationToken.signal.aborted) return onAbort();
+        cancellationToken.signal.addEventListener('abort', onAbort, { once: true });
+        pendingReviews.set(reviewId, (decision) => {
+            cancellationToken.signal.removeEventListener('abort', onAbort);
+            pendingReviews.delete(reviewId);
+            resolve(decision);
+        });
+        log.info(`Waiting for review of stage "${review.stage}" (review ID: ${reviewId})`); // Use log.info
+        sender.send('generation-progress', { stage: 'Review', message: `Waiting for your review of the ${review.title.toLowerCase()}...`, generationId });
+        sender.send('review-request', { ...review, reviewId, generationId });
+    });
+}
+
+/**
+ * Explains why an action must wait, if an LLM run is in progress. Starting a run resets the run state in src/llm.js
+ * (usage totals, cassette, fallback position) that the active run is still using.
+ * @param {string} action - What the user tried, completing "before ..." (e.g. 'regenerating a file').
+ * @returns {string|null} The message to show, or null if nothing is running.
+ */
+function getActiveRunError(action) {
+    return activeGenerationTokens.size > 0 ? `Wait for the current generation to finish (or cancel it) before ${action}.` : null;
+}
+
+/**
+ * Applies the per-project config of the folder a run works in (see src/config.js). If that changed the settings,
+ * the run starts again on them, since the provider and cassette mode may differ. No LLM call has been made yet.
+ * @param {string|null} projectFolder - The brownfield project or the run's output folder, or null if the run has none yet.
+ */
+async function applyRunProjectConfig(projectFolder) {
+    if (await applyProjectConfig(projectFolder)) startLLMRun();
+}
+
+// --- Helper Functions for API key management ---
+
+/**
+ * Applies a change to the active provider's stored API key and re-initializes the LLM.
+ * Refused while a generation is running, since its calls would switch keys mid-run.
+ * @param {(keyName: string) => Promise<*>} applyChange - Stores or deletes the key.
+ * @param {string} [apiKey] - The new key, when one is being stored (checked for emptiness).
+ * @returns {Promise<{success: boolean, message: string, status?: object}>} The outcome and the refreshed status.
+ */
+async function updateStoredApiKey(applyChange, apiKey) {
+    const { keyName } = getLLMStatus();
+    if (!keyName) {
+        return { success: false, message: 'The selected provider does not use an API key.' };
+    }
+    if (apiKey !== undefined && (typeof apiKey !== 'string' || !apiKey.trim())) {
+        return { success: false, message: 'Enter an API key.' };
+    }
+    const activeRunError = getActiveRunError('changing the API key');
+    if (activeRunError) {
+        return { success: false, message: activeRunError };
+    }
+    try {
+        await applyChange(keyName);
+        await loadConfigAndInitialize();
+    } catch (error) {
+        log.error(`Error updating stored ${keyName}: ${error.message}`); // Use log.error
+        return { success: false, message: `Could not update ${keyName}: ${error.message}` };
+    }
+    const status = getLLMStatus();
+    return {
+        success: true,
+        message: status.ready ? `${keyName} updated; using the key from ${status.keySource}.` : `${keyName} updated, but the LLM is not ready: ${status.error}`,
+        status
+    };
+}
 
 // --- Main IPC Handlers ---
 
 /**
- * Sets up the main IPC handlers for plan generation and cancellation.
+ * Runs a generation (new or resumed), then saves its output. Shared by generate-plan and resume-run.
+ * Refused while another run is in progress (see getActiveRunError).
+ * @param {Electron.WebContents} sender - The window to send progress updates to.
+ * @param {string|null} projectIdea - The project idea (null when resuming; the checkpoint holds it).
+ * @param {(context: {existingProject: object|null, referenceDocuments: object[], preset: object|null}) => Promise<object|undefined>} openCheckpoint - Creates or
+ *   reopens the run's checkpoint (a new run saves the context with it; a resumed run already has its own).
+ * @param {{reviewGates?: boolean, projectFolder?: string, referenceFiles?: string[], presetId?: string}} [options] - reviewGates pauses after analysis and structuring
+ *   for the user's review. projectFolder starts a brownfield run: the folder is scanned for the prompts, and the output is added to it without overwriting any file.
+ *   referenceFiles are documents whose text is added to the analysis and structuring prompts. presetId picks a tech-stack preset (see src/presets.js).
+ * @returns {Promise<object>} The result sent back to the renderer.
  */
-function setupIpcHandlers() {
-    // Handler for starting plan generation
-    ipcMain.handle('generate-plan', async (event, projectIdea) => {
-        const sender = event.sender; // Get the sender for sending progress updates
-        const generationId = Date.now().toString(); // Simple unique ID for this generation task
-        const cancellationToken = { isCancellationRequested: false };
-        activeGenerationTokens.set(generationId, cancellationToken); // Store the token
-
-        // Define the progress callback function
-        const progressCallback = (progressData) => {
-            // Ensure progressData has the expected structure
-            if (progressData && progressData.stage && progressData.message) {
-                // Include generationId for UI to potentially show cancel button
-                sender.send('generation-progress', { ...progressData, generationId });
-            } else {
-                log.warn("Received invalid progress data:", progressData); // Use log.warn
-                sender.send('generation-progress', { stage: 'Update', message: 'Processing...', generationId });
-            }
-        };
+async function handleGenerationRequest(sender, projectIdea, openCheckpoint, { reviewGates = false, projectFolder, referenceFiles, presetId } = {}) {
+    const activeRunError = getActiveRunError('starting another one');
+    if (activeRunError) {
+        return { success: false, error: activeRunError };
+    }
+    const generationId = Date.now().toString(); // Simple unique ID for this generation task
+    const cancellationToken = createCancellationToken();
+    activeGenerationTokens.set(generationId, cancellationToken); // Store the token
+    startLLMRun(); // Reset usage and start a fresh cassette recording / rewind replay for this run
 
-        try {
-            // --- Run the entire generation engine with the callback and token ---
-            const { artifacts: generatedArtifacts, structureList: proposedStructureList, outlines: coreLogicOutlines } = await runAdvancedReasoningEngine(projectIdea, progressCallback, cancellationToken);
-
-            // --- Prompt for Save Location ---
-            // Check cancellation *before* showing dialog
-            if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled before saving.");
-            const { cancelled, directoryPath } = await promptForSaveFolder(progressCallback);
-            if (cancelled) {
+    const progressCallback = createProgressCallback(sender, generationId);
+
+    let checkpoint;
+    try {
+        // --- Scan the existing project (brownfield runs) ---
+        let existingProject = null;
+        if (projectFolder) {
+            progressCallback({ stage: 'Project Scan', message: `Scanning ${projectFolder}...` });
+            existingProject = await scanExistingProject(projectFolder);
+            progressCallback({ stage: 'Project Scan', message: `Summarized ${existingProject.fileCount} file(s) of the existing project.` });
+        }
+
+        // --- Load attached reference documents ---
+        let referenceDocuments = [];
+        if (referenceFiles && referenceFiles.length > 0) {
+            progressCallback({ stage: 'References', message: `Reading ${referenceFiles.length} reference document(s)...` });
+            referenceDocuments = await loadReferenceDocuments(referenceFiles);
+            const truncatedNames = referenceDocuments.filter(document => document.truncated).map(document => document.name);
+            progressCallback({ stage: 'References', message: `Attached ${referenceDocuments.length} document(s).${truncatedNames.length > 0 ? ` Truncated to fit the prompt: ${truncatedNames.join(', ')}.` : ''}` });
+        }
+
+        // --- Load the picked preset ---
+        let preset = null;
+        if (presetId) {
+            preset = await loadPreset(presetId);
+            progressCallback({ stage: 'Preset', message: `Using preset "${preset.name}".` });
+        }
+
+        checkpoint = await openCheckpoint({
+            existingProject: existingProject && { folder: existingProject.folder, summary: existingProject.summary },
+            referenceDocuments,
+            preset
+        });
+        if (checkpoint) progressCallback({ stage: 'Run', message: `Run ${checkpoint.runId} (saved to ${checkpoint.runDir})` });
+        // A resumed brownfield run plans against the summary saved with it
+        const projectFolderPath = checkpoint?.existingProject?.folder || existingProject?.folder || null;
+        await applyRunProjectConfig(projectFolderPath || checkpoint?.outputDirectory);
+
+        // --- Run the entire generation engine with the callback and token ---
+        const requestReview = reviewGates ? review => requestStageReview(sender, generationId, cancellationToken, review) : undefined;
+        const { artifacts: generatedArtifacts, structureList: proposedStructureList, outlines: coreLogicOutlines, technologies, artifactModels } = await runAdvancedReasoningEngine(checkpoint ? checkpoint.projectIdea : projectIdea, progressCallback, cancellationToken, checkpoint, { requestReview, existingProject: existingProject?.summary, referenceDocuments, preset });
+
+        // --- Prompt for Save Location ---
+        // Check cancellation *before* showing dialog
+        if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled before saving.");
+        let directoryPath = projectFolderPath;
+        if (!directoryPath) {
+            const saveFolder = await promptForSaveFolder(progressCallback);
+            if (saveFolder.cancelled) {
                  // If dialog was cancelled, ensure we clean up the token
                  activeGenerationTokens.delete(generationId);
                  log.info(`Generation ${generationId} cancelled by user during save dialog.`); // Use log.info
                  return { cancelled: true };
             }
-             if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled after save dialog."); // Check again after dialog
-
-            // --- Run Scaffolding ---
-            const scaffoldingErrors = await runScaffolding(directoryPath, proposedStructureList, coreLogicOutlines, progressCallback);
-             if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled during scaffolding."); // Check after scaffolding
-
-            // --- Save Artifacts ---
-            const { savedArtifactCount, artifactSaveErrors } = await saveGeneratedArtifacts(directoryPath, generatedArtifacts, progressCallback);
-             if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled during artifact saving."); // Check after saving
-
-            // --- Prepare Final Response ---
-            progressCallback({ stage: 'Complete', message: 'Generation process finished.' });
-            const allErrors = [...scaffoldingErrors, ...artifactSaveErrors];
-            let finalMessage = `Project generation complete. Files saved to ${directoryPath}.`;
-            if (allErrors.length > 0) {
-                const scaffoldErrorCount = scaffoldingErrors.length;
-                const artifactErrorCount = artifactSaveErrors.length;
-                let errorSummary = "Encountered errors: ";
-                if (scaffoldErrorCount > 0) errorSummary += `${scaffoldErrorCount} scaffolding error(s)`;
-                if (scaffoldErrorCount > 0 && artifactErrorCount > 0) errorSummary += " and ";
-                if (artifactErrorCount > 0) errorSummary += `${artifactErrorCount} artifact saving error(s)`;
-                finalMessage += ` ${errorSummary}. Check console logs.`;
-                log.error("Detailed Errors during generation:", JSON.stringify(allErrors, null, 2)); // Use log.error
-            }
-            if (savedArtifactCount === 0 && scaffoldingErrors.length === 0 && (!proposedStructureList || proposedStructureList.length === 0)) {
-                finalMessage = "Plan generated, but no artifacts or structure were created.";
-            }
-             if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled before suggesting setup commands."); // Check before final step
+            directoryPath = saveFolder.directoryPath;
+        }
+         if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled after save dialog."); // Check again after dialog
+        await recordOutputDirectory(checkpoint, directoryPath);
+
+        // --- Run Scaffolding ---
+        // Brownfield runs only add files: anything already in the project folder is left as it is
+        const createOnly = Boolean(projectFolderPath);
+        const keptFiles = [];
+        const scaffoldingErrors = await runScaffolding(directoryPath, proposedStructureList, coreLogicOutlines, progressCallback, { createOnly, skipped: keptFiles, technologies });
+         if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled during scaffolding."); // Check after scaffolding
+
+        // --- Save Artifacts ---
+        const { savedArtifactCount, artifactSaveErrors, skippedArtifacts } = await saveGeneratedArtifacts(directoryPath, generatedArtifacts, progressCallback, { createOnly });
+         if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled during artifact saving."); // Check after saving
+        keptFiles.push(...skippedArtifacts);
+
+        // --- Prepare Final Response ---
+        progressCallback({ stage: 'Complete', message: 'Generation process finished.' });
+        const allErrors = [...scaffoldingErrors, ...artifactSaveErrors];
+        let finalMessage = `Project generation complete. Files saved to ${directoryPath}.`;
+        if (keptFiles.length > 0) {
+            finalMessage += ` ${keptFiles.length} file(s) already existed and were left unchanged: ${keptFiles.join(', ')}.`;
+        }
+        if (allErrors.length > 0) {
+            const scaffoldErrorCount = scaffoldingErrors.length;
+            const artifactErrorCount = artifactSaveErrors.length;
+            let errorSummary = "Encountered errors: ";
+            if (scaffoldErrorCount > 0) errorSummary += `${scaffoldErrorCount} scaffolding error(s)`;
+            if (scaffoldErrorCount > 0 && artifactErrorCount > 0) errorSummary += " and ";
+            if (artifactErrorCount > 0) errorSummary += `${artifactErrorCount} artifact saving error(s)`;
+            finalMessage += ` ${errorSummary}. Check console logs.`;
+            log.error("Detailed Errors during generation:", JSON.stringify(allErrors, null, 2)); // Use log.error
+        }
+        if (savedArtifactCount === 0 && scaffoldingErrors.length === 0 && (!proposedStructureList || proposedStructureList.length === 0)) {
+            finalMessage = "Plan generated, but no artifacts or structure were created.";
+        }
+         if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled before suggesting setup commands."); // Check before final step
+
+        // --- Suggest Commands (using LLM) ---
+        const { suggestedCommands, commandSuggestionText } = await suggestSetupCommandsLLM(directoryPath, generatedArtifacts, proposedStructureList, progressCallback, cancellationToken);
+        finalMessage += commandSuggestionText;
+
+        const usage = getUsageSummary();
+        finalMessage += `\n\nLLM usage: ${formatUsageSummary(usage)}.`;
+        log.info(`Models per artifact: ${JSON.stringify(artifactModels)}`); // Use log.info
+        // Only worth showing when the fallback chain (or stage settings) mixed models
+        const distinctModels = new Set(Object.values(artifactModels).flat());
+        if (distinctModels.size > 1) {
+            const modelLines = Object.entries(artifactModels).map(([filename, models]) => `- ${filename}: ${models.join(', ') || 'replayed'}`);
+            finalMessage += `\n\nModels per artifact:\n${modelLines.join('\n')}`;
+        }
 
-            // --- Suggest Commands (using LLM) ---
-            const { suggestedCommands, commandSuggestionText } = await suggestSetupCommandsLLM(directoryPath, generatedArtifacts, proposedStructureList, progressCallback, cancellationToken);
-            finalMessage += commandSuggestionText;
+        return {
+            success: true,
+            directoryPath: directoryPath,
+            message: finalMessage,
+            errors: allErrors,
+            keptFiles,
+            suggestedCommands: suggestedCommands,
+            usage,
+            artifactModels,
+            runId: checkpoint?.runId
+        };
 
+    } catch (error) {
+        // Catch errors from engine, saving, or scaffolding helpers
+        log.error(`Error during generate-plan process (ID: ${generationId}):`, error); // Use log.error
+        const errorMessage = error.message || 'An unknown critical error occurred.';
+        // Check if it was a cancellation error
+        if (error instanceof CancellationError) {
+             progressCallback({ stage: 'Cancelled', message: errorMessage });
+             // Return specific cancellation status
+             return { cancelled: true, error: errorMessage, usage: getUsageSummary(), runId: checkpoint?.runId };
+        } else {
+            // Handle other errors
+            progressCallback({ stage: 'Critical Error', message: `Generation failed: ${errorMessage}` });
+            // Return a structured error object
             return {
-                success: true,
-                directoryPath: directoryPath,
-                message: finalMessage,
-                errors: allErrors,
-                suggestedCommands: suggestedCommands
-            };
+                 success: false, // Indicate failure
+                 // Completed stages are checkpointed, so point the user at the resume command
+                 error: checkpoint ? `${errorMessage}\n\nCompleted stages were saved; use "Resume Run" to continue run ${checkpoint.runId}.` : errorMessage,
+                 stage: error.stage || 'Unknown', // Optionally add stage info if engine throws custom errors
+                 usage: getUsageSummary(),
+                 runId: checkpoint?.runId
+                };
+        }
+    } finally {
+         // Always remove the token when the operation finishes or errors out
+         activeGenerationTokens.delete(generationId);
+         log.info(`Cleaned up token for generation ID: ${generationId}`); // Use log.info
+    }
+}
 
-        } catch (error) {
-            // Catch errors from engine, saving, or scaffolding helpers
-            log.error(`Error during generate-plan process (ID: ${generationId}):`, error); // Use log.error
-            const errorMessage = error.message || 'An unknown critical error occurred.';
-            // Check if it was a cancellation error
-            if (error instanceof CancellationError) {
-                 progressCallback({ stage: 'Cancelled', message: errorMessage });
-                 // Return specific cancellation status
-                 return { cancelled: true, error: errorMessage };
-            } else {
-                // Handle other errors
-                progressCallback({ stage: 'Critical Error', message: `Generation failed: ${errorMessage}` });
-                // Return a structured error object
-                return {
-                     success: false, // Indicate failure
-                     error: errorMessage,
-                     stage: error.stage || 'Unknown' // Optionally add stage info if engine throws custom errors
-                    };
+/**
+ * Regenerates one artifact of a saved run and overwrites only the files it writes in the run's output folder.
+ * For brownfield runs, existing files are kept unless the user confirmed overwriting them.
+ * Asks for a folder if the run was never saved. Nothing is scaffolded and no setup commands are suggested.
+ * Refused while another run is in progress (see getActiveRunError).
+ * @param {Electron.WebContents} sender - The window to send progress updates to.
+ * @param {string} runId - The saved run.
+ * @param {string} stageName - The artifact stage to re-run (see listRegenerableArtifacts).
+ * @param {{overwrite?: boolean}} [options] - overwrite: the user confirmed replacing existing files of a brownfield run.
+ * @returns {Promise<object>} The result sent back to the renderer.
+ */
+async function handleRegenerateArtifactRequest(sender, runId, stageName, { overwrite = false } = {}) {
+    const activeRunError = getActiveRunError('regenerating a file');
+    if (activeRunError) {
+        return { success: false, error: activeRunError, runId };
+    }
+    const generationId = Date.now().toString();
+    const cancellationToken = createCancellationToken();
+    activeGenerationTokens.set(generationId, cancellationToken);
+    startLLMRun();
+    const progressCallback = createProgressCallback(sender, generationId);
+
+    try {
+        const checkpoint = await loadRunCheckpoint(runId, { resume: false });
+        await applyRunProjectConfig(checkpoint.existingProject?.folder || checkpoint.outputDirectory);
+        const { files, artifactModels } = await regenerateArtifact(checkpoint, stageName, progressCallback, cancellationToken);
+        const filenames = Object.keys(files).join(', ');
+
+        let directoryPath = checkpoint.outputDirectory;
+        if (!directoryPath) {
+            const saveFolder = await promptForSaveFolder(progressCallback);
+            if (saveFolder.cancelled) return { cancelled: true, runId };
+            directoryPath = saveFolder.directoryPath;
+            await recordOutputDirectory(checkpoint, directoryPath);
+        }
+        if (cancellationToken.isCancellationRequested) throw new CancellationError("Operation cancelled before saving.");
+
+        const { artifactSaveErrors, skippedArtifacts } = await saveGeneratedArtifacts(directoryPath, files, progressCallback, getRunSaveOptions(checkpoint, overwrite));
+        if (artifactSaveErrors.length > 0) {
+            return { success: false, error: `Regenerated ${filenames}, but ${artifactSaveErrors[0].path} could not be saved: ${artifactSaveErrors[0].error}`, usage: getUsageSummary(), runId };
+        }
+
+        progressCallback({ stage: 'Complete', message: `Regenerated ${filenames}.` });
+        const usage = getUsageSummary();
+        const keptNote = skippedArtifacts.length > 0
+            ? ` These files already existed and were kept: ${skippedArtifacts.join(', ')}. Regenerate again and confirm overwriting to replace them.`
+            : '';
+        return {
+            success: true,
+            directoryPath,
+            filenames: Object.keys(files),
+            skippedArtifacts,
+            message: `Regenerated ${filenames} in ${directoryPath}. Other files were left unchanged.${keptNote}\n\nLLM usage: ${formatUsageSummary(usage)}.`,
+            usage,
+            artifactModels,
+            runId
+        };
+    } catch (error) {
+        log.error(`Error regenerating stage "${stageName}" of run ${runId}:`, error); // Use log.error
+        const errorMessage = error.message || 'An unknown critical error occurred.';
+        if (error instanceof CancellationError) {
+            progressCallback({ stage: 'Cancelled', message: errorMessage });
+            return { cancelled: true, error: errorMessage, usage: getUsageSummary(), runId };
+        }
+        progressCallback({ stage: 'Critical Error', message: `Regeneration failed: ${errorMessage}` });
+        return { success: false, error: errorMessage, usage: getUsageSummary(), runId };
+    } finally {
+        activeGenerationTokens.delete(generationId);
+        log.info(`Cleaned up token for generation ID: ${generationId}`); // Use log.info
+    }
+}
+
+/**
+ * Revises a saved run's roo-plan.md and .roomodes with the user's feedback and returns the diffs for review.
+ * Nothing is written until the revision is saved with save-plan-revision. Refused while another run is in progress (see getActiveRunError).
+ * @param {Electron.WebContents} sender - The window to send progress updates to.
+ * @param {string} runId - The saved run.
+ * @param {string} feedback - The user's feedback.
+ * @returns {Promise<object>} The result sent back to the renderer, including revisionId and line diffs.
+ */
+async function handleRevisePlanRequest(sender, runId, feedback) {
+    if (typeof feedback !== 'string' || !feedback.trim()) {
+        return { success: false, error: 'Describe the change you want in the plan.' };
+    }
+    const activeRunError = getActiveRunError('revising the plan');
+    if (activeRunError) {
+        return { success: false, error: activeRunError, runId };
+    }
+    const generationId = Date.now().toString();
+    const cancellationToken = createCancellationToken();
+    activeGenerationTokens.set(generationId, cancellationToken);
+    startLLMRun();
+    const progressCallback = createProgressCallback(sender, generationId);
+
+    try {
+        const checkpoint = await loadRunCheckpoint(runId, { resume: false });
+        await applyRunProjectConfig(checkpoint.existingProject?.folder || checkpoint.outputDirectory);
+        const { current, revision } = await revisePlanFromRun(checkpoint, feedback.trim(), progressCallback, cancellationToken);
+        const revisionId = `${runId}-revision-${generationId}`;
+        pendingRevisions.set(revisionId, { runId, revision });
+        progressCallback({ stage: 'Complete', message: 'Revision ready. Review the changes before saving.' });
+        return {
+            success: true,
+            revisionId,
+            runId,
+            summary: revision.summary,
+            planValidationIssues: revision.planValidationIssues,
+            planDiff: diffLines(current.finalPlan, revision.finalPlan),
+            roomodesDiff: current.roomodesResult === revision.roomodesResult ? null : diffLines(current.roomodesResult, revision.roomodesResult),
+            usage: getUsageSummary()
+        };
+    } catch (error) {
+        log.error(`Error revising the plan of run ${runId}:`, error); // Use log.error
+        const errorMessage = error.message || 'An unknown critical error occurred.';
+        if (error instanceof CancellationError) {
+            progressCallback({ stage: 'Cancelled', message: errorMessage });
+            return { cancelled: true, error: errorMessage, usage: getUsageSummary(), runId };
+        }
+        progressCallback({ stage: 'Critical Error', message: `Revision failed: ${errorMessage}` });
+        return { success: false, error: errorMessage, usage: getUsageSummary(), runId };
+    } finally {
+        activeGenerationTokens.delete(generationId);
+        log.info(`Cleaned up token for generation ID: ${generationId}`); // Use log.info
+    }
+}
+
+/**
+ * Writes a reviewed revision to the run's output folder and makes it the run's current plan and modes.
+ * For brownfield runs, an existing roo-plan.md or .roomodes is only replaced if the user confirmed overwriting;
+ * otherwise the revision stays pending so it can be saved again with confirmation. Refused while a run is in progress.
+ * @param {Electron.WebContents} sender - The window to send progress updates to.
+ * @param {string} revisionId - The revision returned by revise-plan.
+ * @param {{overwrite?: boolean}} [options] - overwrite: the user confirmed replacing existing files of a brownfield run.
+ * @returns {Promise<object>} The result sent back to the renderer.
+ */
+async function handleSavePlanRevisionRequest(sender, revisionId, { overwrite = false } = {}) {
+    const pending = pendingRevisions.get(revisionId);
+    if (!pending) {
+        return { success: false, error: 'This revision is no longer available. Revise the plan again.' };
+    }
+    const { runId, revision } = pending;
+    if (revision.planValidationIssues.length > 0) {
+        return { success: false, error: `The revised plan failed validation (${revision.planValidationIssues.join(', ')}). Revise it again with more specific feedback.` };
+    }
+    // A running resume or regeneration may be checkpointing the same plan and modes
+    const activeRunError = getActiveRunError('saving the revision');
+    if (activeRunError) {
+        return { success: false, error: activeRunError, runId };
+    }
+    const progressCallback = createProgressCallback(sender, null);
+    try {
+        const checkpoint = await loadRunCheckpoint(runId, { resume: false });
+        let directoryPath = checkpoint.outputDirectory;
+        if (!directoryPath) {
+            const saveFolder = await promptForSaveFolder(progressCallback);
+            if (saveFolder.cancelled) return { cancelled: true, runId };
+            directoryPath = saveFolder.directoryPath;
+            await recordOutputDirectory(checkpoint, directoryPath);
+        }
+        const revisionFiles = { 'roo-plan.md': revision.finalPlan, '.roomodes': revision.roomodesResult };
+        const { artifactSaveErrors, skippedArtifacts } = await saveGeneratedArtifacts(directoryPath, revisionFiles, progressCallback, getRunSaveOptions(checkpoint, overwrite));
+        if (artifactSaveErrors.length > 0) {
+            return { success: false, error: `The revision could not be saved: ${artifactSaveErrors.map(saveError => `${saveError.path}: ${saveError.error}`).join('; ')}`, runId };
+        }
+        if (skippedArtifacts.length > 0) {
+            // Keep the revision pending: the folder doesn't hold it yet, so the run's plan must not change either
+            return { success: false, skippedArtifacts, error: `${skippedArtifacts.join(' and ')} already exist in ${directoryPath} and were kept. Save again and confirm overwriting to replace them.`, runId };
+        }
+        await applyPlanRevision(checkpoint, revision);
+        pendingRevisions.delete(revisionId);
+        progressCallback({ stage: 'Complete', message: 'Revision saved.' });
+        return { success: true, directoryPath, message: `Saved the revised roo-plan.md and .roomodes to ${directoryPath}.`, runId };
+    } catch (error) {
+        log.error(`Error saving plan revision ${revisionId}:`, error); // Use log.error
+        return { success: false, error: `The revision could not be saved: ${error.message}`, runId };
+    }
+}
+
+/**
+ * Sets up the main IPC handlers for plan generation, cancellation and API key management.
+ */
+function setupIpcHandlers() {
+    // Handler for starting plan generation. Every run is checkpointed so it can be resumed.
+    ipcMain.handle('generate-plan', async (event, projectIdea, options) => {
+        return handleGenerationRequest(event.sender, projectIdea, async (context) => {
+            try {
+                return await createRunCheckpoint(projectIdea, context);
+            } catch (error) {
+                log.warn(`Could not create a run directory; this run cannot be resumed: ${error.message}`); // Use log.warn
+                return undefined;
             }
-        } finally {
-             // Always remove the token when the operation finishes or errors out
-             activeGenerationTokens.delete(generationId);
-             log.info(`Cleaned up token for generation ID: ${generationId}`); // Use log.info
+        }, options);
+    });
+
+    // Handler for picking an existing project folder (brownfield mode)
+    ipcMain.handle('select-project-folder', async () => {
+        const { canceled, filePaths } = await dialog.showOpenDialog({
+            title: 'Select Existing Project Folder',
+            buttonLabel: 'Plan Against This Folder',
+            properties: ['openDirectory']
+        });
+        return canceled || filePaths.length === 0 ? null : filePaths[0];
+    });
+
+    // Handler for picking reference documents to attach to a generation
+    ipcMain.handle('select-reference-files', async () => {
+        const { canceled, filePaths } = await dialog.showOpenDialog({
+            title: 'Attach Reference Documents',
+            buttonLabel: 'Attach',
+            properties: ['openFile', 'multiSelections'],
+            filters: [{ name: 'Specs and notes', extensions: REFERENCE_EXTENSIONS.map(ext => ext.slice(1)) }]
+        });
+        return canceled ? [] : filePaths;
+    });
+
+    // Handler for listing the tech-stack presets the user can pick
+    ipcMain.handle('list-presets', async () => listPresets());
+
+    // Handler for resuming a saved run from its first incomplete stage
+    ipcMain.handle('resume-run', async (event, runId, options) => {
+        log.info(`IPC: Received resume-run request for run ${runId}`); // Use log.info
+        return handleGenerationRequest(event.sender, null, () => loadRunCheckpoint(runId), options);
+    });
+
+    // Handlers for regenerating a single artifact of a saved run
+    ipcMain.handle('list-regenerable-artifacts', async () => listRegenerableArtifacts());
+
+    ipcMain.handle('regenerate-artifact', async (event, runId, stageName, options) => {
+        log.info(`IPC: Received regenerate-artifact request for stage "${stageName}" of run ${runId}`); // Use log.info
+        return handleRegenerateArtifactRequest(event.sender, runId, stageName, options);
+    });
+
+    // Handlers for revising the plan of a saved run with feedback (diff shown before saving)
+    ipcMain.handle('revise-plan', async (event, runId, feedback) => {
+        log.info(`IPC: Received revise-plan request for run ${runId}`); // Use log.info
+        return handleRevisePlanRequest(event.sender, runId, feedback);
+    });
+
+    ipcMain.handle('save-plan-revision', async (event, revisionId, options) => {
+        log.info(`IPC: Received save-plan-revision request for ${revisionId}`); // Use log.info
+        return handleSavePlanRevisionRequest(event.sender, revisionId, options);
+    });
+
+    ipcMain.handle('discard-plan-revision', async (event, revisionId) => {
+        log.info(`IPC: Received discard-plan-revision request for ${revisionId}`); // Use log.info
+        return { success: pendingRevisions.delete(revisionId) };
+    });
+
+    // Handler for the user's decision on a paused stage (see requestStageReview)
+    ipcMain.handle('submit-review', async (event, reviewId, decision) => {
+        log.info(`IPC: Received submit-review for ${reviewId}: ${decision?.action}`); // Use log.info
+        const resolveReview = pendingReviews.get(reviewId);
+        if (!resolveReview) {
+            return { success: false, message: `No review is waiting for ID ${reviewId}.` };
+        }
+        if (!decision || !REVIEW_ACTIONS.includes(decision.action) || (decision.action === 'edit' && typeof decision.content !== 'string')) {
+            return { success: false, message: 'Invalid review decision.' };
+        }
+        resolveReview(decision.action === 'edit' ? { action: 'edit', content: decision.content } : { action: decision.action });
+        return { success: true };
+    });
+
+    // Handler for listing saved runs (for the resume picker)
+    ipcMain.handle('list-runs', async () => {
+        try {
+            return await listRuns();
+        } catch (error) {
+            log.error(`Error listing saved runs: ${error.message}`); // Use log.error
+            return [];
         }
     });
 
@@ -325,7 +814,7 @@ function setupIpcHandlers() {
         log.info(`IPC: Received cancel-generation request for ID: ${generationId}`); // Use log.info
         const token = activeGenerationTokens.get(generationId);
         if (token) {
-            token.isCancellationRequested = true;
+            token.cancel(); // Sets the flag and aborts in-flight LLM requests
             log.info(`Cancellation requested for generation ID: ${generationId}`); // Use log.info
             return { success: true, message: `Cancellation requested for ${generationId}.` };
         } else {
@@ -334,10 +823,42 @@ function setupIpcHandlers() {
         }
     });
 
-    // Removed API Key Management IPC Handlers as they are no longer needed
-    // after hardcoding the key and removing secure storage logic.
+    // --- API Key Management ---
+    // Keys are stored encrypted (see src/keyStore.js) for the active provider. Every change
+    // re-runs loadConfigAndInitialize so it takes effect without restarting the app.
+
+    ipcMain.handle('get-api-key-status', async () => getLLMStatus());
+
+    ipcMain.handle('set-api-key', async (event, apiKey) => {
+        log.info("IPC: Received set-api-key request."); // Use log.info (never log the key itself)
+        return updateStoredApiKey(keyName => setStoredApiKey(keyName, apiKey.trim()), apiKey);
+    });
+
+    ipcMain.handle('test-api-key', async (event, apiKey) => {
+        log.info("IPC: Received test-api-key request."); // Use log.info
+        // An empty value tests the key currently in use
+        return testApiKey(typeof apiKey === 'string' && apiKey.trim() ? apiKey.trim() : undefined);
+    });
+
+    ipcMain.handle('rotate-api-key', async (event, newApiKey) => {
+        log.info("IPC: Received rotate-api-key request."); // Use log.info
+        if (typeof newApiKey !== 'string' || !newApiKey.trim()) {
+            return { success: false, message: 'Enter the new API key.' };
+        }
+        // Only replace the old key once the new one is known to work
+        const testResult = await testApiKey(newApiKey.trim());
+        if (!testResult.success) {
+            return { ...testResult, message: `Key not rotated, the current key is still in use. ${testResult.message}` };
+        }
+        return updateStoredApiKey(keyName => setStoredApiKey(keyName, newApiKey.trim()), newApiKey);
+    });
+
+    ipcMain.handle('delete-api-key', async () => {
+        log.info("IPC: Received delete-api-key request."); // Use log.info
+        return updateStoredApiKey(keyName => deleteStoredApiKey(keyName));
+    });
 
-    log.info("IPC Handlers setup complete (excluding API key management)."); // Use log.info
+    log.info("IPC Handlers setup complete."); // Use log.info
 }
 
 module.exports = {
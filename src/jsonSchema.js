@@ -0,0 +1,116 @@
+// src/jsonSchema.js - Minimal JSON Schema validation and JSON extraction for LLM output
+//
+// Supports the subset of JSON Schema used by src/schemas.js and src/config.js: type, properties, required,
+// additionalProperties (false or a schema), items, enum, minimum, maximum, minItems, maxItems,
+// minLength and pattern, anyOf.
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {*} value - Any parsed JSON value.
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'.
+ */
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema, collecting every problem rather than stopping at the first.
+ * @param {*} value - The parsed JSON value.
+ * @param {object} schema - The JSON Schema (subset) to validate against.
+ * @param {string} [location='$'] - JSONPath-style location of the value, used in error messages.
+ * @returns {string[]} Human-readable errors such as "$.customModes[0].slug: must match pattern ^[a-z0-9-]+$". Empty when valid.
+ */
+function validateAgainstSchema(value, schema, location = '$') {
+    if (schema.anyOf) {
+        const branchErrors = schema.anyOf.map(branch => validateAgainstSchema(value, branch, location));
+        if (branchErrors.some(errors => errors.length === 0)) return [];
+        return [`${location}: must match one of ${schema.anyOf.length} allowed shapes (${branchErrors.map(errors => errors[0]).join(' | ')})`];
+    }
+
+    const actualType = jsonTypeOf(value);
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const typeMatches = allowedTypes.includes(actualType) || (actualType === 'integer' && allowedTypes.includes('number'));
+        if (!typeMatches) return [`${location}: expected ${allowedTypes.join(' or ')}, got ${actualType}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${location}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (actualType === 'number' || actualType === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${location}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${location}: must be at most ${schema.maximum}`);
+        }
+    }
+    if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${location}: must not be ${schema.minLength === 1 ? 'empty' : `shorter than ${schema.minLength} characters`}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${location}: must match pattern ${schema.pattern}`);
+        }
+    }
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${location}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${location}: must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${location}[${index}]`)));
+        }
+    }
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${location}: missing required property "${key}"`);
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(propertyValue, propertySchema, `${location}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${location}: unexpected property "${key}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${location}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Parses JSON from an LLM response, tolerating Markdown code fences and stray text around the JSON.
+ * @param {string} text - The raw response text.
+ * @returns {{value?: *, error?: string}} The parsed value, or a parse error message.
+ */
+function parseJsonResponse(text) {
+    let candidate = (text || '').trim();
+    const fencedMatch = candidate.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fencedMatch) candidate = fencedMatch[1];
+
+    // Cut anything before the first opening bracket and after the matching last closing one
+    const start = candidate.search(/[[{]/);
+    if (start === -1) return { error: 'response does not contain a JSON object or array' };
+    const closing = candidate[start] === '{' ? '}' : ']';
+    const end = candidate.lastIndexOf(closing);
+    if (end < start) return { error: 'response contains an unterminated JSON value' };
+
+    try {
+        return { value: JSON.parse(candidate.substring(start, end + 1)) };
+    } catch (error) {
+        return { error: `invalid JSON: ${error.message}` };
+    }
+}
+
+module.exports = {
+    validateAgainstSchema,
+    parseJsonResponse,
+};
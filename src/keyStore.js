@@ -0,0 +1,162 @@
+// src/keyStore.js - Encrypted storage for provider API keys
+//
+// Keys are encrypted with Electron's safeStorage (Keychain, DPAPI, or libsecret/kwallet on Linux)
+// and kept in api-keys.json in the app's userData folder. On Linux without a keyring, safeStorage
+// only obfuscates with a fixed password, so keys are encrypted with AES-256-GCM under a random
+// master key in a separate owner-only file instead. That protects against casual reads of the key
+// file and accidental commits, not against someone who can read the user's whole profile.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { app, safeStorage } = require('electron');
+const log = require('electron-log'); // Import electron-log
+
+const STORE_FILE_NAME = 'api-keys.json';
+const MASTER_KEY_FILE_NAME = 'api-keys.master';
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+// --- Key Store State ---
+let storedKeys = {}; // keyName -> { backend: 'safeStorage'|'file', data: base64, updatedAt: ISO string }
+let masterKey = null; // Loaded on first use of the file backend
+
+function getStorePath(fileName) {
+    return path.join(app.getPath('userData'), fileName);
+}
+
+/**
+ * Picks the backend used for new keys.
+ * @returns {'safeStorage'|'file'} 'file' when OS encryption is unavailable or is Linux's plaintext-equivalent 'basic_text'.
+ */
+function getKeyStoreBackend() {
+    if (!safeStorage.isEncryptionAvailable()) return 'file';
+    if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function'
+        && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+        return 'file';
+    }
+    return 'safeStorage';
+}
+
+/**
+ * Loads (or creates) the master key for the file backend.
+ * @returns {Promise<Buffer>} The 32-byte master key.
+ */
+async function getMasterKey() {
+    if (masterKey) return masterKey;
+    const masterKeyPath = getStorePath(MASTER_KEY_FILE_NAME);
+    try {
+        masterKey = Buffer.from(await fs.readFile(masterKeyPath, 'utf8'), 'base64');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        masterKey = crypto.randomBytes(32);
+        await fs.mkdir(path.dirname(masterKeyPath), { recursive: true });
+        await fs.writeFile(masterKeyPath, masterKey.toString('base64'), { mode: 0o600 });
+        log.info(`Created API key master key at ${masterKeyPath}`); // Use log.info
+    }
+    return masterKey;
+}
+
+async function encryptWithBackend(backend, plainText) {
+    if (backend === 'safeStorage') return safeStorage.encryptString(plainText).toString('base64');
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, await getMasterKey(), iv);
+    const cipherText = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), cipherText]).toString('base64');
+}
+
+async function decryptWithBackend(backend, data) {
+    const encrypted = Buffer.from(data, 'base64');
+    if (backend === 'safeStorage') return safeStorage.decryptString(encrypted);
+    const decipher = crypto.createDecipheriv(CIPHER, await getMasterKey(), encrypted.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(encrypted.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+    return Buffer.concat([decipher.update(encrypted.subarray(IV_LENGTH + AUTH_TAG_LENGTH)), decipher.final()]).toString('utf8');
+}
+
+async function writeStore() {
+    const storePath = getStorePath(STORE_FILE_NAME);
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(storePath, JSON.stringify(storedKeys, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Reads api-keys.json into memory. A missing file means no keys are stored.
+ * @returns {Promise<string|null>} An error message if the file exists but can't be read, otherwise null.
+ */
+async function loadKeyStore() {
+    storedKeys = {};
+    try {
+        storedKeys = JSON.parse(await fs.readFile(getStorePath(STORE_FILE_NAME), 'utf8'));
+        return null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        log.error(`Error reading stored API keys: ${error.message}`); // Use log.error
+        return `Error reading stored API keys: ${error.message}`;
+    }
+}
+
+/**
+ * Decrypts a stored key.
+ * @param {string} keyName - The provider's key name (e.g. 'GEMINI_API_KEY').
+ * @returns {Promise<string|null>} The key, or null if none is stored or it can no longer be decrypted.
+ */
+async function getStoredApiKey(keyName) {
+    const entry = storedKeys[keyName];
+    if (!entry) return null;
+    try {
+        return await decryptWithBackend(entry.backend, entry.data);
+    } catch (error) {
+        // E.g. the OS keyring was reset or the master key file was deleted
+        log.error(`Could not decrypt the stored ${keyName} (${entry.backend}): ${error.message}. Set the key again.`); // Use log.error
+        return null;
+    }
+}
+
+/**
+ * Encrypts and stores a key, replacing any previous one.
+ * @param {string} keyName - The provider's key name.
+ * @param {string} apiKey - The key to store.
+ * @returns {Promise<{backend: string, updatedAt: string}>} Where and when it was stored.
+ */
+async function setStoredApiKey(keyName, apiKey) {
+    const backend = getKeyStoreBackend();
+    const entry = { backend, data: await encryptWithBackend(backend, apiKey), updatedAt: new Date().toISOString() };
+    storedKeys = { ...storedKeys, [keyName]: entry };
+    await writeStore();
+    log.info(`Stored ${keyName} using ${backend} encryption.`); // Use log.info
+    return { backend, updatedAt: entry.updatedAt };
+}
+
+/**
+ * Removes a stored key.
+ * @param {string} keyName - The provider's key name.
+ * @returns {Promise<boolean>} True if a key was removed.
+ */
+async function deleteStoredApiKey(keyName) {
+    if (!storedKeys[keyName]) return false;
+    const { [keyName]: removed, ...remainingKeys } = storedKeys;
+    storedKeys = remainingKeys;
+    await writeStore();
+    log.info(`Deleted stored ${keyName}.`); // Use log.info
+    return true;
+}
+
+/**
+ * Describes a stored key without decrypting it.
+ * @param {string} keyName - The provider's key name.
+ * @returns {{backend: string, updatedAt: string}|null} The entry's backend and timestamp, or null if none is stored.
+ */
+function getStoredKeyInfo(keyName) {
+    const entry = storedKeys[keyName];
+    return entry ? { backend: entry.backend, updatedAt: entry.updatedAt } : null;
+}
+
+module.exports = {
+    getKeyStoreBackend,
+    loadKeyStore,
+    getStoredApiKey,
+    setStoredApiKey,
+    deleteStoredApiKey,
+    getStoredKeyInfo,
+};
@@ -1,24 +1,48 @@
-// src/llm.js - Handles LLM interaction (Gemini API)
+// src/llm.js - Handles LLM interaction (provider-agnostic; Gemini by default)
 
-const { GoogleGenerativeAI, GoogleGenerativeAIFetchError } = require("@google/generative-ai");
 const retry = require('async-retry');
-const fs = require('fs').promises;
 const path = require('path');
-// Removed safeStorage import
 const log = require('electron-log'); // Import electron-log
+const { DEFAULT_PROVIDER, getProviderDefinition, listProviders } = require('./providers');
+const { estimateTokenCount } = require('./utils');
+const { configureStageSettings, resolveStageSettings } = require('./stageSettings');
+const { configureUsage, startUsageRun, recordUsage, getBudgetStatus, getUsageSummary } = require('./usage');
+const { DEFAULT_CONFIG, loadConfig } = require('./config');
+const { loadKeyStore, getStoredApiKey, getStoredKeyInfo, getKeyStoreBackend } = require('./keyStore');
+const { configureContextBudget } = require('./prompts/contextBudget');
+const { configureStageGraph } = require('./stageGraph');
+const { configurePlanSelection } = require('./planSelection');
+const { configurePresets } = require('./presets');
+const { configureCassette, startCassetteRun, getCassetteMode, getRecordedResponse, recordResponse, hashPrompt } = require('./cassette');
 
 // --- Configuration Variables ---
-let GEMINI_API_KEY = null; // Initialize as null, will be loaded
-let MODEL_NAME = "gemini-2.5-pro-preview-03-25"; // Default model
-let LLM_TEMPERATURE = 1;
-let LLM_MAX_OUTPUT_TOKENS = 65536;
+let PROVIDER_NAME = DEFAULT_PROVIDER; // Which provider module to use (see src/providers)
+let LLM_API_KEY = null; // Initialize as null, will be loaded
+let MODEL_NAME = null; // Falls back to the provider's default model
+let LLM_BASE_URL = null; // Optional endpoint override (OpenAI-compatible servers, Ollama, proxies)
+let LLM_TEMPERATURE = DEFAULT_CONFIG.LLM_TEMPERATURE;
+let LLM_MAX_OUTPUT_TOKENS; // Unset: each provider applies its own default
+let LLM_STREAMING = DEFAULT_CONFIG.LLM_STREAMING; // Stream responses so partial output reaches the UI as it arrives
 let apiKeySource = 'not loaded'; // Track where the key came from
+const DEFAULT_CASSETTE_PATH = 'cassettes/cassette.json'; // Relative to the project root
+const DEFAULT_FAILURE_THRESHOLD = 3; // Consecutive failed attempts before the circuit breaker moves to the next model
+const API_KEY_TEST_TIMEOUT_MS = 20000; // Time allowed for the test request made by testApiKey
 
-let model; // LLM model instance
+let provider; // LLM provider instance
+let targetProviders = new Map(); // Provider instances for fallback targets and stage profiles, keyed by target and settings
+
+// --- Fallback Chain / Circuit Breaker State ---
+let llmTargets = []; // [primary, ...LLM_FALLBACKS]: { providerName, modelName, baseUrl, apiKey }
+let failureThreshold = DEFAULT_FAILURE_THRESHOLD;
+let activeTargetIndex = 0; // Target that calls in the current run are routed to
+let consecutiveFailures = 0; // Failed attempts on the active target since its last success
 let initializationError = null; // Store initialization errors
 let configError = null; // Store config read errors
+let configProblems = []; // Every validation problem from the last loadConfig, for the settings pane
+let configLayers = []; // Config files read by the last loadConfig
+let projectConfigFolder = null; // Folder whose per-project config is layered on top (see applyProjectConfig)
 
-// Define CancellationError if not already defined globally or imported
+// Thrown when a run is cancelled by the user. Exported so engine and IPC code share one class.
 class CancellationError extends Error {
   constructor(message = "Operation cancelled by user.") {
     super(message);
@@ -26,160 +50,423 @@ class CancellationError extends Error {
   }
 }
 
+// Thrown inside a retry loop when the circuit breaker has moved on to another target; callLLM then
+// retries the call on the new active target. Never escapes callLLM.
+class CircuitOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CircuitOpenError";
+  }
+}
+
+// Thrown when a run goes over its LLM_BUDGET with onExceeded "abort". It extends
+// CancellationError so every stage stops the run instead of falling back.
+class BudgetExceededError extends CancellationError {
+  constructor(message) {
+    super(message);
+    this.name = "BudgetExceededError";
+  }
+}
+
 /**
- * Asynchronously loads configuration from safeStorage, config.json, and environment variables,
- * then initializes the LLM model. Should be called once after app is ready.
+ * Asynchronously loads the layered configuration (see src/config.js), the encrypted key store and environment variables,
+ * then initializes the configured LLM provider. Called once after the app is ready, and again
+ * whenever the stored API key or the project folder (see applyProjectConfig) changes, so the new settings take effect without a restart.
  */
 async function loadConfigAndInitialize() {
     configError = null; // Reset potential config read errors
-    GEMINI_API_KEY = null; // Reset key before loading
+    LLM_API_KEY = null; // Reset key before loading
     apiKeySource = 'not loaded'; // Reset source
 
-    // 1. Prioritize Environment Variable
-    const envApiKey = process.env.GEMINI_API_KEY;
-    if (envApiKey) {
-        GEMINI_API_KEY = envApiKey;
-        apiKeySource = 'environment variable';
-        log.info("Using GEMINI_API_KEY from environment variable."); // Use log.info
+    // 1. Load the layered config (defaults, user config.json, install config.json, the project's .roo-plan-generator.json), expanding ${VAR} references
+    const { config, problems, layers } = await loadConfig({ projectFolder: projectConfigFolder });
+    configProblems = problems;
+    configLayers = layers;
+    if (problems.length > 0) {
+        configError = `Invalid configuration (${problems.length} problem(s)): ${problems.join('; ')}`;
     }
 
-    // 2. Fallback to config.json (if env var not found)
-    const configPath = path.join(__dirname, '..', 'config.json');
-    let config = {};
-    if (!GEMINI_API_KEY) {
-        try {
-            log.info(`Attempting to read configuration from: ${configPath}`); // Use log.info
-            const configData = await fs.readFile(configPath, 'utf8');
-            config = JSON.parse(configData);
-            log.info("Successfully read config.json"); // Use log.info
-
-            // Check for API key in config.json
-            if (config.GEMINI_API_KEY && typeof config.GEMINI_API_KEY === 'string' && config.GEMINI_API_KEY !== "YOUR_GEMINI_API_KEY_HERE") {
-                GEMINI_API_KEY = config.GEMINI_API_KEY;
-                apiKeySource = 'config.json (insecure)';
-                log.warn("WARNING: Using GEMINI_API_KEY from insecure config.json. Set environment variable instead."); // Use log.warn
-            }
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                log.info("config.json not found. Cannot load API key from it."); // Use log.info
-            } else if (error instanceof SyntaxError) {
-                log.error(`Error parsing config.json: ${error.message}.`); // Use log.error
-                configError = `Error parsing config.json: ${error.message}`;
-            } else {
-                log.error(`Unexpected error reading config.json: ${error.message}.`); // Use log.error
-                configError = `Error reading config.json: ${error.message}`;
-            }
-        }
+    const keyStoreError = await loadKeyStore();
+    if (keyStoreError) {
+        configError = (configError ? configError + '; ' : '') + keyStoreError;
+    }
+
+    // 2. Select the provider (config.json, then env var, then default)
+    const requestedProvider = (typeof config.LLM_PROVIDER === 'string' && config.LLM_PROVIDER) || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+    if (getProviderDefinition(requestedProvider)) {
+        PROVIDER_NAME = requestedProvider.toLowerCase();
     } else {
-        // If key came from env var, still try to load other settings from config.json
-        try {
-            log.info(`Attempting to read other settings from: ${configPath}`);
-            const configData = await fs.readFile(configPath, 'utf8');
-            config = JSON.parse(configData);
-            log.info("Successfully read config.json for other settings.");
-        } catch (error) {
-             if (error.code !== 'ENOENT') { // Ignore if file not found, but log other errors
-                log.error(`Error reading config.json for other settings: ${error.message}`);
-                if (!configError) configError = `Error reading config.json: ${error.message}`;
-             }
-        }
+        const unknownProviderMsg = `Unknown LLM_PROVIDER "${requestedProvider}". Available providers: ${listProviders().join(', ')}.`;
+        log.error(unknownProviderMsg);
+        configError = (configError ? configError + '; ' : '') + unknownProviderMsg;
+        PROVIDER_NAME = DEFAULT_PROVIDER;
     }
+    const providerDefinition = getProviderDefinition(PROVIDER_NAME);
+    const keyName = providerDefinition.apiKeyEnvVar;
 
-    // 3. Load other config values (Model, Temp, Tokens) from parsed config object (if loaded)
-    if (config) {
-         MODEL_NAME = (config.LLM_MODEL_NAME && typeof config.LLM_MODEL_NAME === 'string') ? config.LLM_MODEL_NAME : MODEL_NAME;
-        if (typeof config.LLM_TEMPERATURE === 'number' && config.LLM_TEMPERATURE >= 0.0 && config.LLM_TEMPERATURE <= 1.0) {
-            LLM_TEMPERATURE = config.LLM_TEMPERATURE;
-        }
-        if (typeof config.LLM_MAX_OUTPUT_TOKENS === 'number' && config.LLM_MAX_OUTPUT_TOKENS > 0) {
-            LLM_MAX_OUTPUT_TOKENS = Math.floor(config.LLM_MAX_OUTPUT_TOKENS);
-        }
-         log.info(`Using Model: ${MODEL_NAME}, Temp: ${LLM_TEMPERATURE ?? 'Default'}, MaxTokens: ${LLM_MAX_OUTPUT_TOKENS ?? 'Default'}`); // Use log.info
+    // 3. Resolve the API key: encrypted key store first, then the provider's env var, then config.json
+    const resolvedKey = await resolveApiKey(keyName, config);
+    if (resolvedKey) {
+        LLM_API_KEY = resolvedKey.apiKey;
+        apiKeySource = resolvedKey.source;
+    }
+
+    // 4. Model, Base URL, Temp, Tokens (types and ranges were validated by loadConfig; defaults come from its lowest layer)
+    MODEL_NAME = config.LLM_MODEL_NAME || providerDefinition.defaultModel;
+    LLM_BASE_URL = config.LLM_BASE_URL || process.env.LLM_BASE_URL || null;
+    LLM_TEMPERATURE = config.LLM_TEMPERATURE;
+    LLM_MAX_OUTPUT_TOKENS = config.LLM_MAX_OUTPUT_TOKENS;
+    LLM_STREAMING = config.LLM_STREAMING;
+    // Prompt size limit for the context-window reductions in src/prompts/contextBudget.js
+    configureContextBudget(config.LLM_MAX_PROMPT_TOKENS || providerDefinition.defaultMaxPromptTokens);
+    log.info(`Using Provider: ${PROVIDER_NAME}, Model: ${MODEL_NAME}, Temp: ${LLM_TEMPERATURE ?? 'Default'}, MaxTokens: ${LLM_MAX_OUTPUT_TOKENS ?? 'Provider default'}, Streaming: ${LLM_STREAMING}${LLM_BASE_URL ? `, Base URL: ${LLM_BASE_URL}` : ''}`); // Use log.info
+
+    // 5. Cassette (record/replay) settings
+    const cassetteMode = ((typeof config.LLM_CASSETTE_MODE === 'string' && config.LLM_CASSETTE_MODE) || process.env.LLM_CASSETTE_MODE || 'off').toLowerCase();
+    const cassetteFile = (typeof config.LLM_CASSETTE_PATH === 'string' && config.LLM_CASSETTE_PATH) || process.env.LLM_CASSETTE_PATH || DEFAULT_CASSETTE_PATH;
+    const cassetteError = await configureCassette({ mode: cassetteMode, filePath: path.resolve(path.join(__dirname, '..'), cassetteFile) });
+    if (cassetteError) {
+        configError = (configError ? configError + '; ' : '') + cassetteError;
+    }
+
+    // 6. Usage accounting (pricing overrides and per-run budget)
+    const usageError = configureUsage({ pricing: config.LLM_PRICING, budget: config.LLM_BUDGET });
+    if (usageError) {
+        log.error(usageError);
+        configError = (configError ? configError + '; ' : '') + usageError;
+    }
+
+    // 7. Per-stage model and generation settings
+    const stageSettingsError = configureStageSettings({ profiles: config.LLM_PROFILES, stages: config.LLM_STAGE_SETTINGS });
+    if (stageSettingsError) {
+        log.error(stageSettingsError);
+        configError = (configError ? configError + '; ' : '') + stageSettingsError;
+    }
+
+    // Pipeline stages enabled or disabled by config (checked against the stage graph when a run starts)
+    configureStageGraph({ stages: config.PIPELINE_STAGES });
+    const planSelectionError = configurePlanSelection({ candidates: config.PLAN_CANDIDATES });
+    if (planSelectionError) {
+        log.error(planSelectionError);
+        configError = (configError ? configError + '; ' : '') + planSelectionError;
     }
+    configurePresets({ directory: config.PRESETS_DIRECTORY });
 
+    // 8. Fallback chain and circuit breaker
+    llmTargets = [
+        { providerName: PROVIDER_NAME, modelName: MODEL_NAME, baseUrl: LLM_BASE_URL, apiKey: LLM_API_KEY },
+        ...await buildFallbackTargets(config, providerDefinition)
+    ];
+    const breakerSettings = config.LLM_CIRCUIT_BREAKER;
+    failureThreshold = (breakerSettings && typeof breakerSettings.failureThreshold === 'number' && breakerSettings.failureThreshold >= 1)
+        ? Math.floor(breakerSettings.failureThreshold)
+        : DEFAULT_FAILURE_THRESHOLD;
+    if (llmTargets.length > 1) {
+        log.info(`Fallback chain: ${llmTargets.map(describeTarget).join(' -> ')} (circuit breaker after ${failureThreshold} consecutive failures)`); // Use log.info
+    }
 
-    // 4. Final check if key is missing after checking env and config
-    if (!GEMINI_API_KEY || GEMINI_API_KEY === "YOUR_GEMINI_API_KEY_HERE") {
+    // 9. Final check if a required key is missing after checking env and config (replay needs no key)
+    if (providerDefinition.requiresApiKey && !LLM_API_KEY && getCassetteMode() !== 'replay') {
          apiKeySource = 'missing';
-         const missingKeyMsg = "GEMINI_API_KEY is missing. Please set the environment variable.";
+         const missingKeyMsg = `${keyName} is missing. Set it in the API key settings or as an environment variable.`;
          log.error(missingKeyMsg); // Use log.error
          configError = (configError ? configError + '; ' : '') + missingKeyMsg;
     }
 
     // --- Initialize LLM ---
-    initializeLLMInternal(); // This function uses the globally set GEMINI_API_KEY
+    initializeLLMInternal(); // This function uses the globally set configuration
+}
+
+/**
+ * Resolves a provider's API key: the encrypted key store first, then its environment variable, then config.json.
+ * @param {string|null} keyName - The provider's key env var (e.g. 'GEMINI_API_KEY'); null for keyless providers.
+ * @param {object} config - The parsed config.json.
+ * @returns {Promise<{apiKey: string, source: string}|null>} The key and where it came from, or null if not set.
+ */
+async function resolveApiKey(keyName, config) {
+    if (!keyName) return null;
+    const storedKey = await getStoredApiKey(keyName);
+    if (storedKey) {
+        log.info(`Using ${keyName} from the encrypted key store.`); // Use log.info
+        return { apiKey: storedKey, source: `key store (${getStoredKeyInfo(keyName).backend})` };
+    }
+    if (process.env[keyName]) {
+        log.info(`Using ${keyName} from environment variable.`); // Use log.info
+        return { apiKey: process.env[keyName], source: 'environment variable' };
+    }
+    if (config[keyName] && typeof config[keyName] === 'string' && !isPlaceholderKey(config[keyName])) {
+        log.warn(`WARNING: Using ${keyName} from insecure config.json. Store it in the API key settings or set the environment variable instead.`); // Use log.warn
+        return { apiKey: config[keyName], source: 'config.json (insecure)' };
+    }
+    return null;
+}
+
+/**
+ * Builds the fallback targets from LLM_FALLBACKS, or from the primary provider's default fallbacks
+ * when it is used with its default model. Entries that can't be used (unknown provider, missing key) are skipped.
+ * @param {object} config - The parsed config.json.
+ * @param {object} primaryDefinition - The primary provider module.
+ * @returns {Promise<Array<{providerName: string, modelName: string, baseUrl: string|null, apiKey: string|null}>>} The fallback targets in order.
+ */
+async function buildFallbackTargets(config, primaryDefinition) {
+    let entries = config.LLM_FALLBACKS;
+    if (entries === undefined) {
+        entries = MODEL_NAME === primaryDefinition.defaultModel ? (primaryDefinition.defaultFallbackModels || []) : [];
+    } else if (!Array.isArray(entries)) {
+        log.warn("Ignoring LLM_FALLBACKS: it must be an array of model names or { provider, model, baseUrl } objects."); // Use log.warn
+        return [];
+    }
+
+    const targets = [];
+    for (const entry of entries) {
+        // A bare string is another model of the primary provider
+        const fallback = typeof entry === 'string' ? { model: entry } : (entry || {});
+        const providerName = (fallback.provider || PROVIDER_NAME).toLowerCase();
+        const fallbackDefinition = getProviderDefinition(providerName);
+        if (!fallbackDefinition) {
+            log.warn(`Skipping fallback with unknown provider "${fallback.provider}".`); // Use log.warn
+            continue;
+        }
+        const samePrimaryProvider = providerName === PROVIDER_NAME;
+        const resolvedKey = samePrimaryProvider ? (LLM_API_KEY && { apiKey: LLM_API_KEY }) : await resolveApiKey(fallbackDefinition.apiKeyEnvVar, config);
+        if (fallbackDefinition.requiresApiKey && !resolvedKey) {
+            log.warn(`Skipping fallback ${providerName} "${fallback.model || fallbackDefinition.defaultModel}": ${fallbackDefinition.apiKeyEnvVar} is not set.`); // Use log.warn
+            continue;
+        }
+        targets.push({
+            providerName,
+            modelName: (typeof fallback.model === 'string' && fallback.model) || fallbackDefinition.defaultModel,
+            baseUrl: (typeof fallback.baseUrl === 'string' && fallback.baseUrl) || (samePrimaryProvider ? LLM_BASE_URL : null),
+            apiKey: resolvedKey ? resolvedKey.apiKey : null
+        });
+    }
+    return targets;
+}
+
+/**
+ * Formats a fallback target for logs and reports.
+ * @param {{providerName: string, modelName: string}} target - The target.
+ * @returns {string} E.g. "gemini/gemini-2.5-pro".
+ */
+function describeTarget(target) {
+    return `${target.providerName}/${target.modelName}`;
+}
+
+/**
+ * Checks whether an API key value is an unfilled template placeholder
+ * (e.g. "YOUR_GEMINI_API_KEY_HERE" or "${GEMINI_API_KEY}").
+ * @param {string} value - The key value to check.
+ * @returns {boolean} True if the value is a placeholder.
+ */
+function isPlaceholderKey(value) {
+    return /^YOUR_.*_HERE$/.test(value) || /^\$\{.*\}$/.test(value);
 }
 
 /**
- * Internal function to initialize the Google Generative AI model instance.
+ * Internal function to initialize the configured provider instance.
  * Uses the globally scoped configuration variables.
  */
 function initializeLLMInternal() {
     initializationError = configError; // Start with potential config read errors
-    model = undefined; // Reset model
+    provider = undefined; // Reset provider
+    targetProviders = new Map(); // Cached providers depend on the key and base URL too
 
-    if (!GEMINI_API_KEY || GEMINI_API_KEY === "YOUR_GEMINI_API_KEY_HERE") {
-        const keyErrorMsg = `GEMINI_API_KEY is missing or placeholder (source: ${apiKeySource}). Please set it via the application.`;
+    const providerDefinition = getProviderDefinition(PROVIDER_NAME);
+    if (providerDefinition.requiresApiKey && !LLM_API_KEY && getCassetteMode() === 'replay') {
+        log.info("No API key configured; running in cassette replay mode only.");
+        return;
+    }
+    if (providerDefinition.requiresApiKey && !LLM_API_KEY) {
+        const keyErrorMsg = `${providerDefinition.apiKeyEnvVar} is missing or placeholder (source: ${apiKeySource}). Please set it via the application.`;
         initializationError = (initializationError ? initializationError + '; ' : '') + keyErrorMsg;
         log.error(keyErrorMsg); // Use log.error
+        log.error("Skipping LLM initialization due to missing or placeholder API key."); // Use log.error
+        return;
     }
-    // MODEL_NAME has a default, less critical to check
 
-    // Only attempt initialization if the key seems valid
-    if (GEMINI_API_KEY && GEMINI_API_KEY !== "YOUR_GEMINI_API_KEY_HERE" && MODEL_NAME) {
-        try {
-            const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-            const generationConfig = {};
-            if (LLM_TEMPERATURE !== undefined) generationConfig.temperature = LLM_TEMPERATURE;
-            if (LLM_MAX_OUTPUT_TOKENS !== undefined) generationConfig.maxOutputTokens = LLM_MAX_OUTPUT_TOKENS;
-
-            model = genAI.getGenerativeModel({
-                 model: MODEL_NAME,
-                 generationConfig: Object.keys(generationConfig).length > 0 ? generationConfig : undefined
-                });
-            log.info(`LLM model "${MODEL_NAME}" initialized successfully using API key from ${apiKeySource}.`); // Use log.info
-            log.info(`Generation Config: ${JSON.stringify(generationConfig) || 'Using defaults'}`); // Use log.info
-            initializationError = null; // Clear errors on success
-        } catch (error) {
-            const initErrMsg = `Failed to initialize LLM model "${MODEL_NAME}" with GoogleGenerativeAI (key source: ${apiKeySource}): ${error.message}`;
-            initializationError = (initializationError ? initializationError + '; ' : '') + initErrMsg;
-            log.error(initErrMsg); // Use log.error
-            model = undefined;
-        }
-    } else {
-         log.error("Skipping LLM initialization due to missing or placeholder API key."); // Use log.error
-         model = undefined;
+    try {
+        provider = providerDefinition.createProvider({
+            apiKey: LLM_API_KEY,
+            modelName: MODEL_NAME,
+            baseUrl: LLM_BASE_URL || undefined,
+            temperature: LLM_TEMPERATURE,
+            maxOutputTokens: LLM_MAX_OUTPUT_TOKENS
+        });
+        log.info(`LLM provider "${PROVIDER_NAME}" with model "${MODEL_NAME}" initialized successfully (key source: ${apiKeySource}).`); // Use log.info
+        log.info(`Generation Config: ${JSON.stringify(provider.generationConfig) || 'Using defaults'}`); // Use log.info
+        initializationError = null; // Clear errors on success
+    } catch (error) {
+        const initErrMsg = `Failed to initialize LLM provider "${PROVIDER_NAME}" with model "${MODEL_NAME}" (key source: ${apiKeySource}): ${error.message}`;
+        initializationError = (initializationError ? initializationError + '; ' : '') + initErrMsg;
+        log.error(initErrMsg); // Use log.error
+        provider = undefined;
     }
 }
 
-// --- Helper Functions ---
-
-// Removed isApiKeyStoredSecurely and saveApiKeySecurely functions
+/**
+ * Describes the active provider and where its key came from, for the API key settings pane.
+ * @returns {{provider: string, model: string, keyName: string|null, requiresApiKey: boolean, keySource: string, storedKey: {backend: string, updatedAt: string}|null, storageBackend: string, ready: boolean, error: string|null, configProblems: string[], configLayers: string[]}} The status.
+ */
+function getLLMStatus() {
+    const providerDefinition = getProviderDefinition(PROVIDER_NAME);
+    const keyName = providerDefinition.apiKeyEnvVar;
+    return {
+        provider: PROVIDER_NAME,
+        model: MODEL_NAME,
+        keyName,
+        requiresApiKey: providerDefinition.requiresApiKey,
+        keySource: apiKeySource,
+        storedKey: keyName ? getStoredKeyInfo(keyName) : null,
+        storageBackend: getKeyStoreBackend(),
+        ready: Boolean(provider) || getCassetteMode() === 'replay',
+        error: initializationError,
+        configProblems,
+        configLayers
+    };
+}
 
 /**
- * Calls the configured LLM with the given prompt.
- * Handles retries and potential initialization errors.
- * @param {string} prompt - The prompt to send to the LLM.
- * @param {object} [retryOptions] - Options for async-retry.
- * @param {{isCancellationRequested: boolean}} [cancellationToken] - Optional token to check for cancellation.
- * @returns {Promise<string>} The text response from the LLM.
- * @throws {Error|CancellationError} If initialization failed, the LLM call fails after retries, or is cancelled.
+ * Checks an API key by sending a one-word request to the active provider and model.
+ * The request is not counted towards run usage.
+ * @param {string} [apiKey] - The key to test; defaults to the key currently in use.
+ * @returns {Promise<{success: boolean, message: string}>} Whether the provider accepted the key.
  */
-async function callLLM(prompt, retryOptions = { retries: 3, factor: 2, minTimeout: 1000, maxTimeout: 10000 }, cancellationToken) {
-    // Check for cancellation before even attempting
-    if (cancellationToken?.isCancellationRequested) {
-        log.warn("LLM call cancelled before starting."); // Use log.warn
-        throw new CancellationError("LLM call cancelled before starting.");
+async function testApiKey(apiKey = LLM_API_KEY) {
+    const providerDefinition = getProviderDefinition(PROVIDER_NAME);
+    if (providerDefinition.requiresApiKey && !apiKey) {
+        return { success: false, message: `No ${providerDefinition.apiKeyEnvVar} to test.` };
+    }
+    try {
+        const testProvider = providerDefinition.createProvider({
+            apiKey,
+            modelName: MODEL_NAME,
+            baseUrl: LLM_BASE_URL || undefined,
+            temperature: 0,
+            maxOutputTokens: 16
+        });
+        await testProvider.generate('Reply with the single word OK.', { signal: AbortSignal.timeout(API_KEY_TEST_TIMEOUT_MS) });
+        log.info(`API key test succeeded for ${PROVIDER_NAME}/${MODEL_NAME}.`); // Use log.info
+        return { success: true, message: `The key works with ${PROVIDER_NAME}/${MODEL_NAME}.` };
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? `no response within ${API_KEY_TEST_TIMEOUT_MS / 1000}s` : error.message;
+        log.warn(`API key test failed for ${PROVIDER_NAME}/${MODEL_NAME}: ${reason}`); // Use log.warn
+        return { success: false, message: `The key was rejected or the provider is unreachable: ${reason}` };
     }
+}
 
-    if (initializationError) {
-        // If initialization failed earlier, throw the stored error immediately.
-        throw new Error(`LLM Initialization Error: ${initializationError}`);
+// --- Helper Functions ---
+
+/**
+ * Forwards a streamed chunk or usage update to one of the caller's handlers.
+ * A failing UI callback must never abort the LLM call itself.
+ * @param {Function|undefined} handler - The caller's onStream or onUsage handler.
+ * @param {object} payload - The chunk or usage summary to forward.
+ */
+function notifyCaller(handler, payload) {
+    if (typeof handler !== 'function') return;
+    try {
+        handler(payload);
+    } catch (error) {
+        log.warn(`Progress handler failed: ${error.message}`);
     }
-    if (!model) {
-        // This case should theoretically be covered by initializationError, but as a safeguard:
-        throw new Error(`LLM model ("${MODEL_NAME}") is not available. Check configuration and logs.`);
+}
+
+/**
+ * Returns the provider instance for a fallback target and a call's stage settings, creating and caching it on first use.
+ * A stage's model override only applies to the primary target; fallbacks keep their own model.
+ * @param {number} targetIndex - Index into the fallback chain (0 is the primary).
+ * @param {{model?: string, temperature?: number, maxOutputTokens?: number}} overrides - Settings from resolveStageSettings.
+ * @returns {object} The provider instance.
+ */
+function getTargetProvider(targetIndex, overrides) {
+    if (targetIndex === 0 && Object.keys(overrides).length === 0) return provider;
+    const target = llmTargets[targetIndex];
+    const settings = {
+        modelName: (targetIndex === 0 && overrides.model) || target.modelName,
+        temperature: overrides.temperature ?? LLM_TEMPERATURE,
+        maxOutputTokens: overrides.maxOutputTokens ?? LLM_MAX_OUTPUT_TOKENS
+    };
+    const cacheKey = `${targetIndex}:${JSON.stringify(settings)}`;
+    if (!targetProviders.has(cacheKey)) {
+        const targetProvider = getProviderDefinition(target.providerName).createProvider({
+            ...settings,
+            apiKey: target.apiKey,
+            baseUrl: target.baseUrl || undefined
+        });
+        log.info(`Created ${target.providerName} provider for model "${settings.modelName}" (Generation Config: ${JSON.stringify(targetProvider.generationConfig)}).`); // Use log.info
+        targetProviders.set(cacheKey, targetProvider);
     }
+    return targetProviders.get(cacheKey);
+}
+
+/**
+ * Moves the circuit breaker from a failing target to the next one in the chain.
+ * Does nothing if another call already moved it, or if there is no next target.
+ * @param {number} targetIndex - The failing target.
+ * @param {string} reason - Why it is being abandoned (for logs).
+ * @returns {boolean} True if calls are now routed to a later target.
+ */
+function tripCircuit(targetIndex, reason) {
+    if (activeTargetIndex !== targetIndex) return activeTargetIndex > targetIndex;
+    if (targetIndex >= llmTargets.length - 1) return false;
+    activeTargetIndex = targetIndex + 1;
+    consecutiveFailures = 0;
+    log.warn(`Circuit breaker open for ${describeTarget(llmTargets[targetIndex])} (${reason}). Routing calls to ${describeTarget(llmTargets[activeTargetIndex])} for the rest of this run.`); // Use log.warn
+    return true;
+}
+
+/**
+ * Checks whether an error means the model itself is gone (unknown or deprecated), so retrying it is pointless.
+ * @param {Error} error - The provider error.
+ * @returns {boolean} True for 404/410 responses.
+ */
+function isModelUnavailable(error) {
+    return error.status === 404 || error.status === 410;
+}
+
+/**
+ * Layers a project's .roo-plan-generator.json over the other config files (see src/config.js) and re-initializes
+ * the LLM with it. Called before each run with the folder the run works in; runs without one drop the previous project's layer.
+ * @param {string|null} projectFolder - The brownfield project or the run's output folder, or null if the run has none yet.
+ * @returns {Promise<boolean>} True if the config was reloaded.
+ */
+async function applyProjectConfig(projectFolder) {
+    const folder = projectFolder || null;
+    if (!folder && !projectConfigFolder) return false; // No project layer before or now, so nothing changes
+    projectConfigFolder = folder;
+    await loadConfigAndInitialize();
+    return true;
+}
+
+/**
+ * Marks the start of a generation run. Resets token usage and the circuit breaker, starts a fresh
+ * cassette in record mode, and rewinds to the first recorded response in replay mode.
+ */
+function startLLMRun() {
+    startCassetteRun({ provider: PROVIDER_NAME, model: MODEL_NAME });
+    startUsageRun();
+    // Every run starts on the primary model again
+    activeTargetIndex = 0;
+    consecutiveFailures = 0;
+}
+
+/**
+ * Sends one prompt to one target of the fallback chain, with retries.
+ * @param {number} targetIndex - Index into the fallback chain.
+ * @param {string} prompt - The prompt to send.
+ * @param {object} overrides - Stage settings from resolveStageSettings.
+ * @param {object} retryOptions - Options for async-retry.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} [cancellationToken] - Token to check for cancellation.
+ * @param {object} callOptions - The callLLM call options.
+ * @returns {Promise<string>} The text response.
+ * @throws {CircuitOpenError} If the circuit breaker moved on from this target (callLLM retries on the next one).
+ * @throws {Error|CancellationError} If the call fails permanently, exhausts its retries (`error.retryable`), or is cancelled.
+ */
+async function callTarget(targetIndex, prompt, overrides, retryOptions, cancellationToken, callOptions) {
+    const target = llmTargets[targetIndex];
+    const callProvider = getTargetProvider(targetIndex, overrides);
+    const modelName = callProvider.modelName;
+    const stageLabel = callOptions.stage ? ` [${callOptions.stage}]` : '';
 
     // Default options: 3 retries, exponential backoff (factor 2), starting at 1s, max 10s delay
     return retry(async (bail, attempt) => {
@@ -189,34 +476,70 @@ async function callLLM(prompt, retryOptions = { retries: 3, factor: 2, minTimeou
             bail(new CancellationError(`LLM call cancelled before attempt ${attempt}.`)); // Use bail to stop retries
             return; // Exit async function
         }
+        // Another call tripped the breaker while this one was retrying: continue on the new target
+        if (targetIndex !== activeTargetIndex) {
+            bail(new CircuitOpenError(`Circuit breaker moved on from ${describeTarget(target)}.`));
+            return;
+        }
         try {
-            log.info(`Sending prompt to "${MODEL_NAME}" (Attempt ${attempt})... (First ~50 chars: ${prompt.substring(0, 50)}...)`); // Use log.info
-            // Note: The Gemini SDK's generateContent might not directly support a cancellation token.
-            // We rely on checking the token *before* the potentially long-running call.
-            const result = await model.generateContent(prompt);
-            const response = result.response;
-
-            // Check for safety ratings or blocks which might indicate an issue
-            if (response.promptFeedback?.blockReason) {
-                log.error(`LLM call blocked. Reason: ${response.promptFeedback.blockReason}`, response.promptFeedback); // Use log.error
+            log.info(`Sending prompt to ${target.providerName} "${modelName}"${stageLabel} (Attempt ${attempt})... (First ~50 chars: ${prompt.substring(0, 50)}...)`); // Use log.info
+            // The token's AbortSignal (if any) aborts the HTTP request itself, so a cancel
+            // stops in-flight network work instead of waiting for the response.
+            let streamedText = '';
+            const streaming = Boolean(LLM_STREAMING && callOptions.onStream);
+            if (streaming) {
+                // Announce the attempt so the UI can reset its buffer and time the wait for the first token
+                notifyCaller(callOptions.onStream, { delta: '', outputTokens: 0, attempt });
+            }
+            const onChunk = streaming ? (delta, chunkInfo = {}) => {
+                streamedText += delta;
+                // Prefer the provider's own count; otherwise estimate from the text so far
+                const outputTokens = chunkInfo.outputTokens || estimateTokenCount(streamedText);
+                notifyCaller(callOptions.onStream, { delta, outputTokens, attempt });
+            } : undefined;
+            const { text = '', blockReason, usage } = await callProvider.generate(prompt, { onChunk, signal: cancellationToken?.signal, responseSchema: callOptions.responseSchema });
+
+            // Attribute the tokens to the calling stage (estimated when the provider doesn't report usage)
+            recordUsage({
+                stage: callOptions.stage,
+                provider: target.providerName,
+                model: modelName,
+                promptTokens: usage ? usage.promptTokens : estimateTokenCount(prompt),
+                outputTokens: usage ? usage.outputTokens : estimateTokenCount(text),
+                estimated: !usage
+            });
+            notifyCaller(callOptions.onUsage, getUsageSummary());
+
+            // Check for safety blocks which might indicate an issue
+            if (blockReason) {
+                log.error(`LLM call blocked. Reason: ${blockReason}`); // Use log.error
                 // Bail immediately if blocked, retrying won't help
-                bail(new Error(`LLM call blocked due to safety settings: ${response.promptFeedback.blockReason}`));
+                bail(new Error(`LLM call blocked due to safety settings: ${blockReason}`));
                 return; // Ensure bail stops execution here
             }
 
-            const text = response.text();
-            log.info(`Received response from "${MODEL_NAME}" (Attempt ${attempt}). (Length: ${text.length})`); // Use log.info
+            log.info(`Received response from ${target.providerName} "${modelName}"${stageLabel} (Attempt ${attempt}). (Length: ${text.length})`); // Use log.info
             if (!text || text.trim().length === 0) {
-                log.warn(`LLM "${MODEL_NAME}" returned empty response on attempt ${attempt}.`); // Use log.warn
+                log.warn(`LLM "${modelName}" returned empty response on attempt ${attempt}.`); // Use log.warn
                 // Throw specific error to trigger retry for empty responses
                 throw new Error("LLM returned an empty response."); // Retryable error
             }
+            if (streaming) {
+                notifyCaller(callOptions.onStream, { delta: '', outputTokens: estimateTokenCount(text), attempt, done: true });
+            }
+            if (targetIndex === activeTargetIndex) consecutiveFailures = 0;
             return text;
             } catch (error) {
-            log.error(`Error calling "${MODEL_NAME}" on attempt ${attempt}:`, error.message); // Use log.error
+            // An abort surfaces as a provider/fetch error; report it as a cancellation, never retry it
+            if (cancellationToken?.isCancellationRequested) {
+                log.warn(`LLM call${stageLabel} aborted in flight on attempt ${attempt}.`); // Use log.warn
+                bail(new CancellationError(`LLM call aborted on attempt ${attempt}.`));
+                return;
+            }
+            log.error(`Error calling "${modelName}"${stageLabel} on attempt ${attempt}:`, error.message); // Use log.error
             // Check for specific error types that shouldn't be retried
             if (error.message.includes('API key not valid')) {
-                log.error("Gemini API key is invalid. Bailing out."); // Use log.error
+                log.error(`${target.providerName} API key is invalid. Bailing out.`); // Use log.error
                 bail(new Error(`LLM API call failed due to invalid API key: ${error.message}`));
                 return;
             }
@@ -225,8 +548,14 @@ async function callLLM(prompt, retryOptions = { retries: 3, factor: 2, minTimeou
                 bail(error); // Already bailed, just rethrow
                 return;
             }
-            // Check for potentially non-retryable Google AI errors (e.g., 4xx client errors other than rate limits)
-            if (error instanceof GoogleGenerativeAIFetchError && error.status >= 400 && error.status < 500 && error.status !== 429) {
+            // Unknown or deprecated model: move straight to the next model in the fallback chain
+            if (isModelUnavailable(error) && tripCircuit(targetIndex, `model unavailable (HTTP ${error.status})`)) {
+                bail(new CircuitOpenError(`Model ${describeTarget(target)} is unavailable.`));
+                return;
+            }
+            // Check for potentially non-retryable provider errors (e.g., 4xx client errors other than rate limits).
+            // GoogleGenerativeAIFetchError and ProviderHttpError both carry the HTTP status.
+            if (error.status >= 400 && error.status < 500 && error.status !== 429) {
                 log.error(`Received client error ${error.status}. Bailing out.`); // Use log.error
                 bail(new Error(`LLM call failed with client error ${error.status}: ${error.message}`));
                 return;
@@ -235,24 +564,119 @@ async function callLLM(prompt, retryOptions = { retries: 3, factor: 2, minTimeou
             // Log reason for retry before throwing
             if (error.message === "LLM returned an empty response.") {
                 log.info(`Retrying LLM call due to empty response...`); // Use log.info
-            } else if (error instanceof GoogleGenerativeAIFetchError && error.status === 502) {
+            } else if (error.status === 502) {
                 log.info(`Retrying LLM call due to 502 Bad Gateway...`); // Use log.info
-            } else if (error instanceof GoogleGenerativeAIFetchError && error.status === 429) {
+            } else if (error.status === 429) {
                 log.info(`Retrying LLM call due to 429 Rate Limit Exceeded...`); // Use log.info
             } else {
                 log.info(`Retrying LLM call due to other error: ${error.name}...`); // Use log.info
             }
 
+            // Count the failure towards the circuit breaker; once open, the call continues on the next target
+            if (targetIndex === activeTargetIndex && ++consecutiveFailures >= failureThreshold
+                && tripCircuit(targetIndex, `${consecutiveFailures} consecutive failures, last: ${error.message}`)) {
+                bail(new CircuitOpenError(`Circuit breaker opened for ${describeTarget(target)}.`));
+                return;
+            }
+
+            error.retryable = true; // Lets callLLM fail over once the retries are exhausted
             throw error; // Rethrow to trigger retry for retryable errors (like 5xx, 429, empty response, network issues)
         }
     }, retryOptions); // Use the passed or default retryOptions
 }
 
+
+/**
+ * Calls the configured LLM with the given prompt.
+ * Handles retries and potential initialization errors.
+ * @param {string} prompt - The prompt to send to the LLM.
+ * @param {object} [retryOptions] - Options for async-retry.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} [cancellationToken] - Optional token to check for cancellation; its signal aborts in-flight requests.
+ * @param {object} [callOptions] - Per-call options.
+ * @param {string} [callOptions.stage] - Name of the engine stage making the call (for logging, usage attribution and LLM_STAGE_SETTINGS lookup).
+ * @param {string|{model?: string, temperature?: number, maxOutputTokens?: number}} [callOptions.profile] - An LLM_PROFILES name or inline settings; overrides the stage's configured settings.
+ * @param {boolean} [callOptions.optional] - True for refinement/validation calls the run can do without; these are skipped once the budget is exceeded.
+ * @param {{name: string, schema: object}} [callOptions.responseSchema] - Requests schema-constrained JSON output from providers that support it (see src/structuredOutput.js).
+ * @param {(summary: object) => void} [callOptions.onUsage] - Receives the run's usage summary after the call completes.
+ * @param {(chunk: {delta: string, outputTokens: number, attempt: number, done?: boolean}) => void} [callOptions.onStream] - Receives partial output as it streams in.
+ *   Each attempt starts with an empty chunk (the text restarts) and a successful attempt ends with `done: true`.
+ * @returns {Promise<string>} The text response from the LLM.
+ * @throws {Error|CancellationError} If initialization failed, the LLM call fails after retries, or is cancelled.
+ * @throws {BudgetExceededError} If the run's budget is exhausted and LLM_BUDGET.onExceeded is "abort".
+ */
+async function callLLM(prompt, retryOptions = { retries: 3, factor: 2, minTimeout: 1000, maxTimeout: 10000 }, cancellationToken, callOptions = {}) {
+    const stageLabel = callOptions.stage ? ` [${callOptions.stage}]` : '';
+    // Check for cancellation before even attempting
+    if (cancellationToken?.isCancellationRequested) {
+        log.warn("LLM call cancelled before starting."); // Use log.warn
+        throw new CancellationError("LLM call cancelled before starting.");
+    }
+
+    // Replay mode: answer from the cassette without touching the network or needing a key
+    if (getCassetteMode() === 'replay') {
+        const recordedResponse = getRecordedResponse(prompt);
+        if (recordedResponse === null) {
+            const promptHash = hashPrompt(prompt);
+            log.error(`Cassette has no recorded response for prompt hash ${promptHash}.`); // Use log.error
+            throw new Error(`Cassette replay miss: no recorded response for prompt hash ${promptHash.substring(0, 12)}. The prompt differs from the recorded run.`);
+        }
+        log.info(`Replayed response from cassette${stageLabel} (Length: ${recordedResponse.length}).`); // Use log.info
+        notifyCaller(callOptions.onStream, { delta: recordedResponse, outputTokens: estimateTokenCount(recordedResponse), attempt: 1, done: true });
+        return recordedResponse;
+    }
+
+    // Budget check: replayed calls above are free, everything below costs tokens
+    const budgetStatus = getBudgetStatus();
+    if (budgetStatus.exceeded) {
+        if (budgetStatus.onExceeded === 'abort') {
+            log.warn(`Run budget exceeded (${budgetStatus.reason}). Aborting.`); // Use log.warn
+            throw new BudgetExceededError(`Run aborted: ${budgetStatus.reason}.`);
+        }
+        if (callOptions.optional) {
+            log.warn(`Run budget exceeded (${budgetStatus.reason}). Skipping optional LLM call${stageLabel}.`); // Use log.warn
+            throw new Error(`Skipped optional LLM call${stageLabel}: ${budgetStatus.reason}.`);
+        }
+    }
+
+    if (initializationError) {
+        // If initialization failed earlier, throw the stored error immediately.
+        throw new Error(`LLM Initialization Error: ${initializationError}`);
+    }
+    if (!provider) {
+        // This case should theoretically be covered by initializationError, but as a safeguard:
+        throw new Error(`LLM provider "${PROVIDER_NAME}" (model "${MODEL_NAME}") is not available. Check configuration and logs.`);
+    }
+    // Stage profile: a different model or generation settings for this call
+    const overrides = resolveStageSettings(callOptions.stage, callOptions.profile);
+
+    // Walk the fallback chain from the target the circuit breaker currently routes to
+    let responseText;
+    for (;;) {
+        const targetIndex = activeTargetIndex;
+        try {
+            responseText = await callTarget(targetIndex, prompt, overrides, retryOptions, cancellationToken, callOptions);
+            break;
+        } catch (error) {
+            if (error instanceof CircuitOpenError) continue;
+            if (error.retryable && tripCircuit(targetIndex, `retries exhausted: ${error.message}`)) continue;
+            throw error;
+        }
+    }
+
+    // Record mode: keep the final (post-retry) response for offline replay
+    if (getCassetteMode() === 'record') {
+        await recordResponse(prompt, responseText);
+    }
+    return responseText;
+}
+
 module.exports = {
     callLLM,
+    CancellationError, // Shared so callers can recognise cancellations with instanceof
+    BudgetExceededError,
     loadConfigAndInitialize, // Export the loader function to be called by main.js
-    // Removed exports for isApiKeyStoredSecurely and saveApiKeySecurely
-    // Export model name or status if needed by UI, e.g., via another IPC handler
-    // getInitializationError: () => initializationError, // Example getter
-    // getApiKeySource: () => apiKeySource // Example getter
+    applyProjectConfig, // Called by ipcHandlers with the run's project folder once it is known
+    startLLMRun, // Called by ipcHandlers at the start of each generation run
+    getLLMStatus, // Provider, key source and initialization state for the API key settings pane
+    testApiKey,
 };
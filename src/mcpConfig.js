@@ -0,0 +1,127 @@
+// src/mcpConfig.js - Project-level MCP server configuration (.roo/mcp.json)
+//
+// The MCP config stage asks the LLM for the servers the project needs (MCP_SERVERS_SCHEMA in src/schemas.js).
+// This module turns that list into the .roo/mcp.json format Roo Code reads, checks the file against
+// MCP_SETTINGS_SCHEMA, and cross-links the generated modes with the servers they use.
+
+const log = require('electron-log'); // Import electron-log
+const { validateAgainstSchema } = require('./jsonSchema');
+
+const MCP_CONFIG_FILENAME = '.roo/mcp.json';
+const STRING_MAP = { type: 'object', additionalProperties: { type: 'string' } };
+
+// The .roo/mcp.json format: { mcpServers: { <name>: stdio server | remote server } }
+const MCP_SETTINGS_SCHEMA = {
+    type: 'object',
+    required: ['mcpServers'],
+    additionalProperties: false,
+    properties: {
+        mcpServers: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    type: { type: 'string', enum: ['stdio', 'sse', 'streamable-http'] },
+                    command: { type: 'string', minLength: 1 },
+                    args: { type: 'array', items: { type: 'string' } },
+                    cwd: { type: 'string' },
+                    env: STRING_MAP,
+                    url: { type: 'string', pattern: '^https?://' },
+                    headers: STRING_MAP,
+                    alwaysAllow: { type: 'array', items: { type: 'string' } },
+                    disabled: { type: 'boolean' },
+                    timeout: { type: 'integer', minimum: 1, maximum: 3600 }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Checks MCP settings against MCP_SETTINGS_SCHEMA, plus the rule the schema can't express:
+ * a server is either started with a command (stdio) or reached by URL, never both.
+ * @param {*} settings - The parsed .roo/mcp.json content.
+ * @returns {string[]} Validation errors; empty when the settings are valid.
+ */
+function getMcpSettingsErrors(settings) {
+    const errors = validateAgainstSchema(settings, MCP_SETTINGS_SCHEMA);
+    if (errors.length > 0) return errors;
+    for (const [name, server] of Object.entries(settings.mcpServers)) {
+        if (Boolean(server.command) === Boolean(server.url)) {
+            errors.push(`$.mcpServers.${name}: needs exactly one of "command" (stdio) or "url" (sse, streamable-http)`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Builds the .roo/mcp.json content from the servers the LLM proposed. Environment variables become
+ * ${env:NAME} placeholders, so the file can be committed and each developer sets the values locally.
+ * @param {Array<{name: string, transport: string, command?: string, args?: string[], url?: string, headers?: Array<{name: string, value: string}>, env: Array<{name: string}>}>} servers
+ *   Schema-valid servers (see MCP_SERVERS_SCHEMA).
+ * @returns {{mcpServers: Record<string, object>}} The settings.
+ * @throws {Error} If the result doesn't match MCP_SETTINGS_SCHEMA.
+ */
+function buildMcpSettings(servers) {
+    const mcpServers = {};
+    for (const server of servers) {
+        if (server.transport === 'stdio') {
+            mcpServers[server.name] = { command: server.command, args: server.args || [] };
+            if (server.env.length > 0) {
+                mcpServers[server.name].env = Object.fromEntries(server.env.map(variable => [variable.name, `\${env:${variable.name}}`]));
+            }
+        } else {
+            // Remote servers take their secrets as request headers that reference the variables
+            mcpServers[server.name] = { type: server.transport, url: server.url };
+            if (server.headers?.length > 0) {
+                mcpServers[server.name].headers = Object.fromEntries(server.headers.map(header => [header.name, header.value]));
+            }
+        }
+    }
+    const settings = { mcpServers };
+    const errors = getMcpSettingsErrors(settings);
+    if (errors.length > 0) throw new Error(`Generated ${MCP_CONFIG_FILENAME} is invalid: ${errors.join('; ')}`);
+    return settings;
+}
+
+/**
+ * Cross-links modes and MCP servers. A mode that names a server gets the "mcp" tool group; a mode with the
+ * "mcp" group that names no server is told which servers exist. Servers no mode names are logged.
+ * @param {{customModes: object[]}} parsedModes - Schema-valid .roomodes content.
+ * @param {Array<{name: string, purpose: string}>} [servers=[]] - The configured servers (empty without an MCP config).
+ * @returns {{customModes: object[]}} The linked content (parsedModes itself if there are no servers).
+ */
+function linkModesToMcpServers(parsedModes, servers = []) {
+    if (servers.length === 0) return parsedModes;
+    const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const usedServers = new Set();
+    const customModes = parsedModes.customModes.map(mode => {
+        const text = `${mode.roleDefinition}\n${mode.customInstructions || ''}`;
+        const namedServers = servers.filter(server => new RegExp(`(^|[^\\w-])${escapeRegex(server.name)}($|[^\\w-])`).test(text));
+        namedServers.forEach(server => usedServers.add(server.name));
+        const hasMcpGroup = mode.groups.includes('mcp');
+        if (namedServers.length > 0 && !hasMcpGroup) {
+            log.info(`Mode "${mode.slug}" uses MCP server(s) ${namedServers.map(server => server.name).join(', ')}; adding the mcp group.`); // Use log.info
+            return { ...mode, groups: [...mode.groups, 'mcp'] };
+        }
+        if (namedServers.length === 0 && hasMcpGroup) {
+            const serverList = servers.map(server => `${server.name} (${server.purpose})`).join('; ');
+            const note = `MCP servers configured in ${MCP_CONFIG_FILENAME}: ${serverList}.`;
+            servers.forEach(server => usedServers.add(server.name));
+            return { ...mode, customInstructions: mode.customInstructions ? `${mode.customInstructions}\n\n${note}` : note };
+        }
+        return mode;
+    });
+    const unusedServers = servers.filter(server => !usedServers.has(server.name)).map(server => server.name);
+    if (unusedServers.length > 0) log.warn(`No mode uses MCP server(s): ${unusedServers.join(', ')}`); // Use log.warn
+    return { ...parsedModes, customModes };
+}
+
+module.exports = {
+    MCP_CONFIG_FILENAME,
+    MCP_SETTINGS_SCHEMA,
+    getMcpSettingsErrors,
+    buildMcpSettings,
+    linkModesToMcpServers,
+};
@@ -0,0 +1,91 @@
+// src/planSelection.js - Best-of-N plan selection (PLAN_CANDIDATES)
+//
+// With PLAN_CANDIDATES above 1, Stage 6 drafts that many roo-plan.md candidates and keeps the
+// highest-scoring one. A candidate's score combines the structural checks of Stage 6.1, how many of
+// its mode references name a known mode, and an LLM judge's rubric scores (see PLAN_JUDGE_SCHEMA).
+
+const log = require('electron-log'); // Import electron-log
+
+const MAX_PLAN_CANDIDATES = 5;
+// Modes built into Roo Code, which a plan may use without defining them in .roomodes
+const BUILT_IN_MODE_SLUGS = ['code', 'architect', 'ask', 'debug', 'orchestrator'];
+// How much each part counts towards a candidate's score (each part is between 0 and 1)
+const SCORE_WEIGHTS = { validation: 0.3, slugs: 0.2, judge: 0.5 };
+const RUBRIC_KEYS = ['requirementsCoverage', 'slugUsage', 'taskGranularity'];
+
+// --- Plan Selection State ---
+let planCandidateCount = 1;
+
+/**
+ * Applies the PLAN_CANDIDATES value from config.json.
+ * @param {{candidates?: number}} settings - The raw config value.
+ * @returns {string|null} An error message if the value is unusable, otherwise null.
+ */
+function configurePlanSelection({ candidates } = {}) {
+    planCandidateCount = 1;
+    if (candidates === undefined) return null;
+    if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_PLAN_CANDIDATES) {
+        return `PLAN_CANDIDATES must be a whole number from 1 to ${MAX_PLAN_CANDIDATES}.`;
+    }
+    planCandidateCount = candidates;
+    if (candidates > 1) log.info(`Plan assembly will draft ${candidates} candidates and keep the best.`); // Use log.info
+    return null;
+}
+
+/**
+ * Returns how many plan candidates Stage 6 drafts.
+ * @returns {number} The candidate count (1 disables best-of-N).
+ */
+function getPlanCandidateCount() {
+    return planCandidateCount;
+}
+
+/**
+ * Measures how many of a plan's mode references (<mode> and <mode_slug>) name a mode that exists.
+ * @param {string} plan - The plan content.
+ * @param {string[]} modeSlugs - Slugs defined in .roomodes.
+ * @returns {{score: number, unknownSlugs: string[]}} The share of valid references (1 if there are none) and the unknown slugs.
+ */
+function scoreSlugUsage(plan, modeSlugs) {
+    const knownSlugs = new Set([...modeSlugs, ...BUILT_IN_MODE_SLUGS]);
+    const references = [...plan.matchAll(/<(mode|mode_slug)>\s*([^<\s]+)\s*<\/\1>/g)].map(match => match[2]);
+    if (references.length === 0) return { score: 1, unknownSlugs: [] };
+    const unknownSlugs = references.filter(slug => !knownSlugs.has(slug));
+    return { score: (references.length - unknownSlugs.length) / references.length, unknownSlugs: [...new Set(unknownSlugs)] };
+}
+
+/**
+ * Scores plan candidates and orders them best first.
+ * @param {Array<{plan: string, validationIssues: string[]}>} candidates - The candidates and their Stage 6.1 validation issues.
+ * @param {string[]} modeSlugs - Slugs defined in .roomodes.
+ * @param {Array<{candidate: number, requirementsCoverage: number, slugUsage: number, taskGranularity: number, rationale: string}>|null} judgeScores
+ *   Rubric scores by 1-based candidate number, or null if the judge was unavailable (its weight is then left out).
+ * @returns {Array<{index: number, plan: string, validationIssues: string[], unknownSlugs: string[], judge: object|null, score: number}>} The scored candidates, best first (ties keep draft order).
+ */
+function rankPlanCandidates(candidates, modeSlugs, judgeScores) {
+    const scored = candidates.map((candidate, index) => {
+        const { score: slugScore, unknownSlugs } = scoreSlugUsage(candidate.plan, modeSlugs);
+        const judge = judgeScores ? judgeScores.find(score => score.candidate === index + 1) || null : null;
+        const parts = {
+            validation: 1 / (1 + candidate.validationIssues.length),
+            slugs: slugScore
+        };
+        if (judge) {
+            // Rubric scores run from 1 to 5; map their mean onto 0 to 1
+            const rubricMean = RUBRIC_KEYS.reduce((sum, key) => sum + judge[key], 0) / RUBRIC_KEYS.length;
+            parts.judge = (rubricMean - 1) / 4;
+        }
+        const totalWeight = Object.keys(parts).reduce((sum, part) => sum + SCORE_WEIGHTS[part], 0);
+        const score = Object.entries(parts).reduce((sum, [part, value]) => sum + SCORE_WEIGHTS[part] * value, 0) / totalWeight;
+        return { index, plan: candidate.plan, validationIssues: candidate.validationIssues, unknownSlugs, judge, score };
+    });
+    return scored.sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+module.exports = {
+    MAX_PLAN_CANDIDATES,
+    configurePlanSelection,
+    getPlanCandidateCount,
+    scoreSlugUsage,
+    rankPlanCandidates,
+};
@@ -0,0 +1,196 @@
+// src/presets.js - Tech-stack presets: reusable team constraints for a generation run
+//
+// A preset is a JSON or YAML file in PRESETS_DIRECTORY (default presets/ next to package.json); its id is
+// the file name without the extension. It can name the stack, folder conventions, mandatory files,
+// banned libraries and default modes. The constraints are added to the analysis, structure and rules
+// prompts; mandatory files and banned libraries are also enforced on the Proposed Structure, and
+// default modes are always written to .roomodes.
+
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const log = require('electron-log'); // Import electron-log
+const { validateAgainstSchema } = require('./jsonSchema');
+const { ROOMODES_SCHEMA, PROPOSED_STRUCTURE_SCHEMA } = require('./schemas');
+
+const DEFAULT_PRESETS_DIRECTORY = 'presets'; // Relative to the project root
+const PRESET_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const NON_EMPTY_STRING_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const PRESET_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        stack: NON_EMPTY_STRING_LIST,
+        folderConventions: NON_EMPTY_STRING_LIST,
+        // Paths the Proposed Structure must contain; a trailing "/" marks a directory
+        mandatoryFiles: NON_EMPTY_STRING_LIST,
+        bannedLibraries: NON_EMPTY_STRING_LIST,
+        // Complete .roomodes entries
+        defaultModes: { type: 'array', items: ROOMODES_SCHEMA.schema.properties.customModes.items }
+    }
+};
+
+// --- Preset State ---
+let presetsDirectory = path.resolve(path.join(__dirname, '..'), DEFAULT_PRESETS_DIRECTORY);
+
+/**
+ * Applies the PRESETS_DIRECTORY value from config.json.
+ * @param {{directory?: string}} settings - The raw config value; relative paths are resolved against the project root.
+ */
+function configurePresets({ directory } = {}) {
+    presetsDirectory = path.resolve(path.join(__dirname, '..'), directory || DEFAULT_PRESETS_DIRECTORY);
+    log.info(`Presets are read from ${presetsDirectory}`); // Use log.info
+}
+
+/**
+ * Reads and validates one preset file.
+ * @param {string} fileName - The file name inside the presets directory.
+ * @returns {Promise<object>} The preset, with its id added.
+ * @throws {Error} If the file can't be read or parsed, or doesn't match PRESET_SCHEMA.
+ */
+async function readPresetFile(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    const text = await fs.readFile(path.join(presetsDirectory, fileName), 'utf8');
+    let preset;
+    try {
+        preset = ext === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new Error(`Preset ${fileName} is not valid ${ext === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+    }
+    const errors = validateAgainstSchema(preset, PRESET_SCHEMA);
+    const slugs = (preset?.defaultModes || []).map(mode => mode.slug);
+    slugs.forEach((slug, index) => {
+        if (slugs.indexOf(slug) !== index) errors.push(`$.defaultModes[${index}].slug: duplicate slug "${slug}"`);
+    });
+    if (errors.length > 0) throw new Error(`Preset ${fileName} is invalid: ${errors.join('; ')}`);
+    return { ...preset, id: path.basename(fileName, path.extname(fileName)) };
+}
+
+/**
+ * Lists the presets the user can pick. Invalid files are logged and left out.
+ * @returns {Promise<Array<{id: string, name: string, description: string}>>} The valid presets, sorted by name.
+ */
+async function listPresets() {
+    let fileNames;
+    try {
+        fileNames = await fs.readdir(presetsDirectory);
+    } catch (error) {
+        if (error.code !== 'ENOENT') log.warn(`Cannot read presets directory ${presetsDirectory}: ${error.message}`); // Use log.warn
+        return [];
+    }
+    const presets = [];
+    for (const fileName of fileNames.filter(name => PRESET_EXTENSIONS.includes(path.extname(name).toLowerCase()))) {
+        try {
+            const preset = await readPresetFile(fileName);
+            if (presets.some(listed => listed.id === preset.id)) {
+                log.warn(`Skipping preset ${fileName}: another file already defines preset "${preset.id}".`); // Use log.warn
+                continue;
+            }
+            presets.push({ id: preset.id, name: preset.name, description: preset.description || '' });
+        } catch (error) {
+            log.warn(error.message); // Use log.warn
+        }
+    }
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Loads a preset by id.
+ * @param {string} presetId - The preset's file name without extension.
+ * @returns {Promise<object>} The validated preset.
+ * @throws {Error} If no valid preset has that id.
+ */
+async function loadPreset(presetId) {
+    if (!presetId || path.basename(presetId) !== presetId) throw new Error(`Invalid preset id "${presetId}".`);
+    for (const ext of PRESET_EXTENSIONS) {
+        try {
+            return await readPresetFile(`${presetId}${ext}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    throw new Error(`Preset "${presetId}" not found in ${presetsDirectory}.`);
+}
+
+/**
+ * Normalizes a structure or preset path for comparison: forward slashes, no leading "./" or "/", no trailing "/".
+ * @param {string} itemPath - The path.
+ * @returns {string} The normalized path.
+ */
+function normalizePresetPath(itemPath) {
+    return itemPath.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Checks a Proposed Structure list against a preset: every mandatory file or directory must be present,
+ * and no path may be named after a banned library (e.g. "src/redux/" when "redux" is banned).
+ * @param {object|null} preset - The run's preset.
+ * @param {Array<{type: string, path: string}>} structure - The Proposed Structure list.
+ * @returns {string[]} Violations, worded like schema errors; empty without a preset.
+ */
+function getPresetStructureErrors(preset, structure) {
+    if (!preset) return [];
+    const errors = [];
+    const items = structure.map(item => ({ type: item.type, path: normalizePresetPath(item.path) }));
+
+    for (const required of preset.mandatoryFiles || []) {
+        const requiredPath = normalizePresetPath(required);
+        const isDirectory = /[\\/]$/.test(required.trim());
+        const present = isDirectory
+            ? items.some(item => item.path === requiredPath || item.path.startsWith(`${requiredPath}/`))
+            : items.some(item => item.type === 'file' && item.path === requiredPath);
+        if (!present) errors.push(`$.structure: missing ${isDirectory ? 'directory' : 'file'} "${required}", which preset "${preset.name}" requires`);
+    }
+
+    const banned = (preset.bannedLibraries || []).map(library => library.toLowerCase());
+    structure.forEach((item, index) => {
+        const segments = items[index].path.toLowerCase().split('/');
+        // Compare file names with and without their extension ("moment.js" and "moment")
+        const names = new Set([...segments, segments[segments.length - 1].replace(/\.[^.]+$/, '')]);
+        const library = banned.find(name => names.has(name) || names.has(name.replace(/\.js$/, '')));
+        if (library) errors.push(`$.structure[${index}].path: "${item.path}" is named after "${library}", which preset "${preset.name}" bans`);
+    });
+    return errors;
+}
+
+/**
+ * Returns the Proposed Structure schema definition with the preset's rules added to its checks,
+ * so structure repair feeds preset violations back to the LLM like any other schema error.
+ * @param {object|null} preset - The run's preset.
+ * @returns {{name: string, schema: object, check: Function}} PROPOSED_STRUCTURE_SCHEMA itself when there is no preset.
+ */
+function getPresetStructureSchema(preset) {
+    if (!preset) return PROPOSED_STRUCTURE_SCHEMA;
+    return {
+        ...PROPOSED_STRUCTURE_SCHEMA,
+        check: value => [...PROPOSED_STRUCTURE_SCHEMA.check(value), ...getPresetStructureErrors(preset, value.structure)]
+    };
+}
+
+/**
+ * Adds the preset's default modes to generated .roomodes content. A default mode replaces a generated mode with the same slug.
+ * @param {object|null} preset - The run's preset.
+ * @param {{customModes: object[]}} parsedModes - Schema-valid .roomodes content.
+ * @returns {{customModes: object[]}} The merged content (parsedModes itself if the preset has no default modes).
+ */
+function mergePresetModes(preset, parsedModes) {
+    const defaultModes = preset?.defaultModes || [];
+    if (defaultModes.length === 0) return parsedModes;
+    const defaultSlugs = new Set(defaultModes.map(mode => mode.slug));
+    const replaced = parsedModes.customModes.filter(mode => defaultSlugs.has(mode.slug)).map(mode => mode.slug);
+    if (replaced.length > 0) log.info(`Preset "${preset.name}" replaces generated modes: ${replaced.join(', ')}`); // Use log.info
+    return { ...parsedModes, customModes: [...parsedModes.customModes.filter(mode => !defaultSlugs.has(mode.slug)), ...defaultModes] };
+}
+
+module.exports = {
+    configurePresets,
+    listPresets,
+    loadPreset,
+    getPresetStructureErrors,
+    getPresetStructureSchema,
+    mergePresetModes,
+};
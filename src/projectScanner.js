@@ -0,0 +1,165 @@
+// src/projectScanner.js - Summarizes an existing project folder for brownfield runs
+//
+// The summary is Markdown: the file tree, the dependency manifests, the README and any existing
+// Roo Code configuration (.roomodes, .clinerules*, .roo/). It is added to the analysis and
+// structuring prompts so the plan builds on the codebase instead of starting from scratch.
+// Everything is capped (entries, depth, characters per file) so large repositories stay within the prompt budget.
+
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log'); // Import electron-log
+
+const MAX_TREE_ENTRIES = 400;
+const MAX_TREE_DEPTH = 6;
+const MAX_MANIFESTS = 8;
+const MAX_MANIFEST_CHARS = 4000;
+const MAX_README_CHARS = 6000;
+const MAX_ROO_FILE_CHARS = 4000;
+// Dependency, build and tool folders that say nothing about the project's own structure
+const IGNORED_DIRECTORIES = new Set([
+    '.git', '.hg', '.svn', 'node_modules', 'bower_components', 'vendor', 'dist', 'build', 'out', 'target', 'coverage',
+    '.next', '.nuxt', '.cache', '.venv', 'venv', 'env', '__pycache__', '.pytest_cache', '.mypy_cache', '.tox',
+    '.idea', '.vscode', '.gradle', 'bin', 'obj'
+]);
+const MANIFEST_FILE_NAMES = new Set([
+    'package.json', 'requirements.txt', 'pyproject.toml', 'Pipfile', 'setup.py', 'go.mod', 'Cargo.toml',
+    'pom.xml', 'build.gradle', 'build.gradle.kts', 'Gemfile', 'composer.json', 'pubspec.yaml', 'mix.exs'
+]);
+const README_FILE_NAMES = ['README.md', 'README.rst', 'README.txt', 'README', 'readme.md'];
+
+/**
+ * Lists the folder's files and directories, depth first and sorted, skipping ignored directories.
+ * @param {string} rootDirectory - The project folder.
+ * @returns {Promise<{entries: Array<{type: 'dir'|'file', path: string, depth: number}>, truncated: boolean}>} Entries with forward-slash paths relative to the root.
+ */
+async function walkProjectTree(rootDirectory) {
+    const entries = [];
+    let truncated = false;
+    const visit = async (relativeDir, depth) => {
+        let dirents;
+        try {
+            dirents = await fs.readdir(path.join(rootDirectory, relativeDir), { withFileTypes: true });
+        } catch (error) {
+            log.warn(`Project scan: cannot read ${relativeDir || '.'}: ${error.message}`); // Use log.warn
+            return;
+        }
+        // Directories first, then files, each alphabetically
+        dirents.sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+        for (const dirent of dirents) {
+            if (entries.length >= MAX_TREE_ENTRIES) {
+                truncated = true;
+                return;
+            }
+            const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+            if (dirent.isDirectory()) {
+                if (IGNORED_DIRECTORIES.has(dirent.name)) continue;
+                entries.push({ type: 'dir', path: relativePath, depth });
+                if (depth + 1 < MAX_TREE_DEPTH) {
+                    await visit(relativePath, depth + 1);
+                } else {
+                    truncated = true;
+                }
+            } else if (dirent.isFile()) {
+                entries.push({ type: 'file', path: relativePath, depth });
+            }
+        }
+    };
+    await visit('', 0);
+    return { entries, truncated };
+}
+
+/**
+ * Reads a text file, keeping at most maxChars characters.
+ * @param {string} filePath - The file to read.
+ * @param {number} maxChars - The character limit.
+ * @returns {Promise<string|null>} The (possibly truncated) content, or null if unreadable.
+ */
+async function readTextExcerpt(filePath, maxChars) {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return content.length > maxChars ? `${content.slice(0, maxChars)}\n... (truncated, ${content.length} characters in total)` : content;
+    } catch (error) {
+        log.warn(`Project scan: cannot read ${filePath}: ${error.message}`); // Use log.warn
+        return null;
+    }
+}
+
+/**
+ * Wraps content in a code fence longer than any backtick run inside it.
+ * @param {string} content - The content to fence.
+ * @param {string} [language=''] - The fence's language tag.
+ * @returns {string} The fenced block.
+ */
+function fenceContent(content, language = '') {
+    const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${content.trimEnd()}\n${fence}`;
+}
+
+/**
+ * Picks a fence language from a file name.
+ * @param {string} fileName - The file name.
+ * @returns {string} The language tag, or '' if unknown.
+ */
+function getFenceLanguage(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext === '.json' || fileName === '.roomodes') return 'json';
+    if (ext === '.toml') return 'toml';
+    if (ext === '.xml') return 'xml';
+    if (ext === '.yaml' || ext === '.yml') return 'yaml';
+    if (ext === '.md') return 'markdown';
+    return '';
+}
+
+/**
+ * Scans an existing project folder and summarizes it as Markdown for the analysis and structuring prompts.
+ * @param {string} rootDirectory - The project folder.
+ * @returns {Promise<{folder: string, summary: string, fileCount: number}>} The folder, its summary and the number of files listed.
+ * @throws {Error} If the folder can't be read.
+ */
+async function scanExistingProject(rootDirectory) {
+    const stats = await fs.stat(rootDirectory).catch(error => {
+        throw new Error(`Cannot read project folder ${rootDirectory}: ${error.message}`);
+    });
+    if (!stats.isDirectory()) throw new Error(`${rootDirectory} is not a folder.`);
+
+    log.info(`Scanning existing project in ${rootDirectory}`); // Use log.info
+    const { entries, truncated } = await walkProjectTree(rootDirectory);
+    const files = entries.filter(entry => entry.type === 'file');
+    const sections = [`Project folder: ${path.basename(rootDirectory)}`];
+
+    const treeLines = entries.map(entry => `${'  '.repeat(entry.depth)}${path.posix.basename(entry.path)}${entry.type === 'dir' ? '/' : ''}`);
+    if (truncated) treeLines.push(`... (listing stopped at ${MAX_TREE_ENTRIES} entries or ${MAX_TREE_DEPTH} levels)`);
+    sections.push(`## File Tree (${files.length} files listed; version control, dependency and build folders skipped)\n${fenceContent(treeLines.join('\n') || '(empty folder)')}`);
+
+    // Shallowest manifests first, so the root package.json wins over nested ones
+    const manifests = files
+        .filter(entry => MANIFEST_FILE_NAMES.has(path.posix.basename(entry.path)))
+        .sort((a, b) => a.depth - b.depth)
+        .slice(0, MAX_MANIFESTS);
+    const manifestBlocks = [];
+    for (const manifest of manifests) {
+        const content = await readTextExcerpt(path.join(rootDirectory, manifest.path), MAX_MANIFEST_CHARS);
+        if (content !== null) manifestBlocks.push(`### ${manifest.path}\n${fenceContent(content, getFenceLanguage(manifest.path))}`);
+    }
+    sections.push(`## Manifests\n${manifestBlocks.length > 0 ? manifestBlocks.join('\n\n') : 'None found.'}`);
+
+    const readme = files.find(entry => entry.depth === 0 && README_FILE_NAMES.includes(entry.path));
+    const readmeContent = readme ? await readTextExcerpt(path.join(rootDirectory, readme.path), MAX_README_CHARS) : null;
+    sections.push(`## README${readme ? ` (${readme.path})` : ''}\n${readmeContent !== null ? fenceContent(readmeContent, 'markdown') : 'None found.'}`);
+
+    const rooFiles = files.filter(entry => entry.path === '.roomodes' || /^\.clinerules/.test(entry.path) || entry.path.startsWith('.roo/'));
+    const rooBlocks = [];
+    for (const rooFile of rooFiles) {
+        const content = await readTextExcerpt(path.join(rootDirectory, rooFile.path), MAX_ROO_FILE_CHARS);
+        if (content !== null) rooBlocks.push(`### ${rooFile.path}\n${fenceContent(content, getFenceLanguage(rooFile.path))}`);
+    }
+    sections.push(`## Existing Roo Code Configuration\n${rooBlocks.length > 0 ? rooBlocks.join('\n\n') : 'None found.'}`);
+
+    log.info(`Project scan: ${files.length} files, ${manifestBlocks.length} manifest(s), README ${readme ? 'found' : 'not found'}, ${rooBlocks.length} Roo Code file(s).`); // Use log.info
+    return { folder: rootDirectory, summary: sections.join('\n\n'), fileCount: files.length };
+}
+
+module.exports = {
+    scanExistingProject,
+};
@@ -0,0 +1,228 @@
+// src/prompts/contextBudget.js - Keeps stage 4-6 prompts within the model's context window
+//
+// Prompt builders pass the structured Markdown through fitToContextWindow. If the finished prompt
+// is estimated to exceed LLM_MAX_PROMPT_TOKENS, the stage's reduction steps are applied in order
+// (each one cumulative) until it fits. The steps only ever drop or condense sections the stage
+// doesn't need, so the same input always produces the same prompt.
+
+const log = require('electron-log'); // Import electron-log
+const { estimateTokenCount } = require('../utils');
+
+// Used until loadConfigAndInitialize configures the provider's limit
+const DEFAULT_MAX_PROMPT_TOKENS = 100000;
+// Outline summaries keep this much of each file's first outline line
+const OUTLINE_SUMMARY_LINE_LENGTH = 120;
+
+let maxPromptTokens = DEFAULT_MAX_PROMPT_TOKENS;
+
+/**
+ * Sets the prompt size limit (in estimated tokens) applied by fitToContextWindow.
+ * @param {number} limit - The maximum prompt size.
+ */
+function configureContextBudget(limit) {
+    maxPromptTokens = limit;
+}
+
+/**
+ * Returns the configured prompt size limit.
+ * @returns {number} The maximum prompt size in estimated tokens.
+ */
+function getMaxPromptTokens() {
+    return maxPromptTokens;
+}
+
+/**
+ * Splits Markdown into heading-delimited blocks, ignoring "#" lines inside code fences.
+ * @param {string} markdown - The Markdown to split.
+ * @returns {Array<{level: number, title: string, lines: string[]}>} Blocks in order; the first has level 0 if text precedes any heading.
+ */
+function splitMarkdownBlocks(markdown) {
+    const blocks = [{ level: 0, title: '', lines: [] }];
+    let inFence = false;
+    for (const line of markdown.split('\n')) {
+        if (/^\s*```/.test(line)) inFence = !inFence;
+        const headingMatch = !inFence && line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*$/);
+        if (headingMatch) {
+            blocks.push({ level: headingMatch[1].length, title: headingMatch[2], lines: [line] });
+        } else {
+            blocks[blocks.length - 1].lines.push(line);
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Checks whether a heading title names the given section (case-insensitive prefix, so
+ * "Proposed Structure" matches "Proposed Structure (JSON)").
+ * @param {string} title - The heading text.
+ * @param {string} sectionName - The section name to look for.
+ * @returns {boolean} True if the heading is that section.
+ */
+function isSection(title, sectionName) {
+    return title.toLowerCase().startsWith(sectionName.toLowerCase());
+}
+
+/**
+ * Rewrites the named sections (heading plus everything up to the next heading of the same or higher level).
+ * @param {string} markdown - The Markdown to rewrite.
+ * @param {string[]} sectionNames - Sections to rewrite.
+ * @param {(sectionLines: string[]) => string[]} rewrite - Returns the replacement lines (empty to drop the section).
+ * @returns {string} The rewritten Markdown.
+ */
+function rewriteSections(markdown, sectionNames, rewrite) {
+    const blocks = splitMarkdownBlocks(markdown);
+    const output = [];
+    for (let index = 0; index < blocks.length; index++) {
+        const block = blocks[index];
+        if (block.level === 0 || !sectionNames.some(name => isSection(block.title, name))) {
+            output.push(...block.lines);
+            continue;
+        }
+        // Collect the section's subsections too
+        const sectionLines = [...block.lines];
+        while (index + 1 < blocks.length && blocks[index + 1].level > block.level) {
+            sectionLines.push(...blocks[++index].lines);
+        }
+        output.push(...rewrite(sectionLines));
+    }
+    return output.join('\n');
+}
+
+/**
+ * Reduction step that removes whole sections.
+ * @param {...string} sectionNames - Section headings to drop (e.g. 'Performance Requirements').
+ * @returns {{description: string, apply: (markdown: string) => string}} The reduction step.
+ */
+function dropSections(...sectionNames) {
+    return {
+        description: `drop ${sectionNames.join(', ')}`,
+        apply: markdown => rewriteSections(markdown, sectionNames, () => [])
+    };
+}
+
+/**
+ * Reduction step that condenses Core Logic Outlines to one line per file.
+ * @returns {{description: string, apply: (markdown: string) => string}} The reduction step.
+ */
+function summarizeOutlines() {
+    return {
+        description: 'summarize Core Logic Outlines',
+        apply: markdown => rewriteSections(markdown, ['Core Logic Outlines'], ([heading, ...body]) => {
+            const summary = [heading, '(Outlines summarized to fit the context window: first line per file.)'];
+            let currentFileLine = null;
+            for (const line of body) {
+                const fileMatch = line.match(/^\s*-\s*`([^`]+)`:\s*(.*)$/);
+                if (fileMatch) {
+                    if (currentFileLine) summary.push(currentFileLine);
+                    currentFileLine = fileMatch[2] ? `- \`${fileMatch[1]}\`: ${fileMatch[2].substring(0, OUTLINE_SUMMARY_LINE_LENGTH)}` : `- \`${fileMatch[1]}\`:`;
+                } else if (currentFileLine && currentFileLine.endsWith(':') && line.trim() && !line.trim().startsWith('```')) {
+                    currentFileLine += ` ${line.trim().replace(/^[-*]\s*/, '').substring(0, OUTLINE_SUMMARY_LINE_LENGTH)}`;
+                }
+            }
+            if (currentFileLine) summary.push(currentFileLine);
+            return [...summary, ''];
+        })
+    };
+}
+
+// What each stage can do without, cheapest loss first. Sections a stage relies on are never dropped:
+// the Proposed Structure and Technology Stack stay everywhere, the outlines stay (at least summarized)
+// for modes and plans, and the standards sections stay for the rules files.
+const REDUCTION_STRATEGIES = {
+    rules: [
+        dropSections('Performance Requirements', 'Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        dropSections('Documentation', 'Integration Requirements'),
+        summarizeOutlines(),
+        dropSections('Core Logic Outlines', 'Functional Requirements')
+    ],
+    rooignore: [
+        dropSections('Performance Requirements', 'Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        dropSections('Documentation', 'Development Standards', 'Best Practices'),
+        summarizeOutlines(),
+        dropSections('Core Logic Outlines', 'Functional Requirements', 'Integration Requirements')
+    ],
+    workspaceRules: [
+        dropSections('Performance Requirements', 'Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        summarizeOutlines(),
+        dropSections('Documentation', 'Integration Requirements'),
+        dropSections('Core Logic Outlines')
+    ],
+    footgun: [
+        dropSections('Performance Requirements', 'Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        dropSections('Documentation', 'Testing Requirements'),
+        summarizeOutlines(),
+        dropSections('Core Logic Outlines')
+    ],
+    memoryBank: [
+        dropSections('Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        summarizeOutlines(),
+        dropSections('Documentation', 'Best Practices', 'Development Standards'),
+        dropSections('Core Logic Outlines')
+    ],
+    mcpConfig: [
+        dropSections('Performance Requirements', 'Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        dropSections('Documentation', 'Development Standards', 'Best Practices', 'Testing Requirements'),
+        summarizeOutlines()
+    ],
+    modes: [
+        dropSections('Performance Requirements', 'Confidence Assessment'),
+        dropSections('Documentation', 'Best Practices'),
+        summarizeOutlines()
+    ],
+    modeRules: [
+        dropSections('Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        dropSections('Performance Requirements', 'Documentation'),
+        summarizeOutlines(),
+        dropSections('Core Logic Outlines', 'Integration Requirements')
+    ],
+    testSkeletons: [
+        dropSections('Potential Boomerang Task Candidates', 'Confidence Assessment'),
+        dropSections('Performance Requirements', 'Documentation', 'Best Practices'),
+        summarizeOutlines(),
+        dropSections('Core Logic Outlines', 'Integration Requirements')
+    ],
+    plan: [
+        summarizeOutlines(),
+        dropSections('Performance Requirements', 'Confidence Assessment'),
+        dropSections('Documentation', 'Best Practices', 'Development Standards')
+    ],
+};
+
+/**
+ * Builds a prompt, reducing the structured Markdown step by step until the prompt fits the context window.
+ * @param {string} label - The prompt's name for log messages (e.g. '.rooignore generation').
+ * @param {string} structureResultMd - The structured Markdown to embed.
+ * @param {(markdown: string) => string} buildPrompt - Builds the full prompt around a (possibly reduced) Markdown.
+ * @param {Array<{description: string, apply: Function}>} reductionSteps - The stage's strategy from REDUCTION_STRATEGIES.
+ * @returns {string} The prompt; still over the limit if every step has been applied and it doesn't fit.
+ */
+function fitToContextWindow(label, structureResultMd, buildPrompt, reductionSteps) {
+    let markdown = structureResultMd;
+    let prompt = buildPrompt(markdown);
+    let promptTokens = estimateTokenCount(prompt);
+    const appliedSteps = [];
+    for (const step of reductionSteps) {
+        if (promptTokens <= maxPromptTokens) break;
+        markdown = step.apply(markdown);
+        prompt = buildPrompt(markdown);
+        appliedSteps.push(`${step.description} (~${promptTokens} -> ~${estimateTokenCount(prompt)} tokens)`);
+        promptTokens = estimateTokenCount(prompt);
+    }
+    if (appliedSteps.length > 0) {
+        log.info(`Reduced ${label} prompt to fit ${maxPromptTokens} tokens: ${appliedSteps.join('; ')}`); // Use log.info
+    }
+    if (promptTokens > maxPromptTokens) {
+        log.warn(`${label} prompt is still ~${promptTokens} tokens after all reductions (limit ${maxPromptTokens}). The call may fail or be truncated.`); // Use log.warn
+    }
+    return prompt;
+}
+
+module.exports = {
+    DEFAULT_MAX_PROMPT_TOKENS,
+    REDUCTION_STRATEGIES,
+    configureContextBudget,
+    getMaxPromptTokens,
+    dropSections,
+    summarizeOutlines,
+    fitToContextWindow,
+};
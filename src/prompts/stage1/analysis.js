@@ -1,6 +1,9 @@
 // src/prompts/stage1/analysis.js
 const fs = require('fs');
 const path = require('path');
+const { getExistingProjectSection } = require('../utility/existingProject');
+const { getReferenceDocumentsSection } = require('../utility/referenceDocuments');
+const { getPresetSection } = require('../utility/preset');
 
 // Read the template file synchronously (or use async/await if preferred in main logic)
 let analysisPromptTemplate = '';
@@ -17,11 +20,17 @@ try {
 /**
  * Generates the prompt for Stage 1: Analysis by reading a template file.
  * @param {string} projectIdea - The user's project description.
+ * @param {string} [existingProject] - Summary of the existing codebase for brownfield runs (see src/projectScanner.js).
+ * @param {Array<{name: string, kind: string, content: string, truncated: boolean}>} [referenceDocuments] - Attached documents (see src/referenceDocs.js).
+ * @param {object|null} [preset] - The team preset picked for the run (see src/presets.js).
  * @returns {string} The formatted analysis prompt.
  */
-function getAnalysisPrompt(projectIdea) {
-  // Replace placeholder in the template
-  return analysisPromptTemplate.replace('{{projectIdea}}', projectIdea);
+function getAnalysisPrompt(projectIdea, existingProject, referenceDocuments, preset) {
+  // Replace placeholders in the template
+  let prompt = analysisPromptTemplate.replace('{{projectIdea}}', () => projectIdea);
+  prompt = prompt.replace('{{preset}}', () => getPresetSection(preset));
+  prompt = prompt.replace('{{referenceDocuments}}', () => getReferenceDocumentsSection(referenceDocuments));
+  return prompt.replace('{{existingProject}}', () => getExistingProjectSection(existingProject));
 }
 
 module.exports = { getAnalysisPrompt };
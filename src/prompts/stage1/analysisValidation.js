@@ -19,7 +19,7 @@ try {
  */
 function getAnalysisValidationPrompt(analysisResult) {
   // Replace placeholder in the template
-  return validationPromptTemplate.replace('{{analysisResult}}', analysisResult);
+  return validationPromptTemplate.replace('{{analysisResult}}', () => analysisResult);
 }
 
 module.exports = { getAnalysisValidationPrompt };
@@ -1,6 +1,9 @@
 // src/prompts/stage2/structure.js
 const fs = require('fs');
 const path = require('path');
+const { getExistingProjectSection } = require('../utility/existingProject');
+const { getReferenceDocumentsSection } = require('../utility/referenceDocuments');
+const { getPresetSection } = require('../utility/preset');
 
 // Read the template file synchronously
 let structurePromptTemplate = '';
@@ -16,12 +19,18 @@ try {
  * Generates the prompt for Stage 2: Structuring by reading a template file.
  * @param {string} projectIdea - The user's project description.
  * @param {string} analysisResult - The result from the analysis stage.
+ * @param {string} [existingProject] - Summary of the existing codebase for brownfield runs (see src/projectScanner.js).
+ * @param {Array<{name: string, kind: string, content: string, truncated: boolean}>} [referenceDocuments] - Attached documents (see src/referenceDocs.js).
+ * @param {object|null} [preset] - The team preset picked for the run (see src/presets.js).
  * @returns {string} The formatted structure prompt.
  */
-function getStructurePrompt(projectIdea, analysisResult) {
+function getStructurePrompt(projectIdea, analysisResult, existingProject, referenceDocuments, preset) {
   // Replace placeholders in the template
-  let prompt = structurePromptTemplate.replace('{{projectIdea}}', projectIdea);
-  prompt = prompt.replace('{{analysisResult}}', analysisResult);
+  let prompt = structurePromptTemplate.replace('{{projectIdea}}', () => projectIdea);
+  prompt = prompt.replace('{{analysisResult}}', () => analysisResult);
+  prompt = prompt.replace('{{preset}}', () => getPresetSection(preset));
+  prompt = prompt.replace('{{referenceDocuments}}', () => getReferenceDocumentsSection(referenceDocuments));
+  prompt = prompt.replace('{{existingProject}}', () => getExistingProjectSection(existingProject));
   return prompt;
 }
 
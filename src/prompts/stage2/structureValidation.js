@@ -20,7 +20,7 @@ try {
  */
 function getStructureValidationPrompt(structureResultRaw) {
   // Replace placeholder in the template
-  return validationPromptTemplate.replace('{{structureResultRaw}}', structureResultRaw);
+  return validationPromptTemplate.replace('{{structureResultRaw}}', () => structureResultRaw);
 }
 
 module.exports = { getStructureValidationPrompt };
@@ -25,9 +25,9 @@ function getOutlineRefinementPrompt(analysisResult, structureResultMd, prelimina
   const structureContext = structureResultMd.replace(prelimOutlineParser, '').trim(); // Trim result
 
   // Replace placeholders in the template
-  let prompt = refinementPromptTemplate.replace('{{analysisResult}}', analysisResult);
-  prompt = prompt.replace('{{structureContext}}', structureContext);
-  prompt = prompt.replace('{{preliminaryOutlines}}', preliminaryOutlines || "- (No outlines provided in previous step)"); // Handle empty outlines
+  let prompt = refinementPromptTemplate.replace('{{analysisResult}}', () => analysisResult);
+  prompt = prompt.replace('{{structureContext}}', () => structureContext);
+  prompt = prompt.replace('{{preliminaryOutlines}}', () => preliminaryOutlines || "- (No outlines provided in previous step)"); // Handle empty outlines
   return prompt;
 }
 
@@ -1,6 +1,7 @@
 // src/prompts/stage4/footgunPromptRefinement.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -19,10 +20,10 @@ try {
  * @returns {string} The formatted footgun prompt refinement prompt.
  */
 function getFootgunRefinementPrompt(footgunTargetMode, structureResultMd) {
-  // Replace placeholders in the template
-  let prompt = template.replace(/{{footgunTargetMode}}/g, footgunTargetMode); // Use global replace
-  prompt = prompt.replace('{{structureResultMd}}', structureResultMd);
-  return prompt;
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace(/{{footgunTargetMode}}/g, () => footgunTargetMode); // Use global replace
+  return fitToContextWindow('Footgun prompt refinement', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.footgun);
 }
 
 module.exports = { getFootgunRefinementPrompt };
@@ -0,0 +1,29 @@
+// src/prompts/stage4/mcpConfigGeneration.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'mcpConfigGeneration.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading MCP config generation prompt template:", error);
+    template = "Error: Could not load MCP config generation template. Analysis: {{analysisResult}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 4.9: Generate the MCP server configuration (.roo/mcp.json) by reading a template file.
+ * @param {string} analysisResult - The result from the analysis stage.
+ * @param {string} structureResultMd - The structured markdown with refined outlines.
+ * @returns {string} The formatted MCP config generation prompt.
+ */
+function getMcpConfigGenerationPrompt(analysisResult, structureResultMd) {
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{analysisResult}}', () => analysisResult);
+  return fitToContextWindow('MCP config generation', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.mcpConfig);
+}
+
+module.exports = { getMcpConfigGenerationPrompt };
@@ -0,0 +1,29 @@
+// src/prompts/stage4/memoryBankGeneration.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'memoryBankGeneration.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading memory bank generation prompt template:", error);
+    template = "Error: Could not load memory bank generation template. Analysis: {{analysisResult}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 4.8: Generate the Memory Bank by reading a template file.
+ * @param {string} analysisResult - The result from the analysis stage.
+ * @param {string} structureResultMd - The structured markdown from previous stages.
+ * @returns {string} The formatted Memory Bank generation prompt.
+ */
+function getMemoryBankGenerationPrompt(analysisResult, structureResultMd) {
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{analysisResult}}', () => analysisResult);
+  return fitToContextWindow('Memory Bank generation', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.memoryBank);
+}
+
+module.exports = { getMemoryBankGenerationPrompt };
@@ -0,0 +1,33 @@
+// src/prompts/stage4/memoryBankRefinement.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'memoryBankRefinement.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading memory bank refinement prompt template:", error);
+    template = "Error: Could not load memory bank refinement template. Invalid Files: {{invalidFiles}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 4.8.1: Validate/Refine the Memory Bank by reading a template file.
+ * @param {Array<{filename: string, header: string, content: string|null}>} invalidFiles - The files that failed validation,
+ *   with the header each must start with and the generated content (null if the file was missing).
+ * @param {string} structureResultMd - The structured markdown for context.
+ * @returns {string} The formatted Memory Bank refinement prompt.
+ */
+function getMemoryBankRefinementPrompt(invalidFiles, structureResultMd) {
+  const fileSections = invalidFiles.map(file =>
+    `--- FILE: ${file.filename} ---\nRequired header: \`${file.header}\`\nInvalid Output:\n---\n${file.content || '(missing from the response)'}\n---`
+  ).join('\n\n');
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{invalidFiles}}', () => fileSections);
+  return fitToContextWindow('Memory Bank refinement', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.memoryBank);
+}
+
+module.exports = { getMemoryBankRefinementPrompt };
@@ -1,6 +1,7 @@
 // src/prompts/stage4/rooignoreGeneration.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -18,8 +19,9 @@ try {
  * @returns {string} The formatted .rooignore generation prompt.
  */
 function getRooignoreGenerationPrompt(structureResultMd) {
-  // Replace placeholder in the template
-  return template.replace('{{structureResultMd}}', structureResultMd);
+  // Replace placeholder in the template, reducing the context if the prompt is too large
+  return fitToContextWindow('.rooignore generation', structureResultMd,
+    markdown => template.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.rooignore);
 }
 
 module.exports = { getRooignoreGenerationPrompt };
@@ -1,6 +1,7 @@
 // src/prompts/stage4/rooignoreRefinement.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -19,10 +20,10 @@ try {
  * @returns {string} The formatted .rooignore refinement prompt.
  */
 function getRooignoreRefinementPrompt(rooignoreResult, structureResultMd) {
-  // Replace placeholders in the template
-  let prompt = template.replace('{{rooignoreResult}}', rooignoreResult);
-  prompt = prompt.replace('{{structureResultMd}}', structureResultMd);
-  return prompt;
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{rooignoreResult}}', () => rooignoreResult);
+  return fitToContextWindow('.rooignore refinement', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.rooignore);
 }
 
 module.exports = { getRooignoreRefinementPrompt };
@@ -1,6 +1,8 @@
 // src/prompts/stage4/rulesGeneration.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+const { getPresetSection } = require('../utility/preset');
 
 // Read the template file synchronously
 let template = '';
@@ -15,11 +17,14 @@ try {
 /**
  * Generates the prompt for Stage 4: Rules Generation (.clinerules-code) by reading a template file.
  * @param {string} structureResultMd - The structured markdown from previous stages.
+ * @param {object|null} [preset] - The team preset picked for the run (see src/presets.js).
  * @returns {string} The formatted rules generation prompt.
  */
-function getRulesGenerationPrompt(structureResultMd) {
-  // Replace placeholder in the template
-  return template.replace('{{structureResultMd}}', structureResultMd);
+function getRulesGenerationPrompt(structureResultMd, preset) {
+  const presetSection = getPresetSection(preset);
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  return fitToContextWindow('Rules generation', structureResultMd,
+    markdown => template.replace('{{preset}}', () => presetSection).replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.rules);
 }
 
 module.exports = { getRulesGenerationPrompt };
@@ -1,6 +1,7 @@
 // src/prompts/stage4/rulesRefinement.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -19,10 +20,10 @@ try {
  * @returns {string} The formatted rules refinement prompt.
  */
 function getRulesRefinementPrompt(rawRulesResult, structureResultMd) {
-  // Replace placeholders in the template
-  let prompt = template.replace('{{rawRulesResult}}', rawRulesResult);
-  prompt = prompt.replace('{{structureResultMd}}', structureResultMd);
-  return prompt;
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{rawRulesResult}}', () => rawRulesResult);
+  return fitToContextWindow('Rules refinement', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.rules);
 }
 
 module.exports = { getRulesRefinementPrompt };
@@ -0,0 +1,36 @@
+// src/prompts/stage4/testSkeletonGeneration.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+const { TEST_FRAMEWORKS } = require('../../testSkeletons');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'testSkeletonGeneration.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading test skeleton generation prompt template:", error);
+    template = "Error: Could not load test skeleton generation template. File: {{sourcePath}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 4.10: Test Skeletons by reading a template file.
+ * @param {{sourcePath: string, testPath: string, framework: string, outline: string}} target - The source file and its test (see src/testSkeletons.js).
+ * @param {string} structureResultMd - The structured markdown with refined outlines.
+ * @returns {string} The formatted test skeleton generation prompt.
+ */
+function getTestSkeletonGenerationPrompt(target, structureResultMd) {
+  const { name, skipHint } = TEST_FRAMEWORKS[target.framework];
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  const prompt = template
+    .replace('{{sourcePath}}', () => target.sourcePath)
+    .replace('{{testPath}}', () => target.testPath)
+    .replace('{{framework}}', () => name)
+    .replace('{{skipHint}}', () => skipHint)
+    .replace('{{outline}}', () => target.outline);
+  return fitToContextWindow(`Test skeleton generation (${target.testPath})`, structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.testSkeletons);
+}
+
+module.exports = { getTestSkeletonGenerationPrompt };
@@ -0,0 +1,38 @@
+// src/prompts/stage4/testSkeletonRefinement.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+const { TEST_FRAMEWORKS } = require('../../testSkeletons');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'testSkeletonRefinement.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading test skeleton refinement prompt template:", error);
+    template = "Error: Could not load test skeleton refinement template. File: {{testPath}}, Invalid Output: {{testSkeletonResult}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 4.10.1: Validate/Refine one test skeleton by reading a template file.
+ * @param {{sourcePath: string, testPath: string, framework: string, outline: string}} target - The source file and its test (see src/testSkeletons.js).
+ * @param {string|null} testSkeletonResult - The raw output from the test skeleton generation call.
+ * @param {string} structureResultMd - The structured markdown for context.
+ * @returns {string} The formatted test skeleton refinement prompt.
+ */
+function getTestSkeletonRefinementPrompt(target, testSkeletonResult, structureResultMd) {
+  const { name, skipHint } = TEST_FRAMEWORKS[target.framework];
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  const prompt = template
+    .replace(/{{testPath}}/g, () => target.testPath)
+    .replace('{{sourcePath}}', () => target.sourcePath)
+    .replace('{{framework}}', () => name)
+    .replace('{{skipHint}}', () => skipHint)
+    .replace('{{outline}}', () => target.outline)
+    .replace('{{testSkeletonResult}}', () => testSkeletonResult || '(empty response)');
+  return fitToContextWindow(`Test skeleton refinement (${target.testPath})`, structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.testSkeletons);
+}
+
+module.exports = { getTestSkeletonRefinementPrompt };
@@ -1,6 +1,7 @@
 // src/prompts/stage4/workspaceRulesGeneration.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -18,8 +19,9 @@ try {
  * @returns {string} The formatted workspace rules generation prompt.
  */
 function getWorkspaceRulesGenerationPrompt(structureResultMd) {
-  // Replace placeholder in the template
-  return template.replace('{{structureResultMd}}', structureResultMd);
+  // Replace placeholder in the template, reducing the context if the prompt is too large
+  return fitToContextWindow('Workspace rules generation', structureResultMd,
+    markdown => template.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.workspaceRules);
 }
 
 module.exports = { getWorkspaceRulesGenerationPrompt };
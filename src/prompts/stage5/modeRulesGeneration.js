@@ -0,0 +1,33 @@
+// src/prompts/stage5/modeRulesGeneration.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'modeRulesGeneration.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading mode rules generation prompt template:", error);
+    template = "Error: Could not load mode rules generation template. Mode: {{slug}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 5.5: Per-Mode Rules (.roo/rules-{slug}/) by reading a template file.
+ * @param {{slug: string, name: string, roleDefinition: string, customInstructions?: string}} mode - The mode from .roomodes.
+ * @param {string} structureResultMd - The structured markdown from previous stages.
+ * @returns {string} The formatted mode rules generation prompt.
+ */
+function getModeRulesGenerationPrompt(mode, structureResultMd) {
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template
+    .replace(/{{slug}}/g, () => mode.slug)
+    .replace('{{modeName}}', () => mode.name)
+    .replace('{{roleDefinition}}', () => mode.roleDefinition)
+    .replace('{{customInstructions}}', () => mode.customInstructions || '(none)');
+  return fitToContextWindow(`Mode rules generation (${mode.slug})`, structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.modeRules);
+}
+
+module.exports = { getModeRulesGenerationPrompt };
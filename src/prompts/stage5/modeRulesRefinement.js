@@ -0,0 +1,34 @@
+// src/prompts/stage5/modeRulesRefinement.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'modeRulesRefinement.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading mode rules refinement prompt template:", error);
+    template = "Error: Could not load mode rules refinement template. Mode: {{slug}}, Invalid Output: {{modeRulesResult}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for Stage 5.5.1: Validate/Refine one mode's rules by reading a template file.
+ * @param {{slug: string, name: string, roleDefinition: string}} mode - The mode from .roomodes.
+ * @param {string|null} modeRulesResult - The raw output from the mode rules generation call.
+ * @param {string} structureResultMd - The structured markdown for context.
+ * @returns {string} The formatted mode rules refinement prompt.
+ */
+function getModeRulesRefinementPrompt(mode, modeRulesResult, structureResultMd) {
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template
+    .replace(/{{slug}}/g, () => mode.slug)
+    .replace('{{modeName}}', () => mode.name)
+    .replace('{{roleDefinition}}', () => mode.roleDefinition)
+    .replace('{{modeRulesResult}}', () => modeRulesResult || '(empty response)');
+  return fitToContextWindow(`Mode rules refinement (${mode.slug})`, structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.modeRules);
+}
+
+module.exports = { getModeRulesRefinementPrompt };
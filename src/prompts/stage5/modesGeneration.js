@@ -1,6 +1,9 @@
 // src/prompts/stage5/modesGeneration.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+const { getMcpServersSection } = require('../utility/mcpServers');
+const { getTestFilesSection } = require('../utility/testFiles');
 
 // Read the template file synchronously
 let template = '';
@@ -15,11 +18,17 @@ try {
 /**
  * Generates the prompt for Stage 5: Dynamic Custom Mode Generation (.roomodes) by reading a template file.
  * @param {string} structureResultMd - The structured markdown from previous stages.
+ * @param {Array<{name: string, purpose: string, tools: string[]}>} [mcpServers] - The servers in .roo/mcp.json, if any.
+ * @param {string[]} [testPaths] - The test skeleton paths, if that stage is enabled.
  * @returns {string} The formatted modes generation prompt.
  */
-function getModesGenerationPrompt(structureResultMd) {
-  // Replace placeholder in the template
-  return template.replace('{{structureResultMd}}', structureResultMd);
+function getModesGenerationPrompt(structureResultMd, mcpServers, testPaths) {
+  const prompt = template
+    .replace('{{mcpServers}}', () => getMcpServersSection(mcpServers))
+    .replace('{{testFiles}}', () => getTestFilesSection(testPaths));
+  // Replace placeholder in the template, reducing the context if the prompt is too large
+  return fitToContextWindow('Modes generation', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.modes);
 }
 
 module.exports = { getModesGenerationPrompt };
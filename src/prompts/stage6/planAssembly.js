@@ -1,6 +1,7 @@
 // src/prompts/stage6/planAssembly.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -20,12 +21,12 @@ try {
  * @returns {string} The formatted plan assembly prompt.
  */
 function getPlanAssemblyPrompt(conciseCommand, structureResultMd, techSpecificSlugs) {
-  // Replace placeholders in the template
-  let prompt = template.replace('{{conciseCommand}}', conciseCommand);
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{conciseCommand}}', () => conciseCommand);
   const slugsString = techSpecificSlugs.length > 0 ? techSpecificSlugs.join(', ') : '(Fallback to "code" mode)';
-  prompt = prompt.replace('{{techSpecificSlugs}}', slugsString);
-  prompt = prompt.replace('{{structureResultMd}}', structureResultMd);
-  return prompt;
+  prompt = prompt.replace('{{techSpecificSlugs}}', () => slugsString);
+  return fitToContextWindow('Plan assembly', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.plan);
 }
 
 module.exports = { getPlanAssemblyPrompt };
@@ -0,0 +1,34 @@
+// src/prompts/stage6/planJudge.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'planJudge.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading plan judge prompt template:", error);
+    template = "Error: Could not load plan judge template. Candidates: {{candidatePlans}}, Context: {{structureResultMd}}, Slugs: {{techSpecificSlugs}}, Count: {{candidateCount}}";
+}
+
+/**
+ * Generates the prompt for Stage 6 best-of-N judging (rubric scores for each candidate plan) by reading a template file.
+ * @param {string[]} candidatePlans - The candidate plan contents, in draft order.
+ * @param {string} structureResultMd - The structured markdown for context.
+ * @param {string[]} techSpecificSlugs - Array of identified mode slugs.
+ * @returns {string} The formatted plan judge prompt.
+ */
+function getPlanJudgePrompt(candidatePlans, structureResultMd, techSpecificSlugs) {
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  const candidatesString = candidatePlans.map((plan, index) => `### Candidate ${index + 1}\n---\n${plan}\n---`).join('\n\n');
+  let prompt = template.replace('{{candidateCount}}', () => String(candidatePlans.length));
+  const slugsString = techSpecificSlugs.length > 0 ? techSpecificSlugs.join(', ') : '(Fallback to "code" mode)';
+  prompt = prompt.replace('{{techSpecificSlugs}}', () => slugsString);
+  prompt = prompt.replace('{{candidatePlans}}', () => candidatesString); // Function form: plans may contain "$&"-style patterns
+  return fitToContextWindow('Plan judging', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.plan);
+}
+
+module.exports = { getPlanJudgePrompt };
@@ -1,6 +1,7 @@
 // src/prompts/stage6/planRefinement.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -21,13 +22,13 @@ try {
  * @returns {string} The formatted plan refinement prompt.
  */
 function getPlanRefinementPrompt(planValidationIssues, finalPlan, structureResultMd, techSpecificSlugs) {
-  // Replace placeholders in the template
-  let prompt = template.replace('{{planValidationIssues}}', planValidationIssues.join(', '));
-  prompt = prompt.replace('{{finalPlan}}', finalPlan);
-  prompt = prompt.replace('{{structureResultMd}}', structureResultMd);
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{planValidationIssues}}', () => planValidationIssues.join(', '));
+  prompt = prompt.replace('{{finalPlan}}', () => finalPlan);
   const slugsString = techSpecificSlugs.length > 0 ? techSpecificSlugs.join(', ') : '(Fallback to "code" mode)';
-  prompt = prompt.replace('{{techSpecificSlugs}}', slugsString);
-  return prompt;
+  prompt = prompt.replace('{{techSpecificSlugs}}', () => slugsString);
+  return fitToContextWindow('Plan refinement', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.plan);
 }
 
 module.exports = { getPlanRefinementPrompt };
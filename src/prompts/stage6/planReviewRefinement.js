@@ -1,6 +1,7 @@
 // src/prompts/stage6/planReviewRefinement.js
 const fs = require('fs');
 const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
 
 // Read the template file synchronously
 let template = '';
@@ -20,11 +21,11 @@ try {
  * @returns {string} The formatted plan review refinement prompt.
  */
 function getPlanReviewRefinementPrompt(finalPlan, roomodesResult, structureResultMd) {
-  // Replace placeholders in the template
-  let prompt = template.replace('{{finalPlan}}', finalPlan);
-  prompt = prompt.replace('{{roomodesResult}}', roomodesResult);
-  prompt = prompt.replace('{{structureResultMd}}', structureResultMd);
-  return prompt;
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{finalPlan}}', () => finalPlan);
+  prompt = prompt.replace('{{roomodesResult}}', () => roomodesResult);
+  return fitToContextWindow('Plan review refinement', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.plan);
 }
 
 module.exports = { getPlanReviewRefinementPrompt };
@@ -0,0 +1,33 @@
+// src/prompts/stage6/planRevision.js
+const fs = require('fs');
+const path = require('path');
+const { fitToContextWindow, REDUCTION_STRATEGIES } = require('../contextBudget');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'planRevision.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading plan revision prompt template:", error);
+    template = "Error: Could not load plan revision template. Feedback: {{feedback}}, Plan: {{finalPlan}}, Modes: {{roomodesResult}}, Context: {{structureResultMd}}";
+}
+
+/**
+ * Generates the prompt for a plan revision (user feedback applied to roo-plan.md and .roomodes) by reading a template file.
+ * @param {string} feedback - The user's natural-language feedback.
+ * @param {string} finalPlan - The current plan content.
+ * @param {string} roomodesResult - The current .roomodes content.
+ * @param {string} structureResultMd - The structured markdown for context.
+ * @returns {string} The formatted plan revision prompt.
+ */
+function getPlanRevisionPrompt(feedback, finalPlan, roomodesResult, structureResultMd) {
+  // Replace placeholders in the template, reducing the context if the prompt is too large
+  let prompt = template.replace('{{feedback}}', () => feedback);
+  prompt = prompt.replace('{{finalPlan}}', () => finalPlan);
+  prompt = prompt.replace('{{roomodesResult}}', () => roomodesResult);
+  return fitToContextWindow('Plan revision', structureResultMd,
+    markdown => prompt.replace('{{structureResultMd}}', () => markdown), REDUCTION_STRATEGIES.plan);
+}
+
+module.exports = { getPlanRevisionPrompt };
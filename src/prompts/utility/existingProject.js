@@ -0,0 +1,26 @@
+// src/prompts/utility/existingProject.js
+const fs = require('fs');
+const path = require('path');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'existingProject.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading existing project prompt template:", error);
+    template = "Existing Codebase:\n{{projectSummary}}";
+}
+
+/**
+ * Generates the existing-codebase section that brownfield runs add to the analysis and structuring prompts.
+ * @param {string} [projectSummary] - The project summary from scanExistingProject (empty for a new project).
+ * @returns {string} The formatted section, or an empty string for a new project.
+ */
+function getExistingProjectSection(projectSummary) {
+  if (!projectSummary) return '';
+  // Function replacement, so "$" sequences in the scanned files are kept literally
+  return template.replace('{{projectSummary}}', () => projectSummary);
+}
+
+module.exports = { getExistingProjectSection };
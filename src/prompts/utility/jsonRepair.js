@@ -0,0 +1,33 @@
+// src/prompts/utility/jsonRepair.js
+const fs = require('fs');
+const path = require('path');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'jsonRepair.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading JSON repair prompt template:", error);
+    // Provide a basic fallback template in case of error
+    template = `Fix this output so it matches the {{schemaName}} schema {{schema}}. Errors: {{validationErrors}}. Output: {{invalidOutput}}`;
+}
+
+/**
+ * Generates the prompt that asks the LLM to repair JSON output that failed schema validation.
+ * @param {string} schemaName - The schema's name (e.g., 'roomodes').
+ * @param {object} schema - The JSON Schema the output must match.
+ * @param {string} invalidOutput - The rejected output.
+ * @param {string[]} validationErrors - The validation errors to fix.
+ * @returns {string} The formatted JSON repair prompt.
+ */
+function getJsonRepairPrompt(schemaName, schema, invalidOutput, validationErrors) {
+  // Replacer functions keep "$" sequences in model output from being treated as patterns
+  let prompt = template.replace('{{schemaName}}', () => schemaName);
+  prompt = prompt.replace('{{schema}}', () => JSON.stringify(schema, null, 2));
+  prompt = prompt.replace('{{validationErrors}}', () => validationErrors.map(error => `- ${error}`).join('\n'));
+  prompt = prompt.replace('{{invalidOutput}}', () => invalidOutput);
+  return prompt;
+}
+
+module.exports = { getJsonRepairPrompt };
@@ -0,0 +1,28 @@
+// src/prompts/utility/mcpServers.js
+const fs = require('fs');
+const path = require('path');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'mcpServers.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading MCP servers prompt template:", error);
+    template = "MCP Servers:\n{{servers}}";
+}
+
+/**
+ * Generates the MCP servers section of the modes prompt, so modes that use a server are linked to it.
+ * @param {Array<{name: string, purpose: string, tools: string[]}>} [servers] - The servers in .roo/mcp.json (see src/mcpConfig.js).
+ * @returns {string} The formatted section, or an empty string without servers.
+ */
+function getMcpServersSection(servers) {
+  if (!servers || servers.length === 0) return '';
+  const serverLines = servers.map(server =>
+    `- ${server.name}: ${server.purpose}${server.tools.length > 0 ? ` Tools: ${server.tools.join(', ')}.` : ''}`
+  ).join('\n');
+  return template.replace('{{servers}}', () => serverLines);
+}
+
+module.exports = { getMcpServersSection };
@@ -0,0 +1,43 @@
+// src/prompts/utility/preset.js
+const fs = require('fs');
+const path = require('path');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'preset.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading preset prompt template:", error);
+    template = "Team Preset {{presetName}}:\n{{constraints}}";
+}
+
+/**
+ * Generates the team preset section added to the analysis, structure and rules prompts.
+ * Only the constraints the preset defines are listed.
+ * @param {object|null} [preset] - The run's preset (see src/presets.js).
+ * @returns {string} The formatted section, or an empty string without a preset.
+ */
+function getPresetSection(preset) {
+  if (!preset) return '';
+  const list = items => items.map(item => `  - ${item}`).join('\n');
+  const constraints = [];
+  if (preset.description) constraints.push(`- Purpose: ${preset.description}`);
+  if (preset.stack?.length) constraints.push(`- Technology stack (use exactly these):\n${list(preset.stack)}`);
+  if (preset.folderConventions?.length) constraints.push(`- Folder conventions:\n${list(preset.folderConventions)}`);
+  if (preset.mandatoryFiles?.length) {
+    constraints.push(`- Mandatory files and directories (the Proposed Structure must contain each one; a trailing "/" marks a directory):\n${list(preset.mandatoryFiles)}`);
+  }
+  if (preset.bannedLibraries?.length) {
+    constraints.push(`- Banned libraries (never use, suggest or add them as dependencies, and pick an alternative from the stack instead):\n${list(preset.bannedLibraries)}`);
+  }
+  if (preset.defaultModes?.length) {
+    constraints.push(`- Default Roo Code modes (always part of .roomodes, so plan work for them where it fits):\n${list(preset.defaultModes.map(mode => `${mode.slug} (${mode.name})`))}`);
+  }
+  // Function replacements, so "$" sequences in the preset are kept literally
+  return template
+    .replace('{{presetName}}', () => preset.name)
+    .replace('{{constraints}}', () => constraints.join('\n'));
+}
+
+module.exports = { getPresetSection };
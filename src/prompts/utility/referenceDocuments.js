@@ -0,0 +1,32 @@
+// src/prompts/utility/referenceDocuments.js
+const fs = require('fs');
+const path = require('path');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'referenceDocuments.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading reference documents prompt template:", error);
+    template = "Reference Documents:\n{{documents}}";
+}
+
+/**
+ * Generates the reference documents section added to the analysis and structuring prompts.
+ * Each document is wrapped in provenance markers with its number, file name and kind.
+ * @param {Array<{name: string, kind: string, content: string, truncated: boolean}>} [documents] - Documents from loadReferenceDocuments.
+ * @returns {string} The formatted section, or an empty string if nothing is attached.
+ */
+function getReferenceDocumentsSection(documents) {
+  if (!documents || documents.length === 0) return '';
+  const blocks = documents.map((document, index) => {
+    const label = `REFERENCE DOCUMENT ${index + 1}: ${document.name}`;
+    const details = `${document.kind}${document.truncated ? ', truncated' : ''}`;
+    return `--- BEGIN ${label} (${details}) ---\n${document.content.trimEnd()}\n--- END ${label} ---`;
+  });
+  // Function replacement, so "$" sequences in the documents are kept literally
+  return template.replace('{{documents}}', () => blocks.join('\n\n'));
+}
+
+module.exports = { getReferenceDocumentsSection };
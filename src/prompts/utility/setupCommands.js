@@ -21,9 +21,9 @@ try {
  * @returns {string} The formatted setup commands prompt.
  */
 function getSetupCommandsPrompt(directoryPath, artifactList, structureSummary) {
-  let prompt = template.replace('{{directoryPath}}', directoryPath);
-  prompt = prompt.replace('{{artifactList}}', artifactList.join(', ') || 'None');
-  prompt = prompt.replace('{{structureSummary}}', structureSummary || 'Not available');
+  let prompt = template.replace('{{directoryPath}}', () => directoryPath);
+  prompt = prompt.replace('{{artifactList}}', () => artifactList.join(', ') || 'None');
+  prompt = prompt.replace('{{structureSummary}}', () => structureSummary || 'Not available');
   return prompt;
 }
 
@@ -0,0 +1,25 @@
+// src/prompts/utility/testFiles.js
+const fs = require('fs');
+const path = require('path');
+
+// Read the template file synchronously
+let template = '';
+try {
+    const templatePath = path.join(__dirname, 'testFiles.txt');
+    template = fs.readFileSync(templatePath, 'utf8');
+} catch (error) {
+    console.error("Error reading test files prompt template:", error);
+    template = "Test Skeletons:\n{{testFiles}}";
+}
+
+/**
+ * Generates the test skeletons section of the modes prompt, so a testing mode takes ownership of the generated tests.
+ * @param {string[]} [testPaths] - The paths the test skeleton stage writes (see getTestSkeletonTargets in src/testSkeletons.js).
+ * @returns {string} The formatted section, or an empty string without test files.
+ */
+function getTestFilesSection(testPaths = []) {
+  if (testPaths.length === 0) return '';
+  return template.replace('{{testFiles}}', () => testPaths.map(testPath => `- ${testPath}`).join('\n'));
+}
+
+module.exports = { getTestFilesSection };
@@ -0,0 +1,97 @@
+// src/providers/anthropic.js - Anthropic-style Messages API provider
+
+const { postJson, postStream, parseSseData, joinUrl } = require('./http');
+const { resolveMaxOutputTokens } = require('./outputTokens');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+// The Messages API has no JSON mode; a forced tool call with the schema as its input yields schema-shaped JSON
+const JSON_TOOL_NAME = 'emit_json';
+
+/**
+ * Creates an Anthropic Messages API provider instance.
+ * @param {{apiKey: string, modelName: string, baseUrl?: string, temperature?: number, maxOutputTokens?: number}} settings - Provider settings.
+ * @returns {{name: string, modelName: string, generate: (prompt: string, options?: {onChunk?: Function, signal?: AbortSignal, responseSchema?: {name: string, schema: object}}) => Promise<{text: string, blockReason?: string, usage?: {promptTokens: number, outputTokens: number}}>}} The provider.
+ */
+function createProvider(settings) {
+    const baseUrl = settings.baseUrl || module.exports.defaultBaseUrl;
+    const headers = { 'x-api-key': settings.apiKey, 'anthropic-version': ANTHROPIC_VERSION };
+    const generationConfig = {
+        // max_tokens is mandatory for the Messages API, so this provider always has a default
+        max_tokens: resolveMaxOutputTokens(settings, module.exports)
+    };
+    if (settings.temperature !== undefined) generationConfig.temperature = settings.temperature;
+
+    return {
+        name: 'anthropic',
+        modelName: settings.modelName,
+        generationConfig,
+        async generate(prompt, { onChunk, signal, responseSchema } = {}) {
+            const body = {
+                model: settings.modelName,
+                messages: [{ role: 'user', content: prompt }],
+                ...generationConfig
+            };
+            if (responseSchema) {
+                body.tools = [{ name: JSON_TOOL_NAME, description: `Return the ${responseSchema.name} result.`, input_schema: responseSchema.schema }];
+                body.tool_choice = { type: 'tool', name: JSON_TOOL_NAME };
+            }
+            if (onChunk) {
+                let text = '';
+                let stopReason = null;
+                let promptTokens = 0;
+                let outputTokens;
+                await postStream(joinUrl(baseUrl, 'v1/messages'), { ...body, stream: true }, headers, (line) => {
+                    const event = parseSseData(line);
+                    if (!event) return;
+                    if (event.type === 'error') {
+                        throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+                    }
+                    if (event.type === 'message_start') {
+                        promptTokens = event.message?.usage?.input_tokens || 0;
+                    }
+                    if (event.type === 'message_delta') {
+                        stopReason = event.delta?.stop_reason || stopReason;
+                        outputTokens = event.usage?.output_tokens ?? outputTokens;
+                    }
+                    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                        text += event.delta.text;
+                        onChunk(event.delta.text, { outputTokens });
+                    }
+                    // Forced tool call (responseSchema): the JSON arrives as partial tool input
+                    if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+                        text += event.delta.partial_json;
+                        onChunk(event.delta.partial_json, { outputTokens });
+                    }
+                }, signal);
+                const usage = outputTokens !== undefined ? { promptTokens, outputTokens } : undefined;
+                return stopReason === 'refusal' ? { text: '', blockReason: 'refusal', usage } : { text, usage };
+            }
+            const response = await postJson(joinUrl(baseUrl, 'v1/messages'), body, headers, signal);
+            const usage = response.usage ? { promptTokens: response.usage.input_tokens || 0, outputTokens: response.usage.output_tokens || 0 } : undefined;
+            if (response.stop_reason === 'refusal') {
+                return { text: '', blockReason: 'refusal', usage };
+            }
+            const toolUse = (response.content || []).find(block => block.type === 'tool_use' && block.name === JSON_TOOL_NAME);
+            if (toolUse) {
+                return { text: JSON.stringify(toolUse.input), usage };
+            }
+            const text = (response.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            return { text, usage };
+        }
+    };
+}
+
+module.exports = {
+    name: 'anthropic',
+    apiKeyEnvVar: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true,
+    defaultModel: 'claude-3-7-sonnet-latest',
+    defaultMaxPromptTokens: 150000, // 200k-token context window, minus room for the response
+    defaultMaxOutputTokens: 8192,
+    maxOutputTokensLimit: 64000, // claude-3-7-sonnet; other models are not clamped
+    defaultBaseUrl: 'https://api.anthropic.com',
+    createProvider,
+};
@@ -0,0 +1,137 @@
+// src/providers/gemini.js - Google Gemini provider (via @google/generative-ai)
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { resolveMaxOutputTokens } = require('./outputTokens');
+
+/**
+ * Creates a Gemini provider instance.
+ * @param {{apiKey: string, modelName: string, baseUrl?: string, temperature?: number, maxOutputTokens?: number}} settings - Provider settings.
+ * @returns {{name: string, modelName: string, generate: (prompt: string, options?: {onChunk?: Function, signal?: AbortSignal, responseSchema?: {name: string, schema: object}}) => Promise<{text: string, blockReason?: string, usage?: {promptTokens: number, outputTokens: number}}>}} The provider.
+ */
+function createProvider(settings) {
+    const genAI = new GoogleGenerativeAI(settings.apiKey);
+    const generationConfig = {};
+    if (settings.temperature !== undefined) generationConfig.temperature = settings.temperature;
+    const maxOutputTokens = resolveMaxOutputTokens(settings, module.exports);
+    if (maxOutputTokens !== undefined) generationConfig.maxOutputTokens = maxOutputTokens;
+
+    const model = genAI.getGenerativeModel({
+        model: settings.modelName,
+        generationConfig: Object.keys(generationConfig).length > 0 ? generationConfig : undefined
+    }, settings.baseUrl ? { baseUrl: settings.baseUrl } : undefined);
+
+    return {
+        name: 'gemini',
+        modelName: settings.modelName,
+        generationConfig,
+        async generate(prompt, { onChunk, signal, responseSchema } = {}) {
+            const requestOptions = signal ? { signal } : undefined;
+            const request = responseSchema ? buildJsonRequest(prompt, generationConfig, responseSchema.schema) : prompt;
+            if (onChunk) {
+                return generateStreaming(model, request, onChunk, requestOptions);
+            }
+            const result = await model.generateContent(request, requestOptions);
+            const response = result.response;
+            // Check for safety blocks before calling text(), which throws on blocked prompts
+            if (response.promptFeedback?.blockReason) {
+                return { text: '', blockReason: response.promptFeedback.blockReason };
+            }
+            return { text: response.text(), usage: readUsage(response.usageMetadata) };
+        }
+    };
+}
+
+// Schema keywords the Gemini API accepts; validation-only keywords (pattern, minLength, ...) are dropped
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'nullable'];
+
+/**
+ * Converts a JSON Schema to the OpenAPI subset Gemini accepts.
+ * @param {object} schema - The JSON Schema.
+ * @returns {object|null} The Gemini schema, or null if the schema uses constructs Gemini can't express (e.g. anyOf).
+ */
+function toGeminiSchema(schema) {
+    if (schema.anyOf || !schema.type) return null;
+    const geminiSchema = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] !== undefined) geminiSchema[key] = schema[key];
+    }
+    if (schema.items) {
+        geminiSchema.items = toGeminiSchema(schema.items);
+        if (!geminiSchema.items) return null;
+    }
+    if (schema.properties) {
+        geminiSchema.properties = {};
+        for (const [propertyName, propertySchema] of Object.entries(schema.properties)) {
+            geminiSchema.properties[propertyName] = toGeminiSchema(propertySchema);
+            if (!geminiSchema.properties[propertyName]) return null;
+        }
+    }
+    return geminiSchema;
+}
+
+/**
+ * Builds a JSON-mode request. The request's generationConfig replaces the model's, so the base settings are repeated.
+ * @param {string} prompt - The prompt to send.
+ * @param {object} generationConfig - The model's generation settings.
+ * @param {object} schema - The JSON Schema the response should match.
+ * @returns {object} A GenerateContentRequest.
+ */
+function buildJsonRequest(prompt, generationConfig, schema) {
+    const jsonConfig = { ...generationConfig, responseMimeType: 'application/json' };
+    const responseSchema = toGeminiSchema(schema);
+    // Without an expressible schema, JSON mime type alone still guarantees syntactically valid JSON
+    if (responseSchema) jsonConfig.responseSchema = responseSchema;
+    return { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig: jsonConfig };
+}
+
+/**
+ * Streams a response, reporting each text delta to `onChunk` as it arrives.
+ * @param {object} model - The GenerativeModel instance.
+ * @param {string|object} prompt - The prompt to send, or a full request (JSON mode).
+ * @param {(delta: string, info: {outputTokens?: number}) => void} onChunk - Called for every streamed text delta.
+ * @param {{signal: AbortSignal}|undefined} requestOptions - Per-request options (abort signal).
+ * @returns {Promise<{text: string, blockReason?: string, usage?: {promptTokens: number, outputTokens: number}}>} The full response text and token usage.
+ */
+async function generateStreaming(model, prompt, onChunk, requestOptions) {
+    const result = await model.generateContentStream(prompt, requestOptions);
+    let text = '';
+    for await (const chunk of result.stream) {
+        if (chunk.promptFeedback?.blockReason) {
+            return { text: '', blockReason: chunk.promptFeedback.blockReason };
+        }
+        const delta = chunk.text();
+        if (delta) {
+            text += delta;
+            onChunk(delta, { outputTokens: chunk.usageMetadata?.candidatesTokenCount });
+        }
+    }
+    const response = await result.response;
+    if (response.promptFeedback?.blockReason) {
+        return { text: '', blockReason: response.promptFeedback.blockReason };
+    }
+    return { text, usage: readUsage(response.usageMetadata) };
+}
+
+/**
+ * Converts Gemini usage metadata to the provider-neutral usage shape.
+ * @param {object|undefined} usageMetadata - The response's usageMetadata.
+ * @returns {{promptTokens: number, outputTokens: number}|undefined} Token counts, if reported.
+ */
+function readUsage(usageMetadata) {
+    if (!usageMetadata) return undefined;
+    return { promptTokens: usageMetadata.promptTokenCount || 0, outputTokens: usageMetadata.candidatesTokenCount || 0 };
+}
+
+module.exports = {
+    name: 'gemini',
+    apiKeyEnvVar: 'GEMINI_API_KEY',
+    requiresApiKey: true,
+    defaultModel: 'gemini-2.5-pro-preview-03-25',
+    defaultMaxPromptTokens: 900000, // 1M-token context window, minus room for the response
+    // Used when LLM_FALLBACKS is not set and the default (dated preview) model is in use
+    defaultFallbackModels: ['gemini-2.5-pro', 'gemini-2.5-flash'],
+    defaultMaxOutputTokens: 65536, // Long plans need the full budget; the API default is lower
+    maxOutputTokensLimit: 65536, // The default model; other models are not clamped
+    defaultBaseUrl: null, // SDK default
+    createProvider,
+};
@@ -0,0 +1,128 @@
+// src/providers/http.js - Shared HTTP helper for REST-based LLM providers
+
+/**
+ * Error thrown when a provider endpoint responds with a non-2xx status.
+ * Carries the HTTP status so callLLM can decide whether a retry makes sense.
+ */
+class ProviderHttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ProviderHttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Pulls a readable error message out of a provider's error body.
+ * OpenAI, Anthropic and Ollama all nest it slightly differently.
+ * @param {string} responseText - The raw response body.
+ * @returns {string} The best available error message.
+ */
+function extractErrorMessage(responseText) {
+    try {
+        const body = JSON.parse(responseText);
+        if (typeof body.error === 'string') return body.error;
+        if (body.error?.message) return body.error.message;
+        if (body.message) return body.message;
+    } catch (parseError) {
+        // Not JSON, fall through to the raw text
+    }
+    return responseText.substring(0, 500);
+}
+
+/**
+ * POSTs a JSON body to a provider endpoint and returns the parsed JSON response.
+ * @param {string} url - The endpoint URL.
+ * @param {object} body - The request body (will be JSON encoded).
+ * @param {Record<string, string>} [headers={}] - Extra request headers (auth, versioning).
+ * @param {AbortSignal} [signal] - Aborts the request (including reading the body) when signalled.
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {ProviderHttpError} If the endpoint responds with a non-2xx status.
+ */
+async function postJson(url, body, headers = {}, signal) {
+    const response = await sendPost(url, body, headers, signal);
+    const responseText = await response.text();
+    if (!response.ok) {
+        throw new ProviderHttpError(`[${response.status} ${response.statusText}] ${extractErrorMessage(responseText)}`, response.status);
+    }
+    return JSON.parse(responseText);
+}
+
+/**
+ * POSTs a JSON body to a streaming provider endpoint and hands each non-empty line of the
+ * response to `onLine` as it arrives. Works for both SSE (`data: {...}`) and NDJSON streams.
+ * @param {string} url - The endpoint URL.
+ * @param {object} body - The request body (will be JSON encoded).
+ * @param {Record<string, string>} headers - Extra request headers (auth, versioning).
+ * @param {(line: string) => void} onLine - Called once per received line.
+ * @param {AbortSignal} [signal] - Aborts the request (including the open stream) when signalled.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ * @throws {ProviderHttpError} If the endpoint responds with a non-2xx status.
+ */
+async function postStream(url, body, headers, onLine, signal) {
+    const response = await sendPost(url, body, headers, signal);
+    if (!response.ok) {
+        const responseText = await response.text();
+        throw new ProviderHttpError(`[${response.status} ${response.statusText}] ${extractErrorMessage(responseText)}`, response.status);
+    }
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex).trim();
+            buffer = buffer.slice(newlineIndex + 1);
+            if (line) onLine(line);
+        }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) onLine(buffer.trim());
+}
+
+/**
+ * Parses the JSON payload of an SSE `data:` line.
+ * @param {string} line - A single line from an SSE stream.
+ * @returns {object|null} The parsed payload, or null for non-data lines and the `[DONE]` sentinel.
+ */
+function parseSseData(line) {
+    if (!line.startsWith('data:')) return null;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return null;
+    return JSON.parse(data);
+}
+
+/**
+ * Sends a JSON POST request.
+ * @param {string} url - The endpoint URL.
+ * @param {object} body - The request body (will be JSON encoded).
+ * @param {Record<string, string>} headers - Extra request headers.
+ * @param {AbortSignal} [signal] - Optional abort signal.
+ * @returns {Promise<Response>} The fetch response.
+ */
+function sendPost(url, body, headers, signal) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+}
+
+/**
+ * Joins a base URL and a path without doubling or dropping slashes.
+ * @param {string} baseUrl - The base URL (may or may not end with '/').
+ * @param {string} urlPath - The path to append (may or may not start with '/').
+ * @returns {string} The combined URL.
+ */
+function joinUrl(baseUrl, urlPath) {
+    return `${baseUrl.replace(/\/+$/, '')}/${urlPath.replace(/^\/+/, '')}`;
+}
+
+module.exports = {
+    ProviderHttpError,
+    postJson,
+    postStream,
+    parseSseData,
+    joinUrl,
+};
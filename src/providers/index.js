@@ -0,0 +1,46 @@
+// src/providers/index.js - Registry of available LLM providers
+//
+// Every provider module exports the same shape:
+//   { name, apiKeyEnvVar, requiresApiKey, defaultModel, defaultMaxPromptTokens, defaultMaxOutputTokens, maxOutputTokensLimit,
+//     defaultBaseUrl, defaultFallbackModels?, createProvider(settings) }
+// where defaultMaxPromptTokens is the prompt size (estimated tokens) stage prompts are reduced to fit,
+// and the output token default and limit are applied by createProvider (see ./outputTokens.js),
+// and createProvider returns an object with `generate(prompt, { onChunk?, signal?, responseSchema? }) -> { text, blockReason?, usage? }`,
+// where usage is `{ promptTokens, outputTokens }` when the API reports it.
+// `responseSchema` (`{ name, schema }`, see src/schemas.js) asks for JSON matching the schema using the
+// API's native JSON mode; callers still validate the text, so a best-effort mapping is fine.
+// When `onChunk(delta, { outputTokens? })` is given the provider streams the response.
+// `signal` is an AbortSignal that must abort the underlying HTTP request.
+// Retries, cancellation and empty-response handling live in callLLM, not here.
+
+const providers = {
+    gemini: require('./gemini'),
+    openai: require('./openai'),
+    anthropic: require('./anthropic'),
+    ollama: require('./ollama'),
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Looks up a provider module by name.
+ * @param {string} name - The provider name from config (e.g., 'gemini', 'openai').
+ * @returns {object|undefined} The provider module, or undefined if unknown.
+ */
+function getProviderDefinition(name) {
+    return providers[(name || '').toLowerCase()];
+}
+
+/**
+ * Lists the names of all registered providers.
+ * @returns {string[]} Provider names.
+ */
+function listProviders() {
+    return Object.keys(providers);
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    getProviderDefinition,
+    listProviders,
+};
@@ -0,0 +1,76 @@
+// src/providers/ollama.js - Local Ollama server provider (native /api/chat endpoint)
+
+const { postJson, postStream, joinUrl } = require('./http');
+const { resolveMaxOutputTokens } = require('./outputTokens');
+
+/**
+ * Creates an Ollama provider instance.
+ * @param {{modelName: string, baseUrl?: string, temperature?: number, maxOutputTokens?: number}} settings - Provider settings.
+ * @returns {{name: string, modelName: string, generate: (prompt: string, options?: {onChunk?: Function, signal?: AbortSignal, responseSchema?: {name: string, schema: object}}) => Promise<{text: string, usage?: {promptTokens: number, outputTokens: number}}>}} The provider.
+ */
+function createProvider(settings) {
+    const baseUrl = settings.baseUrl || module.exports.defaultBaseUrl;
+    const generationConfig = {};
+    if (settings.temperature !== undefined) generationConfig.temperature = settings.temperature;
+    const maxOutputTokens = resolveMaxOutputTokens(settings, module.exports);
+    if (maxOutputTokens !== undefined) generationConfig.num_predict = maxOutputTokens;
+
+    return {
+        name: 'ollama',
+        modelName: settings.modelName,
+        generationConfig,
+        async generate(prompt, { onChunk, signal, responseSchema } = {}) {
+            const body = {
+                model: settings.modelName,
+                messages: [{ role: 'user', content: prompt }],
+                stream: Boolean(onChunk),
+                options: generationConfig
+            };
+            // Ollama accepts a JSON schema in `format` for structured outputs
+            if (responseSchema) body.format = responseSchema.schema;
+            if (onChunk) {
+                // Ollama streams newline-delimited JSON objects rather than SSE
+                let text = '';
+                let outputTokens = 0;
+                let usage;
+                await postStream(joinUrl(baseUrl, 'api/chat'), body, {}, (line) => {
+                    const event = JSON.parse(line);
+                    if (event.error) throw new Error(`Ollama stream error: ${event.error}`);
+                    const delta = event.message?.content;
+                    if (delta) {
+                        text += delta;
+                        outputTokens += 1; // Ollama sends roughly one token per chunk
+                        onChunk(delta, { outputTokens: event.eval_count ?? outputTokens });
+                    }
+                    // The final chunk (done: true) carries the token counts
+                    if (event.done) usage = readUsage(event);
+                }, signal);
+                return { text, usage };
+            }
+            const response = await postJson(joinUrl(baseUrl, 'api/chat'), body, {}, signal);
+            return { text: response.message?.content || '', usage: readUsage(response) };
+        }
+    };
+}
+
+/**
+ * Converts Ollama's eval counters to the provider-neutral usage shape.
+ * @param {object} response - A final (done) Ollama response object.
+ * @returns {{promptTokens: number, outputTokens: number}|undefined} Token counts, if reported.
+ */
+function readUsage(response) {
+    if (response.eval_count === undefined) return undefined;
+    return { promptTokens: response.prompt_eval_count || 0, outputTokens: response.eval_count || 0 };
+}
+
+module.exports = {
+    name: 'ollama',
+    apiKeyEnvVar: null, // Local server, no key
+    requiresApiKey: false,
+    defaultModel: 'llama3.1',
+    defaultMaxPromptTokens: 6000, // Ollama truncates to the model's num_ctx; keep prompts small for local models
+    defaultMaxOutputTokens: null, // Not sent: Ollama's own num_predict default applies
+    maxOutputTokensLimit: null, // Depends on the local model
+    defaultBaseUrl: 'http://localhost:11434',
+    createProvider,
+};
@@ -0,0 +1,85 @@
+// src/providers/openai.js - OpenAI-compatible chat completions provider
+// Also covers llama.cpp server, vLLM, LM Studio, etc. via LLM_BASE_URL.
+
+const { postJson, postStream, parseSseData, joinUrl } = require('./http');
+const { resolveMaxOutputTokens } = require('./outputTokens');
+
+/**
+ * Creates an OpenAI-compatible provider instance.
+ * @param {{apiKey?: string, modelName: string, baseUrl?: string, temperature?: number, maxOutputTokens?: number}} settings - Provider settings.
+ * @returns {{name: string, modelName: string, generate: (prompt: string, options?: {onChunk?: Function, signal?: AbortSignal, responseSchema?: {name: string, schema: object}}) => Promise<{text: string, blockReason?: string, usage?: {promptTokens: number, outputTokens: number}}>}} The provider.
+ */
+function createProvider(settings) {
+    const baseUrl = settings.baseUrl || module.exports.defaultBaseUrl;
+    const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+    const generationConfig = {};
+    if (settings.temperature !== undefined) generationConfig.temperature = settings.temperature;
+    const maxOutputTokens = resolveMaxOutputTokens(settings, module.exports);
+    if (maxOutputTokens !== undefined) generationConfig.max_tokens = maxOutputTokens;
+
+    return {
+        name: 'openai',
+        modelName: settings.modelName,
+        generationConfig,
+        async generate(prompt, { onChunk, signal, responseSchema } = {}) {
+            const body = {
+                model: settings.modelName,
+                messages: [{ role: 'user', content: prompt }],
+                ...generationConfig
+            };
+            if (responseSchema) {
+                // Non-strict: strict mode rejects schemas using minItems, pattern, etc.
+                body.response_format = { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema } };
+            }
+            if (onChunk) {
+                let text = '';
+                let finishReason = null;
+                let usage;
+                const streamBody = { ...body, stream: true };
+                // Only the official API is known to accept stream_options; other servers may reject it
+                if (!settings.baseUrl) streamBody.stream_options = { include_usage: true };
+                await postStream(joinUrl(baseUrl, 'chat/completions'), streamBody, headers, (line) => {
+                    const event = parseSseData(line);
+                    if (event?.usage) usage = readUsage(event.usage);
+                    const streamChoice = event?.choices?.[0];
+                    if (!streamChoice) return;
+                    if (streamChoice.finish_reason) finishReason = streamChoice.finish_reason;
+                    const delta = streamChoice.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        onChunk(delta, {});
+                    }
+                }, signal);
+                return finishReason === 'content_filter' ? { text: '', blockReason: 'content_filter', usage } : { text, usage };
+            }
+            const response = await postJson(joinUrl(baseUrl, 'chat/completions'), body, headers, signal);
+            const choice = response.choices?.[0];
+            if (choice?.finish_reason === 'content_filter') {
+                return { text: '', blockReason: 'content_filter', usage: readUsage(response.usage) };
+            }
+            return { text: choice?.message?.content || '', usage: readUsage(response.usage) };
+        }
+    };
+}
+
+/**
+ * Converts an OpenAI usage object to the provider-neutral usage shape.
+ * @param {object|undefined} usage - The response's usage object.
+ * @returns {{promptTokens: number, outputTokens: number}|undefined} Token counts, if reported.
+ */
+function readUsage(usage) {
+    if (!usage) return undefined;
+    return { promptTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+module.exports = {
+    name: 'openai',
+    apiKeyEnvVar: 'OPENAI_API_KEY',
+    requiresApiKey: false, // Local OpenAI-compatible servers usually run without a key
+    defaultModel: 'gpt-4o',
+    defaultMaxPromptTokens: 100000, // 128k-token context window (gpt-4o), minus room for the response
+    defaultMaxOutputTokens: null, // Not sent: the API defaults to the model's own output limit
+    maxOutputTokensLimit: 16384, // gpt-4o on api.openai.com; other models and LLM_BASE_URL servers are not clamped
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    createProvider,
+};
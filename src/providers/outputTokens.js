@@ -0,0 +1,32 @@
+// src/providers/outputTokens.js - Per-provider output token defaults and limits
+//
+// APIs reject a max_tokens above the model's output limit with a 400, so a single global default can't be
+// sent to every provider. Each provider module declares `defaultMaxOutputTokens` (used when the user sets
+// nothing; null sends no limit and lets the API decide) and `maxOutputTokensLimit` (the default model's
+// output limit; null means unknown, nothing is clamped). The limit is only known for the default model on the
+// provider's own endpoint, so a custom model or LLM_BASE_URL is never clamped and the API enforces its own limit.
+// createProvider resolves its setting through here.
+
+const log = require('electron-log'); // Import electron-log
+
+/**
+ * Resolves the output token limit to send to a provider: the user's value, clamped to the provider's limit when
+ * the default model is used on the provider's own endpoint, or the provider's default when the user set nothing.
+ * @param {{modelName: string, baseUrl?: string, maxOutputTokens?: number}} settings - The createProvider settings; maxOutputTokens is
+ *   LLM_MAX_OUTPUT_TOKENS, a profile's maxOutputTokens, or undefined.
+ * @param {{name: string, defaultModel: string, defaultMaxOutputTokens: number|null, maxOutputTokensLimit: number|null}} definition - The provider module.
+ * @returns {number|undefined} The value to send, or undefined to leave it out of the request.
+ */
+function resolveMaxOutputTokens({ modelName, baseUrl, maxOutputTokens: requested }, { name, defaultModel, defaultMaxOutputTokens, maxOutputTokensLimit }) {
+    if (requested === undefined || requested === null) return defaultMaxOutputTokens ?? undefined;
+    const limitApplies = !baseUrl && modelName === defaultModel;
+    if (limitApplies && maxOutputTokensLimit && requested > maxOutputTokensLimit) {
+        log.warn(`Max output tokens ${requested} exceeds the ${name} limit of ${maxOutputTokensLimit}; using ${maxOutputTokensLimit}.`); // Use log.warn
+        return maxOutputTokensLimit;
+    }
+    return requested;
+}
+
+module.exports = {
+    resolveMaxOutputTokens,
+};
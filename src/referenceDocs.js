@@ -0,0 +1,125 @@
+// src/referenceDocs.js - Loads reference documents attached to a generation request
+//
+// Users attach PRDs (Markdown), API specs (OpenAPI YAML/JSON), plain text notes and PDFs. Their text is
+// extracted here and added to the analysis and structuring prompts, each document wrapped in markers
+// naming the file it came from (see src/prompts/utility/referenceDocuments.js).
+// Together the documents may use up to REFERENCE_SHARE of the prompt budget (LLM_MAX_PROMPT_TOKENS);
+// longer documents are truncated so that every attachment keeps a fair share.
+
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log'); // Import electron-log
+const { estimateTokenCount } = require('./utils');
+const { getMaxPromptTokens } = require('./prompts/contextBudget');
+
+const MAX_REFERENCE_DOCUMENTS = 10;
+// Share of the prompt budget the documents may use together; the rest is left for the prompt and analysis
+const REFERENCE_SHARE = 0.5;
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.yaml', '.yml', '.json', '.pdf'];
+// Top-level key that marks a YAML or JSON file as an OpenAPI (or Swagger 2) spec
+const OPENAPI_KEY_REGEX = /^\s*["']?(openapi|swagger)["']?\s*:/m;
+
+/**
+ * Extracts the text of a PDF. pdf-parse is loaded on first use, since most runs attach no PDFs.
+ * @param {Buffer} buffer - The PDF file.
+ * @returns {Promise<string>} The text of every page.
+ */
+async function extractPdfText(buffer) {
+    const pdfParse = require('pdf-parse');
+    const { text } = await pdfParse(buffer);
+    return text;
+}
+
+/**
+ * Reads one document and extracts its text.
+ * @param {string} filePath - The attached file.
+ * @returns {Promise<{name: string, kind: string, content: string}>} The file name, what kind of document it is, and its text.
+ * @throws {Error} If the file type is unsupported, the file can't be read, or it has no text.
+ */
+async function readReferenceDocument(filePath) {
+    const name = path.basename(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+        throw new Error(`${name}: unsupported file type. Attach ${SUPPORTED_EXTENSIONS.join(', ')} files.`);
+    }
+
+    let buffer;
+    try {
+        buffer = await fs.readFile(filePath);
+    } catch (error) {
+        throw new Error(`${name}: cannot read file: ${error.message}`);
+    }
+
+    let kind;
+    let content;
+    if (ext === '.pdf') {
+        kind = 'PDF, extracted text';
+        try {
+            content = await extractPdfText(buffer);
+        } catch (error) {
+            throw new Error(`${name}: cannot extract text from PDF: ${error.message}`);
+        }
+        if (!content.trim()) throw new Error(`${name}: the PDF has no extractable text (it may be a scanned image).`);
+    } else {
+        content = buffer.toString('utf8');
+        if (ext === '.json') {
+            // Minified specs lose their structure in the prompt, so re-indent them
+            try {
+                content = JSON.stringify(JSON.parse(content), null, 2);
+            } catch (error) {
+                log.warn(`${name} is not valid JSON (${error.message}); attaching it as is.`); // Use log.warn
+            }
+        }
+        if (ext === '.md' || ext === '.markdown') {
+            kind = 'Markdown document';
+        } else if (ext === '.txt') {
+            kind = 'text notes';
+        } else {
+            const format = ext === '.json' ? 'JSON' : 'YAML';
+            kind = OPENAPI_KEY_REGEX.test(content) ? `OpenAPI specification, ${format}` : `${format} document`;
+        }
+    }
+    if (!content.trim()) throw new Error(`${name}: the file is empty.`);
+    return { name, kind, content };
+}
+
+/**
+ * Loads the attached documents and truncates them to fit the reference share of the prompt budget.
+ * Documents are measured smallest first, so short ones are kept whole and long ones split what remains.
+ * @param {string[]} filePaths - The attached files, in the order they are shown in the prompt.
+ * @returns {Promise<Array<{name: string, kind: string, content: string, truncated: boolean}>>} The documents, in the same order.
+ * @throws {Error} If there are too many files or one can't be used (the message names the file).
+ */
+async function loadReferenceDocuments(filePaths) {
+    if (!Array.isArray(filePaths) || filePaths.length === 0) return [];
+    if (filePaths.length > MAX_REFERENCE_DOCUMENTS) {
+        throw new Error(`Attach at most ${MAX_REFERENCE_DOCUMENTS} reference documents (got ${filePaths.length}).`);
+    }
+    const documents = [];
+    for (const filePath of filePaths) {
+        documents.push({ ...(await readReferenceDocument(filePath)), truncated: false });
+    }
+
+    let remainingTokens = Math.floor(getMaxPromptTokens() * REFERENCE_SHARE);
+    const bySize = [...documents].sort((a, b) => a.content.length - b.content.length);
+    bySize.forEach((document, index) => {
+        const share = Math.floor(remainingTokens / (bySize.length - index));
+        const tokens = estimateTokenCount(document.content);
+        if (tokens > share) {
+            const keptChars = Math.floor(document.content.length * (share / tokens));
+            document.content = `${document.content.slice(0, keptChars)}\n... (truncated to fit the prompt; ${document.content.length} characters in total)`;
+            document.truncated = true;
+            log.warn(`Reference document ${document.name} truncated to about ${share} tokens.`); // Use log.warn
+        }
+        remainingTokens -= Math.min(tokens, share);
+    });
+
+    log.info(`Loaded ${documents.length} reference document(s): ${documents.map(document => `${document.name} (${document.kind})`).join(', ')}`); // Use log.info
+    return documents;
+}
+
+module.exports = {
+    MAX_REFERENCE_DOCUMENTS,
+    SUPPORTED_EXTENSIONS,
+    loadReferenceDocuments,
+};
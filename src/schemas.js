@@ -0,0 +1,239 @@
+// src/schemas.js - JSON schemas for the structured (JSON) outputs requested from the LLM
+//
+// Each definition is { name, schema, check? }: `schema` is sent to providers that support
+// schema-constrained output and validated locally; `check` adds rules a schema can't express.
+
+const { validateAgainstSchema } = require('./jsonSchema');
+
+const MODE_SLUG_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+// .roomodes: { customModes: [{ slug, name, roleDefinition, groups, customInstructions? }] }
+const ROOMODES_SCHEMA = {
+    name: 'roomodes',
+    schema: {
+        type: 'object',
+        required: ['customModes'],
+        properties: {
+            customModes: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['slug', 'name', 'roleDefinition', 'groups'],
+                    properties: {
+                        slug: { type: 'string', pattern: MODE_SLUG_PATTERN },
+                        name: { type: 'string', minLength: 1 },
+                        roleDefinition: { type: 'string', minLength: 1 },
+                        groups: {
+                            type: 'array',
+                            minItems: 1,
+                            items: {
+                                anyOf: [
+                                    { type: 'string', minLength: 1 },
+                                    // ["edit", { "fileRegex": "...", "description": "..." }]
+                                    { type: 'array', minItems: 2, maxItems: 2 }
+                                ]
+                            }
+                        },
+                        customInstructions: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    check(value) {
+        const seenSlugs = new Set();
+        const errors = [];
+        value.customModes.forEach((mode, index) => {
+            if (seenSlugs.has(mode.slug)) errors.push(`$.customModes[${index}].slug: duplicate slug "${mode.slug}"`);
+            seenSlugs.add(mode.slug);
+        });
+        return errors;
+    }
+};
+
+// One entry of the "Proposed Structure (JSON)" block in the Stage 2 Markdown
+const STRUCTURE_ITEM_SCHEMA = {
+    type: 'object',
+    required: ['type', 'path'],
+    properties: {
+        type: { type: 'string', enum: ['dir', 'file'] },
+        path: { type: 'string', minLength: 1 }
+    }
+};
+
+// Wrapped in an object because several providers only accept an object at the schema root
+const PROPOSED_STRUCTURE_SCHEMA = {
+    name: 'proposed_structure',
+    schema: {
+        type: 'object',
+        required: ['structure'],
+        properties: {
+            structure: { type: 'array', minItems: 1, items: STRUCTURE_ITEM_SCHEMA }
+        }
+    },
+    check(value) {
+        const seenPaths = new Set();
+        const errors = [];
+        value.structure.forEach((item, index) => {
+            const normalizedPath = item.path.trim().replace(/\\/g, '/').replace(/\/$/, '');
+            if (seenPaths.has(normalizedPath)) errors.push(`$.structure[${index}].path: duplicate path "${item.path}"`);
+            seenPaths.add(normalizedPath);
+        });
+        return errors;
+    }
+};
+
+const SETUP_COMMANDS_SCHEMA = {
+    name: 'setup_commands',
+    schema: {
+        type: 'object',
+        required: ['commands'],
+        properties: {
+            commands: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+        }
+    }
+};
+
+// Plan judge: one rubric score set per candidate plan (1 = poor, 5 = excellent)
+const RUBRIC_SCORE_SCHEMA = { type: 'integer', minimum: 1, maximum: 5 };
+const PLAN_JUDGE_SCHEMA = {
+    name: 'plan_judge',
+    schema: {
+        type: 'object',
+        required: ['scores'],
+        properties: {
+            scores: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['candidate', 'requirementsCoverage', 'slugUsage', 'taskGranularity', 'rationale'],
+                    properties: {
+                        candidate: { type: 'integer', minimum: 1 },
+                        requirementsCoverage: RUBRIC_SCORE_SCHEMA,
+                        slugUsage: RUBRIC_SCORE_SCHEMA,
+                        taskGranularity: RUBRIC_SCORE_SCHEMA,
+                        rationale: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    check(value) {
+        const seenCandidates = new Set();
+        const errors = [];
+        value.scores.forEach((score, index) => {
+            if (seenCandidates.has(score.candidate)) errors.push(`$.scores[${index}].candidate: candidate ${score.candidate} is scored twice`);
+            seenCandidates.add(score.candidate);
+        });
+        return errors;
+    }
+};
+
+// MCP servers the project needs, turned into .roo/mcp.json by src/mcpConfig.js. An array rather than a
+// name-keyed map, since providers' schema-constrained modes can't describe arbitrary keys.
+const MCP_SERVER_NAME_PATTERN = '^[a-zA-Z0-9_-]+$';
+const ENV_VAR_NAME_PATTERN = '^[A-Z][A-Z0-9_]*$';
+const MCP_SERVERS_SCHEMA = {
+    name: 'mcp_servers',
+    schema: {
+        type: 'object',
+        required: ['servers'],
+        properties: {
+            servers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'purpose', 'transport', 'env', 'tools'],
+                    properties: {
+                        name: { type: 'string', pattern: MCP_SERVER_NAME_PATTERN },
+                        purpose: { type: 'string', minLength: 1 },
+                        transport: { type: 'string', enum: ['stdio', 'sse', 'streamable-http'] },
+                        command: { type: 'string', minLength: 1 }, // stdio servers
+                        args: { type: 'array', items: { type: 'string' } }, // stdio servers
+                        url: { type: 'string', pattern: '^https?://' }, // sse and streamable-http servers
+                        // sse and streamable-http servers; values reference env variables, e.g. "Bearer ${env:API_TOKEN}"
+                        headers: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['name', 'value'],
+                                properties: {
+                                    name: { type: 'string', minLength: 1 },
+                                    value: { type: 'string', minLength: 1 }
+                                }
+                            }
+                        },
+                        // Secrets and machine-specific values; written as ${env:NAME} placeholders, never as values
+                        env: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['name', 'description'],
+                                properties: {
+                                    name: { type: 'string', pattern: ENV_VAR_NAME_PATTERN },
+                                    description: { type: 'string' }
+                                }
+                            }
+                        },
+                        tools: { type: 'array', items: { type: 'string', minLength: 1 } }
+                    }
+                }
+            }
+        }
+    },
+    check(value) {
+        const seenNames = new Set();
+        const errors = [];
+        value.servers.forEach((server, index) => {
+            const at = `$.servers[${index}]`;
+            if (seenNames.has(server.name)) errors.push(`${at}.name: duplicate server name "${server.name}"`);
+            seenNames.add(server.name);
+            if (server.transport === 'stdio') {
+                if (!server.command) errors.push(`${at}.command: required for a stdio server`);
+                if (server.url) errors.push(`${at}.url: a stdio server is started with command and args, not a URL`);
+                if (server.headers?.length > 0) errors.push(`${at}.headers: only sse and streamable-http servers take headers; use env`);
+            } else {
+                if (!server.url) errors.push(`${at}.url: required for a ${server.transport} server`);
+                if (server.command || server.args?.length > 0) errors.push(`${at}.command: a ${server.transport} server is reached by URL, not started with a command`);
+            }
+            const envNames = server.env.map(variable => variable.name);
+            envNames.forEach((name, envIndex) => {
+                if (envNames.indexOf(name) !== envIndex) errors.push(`${at}.env[${envIndex}].name: duplicate variable "${name}"`);
+            });
+            // Every placeholder must name a declared variable, and header values must come from one, never a literal secret
+            const references = [...(server.args || []), ...(server.headers || []).map(header => header.value)]
+                .flatMap(text => [...text.matchAll(/\$\{env:([^}]*)\}/g)].map(match => match[1]));
+            for (const name of new Set(references)) {
+                if (!envNames.includes(name)) errors.push(`${at}: \${env:${name}} is used but "${name}" is not declared in env`);
+            }
+            (server.headers || []).forEach((header, headerIndex) => {
+                if (!header.value.includes('${env:')) errors.push(`${at}.headers[${headerIndex}].value: must reference an env variable, e.g. "Bearer \${env:API_TOKEN}"`);
+            });
+        });
+        return errors;
+    }
+};
+
+/**
+ * Validates a parsed value against a response schema definition, including its extra checks.
+ * @param {*} value - The parsed JSON value.
+ * @param {{schema: object, check?: Function}} responseSchema - A definition from this module.
+ * @returns {string[]} Validation errors; empty when the value is valid.
+ */
+function validateResponse(value, responseSchema) {
+    const errors = validateAgainstSchema(value, responseSchema.schema);
+    // Extra checks assume the basic shape, so only run them on schema-valid values
+    if (errors.length === 0 && responseSchema.check) errors.push(...responseSchema.check(value));
+    return errors;
+}
+
+module.exports = {
+    ROOMODES_SCHEMA,
+    PROPOSED_STRUCTURE_SCHEMA,
+    SETUP_COMMANDS_SCHEMA,
+    PLAN_JUDGE_SCHEMA,
+    MCP_SERVERS_SCHEMA,
+    validateResponse,
+};
@@ -0,0 +1,288 @@
+// src/stageGraph.js - Runs the generation pipeline as a dependency graph of named stages
+//
+// A stage definition is:
+//   {
+//     name,                          // Unique; also the checkpoint key and the PIPELINE_STAGES config key
+//     inputs: [valueName, ...],      // Values the stage reads (from earlier stages or the initial values)
+//     optionalInputs?: [valueName, ...], // Values it reads if an enabled stage provides them (undefined otherwise)
+//     outputs: [valueName, ...],     // Values it provides to later stages
+//     run(inputs, context),          // Returns the stage's result; context is { progressCallback, cancellationToken }
+//     provides?(result),             // Maps the result to { valueName: value }; defaults to { [outputs[0]]: result }
+//     isComplete?(result, inputs),   // Whether the result is checkpointed; defaults to "not null"
+//     optional?,                     // May be disabled with PIPELINE_STAGES
+//     review?: { present(result), applyEdit(result, content, inputs) }  // Lets the user approve, edit or regenerate the result
+//     llmStages?: [label, ...],      // Usage labels of the stage's LLM calls; the models that served them are checkpointed with the result
+//     artifact?: { filename, content?, files?, scaffolded?, builtFrom? }  // filename may be a function of the result; files(result) maps a result
+//                                    // to several files; scaffolded files are written with the structure list instead of saved on their own;
+//                                    // builtFrom names earlier stages whose output the file also carries; they rerun with it on regeneration
+//   }
+// A stage starts as soon as the stages providing its inputs have finished, so independent stages run concurrently.
+// When the run has a requestReview callback, stages with a review spec wait for the user's decision
+// before their result is checkpointed or passed on.
+
+const log = require('electron-log'); // Import electron-log
+
+// --- Stage Graph State ---
+let stageToggles = {}; // stage name -> enabled (from PIPELINE_STAGES)
+
+/**
+ * Applies the PIPELINE_STAGES value from config.json, e.g. { "footgunPrompt": false }.
+ * Stage names are checked when the pipeline runs, since only the engine knows them.
+ * @param {{stages?: Record<string, boolean>}} settings - The raw config value.
+ */
+function configureStageGraph({ stages } = {}) {
+    stageToggles = stages && typeof stages === 'object' ? { ...stages } : {};
+    const disabled = Object.keys(stageToggles).filter(name => stageToggles[name] === false);
+    if (disabled.length > 0) log.info(`Pipeline stages disabled by config: ${disabled.join(', ')}`); // Use log.info
+}
+
+/**
+ * Checks whether PIPELINE_STAGES leaves a stage enabled, for stages that adapt to another stage without reading its output.
+ * @param {string} stageName - The stage name.
+ * @returns {boolean} False only if the stage was disabled in config.
+ */
+function isStageEnabled(stageName) {
+    return stageToggles[stageName] !== false;
+}
+
+/**
+ * Lists every value a stage reads: its inputs, then its optional inputs.
+ * @param {object} stage - The stage definition.
+ * @returns {string[]} The value names.
+ */
+function getStageInputs(stage) {
+    return [...stage.inputs, ...(stage.optionalInputs || [])];
+}
+
+/**
+ * Selects the enabled stages and checks that the graph can run: unique names, every input
+ * provided exactly once, no cycles, and only optional stages disabled.
+ * @param {object[]} stages - The stage definitions.
+ * @param {string[]} initialValueNames - Values available before any stage runs.
+ * @returns {{enabledStages: object[], producers: Map<string, object>}} The stages to run and the stage providing each value.
+ * @throws {Error} Listing every problem found.
+ */
+function planStageGraph(stages, initialValueNames) {
+    const problems = [];
+    const stageNames = new Set();
+    for (const stage of stages) {
+        if (stageNames.has(stage.name)) problems.push(`duplicate stage name "${stage.name}"`);
+        stageNames.add(stage.name);
+    }
+    for (const name of Object.keys(stageToggles)) {
+        if (!stageNames.has(name)) log.warn(`PIPELINE_STAGES: unknown stage "${name}". Stages: ${[...stageNames].join(', ')}`); // Use log.warn
+    }
+
+    const enabledStages = stages.filter(stage => {
+        if (stageToggles[stage.name] !== false) return true;
+        if (!stage.optional) problems.push(`stage "${stage.name}" is required and cannot be disabled`);
+        return !stage.optional;
+    });
+
+    const producers = new Map(initialValueNames.map(valueName => [valueName, null]));
+    for (const stage of enabledStages) {
+        for (const valueName of stage.outputs) {
+            if (producers.has(valueName)) {
+                problems.push(`value "${valueName}" is provided by both ${producers.get(valueName) ? `"${producers.get(valueName).name}"` : 'the initial values'} and "${stage.name}"`);
+            }
+            producers.set(valueName, stage);
+        }
+    }
+    for (const stage of enabledStages) {
+        for (const valueName of stage.inputs) {
+            if (producers.has(valueName)) continue;
+            const disabledProducer = stages.find(candidate => candidate.outputs.includes(valueName));
+            problems.push(disabledProducer
+                ? `stage "${stage.name}" needs "${valueName}" from disabled stage "${disabledProducer.name}"`
+                : `stage "${stage.name}" needs "${valueName}", which no stage provides`);
+        }
+    }
+
+    // Depth-first search for cycles
+    const visiting = new Set();
+    const visited = new Set();
+    const visit = (stage, trail) => {
+        if (visited.has(stage)) return;
+        if (visiting.has(stage)) {
+            problems.push(`cycle: ${[...trail, stage.name].join(' -> ')}`);
+            return;
+        }
+        visiting.add(stage);
+        for (const valueName of getStageInputs(stage)) {
+            const producer = producers.get(valueName);
+            if (producer) visit(producer, [...trail, stage.name]);
+        }
+        visiting.delete(stage);
+        visited.add(stage);
+    };
+    enabledStages.forEach(stage => visit(stage, []));
+
+    if (problems.length > 0) throw new Error(`Invalid stage graph: ${problems.join('; ')}`);
+    return { enabledStages, producers };
+}
+
+/**
+ * Holds a stage's result until the user approves it, regenerating or applying edits as asked.
+ * An edit that the stage rejects is sent back for review together with its errors.
+ * @param {object} stage - The stage definition (with a review spec).
+ * @param {object} inputs - The stage's input values, for regenerating and checking edits.
+ * @param {*} result - The stage's first result.
+ * @param {{progressCallback: Function, cancellationToken: object, requestReview: Function}} context - Run context.
+ * @returns {Promise<*>} The approved result.
+ */
+async function reviewStageResult(stage, inputs, result, { progressCallback, cancellationToken, requestReview }) {
+    let errors = [];
+    let rejectedContent; // A rejected edit is shown again so the user can fix it instead of starting over
+    for (;;) {
+        const request = { stage: stage.name, ...stage.review.present(result), errors };
+        if (rejectedContent !== undefined) request.content = rejectedContent;
+        const decision = await requestReview(request);
+        errors = [];
+        rejectedContent = undefined;
+        if (decision.action === 'approve') return result;
+        if (decision.action === 'regenerate') {
+            log.info(`Regenerating stage "${stage.name}" at the user's request.`); // Use log.info
+            result = await stage.run(inputs, { progressCallback, cancellationToken });
+        } else if (decision.action === 'edit') {
+            const edited = stage.review.applyEdit(result, decision.content, inputs);
+            if (edited.errors?.length > 0) {
+                errors = edited.errors;
+                rejectedContent = decision.content;
+            } else {
+                log.info(`Using the user's edited result for stage "${stage.name}".`); // Use log.info
+                return edited.result;
+            }
+        } else {
+            throw new Error(`Unknown review action "${decision.action}" for stage "${stage.name}".`);
+        }
+    }
+}
+
+/**
+ * Runs one stage, or reuses its checkpointed result. Completed results are checkpointed before
+ * dependent stages start; results that don't count as complete are not, so a resumed run retries them.
+ * Reviewed results are checkpointed once approved, so a resumed run doesn't ask again.
+ * @param {object} stage - The stage definition.
+ * @param {object} inputs - The stage's input values.
+ * @param {{progressCallback: Function, cancellationToken: object, checkpoint?: object, requestReview?: Function}} context - Run context.
+ * @returns {Promise<*>} The stage's result.
+ */
+async function runStage(stage, inputs, context) {
+    const { progressCallback, cancellationToken, checkpoint } = context;
+    if (checkpoint?.has(stage.name)) {
+        log.info(`Progress - Resume: Reusing checkpointed output of stage "${stage.name}".`); // Use log.info
+        if (progressCallback) progressCallback({ stage: 'Resume', message: `Reusing checkpointed output of stage "${stage.name}".` });
+        return checkpoint.get(stage.name);
+    }
+    // Stages check the cancellation token themselves
+    let result = await stage.run(inputs, { progressCallback, cancellationToken });
+    if (stage.review && context.requestReview) result = await reviewStageResult(stage, inputs, result, context);
+    if (checkpoint) await saveStageResult(stage, inputs, result, context);
+    return result;
+}
+
+/**
+ * Checkpoints a stage's result if it counts as complete. Never throws.
+ * @param {object} stage - The stage definition.
+ * @param {object} inputs - The stage's input values.
+ * @param {*} result - The stage's result.
+ * @param {{checkpoint: object, getStageModels?: Function}} context - Run context; getStageModels(stage) lists the models that served the stage.
+ */
+async function saveStageResult(stage, inputs, result, { checkpoint, getStageModels }) {
+    const isComplete = stage.isComplete || (output => output !== null && output !== undefined);
+    if (!isComplete(result, inputs)) return;
+    try {
+        await checkpoint.save(stage.name, result, { models: getStageModels ? getStageModels(stage) : undefined });
+    } catch (error) {
+        // Losing a checkpoint only costs the ability to resume, not the run itself
+        log.error(`Failed to checkpoint stage "${stage.name}": ${error.message}`); // Use log.error
+    }
+}
+
+/**
+ * Runs every enabled stage as soon as its inputs are available.
+ * If a stage fails, the run rejects with that error; stages already in flight finish (and are checkpointed) on their own.
+ * @param {object[]} stages - The stage definitions.
+ * @param {object} initialValues - Values available before any stage runs (e.g. { projectIdea }).
+ * @param {{progressCallback: Function, cancellationToken: object, checkpoint?: object, requestReview?: Function, getStageModels?: Function}} context - Run context.
+ *   requestReview(request) resolves to the user's { action: 'approve'|'edit'|'regenerate', content? } for a reviewed stage.
+ * @returns {Promise<{values: object, results: Map<string, *>}>} All provided values, and each stage's result by name (enabled stages only).
+ * @throws {Error} If the graph is invalid or a stage fails (including CancellationError when the run is cancelled).
+ */
+async function runStageGraph(stages, initialValues, context) {
+    const { enabledStages, producers } = planStageGraph(stages, Object.keys(initialValues));
+    const values = { ...initialValues };
+    const results = new Map();
+    const stagePromises = new Map();
+
+    const startStage = (stage) => {
+        if (stagePromises.has(stage)) return stagePromises.get(stage);
+        const dependencies = [...new Set(getStageInputs(stage).map(valueName => producers.get(valueName)).filter(Boolean))];
+        const stagePromise = Promise.all(dependencies.map(startStage)).then(async () => {
+            const inputs = Object.fromEntries(getStageInputs(stage).map(valueName => [valueName, values[valueName]]));
+            const result = await runStage(stage, inputs, context);
+            results.set(stage.name, result);
+            const provided = stage.provides ? stage.provides(result) : { [stage.outputs[0]]: result };
+            for (const valueName of stage.outputs) values[valueName] = provided[valueName];
+            return result;
+        });
+        stagePromises.set(stage, stagePromise);
+        return stagePromise;
+    };
+
+    log.info(`Running pipeline stages: ${enabledStages.map(stage => stage.name).join(', ')}`); // Use log.info
+    await Promise.all(enabledStages.map(startStage));
+    return { values, results };
+}
+
+/**
+ * Re-runs stages of a saved run against the checkpointed outputs of the stages before them.
+ * Each new result replaces the stage's checkpoint (if complete); stages that depend on them are not re-run
+ * unless they are listed too.
+ * @param {object[]} stages - The stage definitions.
+ * @param {string|string[]} stageNames - The stage to re-run, or several in dependency order; each reads the new outputs of the ones before it.
+ * @param {object} initialValues - Values available before any stage runs (e.g. { projectIdea }).
+ * @param {{progressCallback: Function, cancellationToken: object, checkpoint: object, getStageModels?: Function}} context - Run context; the checkpoint is required.
+ * @returns {Promise<*>} The last stage's new result.
+ * @throws {Error} If a stage is unknown or the run has no saved output for one of its inputs.
+ */
+async function rerunStage(stages, stageNames, initialValues, context) {
+    const { progressCallback, cancellationToken, checkpoint } = context;
+    const rerunStages = [stageNames].flat().map(stageName => {
+        const stage = stages.find(candidate => candidate.name === stageName);
+        if (!stage) throw new Error(`Unknown stage "${stageName}".`);
+        return stage;
+    });
+
+    const values = { ...initialValues };
+    const provideValues = (producer, result) => {
+        const provided = producer.provides ? producer.provides(result) : { [producer.outputs[0]]: result };
+        for (const valueName of producer.outputs) values[valueName] = provided[valueName];
+    };
+    for (const producer of stages) {
+        if (rerunStages.includes(producer) || !checkpoint.has(producer.name)) continue;
+        provideValues(producer, checkpoint.get(producer.name));
+    }
+
+    let result;
+    for (const stage of rerunStages) {
+        const missingInputs = stage.inputs.filter(valueName => values[valueName] === undefined);
+        if (missingInputs.length > 0) {
+            throw new Error(`Run ${checkpoint.runId} has no saved ${missingInputs.join(', ')} for stage "${stage.name}". Resume the run first.`);
+        }
+        log.info(`Re-running stage "${stage.name}" of run ${checkpoint.runId}`); // Use log.info
+        const inputs = Object.fromEntries(getStageInputs(stage).map(valueName => [valueName, values[valueName]]));
+        result = await stage.run(inputs, { progressCallback, cancellationToken });
+        await saveStageResult(stage, inputs, result, context);
+        provideValues(stage, result);
+    }
+    return result;
+}
+
+module.exports = {
+    configureStageGraph,
+    isStageEnabled,
+    planStageGraph,
+    runStageGraph,
+    rerunStage,
+};
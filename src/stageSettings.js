@@ -0,0 +1,105 @@
+// src/stageSettings.js - Per-stage model and generation settings (LLM_PROFILES / LLM_STAGE_SETTINGS)
+
+const log = require('electron-log'); // Import electron-log
+
+// Keys a profile may set; anything it leaves out falls back to the global LLM_* settings
+const PROFILE_KEYS = ['model', 'temperature', 'maxOutputTokens'];
+
+// --- Stage Settings State ---
+let profiles = {}; // profile name -> { model?, temperature?, maxOutputTokens? }
+let stageSettings = {}; // stage name -> { model?, temperature?, maxOutputTokens? }
+
+/**
+ * Validates one profile object from config.json, dropping invalid fields with a warning.
+ * @param {string} label - Where the profile came from (for log messages).
+ * @param {object} rawProfile - The raw profile object.
+ * @returns {{model?: string, temperature?: number, maxOutputTokens?: number}} The cleaned profile.
+ */
+function normalizeProfile(label, rawProfile) {
+    const profile = {};
+    for (const key of Object.keys(rawProfile)) {
+        if (!PROFILE_KEYS.includes(key)) {
+            log.warn(`Ignoring unknown setting "${key}" in ${label}. Supported: ${PROFILE_KEYS.join(', ')}.`); // Use log.warn
+        }
+    }
+    if (typeof rawProfile.model === 'string' && rawProfile.model) {
+        profile.model = rawProfile.model;
+    }
+    if (typeof rawProfile.temperature === 'number' && rawProfile.temperature >= 0.0 && rawProfile.temperature <= 1.0) {
+        profile.temperature = rawProfile.temperature;
+    } else if (rawProfile.temperature !== undefined) {
+        log.warn(`Ignoring temperature in ${label}: must be a number between 0 and 1.`); // Use log.warn
+    }
+    if (typeof rawProfile.maxOutputTokens === 'number' && rawProfile.maxOutputTokens > 0) {
+        profile.maxOutputTokens = Math.floor(rawProfile.maxOutputTokens);
+    } else if (rawProfile.maxOutputTokens !== undefined) {
+        log.warn(`Ignoring maxOutputTokens in ${label}: must be a positive number.`); // Use log.warn
+    }
+    return profile;
+}
+
+/**
+ * Applies the LLM_PROFILES and LLM_STAGE_SETTINGS values from config.json.
+ * A stage entry is either the name of a profile or an inline profile object.
+ * @param {{profiles?: object, stages?: object}} settings - The raw config values.
+ * @returns {string|null} An error message if a stage references an unknown profile or is malformed, otherwise null.
+ */
+function configureStageSettings({ profiles: rawProfiles, stages: rawStages } = {}) {
+    profiles = {};
+    stageSettings = {};
+    const problems = [];
+
+    if (rawProfiles && typeof rawProfiles === 'object') {
+        for (const [profileName, rawProfile] of Object.entries(rawProfiles)) {
+            if (rawProfile && typeof rawProfile === 'object') {
+                profiles[profileName] = normalizeProfile(`LLM_PROFILES.${profileName}`, rawProfile);
+            } else {
+                problems.push(`LLM_PROFILES.${profileName} must be an object`);
+            }
+        }
+    }
+
+    if (rawStages && typeof rawStages === 'object') {
+        for (const [stage, entry] of Object.entries(rawStages)) {
+            if (typeof entry === 'string') {
+                if (profiles[entry]) {
+                    stageSettings[stage] = profiles[entry];
+                } else {
+                    problems.push(`LLM_STAGE_SETTINGS["${stage}"] references unknown profile "${entry}"`);
+                }
+            } else if (entry && typeof entry === 'object') {
+                stageSettings[stage] = normalizeProfile(`LLM_STAGE_SETTINGS["${stage}"]`, entry);
+            } else {
+                problems.push(`LLM_STAGE_SETTINGS["${stage}"] must be a profile name or an object`);
+            }
+        }
+    }
+
+    for (const [stage, settings] of Object.entries(stageSettings)) {
+        log.info(`Stage settings for "${stage}": ${JSON.stringify(settings)}`); // Use log.info
+    }
+    return problems.length > 0 ? `Invalid stage settings: ${problems.join('; ')}.` : null;
+}
+
+/**
+ * Resolves the settings overrides for one LLM call.
+ * An explicit profile (name or object) wins over the stage's configured settings.
+ * @param {string} [stage] - The engine stage making the call.
+ * @param {string|object} [profile] - An explicit profile name or inline profile for this call.
+ * @returns {{model?: string, temperature?: number, maxOutputTokens?: number}} The overrides (empty when none apply).
+ */
+function resolveStageSettings(stage, profile) {
+    if (typeof profile === 'string') {
+        if (!profiles[profile]) throw new Error(`Unknown LLM profile "${profile}".`);
+        return profiles[profile];
+    }
+    if (profile && typeof profile === 'object') {
+        return normalizeProfile(`call profile${stage ? ` for "${stage}"` : ''}`, profile);
+    }
+    return (stage && stageSettings[stage]) || {};
+}
+
+module.exports = {
+    configureStageSettings,
+    resolveStageSettings,
+};
@@ -0,0 +1,202 @@
+// src/starterFiles.js - Deterministic starter content for well-known config files
+//
+// Scaffolding writes an outline into most files, but config files must parse: a package.json that starts
+// with a comment, or a .gitignore full of pseudocode, breaks the project's tooling. The generators below
+// are keyed by file name and build valid content from the stacks detected in the analysed Technology
+// Stack (plus the preset's stack) and the structure list. No LLM call is involved, so the same run
+// always scaffolds the same files.
+
+const path = require('path');
+
+// Technologies that map to npm packages; names are matched against the Technology Stack entries
+const NPM_PACKAGES = [
+    { match: /\bnext(\.?js)?\b/i, dependencies: ['next', 'react', 'react-dom'] },
+    { match: /\breact\b(?!\s*native)/i, dependencies: ['react', 'react-dom'] },
+    { match: /\bvue(\.?js)?\b/i, dependencies: ['vue'] },
+    { match: /\bexpress(\.?js)?\b/i, dependencies: ['express'] },
+    { match: /\bfastify\b/i, dependencies: ['fastify'] },
+    { match: /\bmongoose\b/i, dependencies: ['mongoose'] },
+    { match: /\bprisma\b/i, dependencies: ['@prisma/client'], devDependencies: ['prisma'] },
+    { match: /\bsocket\.io\b/i, dependencies: ['socket.io'] },
+    { match: /\bredis\b/i, dependencies: ['redis'] },
+    { match: /\bdotenv\b/i, dependencies: ['dotenv'] },
+    { match: /\btypescript\b/i, devDependencies: ['typescript', '@types/node'] },
+    { match: /\bjest\b/i, devDependencies: ['jest'] },
+    { match: /\bvite\b/i, devDependencies: ['vite'] },
+    { match: /\beslint\b/i, devDependencies: ['eslint'] },
+    { match: /\btailwind(\s*css)?\b/i, devDependencies: ['tailwindcss'] },
+    { match: /\belectron\b/i, devDependencies: ['electron'] }
+];
+
+// Technologies that map to PyPI packages
+const PYPI_PACKAGES = [
+    { match: /\bdjango\b/i, packages: ['django'] },
+    { match: /\bflask\b/i, packages: ['flask'] },
+    { match: /\bfastapi\b/i, packages: ['fastapi', 'uvicorn'] },
+    { match: /\bsqlalchemy\b/i, packages: ['sqlalchemy'] },
+    { match: /\bpydantic\b/i, packages: ['pydantic'] },
+    { match: /\bpandas\b/i, packages: ['pandas'] },
+    { match: /\bnumpy\b/i, packages: ['numpy'] },
+    { match: /\bcelery\b/i, packages: ['celery'] },
+    { match: /\bredis\b/i, packages: ['redis'] },
+    { match: /\bpytest\b/i, packages: ['pytest'] }
+];
+
+// .gitignore sections per stack, in the order they are written
+const GITIGNORE_SECTIONS = [
+    { stack: 'common', title: 'Environment and OS files', entries: ['.env', '.env.*', '!.env.example', '.DS_Store', 'Thumbs.db', '*.log'] },
+    { stack: 'node', title: 'Node', entries: ['node_modules/', 'dist/', 'build/', 'coverage/', 'npm-debug.log*'] },
+    { stack: 'next', title: 'Next.js', entries: ['.next/', 'out/', 'next-env.d.ts'] },
+    { stack: 'typescript', title: 'TypeScript', entries: ['*.tsbuildinfo'] },
+    { stack: 'python', title: 'Python', entries: ['__pycache__/', '*.py[cod]', '.venv/', 'venv/', '.pytest_cache/', '*.egg-info/', 'dist/', 'build/'] },
+    { stack: 'go', title: 'Go', entries: ['/bin/', '*.exe', '*.test', '*.out'] }
+];
+
+/**
+ * Detects the stacks a project uses from its technologies and the file types in its structure.
+ * @param {string[]} technologies - The Technology Stack entries (and the preset's stack).
+ * @param {Array<{type: string, path: string}>} structureList - The Proposed Structure list.
+ * @returns {Set<string>} Some of 'node', 'typescript', 'react', 'next', 'python' and 'go'.
+ */
+function detectStacks(technologies, structureList) {
+    const techText = technologies.join('\n');
+    const files = structureList.filter(item => item.type === 'file').map(item => item.path.toLowerCase());
+    const hasFile = regex => files.some(file => regex.test(file));
+    const stacks = new Set();
+    if (/\bnext(\.?js)?\b/i.test(techText)) stacks.add('next');
+    if (stacks.has('next') || /\breact\b(?!\s*native)/i.test(techText) || hasFile(/\.(jsx|tsx)$/)) stacks.add('react');
+    if (/\btypescript\b/i.test(techText) || hasFile(/\.tsx?$|(^|\/)tsconfig\.json$/)) stacks.add('typescript');
+    if (stacks.has('react') || stacks.has('typescript') || /\b(node(\.?js)?|npm|javascript)\b/i.test(techText) || hasFile(/\.[cm]?jsx?$|(^|\/)package\.json$/)) {
+        stacks.add('node');
+    }
+    if (/\b(python|django|flask|fastapi)\b/i.test(techText) || hasFile(/\.py$|(^|\/)requirements\.txt$/)) stacks.add('python');
+    if (/\b(go|golang)\b/i.test(techText) || hasFile(/\.go$|(^|\/)go\.mod$/)) stacks.add('go');
+    return stacks;
+}
+
+/**
+ * Turns a folder or project name into a valid npm package name.
+ * @param {string} projectName - The name.
+ * @returns {string} Lowercase, URL-safe, at most 214 characters; 'my-project' if nothing usable is left.
+ */
+function toPackageName(projectName) {
+    const name = (projectName || '').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[._-]+|-+$/g, '').slice(0, 214);
+    return name || 'my-project';
+}
+
+/**
+ * Lists the packages of a mapping table whose technology appears in the stack, sorted and without duplicates.
+ * @param {Array<{match: RegExp}>} table - NPM_PACKAGES or PYPI_PACKAGES.
+ * @param {string[]} technologies - The Technology Stack entries.
+ * @param {string} key - The package list to collect ('dependencies', 'devDependencies' or 'packages').
+ * @returns {string[]} The package names.
+ */
+function collectPackages(table, technologies, key) {
+    const techText = technologies.join('\n');
+    return [...new Set(table.filter(entry => entry.match.test(techText)).flatMap(entry => entry[key] || []))].sort();
+}
+
+/**
+ * Builds package.json: the analysed npm dependencies (at "latest", to be pinned on first install) and the scripts the stack implies.
+ * @param {{projectName: string, technologies: string[], structureList: object[], stacks: Set<string>}} context - The starter context.
+ * @returns {string} The JSON content.
+ */
+function generatePackageJson({ projectName, technologies, structureList, stacks }) {
+    const files = structureList.filter(item => item.type === 'file').map(item => item.path);
+    const dependencies = collectPackages(NPM_PACKAGES, technologies, 'dependencies');
+    const devDependencies = collectPackages(NPM_PACKAGES, technologies, 'devDependencies')
+        .filter(name => !dependencies.includes(name));
+    // Jest test skeletons need Jest even if the stack doesn't name it
+    if (files.some(file => /(^|\/)__tests__\//.test(file)) && !devDependencies.includes('jest')) devDependencies.push('jest');
+
+    const scripts = {};
+    const entryPoint = ['src/index.js', 'src/server.js', 'src/app.js', 'index.js', 'server.js', 'app.js'].find(file => files.includes(file));
+    if (stacks.has('next')) {
+        Object.assign(scripts, { dev: 'next dev', build: 'next build', start: 'next start' });
+    } else if (devDependencies.includes('vite')) {
+        Object.assign(scripts, { dev: 'vite', build: 'vite build', preview: 'vite preview' });
+    } else {
+        if (stacks.has('typescript')) scripts.build = 'tsc';
+        if (entryPoint) scripts.start = `node ${entryPoint}`;
+    }
+    scripts.test = devDependencies.includes('jest') ? 'jest' : 'echo "Error: no test specified" && exit 1';
+
+    const packageJson = { name: toPackageName(projectName), version: '0.1.0', private: true };
+    if (entryPoint && !stacks.has('next')) packageJson.main = entryPoint;
+    packageJson.scripts = scripts;
+    if (dependencies.length > 0) packageJson.dependencies = Object.fromEntries(dependencies.map(name => [name, 'latest']));
+    if (devDependencies.length > 0) packageJson.devDependencies = Object.fromEntries(devDependencies.sort().map(name => [name, 'latest']));
+    return `${JSON.stringify(packageJson, null, 2)}\n`;
+}
+
+/**
+ * Builds tsconfig.json: bundler settings with JSX for React projects, NodeNext compilation to dist/ otherwise.
+ * @param {{structureList: object[], stacks: Set<string>}} context - The starter context.
+ * @returns {string} The JSON content.
+ */
+function generateTsconfig({ structureList, stacks }) {
+    const hasSrc = structureList.some(item => item.path === 'src' || item.path.startsWith('src/'));
+    const compilerOptions = stacks.has('react')
+        ? { target: 'ES2022', lib: ['DOM', 'DOM.Iterable', 'ES2022'], module: 'ESNext', moduleResolution: 'bundler', jsx: 'react-jsx', noEmit: true }
+        : { target: 'ES2022', module: 'NodeNext', moduleResolution: 'NodeNext', outDir: 'dist', ...(hasSrc ? { rootDir: 'src' } : {}) };
+    Object.assign(compilerOptions, { strict: true, esModuleInterop: true, skipLibCheck: true, forceConsistentCasingInFileNames: true, resolveJsonModule: true });
+    const tsconfig = { compilerOptions, include: hasSrc ? ['src'] : ['**/*'], exclude: ['node_modules', 'dist'] };
+    return `${JSON.stringify(tsconfig, null, 2)}\n`;
+}
+
+/**
+ * Builds .gitignore from the sections of the detected stacks; an entry shared by two stacks is written once.
+ * @param {{stacks: Set<string>}} context - The starter context.
+ * @returns {string} The file content.
+ */
+function generateGitignore({ stacks }) {
+    const written = new Set();
+    const sections = [];
+    for (const section of GITIGNORE_SECTIONS) {
+        if (section.stack !== 'common' && !stacks.has(section.stack)) continue;
+        const entries = section.entries.filter(entry => !written.has(entry));
+        entries.forEach(entry => written.add(entry));
+        if (entries.length > 0) sections.push(`# ${section.title}\n${entries.join('\n')}`);
+    }
+    return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Builds requirements.txt from the analysed Python packages, unpinned so the first install picks current versions.
+ * @param {{technologies: string[], structureList: object[]}} context - The starter context.
+ * @returns {string} The file content (empty when no known package is named).
+ */
+function generateRequirements({ technologies, structureList }) {
+    const packages = collectPackages(PYPI_PACKAGES, technologies, 'packages');
+    // pytest test skeletons need pytest even if the stack doesn't name it
+    if (structureList.some(item => /(^|\/)test_[^/]*\.py$/.test(item.path)) && !packages.includes('pytest')) packages.push('pytest');
+    return packages.length > 0 ? `${packages.sort().join('\n')}\n` : '';
+}
+
+// File name -> generator; each generator receives the starter context with the detected stacks
+const STARTER_FILE_GENERATORS = {
+    'package.json': generatePackageJson,
+    'tsconfig.json': generateTsconfig,
+    '.gitignore': generateGitignore,
+    'requirements.txt': generateRequirements
+};
+
+/**
+ * Returns the starter content for a well-known config file.
+ * @param {string} filePath - The structure path of the file.
+ * @param {{projectName: string, technologies?: string[], structureList?: Array<{type: string, path: string}>}} context - The project
+ *   name (the output folder's name), the analysed technologies and the structure list.
+ * @returns {string|null} The content, or null if the file has no generator.
+ */
+function getStarterFileContent(filePath, { projectName, technologies = [], structureList = [] }) {
+    const generator = STARTER_FILE_GENERATORS[path.posix.basename(filePath.replace(/\\/g, '/'))];
+    if (!generator) return null;
+    return generator({ projectName, technologies, structureList, stacks: detectStacks(technologies, structureList) });
+}
+
+module.exports = {
+    NPM_PACKAGES,
+    STARTER_FILE_GENERATORS,
+    detectStacks,
+    getStarterFileContent,
+};
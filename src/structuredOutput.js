@@ -0,0 +1,84 @@
+// src/structuredOutput.js - Schema-constrained JSON generation with validation and repair
+
+const log = require('electron-log'); // Import electron-log
+const { callLLM } = require('./llm');
+const { parseJsonResponse } = require('./jsonSchema');
+const { validateResponse } = require('./schemas');
+const { getJsonRepairPrompt } = require('./prompts/utility/jsonRepair');
+
+// Repair round-trips after the first response before giving up
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+// Thrown when output still fails schema validation after all repair attempts
+class StructuredOutputError extends Error {
+  constructor(schemaName, validationErrors) {
+    super(`Output does not match the ${schemaName} schema: ${validationErrors.slice(0, 5).join('; ')}${validationErrors.length > 5 ? ` (and ${validationErrors.length - 5} more)` : ''}`);
+    this.name = "StructuredOutputError";
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * Parses a response and validates it against a schema definition.
+ * @param {string} text - The raw LLM response.
+ * @param {{name: string, schema: object, check?: Function}} responseSchema - A definition from src/schemas.js.
+ * @returns {{value?: *, errors: string[]}} The parsed value and any parse/validation errors.
+ */
+function checkStructuredResponse(text, responseSchema) {
+    const { value, error } = parseJsonResponse(text);
+    if (error) return { errors: [`$: ${error}`] };
+    return { value, errors: validateResponse(value, responseSchema) };
+}
+
+/**
+ * Feeds schema errors back to the LLM until the output validates or the attempts run out.
+ * @param {string} invalidOutput - The rejected output.
+ * @param {string[]} validationErrors - Its validation errors.
+ * @param {{name: string, schema: object, check?: Function}} responseSchema - The schema definition to satisfy.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} [cancellationToken] - Token to check for cancellation requests.
+ * @param {object} [callOptions] - Options passed through to callLLM (stage, onStream, ...).
+ * @param {number} [repairAttempts] - Maximum number of repair calls.
+ * @returns {Promise<*>} The parsed, schema-valid value.
+ * @throws {StructuredOutputError|CancellationError} If the output cannot be repaired, or the run is cancelled.
+ */
+async function repairStructuredJson(invalidOutput, validationErrors, responseSchema, cancellationToken, callOptions = {}, repairAttempts = DEFAULT_REPAIR_ATTEMPTS) {
+    let output = invalidOutput;
+    let errors = validationErrors;
+    for (let attempt = 1; attempt <= repairAttempts; attempt++) {
+        log.warn(`${responseSchema.name} output failed validation (${errors.length} error(s)). Repair attempt ${attempt}/${repairAttempts}: ${errors.slice(0, 3).join('; ')}`); // Use log.warn
+        const repairPrompt = getJsonRepairPrompt(responseSchema.name, responseSchema.schema, output, errors);
+        output = await callLLM(repairPrompt, undefined, cancellationToken, { ...callOptions, responseSchema });
+        const result = checkStructuredResponse(output, responseSchema);
+        if (result.errors.length === 0) {
+            log.info(`${responseSchema.name} output repaired on attempt ${attempt}.`); // Use log.info
+            return result.value;
+        }
+        errors = result.errors;
+    }
+    throw new StructuredOutputError(responseSchema.name, errors);
+}
+
+/**
+ * Calls the LLM in schema-constrained JSON mode and returns the validated value,
+ * repairing invalid output with the schema errors when necessary.
+ * @param {string} prompt - The prompt asking for JSON.
+ * @param {{name: string, schema: object, check?: Function}} responseSchema - A definition from src/schemas.js.
+ * @param {{isCancellationRequested: boolean, signal?: AbortSignal}} [cancellationToken] - Token to check for cancellation requests.
+ * @param {object} [callOptions] - Options passed through to callLLM (stage, onStream, ...).
+ * @param {number} [repairAttempts] - Maximum number of repair calls.
+ * @returns {Promise<*>} The parsed, schema-valid value.
+ * @throws {StructuredOutputError|CancellationError|Error} If the call fails, the output cannot be repaired, or the run is cancelled.
+ */
+async function generateStructuredJson(prompt, responseSchema, cancellationToken, callOptions = {}, repairAttempts = DEFAULT_REPAIR_ATTEMPTS) {
+    const output = await callLLM(prompt, undefined, cancellationToken, { ...callOptions, responseSchema });
+    const { value, errors } = checkStructuredResponse(output, responseSchema);
+    if (errors.length === 0) return value;
+    return repairStructuredJson(output, errors, responseSchema, cancellationToken, callOptions, repairAttempts);
+}
+
+module.exports = {
+    StructuredOutputError,
+    checkStructuredResponse,
+    repairStructuredJson,
+    generateStructuredJson,
+};
@@ -0,0 +1,122 @@
+// src/testSkeletons.js - Test skeleton targets for the outlined source files
+//
+// The test skeleton stage writes one test file per outlined source file, in the stack's conventional
+// framework and location: Jest __tests__ folders for JavaScript/TypeScript, a pytest tests/ tree for
+// Python and _test.go files for Go. This module decides which files get a test, where it goes, and
+// checks that a generated file actually contains test cases for its framework.
+
+const path = require('path');
+const log = require('electron-log'); // Import electron-log
+
+// Test files per run; each is its own LLM call, so large structures are cut to the first outlined files
+const MAX_TEST_SKELETON_TARGETS = 20;
+
+// Framework per source extension, with the pattern a generated file must match to count as a test file
+const TEST_FRAMEWORKS = {
+    jest: {
+        name: 'Jest',
+        extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+        testCaseRegex: /^\s*(test|it)(\.skip|\.todo)?\s*\(/m,
+        skipHint: 'test.skip(...) or test.todo(...)'
+    },
+    pytest: {
+        name: 'pytest',
+        extensions: ['.py'],
+        testCaseRegex: /^\s*(async\s+)?def test_\w+\s*\(/m,
+        skipHint: '@pytest.mark.skip(reason="...")'
+    },
+    go: {
+        name: 'Go testing',
+        extensions: ['.go'],
+        testCaseRegex: /^func Test\w*\s*\(\s*\w+\s+\*testing\.T\s*\)/m,
+        skipHint: 't.Skip("...")'
+    }
+};
+
+// Source files that never get a test file of their own: tests, type declarations, configs and package markers
+const SKIPPED_SOURCE_REGEX = /(^|\/)(__tests__|tests?)\/|\.(test|spec)\.[cm]?[jt]sx?$|\.d\.ts$|\.config\.[cm]?[jt]s$|(^|\/)(test_[^/]*|[^/]*_test|__init__|conftest|setup)\.py$|_test\.go$/;
+
+/**
+ * Works out where the test for a source file goes and which framework it uses.
+ * The path comes from the model, so it is normalized and a path outside the project root gets no test; the saved file,
+ * the paths given to the modes and the structure list in the plan all use the returned testPath.
+ * @param {string} sourcePath - The source file path from the Core Logic Outlines.
+ * @returns {{sourcePath: string, testPath: string, framework: string}|null} The target, or null if the file gets no test
+ *   (unsupported language, a path outside the project, or a test, config or package marker file itself).
+ */
+function getTestTarget(sourcePath) {
+    const normalizedPath = path.posix.normalize(sourcePath.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, ''));
+    if (normalizedPath === '..' || normalizedPath.startsWith('../') || /^[A-Za-z]:/.test(normalizedPath)) {
+        log.warn(`Skipping test skeleton for a file outside the project: ${sourcePath}`); // Use log.warn
+        return null;
+    }
+    if (SKIPPED_SOURCE_REGEX.test(normalizedPath)) return null;
+    const ext = path.posix.extname(normalizedPath).toLowerCase();
+    const framework = Object.keys(TEST_FRAMEWORKS).find(key => TEST_FRAMEWORKS[key].extensions.includes(ext));
+    if (!framework) return null;
+
+    const dir = path.posix.dirname(normalizedPath);
+    const base = path.posix.basename(normalizedPath, path.posix.extname(normalizedPath));
+    let testPath;
+    if (framework === 'jest') {
+        testPath = path.posix.join(dir, '__tests__', `${base}.test${path.posix.extname(normalizedPath)}`);
+    } else if (framework === 'pytest') {
+        // Mirror the package path under tests/, without a leading src/
+        testPath = path.posix.join('tests', dir.replace(/^src(\/|$)/, ''), `test_${base}.py`);
+    } else {
+        testPath = path.posix.join(dir, `${base}_test.go`);
+    }
+    return { sourcePath, testPath, framework };
+}
+
+/**
+ * Lists the test targets for the outlined source files, in outline order and at most MAX_TEST_SKELETON_TARGETS.
+ * @param {Record<string, string>} outlines - File path -> outline (see parseOutlinesFromMd in src/utils.js).
+ * @returns {Array<{sourcePath: string, testPath: string, framework: string, outline: string}>} One target per file that gets a test.
+ */
+function getTestSkeletonTargets(outlines) {
+    const targets = [];
+    for (const [sourcePath, outline] of Object.entries(outlines)) {
+        const target = getTestTarget(sourcePath);
+        if (target && !targets.some(listed => listed.testPath === target.testPath)) targets.push({ ...target, outline });
+    }
+    if (targets.length > MAX_TEST_SKELETON_TARGETS) {
+        log.warn(`${targets.length} outlined files could get a test; generating test skeletons for the first ${MAX_TEST_SKELETON_TARGETS} only.`); // Use log.warn
+        return targets.slice(0, MAX_TEST_SKELETON_TARGETS);
+    }
+    return targets;
+}
+
+/**
+ * Cleans up a generated test file: strips a wrapping code fence and surrounding whitespace.
+ * @param {string|null} content - The raw LLM response.
+ * @returns {string} The file content.
+ */
+function cleanTestSkeleton(content) {
+    let cleaned = (content || '').trim();
+    if (cleaned.startsWith('```') && cleaned.endsWith('```')) {
+        cleaned = cleaned.substring(cleaned.indexOf('\n') + 1, cleaned.lastIndexOf('```')).trim();
+    }
+    return cleaned;
+}
+
+/**
+ * Checks that a generated test file contains at least one test case for its framework
+ * (and, for Go, a package clause).
+ * @param {string} content - The cleaned file content.
+ * @param {string} framework - The target's framework key (see TEST_FRAMEWORKS).
+ * @returns {boolean} True if the file is a usable skeleton.
+ */
+function isValidTestSkeleton(content, framework) {
+    if (!TEST_FRAMEWORKS[framework].testCaseRegex.test(content)) return false;
+    return framework !== 'go' || /^package \w+/m.test(content);
+}
+
+module.exports = {
+    MAX_TEST_SKELETON_TARGETS,
+    TEST_FRAMEWORKS,
+    getTestTarget,
+    getTestSkeletonTargets,
+    cleanTestSkeleton,
+    isValidTestSkeleton,
+};
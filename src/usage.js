@@ -0,0 +1,168 @@
+// src/usage.js - Per-run token usage, cost estimation and budget tracking
+
+const log = require('electron-log'); // Import electron-log
+
+// USD per million tokens. Prices change; override or extend them with LLM_PRICING in config.json.
+const DEFAULT_PRICING = {
+    'gemini-2.5-pro-preview-03-25': { inputPerMillion: 1.25, outputPerMillion: 10.0 },
+    'gemini-2.5-pro': { inputPerMillion: 1.25, outputPerMillion: 10.0 },
+    'gemini-2.5-flash': { inputPerMillion: 0.30, outputPerMillion: 2.50 },
+    'gpt-4o': { inputPerMillion: 2.50, outputPerMillion: 10.0 },
+    'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.60 },
+    'claude-3-7-sonnet-latest': { inputPerMillion: 3.0, outputPerMillion: 15.0 },
+    'claude-3-5-haiku-latest': { inputPerMillion: 0.80, outputPerMillion: 4.0 },
+};
+
+// Providers that run locally and never cost anything
+const FREE_PROVIDERS = ['ollama'];
+
+const BUDGET_ACTIONS = ['abort', 'skip-optional'];
+
+// --- Usage State ---
+let pricing = { ...DEFAULT_PRICING };
+let budget = null; // { maxCostUsd?, maxTotalTokens?, onExceeded }
+let runUsage = createEmptyUsage();
+
+/**
+ * Creates an empty usage record for a run.
+ * @returns {{calls: Array<object>, totals: object, stages: Record<string, object>}} The empty record.
+ */
+function createEmptyUsage() {
+    return {
+        calls: [],
+        totals: { calls: 0, promptTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0, estimatedCalls: 0 },
+        stages: {}
+    };
+}
+
+/**
+ * Applies pricing and budget settings from config.json. Invalid entries are logged and ignored.
+ * @param {{pricing?: object, budget?: object}} settings - The LLM_PRICING and LLM_BUDGET config values.
+ * @returns {string|null} An error message if the budget settings are invalid, otherwise null.
+ */
+function configureUsage({ pricing: pricingOverrides, budget: budgetSettings } = {}) {
+    pricing = { ...DEFAULT_PRICING };
+    budget = null;
+
+    if (pricingOverrides && typeof pricingOverrides === 'object') {
+        for (const [modelName, modelPricing] of Object.entries(pricingOverrides)) {
+            if (typeof modelPricing?.inputPerMillion === 'number' && typeof modelPricing?.outputPerMillion === 'number') {
+                pricing[modelName] = { inputPerMillion: modelPricing.inputPerMillion, outputPerMillion: modelPricing.outputPerMillion };
+            } else {
+                log.warn(`Ignoring LLM_PRICING entry for "${modelName}": inputPerMillion and outputPerMillion must be numbers.`);
+            }
+        }
+    }
+
+    if (budgetSettings && typeof budgetSettings === 'object') {
+        const onExceeded = budgetSettings.onExceeded || 'abort';
+        if (!BUDGET_ACTIONS.includes(onExceeded)) {
+            return `Invalid LLM_BUDGET.onExceeded "${onExceeded}". Use one of: ${BUDGET_ACTIONS.join(', ')}.`;
+        }
+        const maxCostUsd = typeof budgetSettings.maxCostUsd === 'number' && budgetSettings.maxCostUsd > 0 ? budgetSettings.maxCostUsd : undefined;
+        const maxTotalTokens = typeof budgetSettings.maxTotalTokens === 'number' && budgetSettings.maxTotalTokens > 0 ? Math.floor(budgetSettings.maxTotalTokens) : undefined;
+        if (maxCostUsd === undefined && maxTotalTokens === undefined) {
+            return "LLM_BUDGET needs a positive maxCostUsd or maxTotalTokens.";
+        }
+        budget = { maxCostUsd, maxTotalTokens, onExceeded };
+        log.info(`Run budget: ${maxCostUsd !== undefined ? `$${maxCostUsd}` : 'no cost limit'}, ${maxTotalTokens !== undefined ? `${maxTotalTokens} tokens` : 'no token limit'}, on exceeded: ${onExceeded}`);
+    }
+    return null;
+}
+
+/**
+ * Resets usage for a new generation run.
+ */
+function startUsageRun() {
+    runUsage = createEmptyUsage();
+}
+
+/**
+ * Estimates the cost of a call in USD.
+ * @param {string} providerName - The provider that served the call.
+ * @param {string} modelName - The model that served the call.
+ * @param {number} promptTokens - Input tokens.
+ * @param {number} outputTokens - Output tokens.
+ * @returns {number|null} The cost in USD, or null if the model has no known pricing.
+ */
+function estimateCost(providerName, modelName, promptTokens, outputTokens) {
+    if (FREE_PROVIDERS.includes(providerName)) return 0;
+    const modelPricing = pricing[modelName];
+    if (!modelPricing) return null;
+    return (promptTokens * modelPricing.inputPerMillion + outputTokens * modelPricing.outputPerMillion) / 1000000;
+}
+
+/**
+ * Records the token usage of one completed LLM call and attributes it to its stage.
+ * @param {{stage?: string, provider: string, model: string, promptTokens: number, outputTokens: number, estimated: boolean}} call - The call's usage.
+ */
+function recordUsage({ stage = 'Unattributed', provider, model, promptTokens, outputTokens, estimated }) {
+    const costUsd = estimateCost(provider, model, promptTokens, outputTokens);
+    runUsage.calls.push({ stage, provider, model, promptTokens, outputTokens, costUsd, estimated });
+
+    const stageUsage = runUsage.stages[stage] || (runUsage.stages[stage] = { calls: 0, promptTokens: 0, outputTokens: 0, costUsd: 0, models: [] });
+    // Which models answered this stage (more than one when the fallback chain kicked in)
+    const modelLabel = `${provider}/${model}`;
+    if (!stageUsage.models.includes(modelLabel)) stageUsage.models.push(modelLabel);
+    for (const target of [runUsage.totals, stageUsage]) {
+        target.calls += 1;
+        target.promptTokens += promptTokens;
+        target.outputTokens += outputTokens;
+        target.costUsd += costUsd || 0;
+    }
+    if (costUsd === null) runUsage.totals.unpricedCalls += 1;
+    if (estimated) runUsage.totals.estimatedCalls += 1;
+
+    log.info(`Usage [${stage}]: ${promptTokens} in / ${outputTokens} out${estimated ? ' (estimated)' : ''}, ${costUsd === null ? `no pricing for "${model}"` : `$${costUsd.toFixed(4)}`}. Run total: $${runUsage.totals.costUsd.toFixed(4)}`);
+}
+
+/**
+ * Checks the run's usage against the configured budget.
+ * @returns {{exceeded: boolean, onExceeded?: string, reason?: string}} The budget status.
+ */
+function getBudgetStatus() {
+    if (!budget) return { exceeded: false };
+    const { totals } = runUsage;
+    if (budget.maxCostUsd !== undefined && totals.costUsd >= budget.maxCostUsd) {
+        return { exceeded: true, onExceeded: budget.onExceeded, reason: `estimated cost $${totals.costUsd.toFixed(4)} reached the $${budget.maxCostUsd} budget` };
+    }
+    const totalTokens = totals.promptTokens + totals.outputTokens;
+    if (budget.maxTotalTokens !== undefined && totalTokens >= budget.maxTotalTokens) {
+        return { exceeded: true, onExceeded: budget.onExceeded, reason: `${totalTokens} tokens reached the ${budget.maxTotalTokens} token budget` };
+    }
+    return { exceeded: false };
+}
+
+/**
+ * Returns a serializable summary of the current run's usage (safe to send over IPC).
+ * @returns {{totals: object, stages: Record<string, object>, budget: object|null}} The usage summary.
+ */
+function getUsageSummary() {
+    return {
+        totals: { ...runUsage.totals },
+        stages: JSON.parse(JSON.stringify(runUsage.stages)),
+        budget: budget ? { ...budget, ...getBudgetStatus() } : null
+    };
+}
+
+/**
+ * Formats a usage summary as a single human-readable line.
+ * @param {{totals: object}} summary - A summary from getUsageSummary.
+ * @returns {string} E.g. "12 calls, 45,000 in / 30,000 out tokens, est. $0.3560".
+ */
+function formatUsageSummary(summary) {
+    const { totals } = summary;
+    let line = `${totals.calls} LLM call(s), ${totals.promptTokens.toLocaleString()} in / ${totals.outputTokens.toLocaleString()} out tokens, est. $${totals.costUsd.toFixed(4)}`;
+    if (totals.unpricedCalls > 0) line += ` (${totals.unpricedCalls} call(s) without pricing)`;
+    return line;
+}
+
+module.exports = {
+    DEFAULT_PRICING,
+    configureUsage,
+    startUsageRun,
+    recordUsage,
+    getBudgetStatus,
+    getUsageSummary,
+    formatUsageSummary,
+};
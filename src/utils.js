@@ -3,15 +3,36 @@
 const path = require('path');
 const fs = require('fs').promises;
 const log = require('electron-log'); // Import electron-log
+const { getStarterFileContent } = require('./starterFiles');
+
+// Rough average for English prose and code across current tokenizers
+const CHARS_PER_TOKEN_ESTIMATE = 4;
 
 /**
- * Determines the appropriate line comment prefix for a given file path based on its extension.
+ * Estimates the number of tokens in a piece of text without calling a tokenizer.
+ * @param {string} text - The text to measure.
+ * @returns {number} The estimated token count.
+ */
+function estimateTokenCount(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN_ESTIMATE);
+}
+
+// Files without an extension (or with a generic one) whose format uses '#' comments
+const HASH_COMMENT_FILENAME_REGEX = /^(\.[\w-]*ignore|\.env(\..+)?|dockerfile|makefile|requirements[\w.-]*\.txt)$/i;
+
+/**
+ * Determines the appropriate line comment prefix for a given file path based on its name or extension.
  * @param {string} filePath - The path to the file.
- * @returns {string} The line comment prefix (e.g., '//', '#', '--') or '<!--' for HTML/XML/MD. Defaults to '//'.
+ * @returns {string|null} The line comment prefix (e.g., '//', '#', '--') or '<!--' for HTML/XML/MD; null for formats without
+ *   comments (JSON). Defaults to '//'.
  */
 function getCommentPrefix(filePath) {
+  if (HASH_COMMENT_FILENAME_REGEX.test(path.basename(filePath))) return '#';
   const ext = path.extname(filePath).toLowerCase();
   switch (ext) {
+    case '.json':
+      return null; // A comment would make the file invalid
     case '.js':
     case '.jsx':
     case '.ts':
@@ -54,12 +75,15 @@ function getCommentPrefix(filePath) {
 
 /**
  * Creates directories and files based on a structure list, adding comments and outlines.
+ * Well-known config files (package.json, .gitignore, ...) get starter content instead of an outline (see src/starterFiles.js).
  * @param {string} baseDirectory - The root directory for scaffolding.
  * @param {Array<{type: 'dir'|'file', path: string}>} structureList - An array describing the structure.
  * @param {Record<string, string>} [fileOutlines={}] - An object mapping file paths to their outline content.
+ * @param {{createOnly?: boolean, skipped?: string[], technologies?: string[]}} [options] - createOnly leaves existing files untouched (brownfield runs);
+ *   their paths are added to `skipped`. technologies are the analysed Technology Stack entries the starter content is built from.
  * @returns {Promise<Array<{path: string, error: string}>>} A list of errors encountered during scaffolding.
  */
-async function scaffoldProject(baseDirectory, structureList, fileOutlines = {}) {
+async function scaffoldProject(baseDirectory, structureList, fileOutlines = {}, { createOnly = false, skipped = [], technologies = [] } = {}) {
   log.info(`Scaffolding project in: ${baseDirectory}`); // Use log.info
   const errors = []; // Array to collect errors
 
@@ -69,11 +93,15 @@ async function scaffoldProject(baseDirectory, structureList, fileOutlines = {})
  }
 
  for (const item of structureList) {
-   // Basic path sanitization: remove leading slashes/dots that might cause issues with path.join
-   // Basic path sanitization and normalization
-   let normalizedPath = item.path.replace(/^[\/\.]+|[\/\.]+$/g, ''); // Remove leading/trailing dots/slashes
-   if (!normalizedPath) continue; // Skip empty paths after sanitization
+   // Basic path sanitization and normalization: remove leading "./" and "/" and trailing slashes, but keep the dot of dotfiles (.gitignore)
+   let normalizedPath = item.path.replace(/^(\.?\/)+|\/+$/g, '');
+   if (!normalizedPath || normalizedPath === '.') continue; // Skip empty paths after sanitization
    normalizedPath = path.normalize(normalizedPath); // Normalize for OS
+   if (normalizedPath.split(path.sep)[0] === '..') { // Never write outside the base directory
+     log.warn(`Skipping structure item outside the project folder: ${item.path}`); // Use log.warn
+     errors.push({ path: item.path, error: 'Path is outside the project folder.' });
+     continue;
+   }
 
    const fullPath = path.join(baseDirectory, normalizedPath);
    try {
@@ -87,21 +115,28 @@ async function scaffoldProject(baseDirectory, structureList, fileOutlines = {})
        if (parentDir !== baseDirectory && parentDir !== '.') {
             await fs.mkdir(parentDir, { recursive: true });
         }
-        log.info(`Creating file (or overwriting if outline/comment exists): ${fullPath}`); // Use log.info
+        log.info(createOnly ? `Creating file (unless it exists): ${fullPath}` : `Creating file (or overwriting if outline/comment exists): ${fullPath}`); // Use log.info
 
         // Determine comment prefix using the original item path for correct extension detection
         const commentPrefix = getCommentPrefix(item.path);
-        // Create the file path comment using the normalized path for clarity in the file
-        const pathComment = `${commentPrefix} File: ${normalizedPath.replace(/\\/g, '/')} ${commentPrefix === '<!--' ? '-->' : ''}`; // Use forward slashes in comment
+        // Create the file path comment using the normalized path for clarity in the file; formats without comments get none
+        const pathComment = commentPrefix ? `${commentPrefix} File: ${normalizedPath.replace(/\\/g, '/')} ${commentPrefix === '<!--' ? '-->' : ''}` : ''; // Use forward slashes in comment
 
-        // Get potential boilerplate/outline content using the original, non-normalized path as the key
-        const outlineContent = fileOutlines[item.path] || ''; // Use original path for lookup
+        // Well-known config files get valid starter content; other files get their outline, looked up by the original, non-normalized path
+        const starterContent = getStarterFileContent(item.path, { projectName: path.basename(baseDirectory), technologies, structureList });
+        const outlineContent = starterContent ?? (fileOutlines[item.path] || ''); // Use original path for lookup
 
         // Combine comment and outline content
         const finalFileContent = `${pathComment}\n\n${outlineContent.trim()}`.trim() + '\n'; // Ensure newline at end
 
-        // Write file, overwriting if it exists
-        await fs.writeFile(fullPath, finalFileContent);
+        // Write file, overwriting if it exists (the 'wx' flag fails instead when createOnly is set)
+        try {
+          await fs.writeFile(fullPath, finalFileContent, { flag: createOnly ? 'wx' : 'w' });
+        } catch (writeError) {
+          if (!createOnly || writeError.code !== 'EEXIST') throw writeError;
+          log.info(`Keeping existing file: ${fullPath}`); // Use log.info
+          skipped.push(normalizedPath.replace(/\\/g, '/'));
+        }
       }
     } catch (error) {
       // Log errors and add them to the errors array
@@ -113,36 +148,65 @@ async function scaffoldProject(baseDirectory, structureList, fileOutlines = {})
  return errors; // Return the array of errors
 }
 
+// Flexible heading, optional text, optional 'json' tag; group 1 is the block's content
+const STRUCTURE_BLOCK_REGEX = /[#]{2,3}\s*Proposed (?:File )?Structure(?:\s*\(JSON\))?[\s\S]*?```(?:json)?\s*([\s\S]*?)\s*```/im;
+// Any ```json block, for output that dropped or renamed the heading
+const ANY_JSON_BLOCK_REGEX = /```json\s*([\s\S]*?)\s*```/m;
+
+/**
+ * Finds the "Proposed Structure" JSON code block in the structured Markdown.
+ * Tries a flexible primary regex first, then falls back to searching for any ```json block.
+ * @param {string} markdownContent - The Markdown content containing the structure definition.
+ * @returns {{json: string, match: RegExpMatchArray}|null} The block's raw JSON text and the regex match, or null if not found.
+ */
+function findStructureJsonBlock(markdownContent) {
+    // 1. Primary Regex
+    let jsonMatch = markdownContent.match(STRUCTURE_BLOCK_REGEX);
+    if (jsonMatch && jsonMatch[1]) {
+        log.info("Found structure using primary flexible regex.");
+        return { json: jsonMatch[1].trim(), match: jsonMatch };
+    }
+    // 2. Fallback Regex: Just look for any ```json block
+    log.warn("Primary regex failed. Trying fallback regex for any ```json block...");
+    jsonMatch = markdownContent.match(ANY_JSON_BLOCK_REGEX);
+    if (jsonMatch && jsonMatch[1]) {
+        log.info("Found structure using fallback ```json regex.");
+        return { json: jsonMatch[1].trim(), match: jsonMatch };
+    }
+    return null;
+}
+
+/**
+ * Writes a structure list into the structured Markdown as the "Proposed Structure (JSON)" block,
+ * replacing the existing block or adding the section before the Core Logic Outlines if there is none.
+ * @param {string} markdownContent - The structured Markdown.
+ * @param {Array<{type: 'dir'|'file', path: string}>} structureList - The structure list to write.
+ * @returns {string} The updated Markdown.
+ */
+function replaceStructureJsonBlock(markdownContent, structureList) {
+    const jsonText = JSON.stringify(structureList, null, 2);
+    const existingBlock = findStructureJsonBlock(markdownContent);
+    if (existingBlock) {
+        const { match } = existingBlock;
+        const blockStart = match.index + match[0].lastIndexOf(match[1]);
+        return markdownContent.substring(0, blockStart) + jsonText + markdownContent.substring(blockStart + match[1].length);
+    }
+    const section = `### Proposed Structure (JSON)\n\`\`\`json\n${jsonText}\n\`\`\`\n\n`;
+    const outlinesHeading = markdownContent.search(/^[#]{2,3}\s*Core Logic Outlines/m);
+    if (outlinesHeading === -1) return `${markdownContent.trimEnd()}\n\n${section}`;
+    return markdownContent.substring(0, outlinesHeading) + section + markdownContent.substring(outlinesHeading);
+}
+
 /**
  * Parses a Markdown string to extract a JSON array describing the proposed file structure.
  * Looks for a section like "## Proposed Structure" followed by a JSON code block.
- * Tries a flexible primary regex first, then falls back to searching for any ```json block.
  * @param {string} markdownContent - The Markdown content containing the structure definition.
  * @returns {Array<{type: 'dir'|'file', path: string}>} The parsed structure list, or an empty array if not found or invalid.
  */
 function parseStructureFromJsonMd(markdownContent) {
     log.info("Parsing proposed structure (JSON) from Markdown..."); // Use log.info
     let proposedStructureList = [];
-    let jsonMatch = null;
-    let extractedJsonString = null;
-
-    // 1. Primary Regex: Flexible heading, optional text, optional 'json' tag
-    const primaryRegex = /[#]{2,3}\s*Proposed (?:File )?Structure(?:\s*\(JSON\))?[\s\S]*?```(?:json)?\s*([\s\S]*?)\s*```/im;
-    jsonMatch = markdownContent.match(primaryRegex);
-
-    if (jsonMatch && jsonMatch[1]) {
-        log.info("Found structure using primary flexible regex.");
-        extractedJsonString = jsonMatch[1].trim();
-    } else {
-        // 2. Fallback Regex: Just look for any ```json block
-        log.warn("Primary regex failed. Trying fallback regex for any ```json block...");
-        const fallbackRegex = /```json\s*([\s\S]*?)\s*```/m;
-        jsonMatch = markdownContent.match(fallbackRegex);
-        if (jsonMatch && jsonMatch[1]) {
-            log.info("Found structure using fallback ```json regex.");
-            extractedJsonString = jsonMatch[1].trim();
-        }
-    }
+    const extractedJsonString = findStructureJsonBlock(markdownContent)?.json;
 
     if (extractedJsonString) {
         try {
@@ -183,8 +247,8 @@ function parseStructureFromJsonMd(markdownContent) {
 function parseOutlinesFromMd(markdownContent) {
     log.info("Parsing core logic outlines from Markdown..."); // Use log.info
     const coreLogicOutlines = {};
-    // More flexible regex: Allows ## or ### for the heading
-    const outlineSectionRegex = /^[#]{2,3}\s*Core Logic Outlines\s*([\s\S]*?)(?:^[#]{2,}\s|\s*$)/m;
+    // More flexible regex: Allows ## or ### for the heading; the section ends at the next heading or the end of the text
+    const outlineSectionRegex = /^[#]{2,3}\s*Core Logic Outlines\s*([\s\S]*?)(?:^[#]{2,}\s|(?![\s\S]))/m;
     const outlineSectionMatch = markdownContent.match(outlineSectionRegex);
 
     if (outlineSectionMatch && outlineSectionMatch[1]) {
@@ -225,10 +289,103 @@ function parseOutlinesFromMd(markdownContent) {
     return coreLogicOutlines;
 }
 
+/**
+ * Parses the "Technology Stack" list of the structured Markdown.
+ * @param {string} markdownContent - The structured Markdown.
+ * @returns {string[]} The list entries, without bullets or emphasis; empty if the section is missing.
+ */
+function parseTechnologyStackFromMd(markdownContent) {
+    const sectionMatch = markdownContent.match(/^[#]{2,4}\s*Technology Stack\s*([\s\S]*?)(?:^[#]{2,}\s|(?![\s\S]))/m);
+    if (!sectionMatch) {
+        log.warn("Could not find Technology Stack section in Markdown."); // Use log.warn
+        return [];
+    }
+    return sectionMatch[1].split('\n')
+        .map(line => line.match(/^\s*[-*+]\s+(.+)$/)?.[1].replace(/[*_`]/g, '').trim())
+        .filter(Boolean);
+}
+
+// Above this many line pairs the diff falls back to "all removed, all added" to bound memory
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Computes a line diff between two texts (longest common subsequence).
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The revised text.
+ * @returns {Array<{type: 'same'|'added'|'removed', line: string}>} The lines of both texts in diff order.
+ */
+function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+    if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+        log.warn(`Texts too large to diff line by line (${oldLines.length} x ${newLines.length} lines); showing a full replacement.`); // Use log.warn
+        return [
+            ...oldLines.map(line => ({ type: 'removed', line })),
+            ...newLines.map(line => ({ type: 'added', line }))
+        ];
+    }
+    // lcs[i][j] = length of the longest common subsequence of oldLines[i..] and newLines[j..]
+    const lcs = Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            diff.push({ type: 'same', line: oldLines[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ type: 'removed', line: oldLines[i++] });
+        } else {
+            diff.push({ type: 'added', line: newLines[j++] });
+        }
+    }
+    while (i < oldLines.length) diff.push({ type: 'removed', line: oldLines[i++] });
+    while (j < newLines.length) diff.push({ type: 'added', line: newLines[j++] });
+    return diff;
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight, keeping the input order.
+ * Once a call throws (e.g. a CancellationError), no further items are started and the error is rethrown.
+ * @param {Array<*>} items - The items to map.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {(item: *, index: number) => Promise<*>} mapper - The async function.
+ * @returns {Promise<Array<*>>} The results, in the order of `items`.
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+    const runWorker = async () => {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await mapper(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+    return results;
+}
 
 module.exports = {
+    estimateTokenCount,
     getCommentPrefix,
     scaffoldProject,
+    findStructureJsonBlock,
+    replaceStructureJsonBlock,
     parseStructureFromJsonMd,
     parseOutlinesFromMd,
+    parseTechnologyStackFromMd,
+    diffLines,
+    mapWithConcurrency,
 };
@@ -0,0 +1,45 @@
+// test/cassette.test.js - Recording LLM responses to a cassette and replaying them
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { hashPrompt, configureCassette, startCassetteRun, getCassetteMode, getRecordedResponse, recordResponse } = require('../src/cassette');
+
+test('a recorded run replays its responses per prompt, in order', async () => {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-plan-cassette-'));
+    const filePath = path.join(folder, 'nested', 'run.json');
+
+    assert.strictEqual(await configureCassette({ mode: 'record', filePath }), null);
+    startCassetteRun({ provider: 'openai', model: 'gpt-4o' });
+    await recordResponse('Analyse the idea', 'first analysis');
+    await recordResponse('Structure it', 'structure');
+    await recordResponse('Analyse the idea', 'second analysis');
+
+    const recorded = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.strictEqual(recorded.provider, 'openai');
+    assert.deepStrictEqual(recorded.interactions[hashPrompt('Analyse the idea')].map(entry => entry.response), ['first analysis', 'second analysis']);
+
+    assert.strictEqual(await configureCassette({ mode: 'replay', filePath }), null);
+    assert.strictEqual(getCassetteMode(), 'replay');
+    startCassetteRun({ provider: 'openai', model: 'gpt-4o' });
+    assert.strictEqual(getRecordedResponse('Analyse the idea'), 'first analysis');
+    assert.strictEqual(getRecordedResponse('Structure it'), 'structure');
+    assert.strictEqual(getRecordedResponse('Analyse the idea'), 'second analysis');
+    assert.strictEqual(getRecordedResponse('Analyse the idea'), 'second analysis', 'extra calls repeat the last response');
+    assert.strictEqual(getRecordedResponse('Analyse the idea '), null, 'keys match the exact prompt text');
+
+    startCassetteRun({ provider: 'openai', model: 'gpt-4o' });
+    assert.strictEqual(getRecordedResponse('Analyse the idea'), 'first analysis', 'a new run rewinds the cassette');
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('a missing cassette turns replay off and reports the problem', async () => {
+    const error = await configureCassette({ mode: 'replay', filePath: path.join(os.tmpdir(), 'roo-plan-missing-cassette.json') });
+    assert.match(error, /Failed to load cassette/);
+    assert.strictEqual(getCassetteMode(), 'off');
+    await configureCassette({ mode: 'off', filePath: null });
+});
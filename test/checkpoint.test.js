@@ -0,0 +1,77 @@
+// test/checkpoint.test.js - Saving, reloading and resuming generation runs
+
+const { userDataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { createRunCheckpoint, loadRunCheckpoint, listRuns } = require('../src/checkpoint');
+const { runStageGraph } = require('../src/stageGraph');
+
+test.after(async () => {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+test('the models that served a stage are saved with it and reported after a resume', async () => {
+    const checkpoint = await createRunCheckpoint('A todo app');
+    const stages = [
+        { name: 'analysis', inputs: ['projectIdea'], outputs: ['analysisResult'], run: async () => 'analysis', llmStages: ['Analysis'] },
+        { name: 'plan', inputs: ['analysisResult'], outputs: ['plan'], run: async () => 'plan', llmStages: ['Plan Assembly'] }
+    ];
+    const modelsByLabel = { Analysis: ['openai/gpt-4o'], 'Plan Assembly': ['gemini/gemini-2.5-pro'] };
+    const getStageModels = stage => stage.llmStages.flatMap(label => modelsByLabel[label]);
+    await runStageGraph(stages, { projectIdea: 'A todo app' }, { checkpoint, getStageModels });
+
+    const resumed = await loadRunCheckpoint(checkpoint.runId);
+    assert.deepStrictEqual(resumed.getStageModels('analysis'), ['openai/gpt-4o']);
+    assert.deepStrictEqual(resumed.getStageModels('plan'), ['gemini/gemini-2.5-pro']);
+    assert.strictEqual(resumed.getStageModels('modes'), null);
+});
+
+test('a resumed run reuses completed stages and only re-runs the ones that never finished', async () => {
+    const checkpoint = await createRunCheckpoint('A blog engine');
+    const calls = [];
+    let failPlan = true;
+    const stages = [
+        { name: 'analysis', inputs: ['projectIdea'], outputs: ['analysisResult'], run: async ({ projectIdea }) => { calls.push('analysis'); return `analysis of ${projectIdea}`; } },
+        {
+            name: 'plan', inputs: ['analysisResult'], outputs: ['plan'], run: async ({ analysisResult }) => {
+                calls.push('plan');
+                if (failPlan) throw new Error('Provider unavailable');
+                return `plan from ${analysisResult}`;
+            }
+        }
+    ];
+    await assert.rejects(runStageGraph(stages, { projectIdea: 'A blog engine' }, { checkpoint }), /Provider unavailable/);
+    await checkpoint.finish('failed', 'Provider unavailable');
+    const [savedRun] = (await listRuns()).filter(run => run.runId === checkpoint.runId);
+    assert.strictEqual(savedRun.status, 'failed');
+    assert.deepStrictEqual(savedRun.completedStages, ['analysis']);
+
+    failPlan = false;
+    const resumed = await loadRunCheckpoint(checkpoint.runId);
+    const { values } = await runStageGraph(stages, { projectIdea: resumed.projectIdea }, { checkpoint: resumed });
+    assert.strictEqual(values.plan, 'plan from analysis of A blog engine');
+    assert.deepStrictEqual(calls, ['analysis', 'plan', 'plan']);
+});
+
+test('a stage whose checkpoint file is unreadable is discarded and runs again', async () => {
+    const checkpoint = await createRunCheckpoint('A chat app');
+    await checkpoint.save('analysis', 'analysis');
+    await checkpoint.save('plan', 'plan');
+    await fs.writeFile(path.join(checkpoint.runDir, 'plan.json'), '{ truncated');
+
+    const resumed = await loadRunCheckpoint(checkpoint.runId);
+    assert.strictEqual(resumed.get('analysis'), 'analysis');
+    assert.strictEqual(resumed.has('plan'), false);
+    await assert.rejects(loadRunCheckpoint('../escape'), /Invalid run id/);
+    await assert.rejects(loadRunCheckpoint('missing-run'), /run not found/);
+});
+
+test('results that do not count as complete are not checkpointed', async () => {
+    const checkpoint = await createRunCheckpoint('A game');
+    const stages = [{ name: 'modes', inputs: ['projectIdea'], outputs: ['modes'], run: async () => [], isComplete: modes => modes.length > 0 }];
+    await runStageGraph(stages, { projectIdea: 'A game' }, { checkpoint });
+    assert.strictEqual((await loadRunCheckpoint(checkpoint.runId)).has('modes'), false);
+});
@@ -0,0 +1,41 @@
+// test/config.test.js - Config layering, environment interpolation and validation
+
+const { userDataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, PROJECT_CONFIG_FILE_NAME } = require('../src/config');
+
+/**
+ * Writes the user-level config.json in the test's userData folder.
+ * @param {object} settings - The file's content.
+ */
+async function writeUserConfig(settings) {
+    await fs.mkdir(userDataDir, { recursive: true });
+    await fs.writeFile(path.join(userDataDir, 'config.json'), JSON.stringify(settings));
+}
+
+test.after(async () => {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+test('the per-project config overrides the user-level config and is reported as a layer', async () => {
+    await writeUserConfig({ LLM_MODEL_NAME: 'user-model', LLM_TEMPERATURE: 0.2, LLM_BUDGET: { maxCostUsd: 5 } });
+    const projectFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-plan-project-'));
+    const projectConfigPath = path.join(projectFolder, PROJECT_CONFIG_FILE_NAME);
+    await fs.writeFile(projectConfigPath, JSON.stringify({ LLM_MODEL_NAME: 'project-model', LLM_BUDGET: { onExceeded: 'abort' } }));
+
+    const { config, problems, layers } = await loadConfig({ projectFolder });
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(config.LLM_MODEL_NAME, 'project-model');
+    assert.strictEqual(config.LLM_TEMPERATURE, 0.2);
+    assert.deepStrictEqual(config.LLM_BUDGET, { maxCostUsd: 5, onExceeded: 'abort' });
+    assert.deepStrictEqual(layers, [path.join(userDataDir, 'config.json'), projectConfigPath]);
+
+    const withoutProject = await loadConfig();
+    assert.strictEqual(withoutProject.config.LLM_MODEL_NAME, 'user-model');
+    await fs.rm(projectFolder, { recursive: true, force: true });
+});
@@ -0,0 +1,57 @@
+// test/contextBudget.test.js - Reducing stage prompts to fit the context window
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { configureContextBudget, fitToContextWindow, dropSections, summarizeOutlines, REDUCTION_STRATEGIES, DEFAULT_MAX_PROMPT_TOKENS } = require('../src/prompts/contextBudget');
+
+const STRUCTURED_MARKDOWN = [
+    '# Project Plan',
+    '## Proposed Structure (JSON)',
+    '```json',
+    '# not a heading inside a fence',
+    '{"src": {}}',
+    '```',
+    '## Performance Requirements',
+    'Respond within 100ms. '.repeat(40),
+    '## Core Logic Outlines',
+    '- `src/app.js`: Starts the server and wires the routes together. ' + 'Details. '.repeat(40),
+    '  - Loads config',
+    '- `src/db.js`:',
+    '  - Opens the connection pool',
+    '### Notes',
+    'Subsection text that belongs to the outlines.',
+    '## Technology Stack',
+    'Node.js'
+].join('\n');
+
+test.afterEach(() => {
+    configureContextBudget(DEFAULT_MAX_PROMPT_TOKENS);
+});
+
+test('a prompt within the limit is left untouched', () => {
+    const prompt = fitToContextWindow('test', STRUCTURED_MARKDOWN, markdown => `PROMPT\n${markdown}`, REDUCTION_STRATEGIES.plan);
+    assert.strictEqual(prompt, `PROMPT\n${STRUCTURED_MARKDOWN}`);
+});
+
+test('reduction steps are applied in order only until the prompt fits', () => {
+    configureContextBudget(150);
+    const steps = [dropSections('Performance Requirements'), summarizeOutlines(), dropSections('Technology Stack')];
+    const prompt = fitToContextWindow('test', STRUCTURED_MARKDOWN, markdown => markdown, steps);
+
+    assert.ok(!prompt.includes('## Performance Requirements'));
+    assert.ok(prompt.includes('(Outlines summarized to fit the context window: first line per file.)'));
+    assert.ok(prompt.includes('- `src/db.js`: Opens the connection pool'), 'an empty first line takes the next outline line');
+    assert.ok(!prompt.includes('Subsection text'), 'subsections go with their section');
+    assert.ok(prompt.includes('# not a heading inside a fence'), 'fenced lines are never treated as headings');
+    assert.ok(prompt.includes('## Technology Stack'), 'the last step was not needed');
+});
+
+test('every step is applied when the prompt never fits', () => {
+    configureContextBudget(1);
+    const prompt = fitToContextWindow('test', STRUCTURED_MARKDOWN, markdown => markdown, [dropSections('Core Logic Outlines'), dropSections('Technology Stack')]);
+    assert.ok(!prompt.includes('Core Logic Outlines'));
+    assert.ok(!prompt.includes('Technology Stack'));
+    assert.ok(prompt.includes('## Performance Requirements'));
+});
@@ -0,0 +1,105 @@
+// test/engine.test.js - Artifact stages of the pipeline, with scripted LLM responses
+
+const { stubModule } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Each callLLM call takes the next scripted response, or asks respondToLLMCall when stages call in parallel; null simulates a failed call
+const llmResponses = [];
+const llmCalls = [];
+let respondToLLMCall = null;
+class CancellationError extends Error {}
+stubModule('../src/llm', {
+    CancellationError,
+    callLLM: async (prompt, retryOptions, cancellationToken, { stage } = {}) => {
+        llmCalls.push({ prompt, stage });
+        const response = respondToLLMCall ? respondToLLMCall({ prompt, stage }) : llmResponses.shift();
+        if (response === null || response === undefined) throw new Error(`No scripted response for ${stage}`);
+        return response;
+    }
+});
+
+const { PIPELINE } = require('../src/engine');
+
+const cancellationToken = { isCancellationRequested: false };
+
+/**
+ * Runs one pipeline stage with the given inputs and scripted LLM responses.
+ * @param {string} stageName - The stage's name in PIPELINE.
+ * @param {object} inputs - The stage's input values.
+ * @param {Array<string|null>|((call: {prompt: string, stage: string}) => string|null)} responses - The LLM responses in call order,
+ *   or a function answering each call.
+ * @returns {Promise<*>} The stage's result.
+ */
+async function runPipelineStage(stageName, inputs, responses) {
+    respondToLLMCall = typeof responses === 'function' ? responses : null;
+    llmResponses.splice(0, llmResponses.length, ...(respondToLLMCall ? [] : responses));
+    llmCalls.length = 0;
+    return PIPELINE.find(stage => stage.name === stageName).run(inputs, { progressCallback: () => {}, cancellationToken });
+}
+
+/**
+ * Builds a Memory Bank file section as the LLM returns it.
+ * @param {string} fileName - The file name inside memory-bank/.
+ * @param {string} content - The file content.
+ * @returns {string} The section with its marker line.
+ */
+function memoryBankSection(fileName, content) {
+    return `--- FILE: memory-bank/${fileName} ---\n${content}\n`;
+}
+
+test('Memory Bank files that fail validation get one refinement and invalid ones are left out', async () => {
+    const generated = [
+        memoryBankSection('productContext.md', '```markdown\n# Product Context for Shop\nSells things.\n```'),
+        memoryBankSection('activeContext.md', '# Active Context for Shop'),
+        memoryBankSection('systemPatterns.md', '# System Patterns for Shop\nLayered.'),
+        memoryBankSection('techContext.md', '# Tech Context for Shop\nNode.js.'),
+        memoryBankSection('progress.md', 'No header here.')
+    ].join('');
+    const refined = memoryBankSection('activeContext.md', '# Active Context for Shop\nBuilding checkout.')
+        + memoryBankSection('progress.md', 'Still no header.');
+
+    const files = await runPipelineStage('memoryBank', { analysisResult: 'Analysis', structureResultMd: 'Structure' }, [generated, refined]);
+    assert.deepStrictEqual(Object.keys(files), ['memory-bank/productContext.md', 'memory-bank/activeContext.md', 'memory-bank/systemPatterns.md', 'memory-bank/techContext.md']);
+    assert.strictEqual(files['memory-bank/productContext.md'], '# Product Context for Shop\nSells things.', 'the code fence is removed');
+    assert.strictEqual(files['memory-bank/activeContext.md'], '# Active Context for Shop\nBuilding checkout.');
+    assert.deepStrictEqual(llmCalls.map(call => call.stage), ['Memory Bank', 'Memory Bank Validation']);
+});
+
+test('the Memory Bank stage is skipped when generation fails', async () => {
+    assert.strictEqual(await runPipelineStage('memoryBank', { analysisResult: 'Analysis', structureResultMd: 'Structure' }, [null]), null);
+});
+
+test('the MCP config stage writes the proposed servers and skips the file when none are needed', async () => {
+    const inputs = { analysisResult: 'Analysis', structureResultMd: 'Structure' };
+    const server = {
+        name: 'postgres', purpose: 'Query the database', transport: 'stdio', command: 'npx', args: ['server-postgres'],
+        env: [{ name: 'DATABASE_URL', description: 'Connection string' }], tools: ['query']
+    };
+    const result = await runPipelineStage('mcpConfig', inputs, [JSON.stringify({ servers: [server] })]);
+    assert.deepStrictEqual(JSON.parse(result.mcpConfig), { mcpServers: { postgres: { command: 'npx', args: ['server-postgres'], env: { DATABASE_URL: '${env:DATABASE_URL}' } } } });
+    assert.deepStrictEqual(result.mcpServers, [server]);
+
+    assert.deepStrictEqual(await runPipelineStage('mcpConfig', inputs, [JSON.stringify({ servers: [] })]), { mcpConfig: null, mcpServers: [] });
+});
+
+test('every mode gets its own rules file, validated on its own', async () => {
+    const roomodesResult = JSON.stringify({
+        customModes: ['backend-dev', 'frontend-dev', 'qa'].map(slug => ({ slug, name: slug, roleDefinition: `The ${slug} mode.`, groups: ['read'] }))
+    });
+    // backend-dev passes first time, frontend-dev after refinement, qa never
+    const respond = ({ prompt, stage }) => {
+        const slug = ['backend-dev', 'frontend-dev', 'qa'].find(candidate => prompt.includes(`The ${candidate} mode.`));
+        if (slug === 'backend-dev') return '# Rules for `backend-dev`\n- Validate every request body.';
+        if (slug === 'frontend-dev' && stage === 'Mode Rules Validation') return '# Rules for frontend-dev\n- Keep components small.';
+        return 'Some rules without the header.';
+    };
+
+    const files = await runPipelineStage('modeRules', { structureResultMd: 'Structure', roomodesResult }, respond);
+    assert.deepStrictEqual(files, {
+        '.roo/rules-backend-dev/01-guidelines.md': '# Rules for `backend-dev`\n- Validate every request body.',
+        '.roo/rules-frontend-dev/01-guidelines.md': '# Rules for frontend-dev\n- Keep components small.'
+    });
+    assert.strictEqual(llmCalls.filter(call => call.stage === 'Mode Rules Validation').length, 2);
+    assert.strictEqual(await runPipelineStage('modeRules', { structureResultMd: 'Structure', roomodesResult }, () => 'No header.'), null);
+});
@@ -0,0 +1,70 @@
+// test/helpers.js - Shared stubs for running src/ modules under plain Node (node --test)
+//
+// The src/ modules require 'electron' and 'electron-log', which only work inside the Electron runtime.
+// Requiring this file first replaces both with minimal stand-ins, so the modules load as usual.
+
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+const userDataDir = path.join(os.tmpdir(), `roo-plan-generator-test-${process.pid}`);
+const silentLog = { info() {}, warn() {}, error() {}, debug() {}, verbose() {} };
+// Handlers registered with ipcMain.handle, by channel, so tests can invoke them directly
+const ipcHandlers = new Map();
+
+const electronStub = {
+    app: { getPath: () => userDataDir, isPackaged: false },
+    safeStorage: { isEncryptionAvailable: () => false },
+    ipcMain: { handle: (channel, handler) => ipcHandlers.set(channel, handler), on() {} },
+    dialog: {}
+};
+
+const originalLoad = Module._load;
+Module._load = function loadWithStubs(request, parent, isMain) {
+    if (request === 'electron') return electronStub;
+    if (request === 'electron-log') return silentLog;
+    return originalLoad.call(this, request, parent, isMain);
+};
+
+/**
+ * Replaces a src/ module with a stand-in for every later require of it. Must run before the modules that use it are loaded.
+ * @param {string} modulePath - The module path, relative to this folder (e.g. '../src/engine').
+ * @param {object} exports - The stand-in exports.
+ */
+function stubModule(modulePath, exports) {
+    const filename = require.resolve(modulePath);
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+/**
+ * Replaces global fetch for the duration of a callback and records every request it receives.
+ * @param {(request: {url: string, body: object, headers: object, signal?: AbortSignal}) => object|Response|Promise<Response>} respond - Returns the JSON body
+ *   to answer each request with, or a Response (e.g. a stream or an error status).
+ * @param {() => Promise<void>} callback - The code under test.
+ * @returns {Promise<Array<{url: string, body: object, headers: object, signal?: AbortSignal}>>} The recorded requests.
+ */
+async function withFetchStub(respond, callback) {
+    const originalFetch = globalThis.fetch;
+    const requests = [];
+    globalThis.fetch = async (url, init = {}) => {
+        const request = { url: String(url), body: JSON.parse(init.body), headers: init.headers, signal: init.signal };
+        requests.push(request);
+        const response = await respond(request);
+        if (response instanceof Response) return response;
+        return new Response(JSON.stringify(response), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+    try {
+        await callback();
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+    return requests;
+}
+
+module.exports = {
+    electronStub,
+    ipcHandlers,
+    userDataDir,
+    stubModule,
+    withFetchStub,
+};
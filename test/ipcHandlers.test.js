@@ -0,0 +1,178 @@
+// test/ipcHandlers.test.js - Saving regenerated files and plan revisions into a run's folder, run guards and review decisions
+
+const { ipcHandlers, userDataDir, stubModule } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Regeneration returns a fixed file set instead of calling the LLM, once regenerationGate resolves
+const REGENERATED_FILES = { 'README.md': '# Regenerated README\n', 'roo-plan.md': '# Regenerated plan\n' };
+let regeneratedFiles = REGENERATED_FILES;
+let regenerationGate = Promise.resolve();
+// Revision compares this run state with REVISION and records which revisions were applied
+const CURRENT_PLAN = { finalPlan: '# Plan\n1. Use SQLite', roomodesResult: '{"customModes":[]}' };
+const REVISION = { finalPlan: '# Plan\n1. Use PostgreSQL', roomodesResult: CURRENT_PLAN.roomodesResult, summary: 'Switched to PostgreSQL.', planValidationIssues: [] };
+const appliedRevisions = [];
+stubModule('../src/engine', {
+    listRegenerableArtifacts: () => [],
+    regenerateArtifact: async () => {
+        await regenerationGate;
+        return { files: { ...regeneratedFiles }, artifactModels: {} };
+    },
+    revisePlanFromRun: async () => ({ current: CURRENT_PLAN, revision: REVISION }),
+    applyPlanRevision: async (checkpoint, revision) => {
+        appliedRevisions.push({ runId: checkpoint.runId, revision });
+    }
+});
+
+const { setupIpcHandlers } = require('../src/ipcHandlers');
+const { createRunCheckpoint } = require('../src/checkpoint');
+
+setupIpcHandlers();
+const sender = { send() {} };
+
+/**
+ * Creates a saved run whose output folder already holds the user's own README.md.
+ * @param {boolean} brownfield - True for a run planned against the existing project in that folder.
+ * @returns {Promise<{runId: string, folder: string}>} The run and its output folder.
+ */
+async function createSavedRun(brownfield) {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-plan-project-'));
+    await fs.writeFile(path.join(folder, 'README.md'), '# My project\n');
+    const checkpoint = await createRunCheckpoint('Add a feature', { existingProject: brownfield ? { folder, summary: 'An existing project.' } : null });
+    await checkpoint.setOutputDirectory(folder);
+    return { runId: checkpoint.runId, folder };
+}
+
+test.after(async () => {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+test('regenerating a brownfield run keeps existing files and writes missing ones', async () => {
+    const { runId, folder } = await createSavedRun(true);
+    const result = await ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly');
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.skippedArtifacts, ['README.md']);
+    assert.strictEqual(await fs.readFile(path.join(folder, 'README.md'), 'utf8'), '# My project\n');
+    assert.strictEqual(await fs.readFile(path.join(folder, 'roo-plan.md'), 'utf8'), REGENERATED_FILES['roo-plan.md']);
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('regenerating a brownfield run overwrites existing files once the user confirmed it', async () => {
+    const { runId, folder } = await createSavedRun(true);
+    const result = await ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly', { overwrite: true });
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.skippedArtifacts, []);
+    assert.strictEqual(await fs.readFile(path.join(folder, 'README.md'), 'utf8'), REGENERATED_FILES['README.md']);
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('regenerating a new-project run overwrites its own files', async () => {
+    const { runId, folder } = await createSavedRun(false);
+    const result = await ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly');
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(await fs.readFile(path.join(folder, 'README.md'), 'utf8'), REGENERATED_FILES['README.md']);
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('a regeneration is refused while another run is in progress', async () => {
+    const { runId, folder } = await createSavedRun(false);
+    let releaseRegeneration;
+    regenerationGate = new Promise(resolve => { releaseRegeneration = resolve; });
+    const running = ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly');
+
+    const refused = await ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly');
+    assert.strictEqual(refused.success, false);
+    assert.match(refused.error, /Wait for the current generation to finish/);
+
+    releaseRegeneration();
+    assert.strictEqual((await running).success, true);
+    regenerationGate = Promise.resolve();
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('revising the plan is refused while another run is in progress', async () => {
+    const { runId, folder } = await createSavedRun(false);
+    let releaseRegeneration;
+    regenerationGate = new Promise(resolve => { releaseRegeneration = resolve; });
+    const running = ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly');
+
+    const refused = await ipcHandlers.get('revise-plan')({ sender }, runId, 'Use PostgreSQL instead of SQLite.');
+    assert.strictEqual(refused.success, false);
+    assert.match(refused.error, /Wait for the current generation to finish/);
+
+    releaseRegeneration();
+    await running;
+    regenerationGate = Promise.resolve();
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('a regenerated file whose path leaves the output folder is not written', async () => {
+    const { runId, folder } = await createSavedRun(false);
+    const escapingName = `../${path.basename(folder)}-escaped.md`;
+    regeneratedFiles = { [escapingName]: '# Escaped\n' };
+    const result = await ipcHandlers.get('regenerate-artifact')({ sender }, runId, 'planAssembly');
+    regeneratedFiles = REGENERATED_FILES;
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /outside the output folder/);
+    await assert.rejects(fs.access(path.join(folder, escapingName)), { code: 'ENOENT' });
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('a review decision is refused when no review is waiting for it', async () => {
+    const result = await ipcHandlers.get('submit-review')({ sender }, 'missing-review', { action: 'approve' });
+    assert.strictEqual(result.success, false);
+    assert.match(result.message, /No review is waiting for ID missing-review/);
+});
+
+test('a plan revision is returned as a diff and only written once saved', async () => {
+    const { runId, folder } = await createSavedRun(false);
+    const revised = await ipcHandlers.get('revise-plan')({ sender }, runId, 'Use PostgreSQL instead of SQLite.');
+
+    assert.strictEqual(revised.success, true, revised.error);
+    assert.deepStrictEqual(revised.planDiff.filter(entry => entry.type !== 'same'), [
+        { type: 'removed', line: '1. Use SQLite' },
+        { type: 'added', line: '1. Use PostgreSQL' }
+    ]);
+    assert.strictEqual(revised.roomodesDiff, null, 'unchanged modes have no diff');
+    await assert.rejects(fs.access(path.join(folder, 'roo-plan.md')), { code: 'ENOENT' });
+
+    const saved = await ipcHandlers.get('save-plan-revision')({ sender }, revised.revisionId);
+    assert.strictEqual(saved.success, true, saved.error);
+    assert.strictEqual(await fs.readFile(path.join(folder, 'roo-plan.md'), 'utf8'), REVISION.finalPlan);
+    assert.deepStrictEqual(appliedRevisions.pop(), { runId, revision: REVISION });
+
+    const savedAgain = await ipcHandlers.get('save-plan-revision')({ sender }, revised.revisionId);
+    assert.match(savedAgain.error, /no longer available/);
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('a brownfield revision stays pending until the user confirms overwriting the existing plan', async () => {
+    const { runId, folder } = await createSavedRun(true);
+    await fs.writeFile(path.join(folder, 'roo-plan.md'), '# My own plan\n');
+    const revised = await ipcHandlers.get('revise-plan')({ sender }, runId, 'Use PostgreSQL instead of SQLite.');
+
+    const kept = await ipcHandlers.get('save-plan-revision')({ sender }, revised.revisionId);
+    assert.strictEqual(kept.success, false);
+    assert.deepStrictEqual(kept.skippedArtifacts, ['roo-plan.md']);
+    assert.strictEqual(await fs.readFile(path.join(folder, 'roo-plan.md'), 'utf8'), '# My own plan\n');
+    assert.strictEqual(appliedRevisions.length, 0, 'the run keeps its plan while the folder does');
+
+    const overwritten = await ipcHandlers.get('save-plan-revision')({ sender }, revised.revisionId, { overwrite: true });
+    assert.strictEqual(overwritten.success, true, overwritten.error);
+    assert.strictEqual(await fs.readFile(path.join(folder, 'roo-plan.md'), 'utf8'), REVISION.finalPlan);
+    assert.strictEqual(appliedRevisions.pop().runId, runId);
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('a revision needs feedback', async () => {
+    const result = await ipcHandlers.get('revise-plan')({ sender }, 'any-run', '   ');
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Describe the change/);
+});
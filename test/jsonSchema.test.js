@@ -0,0 +1,48 @@
+// test/jsonSchema.test.js - Schema validation and JSON extraction from LLM output
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateAgainstSchema, parseJsonResponse } = require('../src/jsonSchema');
+const { ROOMODES_SCHEMA } = require('../src/schemas');
+
+const SCHEMA = {
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, pattern: '^[a-z-]+$' },
+        tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', enum: ['web', 'cli'] } },
+        score: { type: 'integer', minimum: 1, maximum: 5 },
+        owner: { anyOf: [{ type: 'string' }, { type: 'object', required: ['id'] }] }
+    }
+};
+
+test('every problem is reported with its location', () => {
+    assert.deepStrictEqual(validateAgainstSchema({ name: 'todo-app', tags: ['web'], score: 3, owner: { id: 1 } }, SCHEMA), []);
+    assert.deepStrictEqual(validateAgainstSchema({ name: 'Todo App', tags: ['web', 'cli', 'api'], score: 2.5, owner: 7, extra: true }, SCHEMA), [
+        '$.name: must match pattern ^[a-z-]+$',
+        '$.tags: must have at most 2 item(s)',
+        '$.tags[2]: must be one of "web", "cli"',
+        '$.score: expected integer, got number',
+        '$.owner: must match one of 2 allowed shapes ($.owner: expected string, got integer | $.owner: expected object, got integer)',
+        '$: unexpected property "extra"'
+    ]);
+    assert.deepStrictEqual(validateAgainstSchema({ name: '' }, SCHEMA), ['$: missing required property "tags"', '$.name: must not be empty', '$.name: must match pattern ^[a-z-]+$']);
+    assert.deepStrictEqual(validateAgainstSchema([], SCHEMA), ['$: expected object, got array']);
+});
+
+test('JSON is found inside code fences and surrounding text', () => {
+    assert.deepStrictEqual(parseJsonResponse('Here you go:\n```json\n{"a": [1, 2]}\n```\nDone.').value, { a: [1, 2] });
+    assert.deepStrictEqual(parseJsonResponse('The list is [1, 2] as asked.').value, [1, 2]);
+    assert.strictEqual(parseJsonResponse('No JSON here.').error, 'response does not contain a JSON object or array');
+    assert.match(parseJsonResponse('{"a": 1,}').error, /^invalid JSON: /);
+});
+
+test('the .roomodes schema rejects a mode without a valid slug', () => {
+    const mode = { slug: 'react-dev', name: 'React Developer', roleDefinition: 'Builds the UI.', groups: ['read', 'edit'] };
+    const errors = validateAgainstSchema({ customModes: [mode, { ...mode, slug: 'React Dev' }] }, ROOMODES_SCHEMA.schema);
+    assert.ok(errors.some(error => error.startsWith('$.customModes[1].slug')), errors.join('\n'));
+    assert.ok(!errors.some(error => error.startsWith('$.customModes[0]')), errors.join('\n'));
+});
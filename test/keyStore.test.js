@@ -0,0 +1,58 @@
+// test/keyStore.test.js - Encrypted API key storage
+
+const { electronStub, userDataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { loadKeyStore, setStoredApiKey, getStoredApiKey, deleteStoredApiKey, getStoredKeyInfo, getKeyStoreBackend } = require('../src/keyStore');
+
+test.after(async () => {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+test('without OS encryption keys are stored encrypted under the master key file and survive a reload', async () => {
+    assert.strictEqual(getKeyStoreBackend(), 'file');
+    const { backend } = await setStoredApiKey('OPENAI_API_KEY', 'sk-secret-value');
+    assert.strictEqual(backend, 'file');
+
+    const storeContent = await fs.readFile(path.join(userDataDir, 'api-keys.json'), 'utf8');
+    assert.ok(!storeContent.includes('sk-secret-value'), 'the key is never written in plain text');
+
+    assert.strictEqual(await loadKeyStore(), null);
+    assert.strictEqual(await getStoredApiKey('OPENAI_API_KEY'), 'sk-secret-value');
+    assert.strictEqual(getStoredKeyInfo('OPENAI_API_KEY').backend, 'file');
+    assert.strictEqual(await getStoredApiKey('GEMINI_API_KEY'), null);
+});
+
+test('deleting a key removes it from the store file', async () => {
+    await setStoredApiKey('GEMINI_API_KEY', 'gemini-key');
+    assert.strictEqual(await deleteStoredApiKey('GEMINI_API_KEY'), true);
+    assert.strictEqual(await deleteStoredApiKey('GEMINI_API_KEY'), false);
+
+    await loadKeyStore();
+    assert.strictEqual(getStoredKeyInfo('GEMINI_API_KEY'), null);
+});
+
+test('safeStorage is used when the OS provides real encryption', async (t) => {
+    const { safeStorage } = electronStub;
+    t.mock.method(safeStorage, 'isEncryptionAvailable', () => true);
+    safeStorage.encryptString = plainText => Buffer.from([...plainText].reverse().join(''));
+    safeStorage.decryptString = encrypted => [...encrypted.toString()].reverse().join('');
+    t.after(() => {
+        delete safeStorage.encryptString;
+        delete safeStorage.decryptString;
+    });
+
+    assert.strictEqual(getKeyStoreBackend(), 'safeStorage');
+    await setStoredApiKey('ANTHROPIC_API_KEY', 'anthropic-key');
+    assert.strictEqual(getStoredKeyInfo('ANTHROPIC_API_KEY').backend, 'safeStorage');
+    assert.strictEqual(await getStoredApiKey('ANTHROPIC_API_KEY'), 'anthropic-key');
+});
+
+test('an unreadable store file is reported and treated as empty', async () => {
+    await fs.writeFile(path.join(userDataDir, 'api-keys.json'), '{ not json');
+    assert.match(await loadKeyStore(), /^Error reading stored API keys/);
+    assert.strictEqual(await getStoredApiKey('OPENAI_API_KEY'), null);
+});
@@ -0,0 +1,140 @@
+// test/llm.test.js - callLLM against a stubbed OpenAI-compatible endpoint
+
+const { userDataDir, withFetchStub } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { callLLM, CancellationError, BudgetExceededError, loadConfigAndInitialize, startLLMRun } = require('../src/llm');
+const { getUsageSummary } = require('../src/usage');
+
+/**
+ * Writes the user-level config.json and re-initializes the LLM from it, then starts a fresh run.
+ * @param {object} [settings] - Settings on top of the OpenAI provider with its default model.
+ */
+async function configureLLM(settings = {}) {
+    await fs.mkdir(userDataDir, { recursive: true });
+    await fs.writeFile(path.join(userDataDir, 'config.json'), JSON.stringify({ LLM_PROVIDER: 'openai', LLM_FALLBACKS: [], ...settings }));
+    await loadConfigAndInitialize();
+    startLLMRun();
+}
+
+/**
+ * Builds a chat completion response with the given text.
+ * @param {string} text - The answer.
+ * @returns {object} The response body.
+ */
+function completion(text) {
+    return { choices: [{ message: { content: text }, finish_reason: 'stop' }], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+}
+
+test.after(async () => {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+test('streamed responses are passed to onStream chunk by chunk', async () => {
+    await configureLLM({ LLM_STREAMING: true });
+    const events = [
+        { choices: [{ delta: { content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 4, completion_tokens: 2 } }
+    ];
+    const streamBody = `${events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('')}data: [DONE]\n\n`;
+    const chunks = [];
+    let text;
+    const requests = await withFetchStub(() => new Response(streamBody, { headers: { 'Content-Type': 'text/event-stream' } }), async () => {
+        text = await callLLM('Say hello', { retries: 0 }, undefined, { stage: 'Analysis', onStream: chunk => chunks.push(chunk) });
+    });
+
+    assert.strictEqual(text, 'Hello');
+    assert.strictEqual(requests[0].body.stream, true);
+    assert.deepStrictEqual(chunks.map(chunk => chunk.delta), ['', 'Hel', 'lo', '']);
+    assert.strictEqual(chunks[chunks.length - 1].done, true);
+    assert.ok(chunks.every(chunk => chunk.attempt === 1));
+});
+
+test('without onStream the response is requested in one piece', async () => {
+    await configureLLM({ LLM_STREAMING: true });
+    let text;
+    const requests = await withFetchStub(() => completion('Hello'), async () => {
+        text = await callLLM('Say hello', { retries: 0 }, undefined, { stage: 'Analysis' });
+    });
+    assert.strictEqual(text, 'Hello');
+    assert.strictEqual(requests[0].body.stream, undefined);
+});
+
+test('cancelling aborts the request in flight without retrying it', async () => {
+    await configureLLM({ LLM_STREAMING: false });
+    const controller = new AbortController();
+    const cancellationToken = { get isCancellationRequested() { return controller.signal.aborted; }, signal: controller.signal };
+    // The stub only settles when the request is aborted, like a slow provider
+    const respond = ({ signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    const requests = await withFetchStub(respond, async () => {
+        const pending = callLLM('Plan the project', { retries: 3, minTimeout: 1 }, cancellationToken, { stage: 'Analysis' });
+        setTimeout(() => controller.abort(), 10);
+        await assert.rejects(pending, CancellationError);
+    });
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].signal, controller.signal);
+});
+
+test('a run over its budget aborts before the next request, or skips optional calls', async () => {
+    await configureLLM({ LLM_STREAMING: false, LLM_BUDGET: { maxTotalTokens: 15 } });
+    const requests = await withFetchStub(() => completion('Analysis'), async () => {
+        assert.strictEqual(await callLLM('Analyse', { retries: 0 }, undefined, { stage: 'Analysis' }), 'Analysis');
+        await assert.rejects(callLLM('Structure', { retries: 0 }, undefined, { stage: 'Structuring' }), BudgetExceededError);
+    });
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(getUsageSummary().stages.Analysis.promptTokens, 10);
+
+    await configureLLM({ LLM_STREAMING: false, LLM_BUDGET: { maxTotalTokens: 15, onExceeded: 'skip-optional' } });
+    await withFetchStub(() => completion('Analysis'), async () => {
+        await callLLM('Analyse', { retries: 0 }, undefined, { stage: 'Analysis' });
+        await assert.rejects(callLLM('Refine', { retries: 0 }, undefined, { stage: 'Analysis Validation', optional: true }), /Skipped optional LLM call/);
+        assert.strictEqual(await callLLM('Structure', { retries: 0 }, undefined, { stage: 'Structuring' }), 'Analysis');
+    });
+});
+
+test('a stage with its own settings is sent its model and generation settings', async () => {
+    await configureLLM({
+        LLM_STREAMING: false,
+        LLM_PROFILES: { cheap: { model: 'gpt-4o-mini', temperature: 0.2 } },
+        LLM_STAGE_SETTINGS: { Rules: 'cheap', Modes: { maxOutputTokens: 2000 } }
+    });
+    const requests = await withFetchStub(() => completion('OK'), async () => {
+        for (const stage of ['Rules', 'Modes', 'Analysis']) await callLLM(`Run ${stage}`, { retries: 0 }, undefined, { stage });
+    });
+    assert.deepStrictEqual(requests.map(({ body }) => [body.model, body.temperature, body.max_tokens]), [
+        ['gpt-4o-mini', 0.2, undefined],
+        ['gpt-4o', 1, 2000],
+        ['gpt-4o', 1, undefined]
+    ]);
+    assert.deepStrictEqual(getUsageSummary().stages.Rules.models, ['openai/gpt-4o-mini']);
+});
+
+test('an unavailable model falls back to the next one for the rest of the run', async () => {
+    await configureLLM({ LLM_STREAMING: false, LLM_FALLBACKS: ['gpt-4o-mini'] });
+    const respond = ({ body }) => (body.model === 'gpt-4o'
+        ? new Response(JSON.stringify({ error: { message: 'The model does not exist' } }), { status: 404 })
+        : completion(`answered by ${body.model}`));
+    const requests = await withFetchStub(respond, async () => {
+        assert.strictEqual(await callLLM('Analyse', { retries: 3, minTimeout: 1 }, undefined, { stage: 'Analysis' }), 'answered by gpt-4o-mini');
+        assert.strictEqual(await callLLM('Structure', { retries: 3, minTimeout: 1 }, undefined, { stage: 'Structuring' }), 'answered by gpt-4o-mini');
+    });
+    assert.deepStrictEqual(requests.map(({ body }) => body.model), ['gpt-4o', 'gpt-4o-mini', 'gpt-4o-mini']);
+    assert.deepStrictEqual(getUsageSummary().stages.Analysis.models, ['openai/gpt-4o-mini']);
+
+    startLLMRun();
+    const nextRun = await withFetchStub(() => completion('OK'), () => callLLM('Analyse', { retries: 0 }, undefined, { stage: 'Analysis' }));
+    assert.strictEqual(nextRun[0].body.model, 'gpt-4o', 'each run starts on the primary model again');
+});
+
+test('the circuit breaker opens after the configured number of consecutive failures', async () => {
+    await configureLLM({ LLM_STREAMING: false, LLM_FALLBACKS: ['gpt-4o-mini'], LLM_CIRCUIT_BREAKER: { failureThreshold: 2 } });
+    const respond = ({ body }) => (body.model === 'gpt-4o'
+        ? new Response(JSON.stringify({ error: { message: 'Overloaded' } }), { status: 503 })
+        : completion('OK'));
+    const requests = await withFetchStub(respond, () => callLLM('Analyse', { retries: 5, minTimeout: 1, maxTimeout: 1 }, undefined, { stage: 'Analysis' }));
+    assert.deepStrictEqual(requests.map(({ body }) => body.model), ['gpt-4o', 'gpt-4o', 'gpt-4o-mini']);
+});
@@ -0,0 +1,48 @@
+// test/mcpConfig.test.js - Building .roo/mcp.json and linking modes to MCP servers
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getMcpSettingsErrors, buildMcpSettings, linkModesToMcpServers } = require('../src/mcpConfig');
+
+const POSTGRES_SERVER = {
+    name: 'postgres', purpose: 'Query the database', transport: 'stdio', command: 'npx', args: ['-y', '@modelcontextprotocol/server-postgres'],
+    env: [{ name: 'DATABASE_URL', description: 'Connection string' }], tools: ['query']
+};
+const DOCS_SERVER = {
+    name: 'docs', purpose: 'Search the docs', transport: 'streamable-http', url: 'https://docs.example.com/mcp',
+    headers: [{ name: 'Authorization', value: 'Bearer ${env:DOCS_TOKEN}' }], env: [{ name: 'DOCS_TOKEN', description: 'API token' }], tools: ['search']
+};
+
+test('servers become .roo/mcp.json entries with environment placeholders instead of values', () => {
+    assert.deepStrictEqual(buildMcpSettings([POSTGRES_SERVER, DOCS_SERVER]), {
+        mcpServers: {
+            postgres: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-postgres'], env: { DATABASE_URL: '${env:DATABASE_URL}' } },
+            docs: { type: 'streamable-http', url: 'https://docs.example.com/mcp', headers: { Authorization: 'Bearer ${env:DOCS_TOKEN}' } }
+        }
+    });
+});
+
+test('a server needs exactly one of a command or a URL', () => {
+    assert.deepStrictEqual(getMcpSettingsErrors({ mcpServers: { both: { command: 'npx', url: 'https://example.com' }, neither: {} } }), [
+        '$.mcpServers.both: needs exactly one of "command" (stdio) or "url" (sse, streamable-http)',
+        '$.mcpServers.neither: needs exactly one of "command" (stdio) or "url" (sse, streamable-http)'
+    ]);
+    assert.throws(() => buildMcpSettings([{ ...POSTGRES_SERVER, command: undefined }]), /Generated \.roo\/mcp\.json is invalid/);
+});
+
+test('modes naming a server get the mcp group and mcp modes naming none are told which servers exist', () => {
+    const parsedModes = {
+        customModes: [
+            { slug: 'db-dev', name: 'DB', roleDefinition: 'Writes migrations using the postgres server.', groups: ['read', 'edit'] },
+            { slug: 'researcher', name: 'Research', roleDefinition: 'Looks things up.', groups: ['read', 'mcp'] },
+            { slug: 'postgres-admin', name: 'Admin', roleDefinition: 'Manages postgres-admin tasks.', groups: ['read'] }
+        ]
+    };
+    const linked = linkModesToMcpServers(parsedModes, [POSTGRES_SERVER, DOCS_SERVER]);
+    assert.deepStrictEqual(linked.customModes[0].groups, ['read', 'edit', 'mcp']);
+    assert.strictEqual(linked.customModes[1].customInstructions, 'MCP servers configured in .roo/mcp.json: postgres (Query the database); docs (Search the docs).');
+    assert.deepStrictEqual(linked.customModes[2].groups, ['read'], 'a longer name containing the server name does not count');
+    assert.strictEqual(linkModesToMcpServers(parsedModes), parsedModes);
+});
@@ -0,0 +1,52 @@
+// test/planSelection.test.js - Scoring and ranking best-of-N plan candidates
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { configurePlanSelection, getPlanCandidateCount, scoreSlugUsage, rankPlanCandidates, MAX_PLAN_CANDIDATES } = require('../src/planSelection');
+
+test('PLAN_CANDIDATES accepts whole numbers up to the maximum and falls back to one candidate otherwise', () => {
+    assert.strictEqual(configurePlanSelection({ candidates: 3 }), null);
+    assert.strictEqual(getPlanCandidateCount(), 3);
+    assert.match(configurePlanSelection({ candidates: MAX_PLAN_CANDIDATES + 1 }), /PLAN_CANDIDATES must be a whole number/);
+    assert.strictEqual(getPlanCandidateCount(), 1);
+    assert.match(configurePlanSelection({ candidates: 2.5 }), /PLAN_CANDIDATES/);
+    assert.strictEqual(configurePlanSelection(), null);
+    assert.strictEqual(getPlanCandidateCount(), 1);
+});
+
+test('mode references count as valid when they name a generated or built-in mode', () => {
+    const plan = '<mode>backend-dev</mode> <mode_slug>code</mode_slug> <mode>ghost-mode</mode> <mode>ghost-mode</mode>';
+    assert.deepStrictEqual(scoreSlugUsage(plan, ['backend-dev']), { score: 0.5, unknownSlugs: ['ghost-mode'] });
+    assert.deepStrictEqual(scoreSlugUsage('No references.', []), { score: 1, unknownSlugs: [] });
+});
+
+test('candidates are ranked by validation, slug usage and the judge, best first', () => {
+    const candidates = [
+        { plan: '<mode>ghost-mode</mode>', validationIssues: ['Missing task list'] },
+        { plan: '<mode>backend-dev</mode>', validationIssues: [] },
+        { plan: '<mode>backend-dev</mode>', validationIssues: [] }
+    ];
+    const judgeScores = [
+        { candidate: 1, requirementsCoverage: 5, slugUsage: 5, taskGranularity: 5, rationale: '' },
+        { candidate: 2, requirementsCoverage: 1, slugUsage: 1, taskGranularity: 1, rationale: '' },
+        { candidate: 3, requirementsCoverage: 5, slugUsage: 5, taskGranularity: 5, rationale: '' }
+    ];
+
+    const ranked = rankPlanCandidates(candidates, ['backend-dev'], judgeScores);
+    assert.deepStrictEqual(ranked.map(candidate => candidate.index), [2, 0, 1]);
+    assert.strictEqual(ranked[0].score, 1);
+    assert.strictEqual(ranked[1].score, 0.65);
+    assert.deepStrictEqual(ranked[1].unknownSlugs, ['ghost-mode']);
+});
+
+test('without judge scores the ranking uses the automated checks only and ties keep draft order', () => {
+    const candidates = [
+        { plan: '<mode>backend-dev</mode>', validationIssues: [] },
+        { plan: '<mode>backend-dev</mode>', validationIssues: [] },
+        { plan: '<mode>ghost-mode</mode>', validationIssues: [] }
+    ];
+    const ranked = rankPlanCandidates(candidates, ['backend-dev'], null);
+    assert.deepStrictEqual(ranked.map(candidate => [candidate.index, candidate.score, candidate.judge]), [[0, 1, null], [1, 1, null], [2, 0.6, null]]);
+});
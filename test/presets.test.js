@@ -0,0 +1,77 @@
+// test/presets.test.js - Loading tech-stack presets and enforcing them on the structure and modes
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { configurePresets, listPresets, loadPreset, getPresetStructureErrors, mergePresetModes } = require('../src/presets');
+
+const REVIEWER_MODE = { slug: 'reviewer', name: 'Reviewer', roleDefinition: 'Reviews changes.', groups: ['read'] };
+let presetsDir;
+
+test.before(async () => {
+    presetsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-plan-presets-'));
+    await fs.writeFile(path.join(presetsDir, 'react-team.yaml'), [
+        'name: React team',
+        'description: Our frontend stack',
+        'stack: [React, TypeScript]',
+        'mandatoryFiles: [src/index.tsx, docs/]',
+        'bannedLibraries: [moment, redux]',
+        'defaultModes:',
+        '  - slug: reviewer',
+        '    name: Reviewer',
+        '    roleDefinition: Reviews changes.',
+        '    groups: [read]'
+    ].join('\n'));
+    await fs.writeFile(path.join(presetsDir, 'api.json'), JSON.stringify({ name: 'API service' }));
+    await fs.writeFile(path.join(presetsDir, 'broken.json'), JSON.stringify({ name: 'Broken', unknownKey: true }));
+    await fs.writeFile(path.join(presetsDir, 'notes.txt'), 'not a preset');
+    configurePresets({ directory: presetsDir });
+});
+
+test.after(async () => {
+    configurePresets({});
+    await fs.rm(presetsDir, { recursive: true, force: true });
+});
+
+test('valid presets are listed by name and invalid files are left out', async () => {
+    assert.deepStrictEqual(await listPresets(), [
+        { id: 'api', name: 'API service', description: '' },
+        { id: 'react-team', name: 'React team', description: 'Our frontend stack' }
+    ]);
+});
+
+test('loading a preset reads YAML or JSON and reports invalid ones', async () => {
+    const preset = await loadPreset('react-team');
+    assert.deepStrictEqual(preset.stack, ['React', 'TypeScript']);
+    assert.strictEqual(preset.id, 'react-team');
+    await assert.rejects(loadPreset('broken'), /Preset broken\.json is invalid/);
+    await assert.rejects(loadPreset('missing'), /Preset "missing" not found/);
+    await assert.rejects(loadPreset('../react-team'), /Invalid preset id/);
+});
+
+test('the structure must contain mandatory paths and avoid banned libraries', async () => {
+    const preset = await loadPreset('react-team');
+    assert.deepStrictEqual(getPresetStructureErrors(preset, [
+        { type: 'file', path: './src/index.tsx' },
+        { type: 'directory', path: 'src/redux/' },
+        { type: 'file', path: 'src/utils/moment.js' }
+    ]), [
+        '$.structure: missing directory "docs/", which preset "React team" requires',
+        '$.structure[1].path: "src/redux/" is named after "redux", which preset "React team" bans',
+        '$.structure[2].path: "src/utils/moment.js" is named after "moment", which preset "React team" bans'
+    ]);
+    assert.deepStrictEqual(getPresetStructureErrors(preset, [{ type: 'file', path: 'src/index.tsx' }, { type: 'file', path: 'docs/README.md' }]), []);
+    assert.deepStrictEqual(getPresetStructureErrors(null, []), []);
+});
+
+test('default modes are added to the generated modes and replace ones with the same slug', async () => {
+    const preset = await loadPreset('react-team');
+    const generated = { customModes: [{ ...REVIEWER_MODE, roleDefinition: 'Generated reviewer.' }, { slug: 'backend-dev', name: 'Backend', roleDefinition: 'Builds the API.', groups: ['edit'] }] };
+    const merged = mergePresetModes(preset, generated);
+    assert.deepStrictEqual(merged.customModes.map(mode => [mode.slug, mode.roleDefinition]), [['backend-dev', 'Builds the API.'], ['reviewer', 'Reviews changes.']]);
+    assert.strictEqual(mergePresetModes(null, generated), generated);
+});
@@ -0,0 +1,58 @@
+// test/projectScanner.test.js - Summarizing an existing project for brownfield runs
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { scanExistingProject } = require('../src/projectScanner');
+
+/**
+ * Writes files into a new temporary project folder.
+ * @param {Record<string, string>} files - File contents by forward-slash path.
+ * @returns {Promise<string>} The folder.
+ */
+async function createProject(files) {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-plan-project-'));
+    for (const [filePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(folder, filePath)), { recursive: true });
+        await fs.writeFile(path.join(folder, filePath), content);
+    }
+    return folder;
+}
+
+test('the summary lists the tree, manifests, README and Roo Code configuration, skipping dependency folders', async () => {
+    const folder = await createProject({
+        'package.json': '{"name": "shop", "dependencies": {"express": "^4.0.0"}}',
+        'packages/api/package.json': '{"name": "api"}',
+        'README.md': 'Contains ``` a fence',
+        'src/server.js': '',
+        'node_modules/express/index.js': '',
+        '.roomodes': '{"customModes": []}',
+        '.roo/rules-code/01.md': 'Use tabs.'
+    });
+
+    const { summary, fileCount } = await scanExistingProject(folder);
+    assert.strictEqual(fileCount, 6);
+    assert.ok(!summary.includes('node_modules'));
+    assert.match(summary, /## File Tree \(6 files listed/);
+    assert.ok(summary.indexOf('### package.json') < summary.indexOf('### packages/api/package.json'), 'the root manifest comes first');
+    assert.ok(summary.includes('````markdown\nContains ``` a fence\n````'), 'fences outgrow backticks in the content');
+    assert.ok(summary.includes('### .roomodes\n```json\n{"customModes": []}'));
+    assert.ok(summary.includes('### .roo/rules-code/01.md'));
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('an empty folder is summarized with placeholders and a missing folder is an error', async () => {
+    const folder = await createProject({});
+    const { summary, fileCount } = await scanExistingProject(folder);
+    assert.strictEqual(fileCount, 0);
+    assert.ok(summary.includes('(empty folder)'));
+    assert.ok(summary.includes('## Manifests\nNone found.'));
+    assert.ok(summary.includes('## README\nNone found.'));
+
+    await fs.rm(folder, { recursive: true, force: true });
+    await assert.rejects(scanExistingProject(folder), /Cannot read project folder/);
+});
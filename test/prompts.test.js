@@ -0,0 +1,31 @@
+// test/prompts.test.js - Prompt builders insert text verbatim
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRulesGenerationPrompt } = require('../src/prompts/stage4/rulesGeneration');
+const { getRulesRefinementPrompt } = require('../src/prompts/stage4/rulesRefinement');
+const { getRooignoreGenerationPrompt } = require('../src/prompts/stage4/rooignoreGeneration');
+const { getWorkspaceRulesGenerationPrompt } = require('../src/prompts/stage4/workspaceRulesGeneration');
+const { getFootgunPromptGenerationPrompt } = require('../src/prompts/stage4/footgunPromptGeneration');
+const { getPlanAssemblyPrompt } = require('../src/prompts/stage6/planAssembly');
+
+// Replacement patterns String.prototype.replace expands when given a string instead of a function
+const SPECIAL_PATTERNS_MD = "## Core Logic Outlines\n\n- Price is `$&` per seat, matched with `$1`, before `$'` and after `$``.\n";
+
+test('stage 4 and plan prompts keep $ replacement patterns from the Markdown literally', () => {
+    const prompts = {
+        rulesGeneration: getRulesGenerationPrompt(SPECIAL_PATTERNS_MD, null),
+        rulesRefinement: getRulesRefinementPrompt('Rules cost $& to write.', SPECIAL_PATTERNS_MD),
+        rooignoreGeneration: getRooignoreGenerationPrompt(SPECIAL_PATTERNS_MD),
+        workspaceRulesGeneration: getWorkspaceRulesGenerationPrompt(SPECIAL_PATTERNS_MD),
+        footgunPromptGeneration: getFootgunPromptGenerationPrompt('code', SPECIAL_PATTERNS_MD),
+        planAssembly: getPlanAssemblyPrompt('Build $1 for $&', SPECIAL_PATTERNS_MD, ['react-dev'])
+    };
+    for (const [name, prompt] of Object.entries(prompts)) {
+        assert.ok(prompt.includes(SPECIAL_PATTERNS_MD), `${name} changed the inserted Markdown`);
+        assert.ok(!prompt.includes('{{structureResultMd}}'), `${name} left its placeholder`);
+    }
+    assert.ok(prompts.rulesRefinement.includes('Rules cost $& to write.'));
+    assert.ok(prompts.planAssembly.includes('Build $1 for $&'));
+});
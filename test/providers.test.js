@@ -0,0 +1,78 @@
+// test/providers.test.js - Output token defaults and limits in provider requests
+
+const { withFetchStub } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_CONFIG } = require('../src/config');
+const { getProviderDefinition, listProviders } = require('../src/providers');
+
+// A minimal successful response per provider, so generate() resolves
+const RESPONSES = {
+    gemini: { candidates: [{ content: { role: 'model', parts: [{ text: 'OK' }] }, finishReason: 'STOP' }] },
+    openai: { choices: [{ message: { content: 'OK' }, finish_reason: 'stop' }] },
+    anthropic: { content: [{ type: 'text', text: 'OK' }], stop_reason: 'end_turn' },
+    ollama: { message: { content: 'OK' }, done: true }
+};
+
+// Where each API expects the output token limit in the request body
+const READ_MAX_OUTPUT_TOKENS = {
+    gemini: body => body.generationConfig?.maxOutputTokens,
+    openai: body => body.max_tokens,
+    anthropic: body => body.max_tokens,
+    ollama: body => body.options?.num_predict
+};
+
+/**
+ * Creates a provider the way src/llm.js does and returns the body of one generate() request.
+ * @param {string} name - The provider name.
+ * @param {number|undefined} maxOutputTokens - The configured LLM_MAX_OUTPUT_TOKENS.
+ * @param {{modelName?: string, baseUrl?: string}} [overrides] - LLM_MODEL_NAME and LLM_BASE_URL, if configured.
+ * @returns {Promise<object>} The JSON request body.
+ */
+async function captureRequestBody(name, maxOutputTokens, { modelName, baseUrl } = {}) {
+    const definition = getProviderDefinition(name);
+    const provider = definition.createProvider({
+        apiKey: 'test-key',
+        modelName: modelName || definition.defaultModel,
+        baseUrl,
+        temperature: DEFAULT_CONFIG.LLM_TEMPERATURE,
+        maxOutputTokens
+    });
+    const requests = await withFetchStub(() => RESPONSES[name], async () => {
+        const result = await provider.generate('Reply with OK.');
+        assert.strictEqual(result.text, 'OK');
+    });
+    assert.strictEqual(requests.length, 1);
+    return requests[0].body;
+}
+
+test('the default config sends each provider its own output token default', async () => {
+    for (const name of listProviders()) {
+        const definition = getProviderDefinition(name);
+        const body = await captureRequestBody(name, DEFAULT_CONFIG.LLM_MAX_OUTPUT_TOKENS);
+        assert.strictEqual(READ_MAX_OUTPUT_TOKENS[name](body), definition.defaultMaxOutputTokens ?? undefined, name);
+        if (definition.maxOutputTokensLimit) {
+            assert.ok((READ_MAX_OUTPUT_TOKENS[name](body) ?? 0) <= definition.maxOutputTokensLimit, `${name} default exceeds its limit`);
+        }
+    }
+});
+
+test('openai and anthropic requests stay within the model limits by default', async () => {
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.openai(await captureRequestBody('openai', DEFAULT_CONFIG.LLM_MAX_OUTPUT_TOKENS)), undefined);
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.anthropic(await captureRequestBody('anthropic', DEFAULT_CONFIG.LLM_MAX_OUTPUT_TOKENS)), 8192);
+});
+
+test('an explicit value is sent as set, and clamped to the provider limit', async () => {
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.openai(await captureRequestBody('openai', 4000)), 4000);
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.openai(await captureRequestBody('openai', 65536)), 16384);
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.anthropic(await captureRequestBody('anthropic', 65536)), 64000);
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.gemini(await captureRequestBody('gemini', 100000)), 65536);
+    // Ollama's limit depends on the local model, so nothing is clamped
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.ollama(await captureRequestBody('ollama', 100000)), 100000);
+});
+
+test('a custom base URL or model is sent the configured value unclamped', async () => {
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.openai(await captureRequestBody('openai', 65536, { baseUrl: 'http://localhost:8080/v1' })), 65536);
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.openai(await captureRequestBody('openai', 32768, { modelName: 'gpt-4.1' })), 32768);
+    assert.strictEqual(READ_MAX_OUTPUT_TOKENS.anthropic(await captureRequestBody('anthropic', 100000, { modelName: 'claude-opus-4-0' })), 100000);
+});
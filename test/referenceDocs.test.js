@@ -0,0 +1,71 @@
+// test/referenceDocs.test.js - Loading attached reference documents and fitting them to the prompt budget
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { loadReferenceDocuments, MAX_REFERENCE_DOCUMENTS } = require('../src/referenceDocs');
+const { configureContextBudget, DEFAULT_MAX_PROMPT_TOKENS } = require('../src/prompts/contextBudget');
+const { getReferenceDocumentsSection } = require('../src/prompts/utility/referenceDocuments');
+
+let documentsDir;
+
+/**
+ * Writes an attachment into the test's documents folder.
+ * @param {string} name - The file name.
+ * @param {string} content - The file content.
+ * @returns {Promise<string>} The file path.
+ */
+async function writeDocument(name, content) {
+    const filePath = path.join(documentsDir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+}
+
+test.before(async () => {
+    documentsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-plan-documents-'));
+});
+
+test.after(async () => {
+    configureContextBudget(DEFAULT_MAX_PROMPT_TOKENS);
+    await fs.rm(documentsDir, { recursive: true, force: true });
+});
+
+test('documents are classified by type and minified JSON is re-indented', async () => {
+    const documents = await loadReferenceDocuments([
+        await writeDocument('prd.md', '# Requirements'),
+        await writeDocument('api.json', '{"openapi":"3.0.0","paths":{}}'),
+        await writeDocument('config.yaml', 'name: shop'),
+        await writeDocument('notes.txt', 'Ship by Friday.')
+    ]);
+    assert.deepStrictEqual(documents.map(document => document.kind), ['Markdown document', 'OpenAPI specification, JSON', 'YAML document', 'text notes']);
+    assert.strictEqual(documents[1].content, '{\n  "openapi": "3.0.0",\n  "paths": {}\n}');
+
+    const section = getReferenceDocumentsSection(documents);
+    assert.ok(section.includes('--- BEGIN REFERENCE DOCUMENT 2: api.json (OpenAPI specification, JSON) ---'));
+    assert.ok(section.includes('--- END REFERENCE DOCUMENT 4: notes.txt ---'));
+});
+
+test('unusable attachments are rejected with the file name', async () => {
+    await assert.rejects(loadReferenceDocuments([await writeDocument('diagram.png', 'PNG')]), /^Error: diagram\.png: unsupported file type/);
+    await assert.rejects(loadReferenceDocuments([await writeDocument('empty.md', '  \n')]), /empty\.md: the file is empty/);
+    await assert.rejects(loadReferenceDocuments([await writeDocument('broken.pdf', 'not a pdf')]), /broken\.pdf: cannot extract text from PDF/);
+    await assert.rejects(loadReferenceDocuments([path.join(documentsDir, 'missing.md')]), /missing\.md: cannot read file/);
+    const tooMany = Array.from({ length: MAX_REFERENCE_DOCUMENTS + 1 }, (_, index) => `doc${index}.md`);
+    await assert.rejects(loadReferenceDocuments(tooMany), /Attach at most 10 reference documents/);
+});
+
+test('short documents are kept whole and long ones are truncated to share the rest of the budget', async () => {
+    configureContextBudget(100); // 50 tokens for the documents
+    const documents = await loadReferenceDocuments([
+        await writeDocument('long.md', 'L'.repeat(400)),
+        await writeDocument('short.md', 'S'.repeat(40))
+    ]);
+    assert.strictEqual(documents[1].truncated, false);
+    assert.strictEqual(documents[1].content, 'S'.repeat(40));
+    assert.strictEqual(documents[0].truncated, true);
+    assert.ok(documents[0].content.startsWith(`${'L'.repeat(160)}\n... (truncated to fit the prompt; 400 characters in total)`));
+});
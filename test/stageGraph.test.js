@@ -0,0 +1,133 @@
+// test/stageGraph.test.js - Running the pipeline as a stage graph and re-running single stages
+
+const { userDataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+
+const { configureStageGraph, planStageGraph, runStageGraph, rerunStage } = require('../src/stageGraph');
+const { createRunCheckpoint } = require('../src/checkpoint');
+
+test.after(async () => {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+    configureStageGraph({});
+});
+
+/**
+ * Creates a promise with its resolve function, to hold a stage until the test releases it.
+ * @returns {{promise: Promise<void>, resolve: Function}} The deferred.
+ */
+function createDeferred() {
+    let resolve;
+    const promise = new Promise(resolvePromise => { resolve = resolvePromise; });
+    return { promise, resolve };
+}
+
+test('independent stages run concurrently and dependent stages wait for their inputs', async () => {
+    const events = [];
+    const rulesStarted = createDeferred();
+    const stages = [
+        { name: 'plan', inputs: ['structure', 'rules'], outputs: ['plan'], run: async ({ structure, rules }) => { events.push('plan'); return `${structure} + ${rules}`; } },
+        { name: 'structure', inputs: ['projectIdea'], outputs: ['structure'], run: async () => { events.push('structure'); await rulesStarted.promise; return 'structure'; } },
+        { name: 'rules', inputs: ['projectIdea'], outputs: ['rules'], run: async () => { events.push('rules'); rulesStarted.resolve(); return 'rules'; } }
+    ];
+
+    const { values, results } = await runStageGraph(stages, { projectIdea: 'A todo app' }, {});
+    assert.deepStrictEqual(events, ['structure', 'rules', 'plan'], 'rules starts while structure is still running');
+    assert.strictEqual(values.plan, 'structure + rules');
+    assert.strictEqual(results.get('rules'), 'rules');
+});
+
+test('a disabled optional stage leaves its optional readers with undefined', async () => {
+    configureStageGraph({ stages: { footgun: false } });
+    const stages = [
+        { name: 'footgun', inputs: ['projectIdea'], outputs: ['footgunPrompt'], optional: true, run: async () => 'footgun' },
+        { name: 'plan', inputs: ['projectIdea'], optionalInputs: ['footgunPrompt'], outputs: ['plan'], run: async ({ footgunPrompt }) => `footgun: ${footgunPrompt}` }
+    ];
+    const { values, results } = await runStageGraph(stages, { projectIdea: 'A todo app' }, {});
+    assert.strictEqual(values.plan, 'footgun: undefined');
+    assert.strictEqual(results.has('footgun'), false);
+});
+
+test('an invalid graph is rejected with every problem listed', () => {
+    configureStageGraph({ stages: { analysis: false, memoryBank: false } });
+    const stages = [
+        { name: 'analysis', inputs: ['projectIdea'], outputs: ['analysisResult'], run: async () => '' },
+        { name: 'memoryBank', inputs: ['analysisResult'], outputs: ['memoryBank'], optional: true, run: async () => '' },
+        { name: 'context', inputs: ['memoryBank'], outputs: ['context'], run: async () => '' },
+        { name: 'rules', inputs: ['modes'], outputs: ['rules'], run: async () => '' },
+        { name: 'modes', inputs: ['rules'], outputs: ['modes'], run: async () => '' },
+        { name: 'seed', inputs: [], outputs: ['projectIdea'], run: async () => '' },
+        { name: 'extra', inputs: ['missingValue'], outputs: ['extra'], run: async () => '' }
+    ];
+
+    assert.throws(() => planStageGraph(stages, ['projectIdea']), error => {
+        assert.match(error.message, /^Invalid stage graph: /);
+        assert.match(error.message, /stage "analysis" is required and cannot be disabled/);
+        assert.match(error.message, /value "projectIdea" is provided by both the initial values and "seed"/);
+        assert.match(error.message, /stage "context" needs "memoryBank" from disabled stage "memoryBank"/);
+        assert.match(error.message, /stage "extra" needs "missingValue", which no stage provides/);
+        assert.match(error.message, /cycle: rules -> modes -> rules/);
+        return true;
+    });
+});
+
+test('re-running several stages feeds each new result to the next one', async () => {
+    const checkpoint = await createRunCheckpoint('A todo app');
+    await checkpoint.save('assembly', 'old plan');
+    await checkpoint.save('refinement', 'old plan, refined');
+    const stages = [
+        { name: 'assembly', inputs: ['projectIdea'], outputs: ['assembledPlan'], run: async ({ projectIdea }) => `new plan for ${projectIdea}` },
+        { name: 'refinement', inputs: ['assembledPlan'], outputs: ['finalPlan'], run: async ({ assembledPlan }) => `${assembledPlan}, refined` }
+    ];
+
+    const result = await rerunStage(stages, ['assembly', 'refinement'], { projectIdea: 'A todo app' }, { checkpoint });
+    assert.strictEqual(result, 'new plan for A todo app, refined');
+    assert.strictEqual(checkpoint.get('assembly'), 'new plan for A todo app');
+    assert.strictEqual(checkpoint.get('refinement'), result);
+});
+
+test('a reviewed stage waits for approval, regenerates on request and sends rejected edits back with their errors', async () => {
+    const checkpoint = await createRunCheckpoint('A todo app');
+    let attempt = 0;
+    const stages = [
+        {
+            name: 'analysis', inputs: ['projectIdea'], outputs: ['analysisResult'], run: async () => `analysis ${++attempt}`,
+            review: {
+                present: analysisResult => ({ title: 'Analysis', content: analysisResult }),
+                applyEdit: (analysisResult, content) => (content.trim() ? { result: content } : { errors: ['The analysis cannot be empty.'] })
+            }
+        },
+        { name: 'plan', inputs: ['analysisResult'], outputs: ['plan'], run: async ({ analysisResult }) => `plan from ${analysisResult}` }
+    ];
+    const decisions = [{ action: 'regenerate' }, { action: 'edit', content: '   ' }, { action: 'edit', content: 'edited analysis' }];
+    const requests = [];
+    const requestReview = async (request) => {
+        requests.push(request);
+        return decisions.shift();
+    };
+
+    const { values } = await runStageGraph(stages, { projectIdea: 'A todo app' }, { checkpoint, requestReview });
+    assert.deepStrictEqual(requests, [
+        { stage: 'analysis', title: 'Analysis', content: 'analysis 1', errors: [] },
+        { stage: 'analysis', title: 'Analysis', content: 'analysis 2', errors: [] },
+        { stage: 'analysis', title: 'Analysis', content: '   ', errors: ['The analysis cannot be empty.'] }
+    ]);
+    assert.strictEqual(values.plan, 'plan from edited analysis');
+    assert.strictEqual(checkpoint.get('analysis'), 'edited analysis', 'the approved result is what gets checkpointed');
+
+    const resumedRequests = requests.length;
+    await runStageGraph(stages, { projectIdea: 'A todo app' }, { checkpoint, requestReview });
+    assert.strictEqual(requests.length, resumedRequests, 'a checkpointed stage is not reviewed again');
+});
+
+test('an unknown review action fails the run', async () => {
+    const stages = [{
+        name: 'analysis', inputs: ['projectIdea'], outputs: ['analysisResult'], run: async () => 'analysis',
+        review: { present: analysisResult => ({ title: 'Analysis', content: analysisResult }), applyEdit: () => ({ errors: [] }) }
+    }];
+    await assert.rejects(runStageGraph(stages, { projectIdea: 'A todo app' }, { requestReview: async () => ({ action: 'skip' }) }), /Unknown review action "skip"/);
+});
@@ -0,0 +1,27 @@
+// test/stageSettings.test.js - Per-stage model and generation settings
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { configureStageSettings, resolveStageSettings } = require('../src/stageSettings');
+
+test('stages use their profile, and an explicit call profile wins', () => {
+    const error = configureStageSettings({
+        profiles: { cheap: { model: 'gpt-4o-mini', temperature: 0.2 }, careful: { temperature: 0, maxOutputTokens: 2000.7 } },
+        stages: { Rules: 'cheap', Modes: { temperature: 3, maxOutputTokens: 1000 } }
+    });
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(resolveStageSettings('Rules'), { model: 'gpt-4o-mini', temperature: 0.2 });
+    assert.deepStrictEqual(resolveStageSettings('Modes'), { maxOutputTokens: 1000 }, 'an out-of-range temperature is dropped');
+    assert.deepStrictEqual(resolveStageSettings('Analysis'), {});
+    assert.deepStrictEqual(resolveStageSettings('Rules', 'careful'), { temperature: 0, maxOutputTokens: 2000 });
+    assert.deepStrictEqual(resolveStageSettings('Rules', { model: 'gpt-4.1' }), { model: 'gpt-4.1' });
+    assert.throws(() => resolveStageSettings('Rules', 'missing'), /Unknown LLM profile "missing"/);
+});
+
+test('a stage naming an unknown profile is reported', () => {
+    assert.match(configureStageSettings({ stages: { Rules: 'cheap' } }), /references unknown profile "cheap"/);
+    assert.deepStrictEqual(resolveStageSettings('Rules'), {});
+    configureStageSettings();
+});
@@ -0,0 +1,59 @@
+// test/starterFiles.test.js - Starter content for package.json, .gitignore and requirements.txt
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { NPM_PACKAGES, getStarterFileContent } = require('../src/starterFiles');
+
+/**
+ * Builds the starter package.json for a stack and parses it.
+ * @param {string[]} technologies - The Technology Stack entries.
+ * @param {string[]} [files] - File paths of the structure list.
+ * @returns {object} The parsed package.json.
+ */
+function packageJsonFor(technologies, files = []) {
+    const structureList = files.map(file => ({ type: 'file', path: file }));
+    return JSON.parse(getStarterFileContent('package.json', { projectName: 'My App', technologies, structureList }));
+}
+
+test('Next.js and Vite projects get their own scripts', () => {
+    const nextPackage = packageJsonFor(['Next.js 14', 'TypeScript']);
+    assert.deepStrictEqual(nextPackage.scripts, { dev: 'next dev', build: 'next build', start: 'next start', test: 'echo "Error: no test specified" && exit 1' });
+    assert.deepStrictEqual(Object.keys(nextPackage.dependencies), ['next', 'react', 'react-dom']);
+    assert.strictEqual(nextPackage.main, undefined);
+
+    const vitePackage = packageJsonFor(['Vue 3', 'Vite']);
+    assert.deepStrictEqual(vitePackage.scripts, { dev: 'vite', build: 'vite build', preview: 'vite preview', test: 'echo "Error: no test specified" && exit 1' });
+    assert.deepStrictEqual(vitePackage.devDependencies, { vite: 'latest' });
+});
+
+test('Jest is added when the structure has __tests__ files', () => {
+    const packageJson = packageJsonFor(['Node.js', 'Express'], ['src/index.js', 'src/__tests__/index.test.js']);
+    assert.strictEqual(packageJson.devDependencies.jest, 'latest');
+    assert.strictEqual(packageJson.scripts.test, 'jest');
+    assert.strictEqual(packageJson.scripts.start, 'node src/index.js');
+});
+
+test('a package that is also a dependency is left out of devDependencies', () => {
+    NPM_PACKAGES.push({ match: /\bstorybook\b/i, devDependencies: ['react'] });
+    try {
+        const packageJson = packageJsonFor(['React', 'Storybook']);
+        assert.strictEqual(packageJson.dependencies.react, 'latest');
+        assert.strictEqual(packageJson.devDependencies, undefined);
+    } finally {
+        NPM_PACKAGES.pop();
+    }
+});
+
+test('.gitignore writes entries shared by two stacks once', () => {
+    const gitignore = getStarterFileContent('.gitignore', { projectName: 'app', technologies: ['Node.js', 'Python'] });
+    assert.strictEqual(gitignore.split('\n').filter(line => line === 'dist/').length, 1);
+    assert.strictEqual(gitignore.split('\n').filter(line => line === 'build/').length, 1);
+    assert.match(gitignore, /# Python\n__pycache__\//);
+});
+
+test('requirements.txt is empty when no known package is named', () => {
+    assert.strictEqual(getStarterFileContent('requirements.txt', { projectName: 'app', technologies: ['Python 3.12'] }), '');
+    assert.strictEqual(getStarterFileContent('requirements.txt', { projectName: 'app', technologies: ['FastAPI'] }), 'fastapi\nuvicorn\n');
+});
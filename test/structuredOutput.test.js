@@ -0,0 +1,47 @@
+// test/structuredOutput.test.js - Schema-constrained JSON generation and the repair loop
+
+const { stubModule } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// callLLM answers from a queue of canned responses and records each call
+let responses = [];
+const calls = [];
+stubModule('../src/llm', {
+    callLLM: async (prompt, retryOptions, cancellationToken, callOptions) => {
+        calls.push({ prompt, callOptions });
+        return responses.shift();
+    }
+});
+
+const { generateStructuredJson, StructuredOutputError } = require('../src/structuredOutput');
+const { SETUP_COMMANDS_SCHEMA } = require('../src/schemas');
+
+test('valid output is returned without a repair call', async () => {
+    responses = ['```json\n{"commands": ["npm install"]}\n```'];
+    calls.length = 0;
+    assert.deepStrictEqual(await generateStructuredJson('List the commands', SETUP_COMMANDS_SCHEMA, undefined, { stage: 'Setup Commands' }), { commands: ['npm install'] });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].callOptions.responseSchema, SETUP_COMMANDS_SCHEMA);
+    assert.strictEqual(calls[0].callOptions.stage, 'Setup Commands');
+});
+
+test('invalid output is repaired with its validation errors', async () => {
+    responses = ['{"commands": []}', '{"commands": ["npm install", "npm test"]}'];
+    calls.length = 0;
+    assert.deepStrictEqual(await generateStructuredJson('List the commands', SETUP_COMMANDS_SCHEMA), { commands: ['npm install', 'npm test'] });
+    assert.strictEqual(calls.length, 2);
+    assert.ok(calls[1].prompt.includes('$.commands: must have at least 1 item(s)'));
+    assert.ok(calls[1].prompt.includes('{"commands": []}'));
+});
+
+test('output that stays invalid fails after the repair attempts', async () => {
+    responses = ['not JSON', '{"commands": 1}', '{"steps": []}'];
+    calls.length = 0;
+    await assert.rejects(generateStructuredJson('List the commands', SETUP_COMMANDS_SCHEMA), error => {
+        assert.ok(error instanceof StructuredOutputError);
+        assert.deepStrictEqual(error.validationErrors, ['$: missing required property "commands"']);
+        return true;
+    });
+    assert.strictEqual(calls.length, 3);
+});
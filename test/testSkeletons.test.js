@@ -0,0 +1,17 @@
+// test/testSkeletons.test.js - Test skeleton targets and validation
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getTestTarget, getTestSkeletonTargets } = require('../src/testSkeletons');
+
+test('test targets are normalized and files outside the project get none', () => {
+    assert.strictEqual(getTestTarget('./src/lib/../api/client.ts').testPath, 'src/api/__tests__/client.test.ts');
+    assert.strictEqual(getTestTarget('src/../../outside/app.js'), null);
+    assert.strictEqual(getTestTarget('../app/models.py'), null);
+    assert.strictEqual(getTestTarget('C:\\app\\main.go'), null);
+
+    const targets = getTestSkeletonTargets({ 'src/index.js': 'entry', 'src/../../escape.js': 'escapes', 'src/./index.js': 'same file' });
+    assert.deepStrictEqual(targets.map(target => target.testPath), ['src/__tests__/index.test.js']);
+});
@@ -0,0 +1,49 @@
+// test/usage.test.js - Token usage, cost accounting and run budgets
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { configureUsage, startUsageRun, recordUsage, getBudgetStatus, getUsageSummary, formatUsageSummary } = require('../src/usage');
+
+test('usage is totalled per run and per stage, with costs from the pricing table', () => {
+    assert.strictEqual(configureUsage({ pricing: { 'my-model': { inputPerMillion: 1, outputPerMillion: 2 } } }), null);
+    startUsageRun();
+    recordUsage({ stage: 'Analysis', provider: 'openai', model: 'gpt-4o', promptTokens: 1000000, outputTokens: 100000, estimated: false });
+    recordUsage({ stage: 'Analysis', provider: 'openai', model: 'my-model', promptTokens: 500000, outputTokens: 500000, estimated: true });
+    recordUsage({ stage: 'Rules', provider: 'ollama', model: 'llama3', promptTokens: 10, outputTokens: 20, estimated: false });
+    recordUsage({ stage: 'Rules', provider: 'openai', model: 'unknown-model', promptTokens: 10, outputTokens: 20, estimated: false });
+
+    const { totals, stages } = getUsageSummary();
+    assert.strictEqual(totals.calls, 4);
+    assert.strictEqual(totals.promptTokens, 1500020);
+    assert.strictEqual(totals.costUsd, 2.5 + 1 + 0.5 + 1);
+    assert.strictEqual(totals.unpricedCalls, 1);
+    assert.strictEqual(totals.estimatedCalls, 1);
+    assert.deepStrictEqual(stages.Analysis.models, ['openai/gpt-4o', 'openai/my-model']);
+    assert.strictEqual(stages.Rules.costUsd, 0);
+    assert.match(formatUsageSummary(getUsageSummary()), /^4 LLM call\(s\), .* \(1 call\(s\) without pricing\)$/);
+
+    startUsageRun();
+    assert.strictEqual(getUsageSummary().totals.calls, 0);
+});
+
+test('the budget is exceeded once the run reaches its cost or token limit', () => {
+    assert.match(configureUsage({ budget: { onExceeded: 'abort' } }), /needs a positive maxCostUsd or maxTotalTokens/);
+    assert.match(configureUsage({ budget: { maxTotalTokens: 10, onExceeded: 'stop' } }), /Invalid LLM_BUDGET.onExceeded/);
+
+    assert.strictEqual(configureUsage({ budget: { maxTotalTokens: 1000, onExceeded: 'skip-optional' } }), null);
+    startUsageRun();
+    recordUsage({ stage: 'Analysis', provider: 'openai', model: 'gpt-4o', promptTokens: 600, outputTokens: 300, estimated: false });
+    assert.deepStrictEqual(getBudgetStatus(), { exceeded: false });
+    recordUsage({ stage: 'Rules', provider: 'openai', model: 'gpt-4o', promptTokens: 50, outputTokens: 50, estimated: false });
+    const status = getBudgetStatus();
+    assert.strictEqual(status.exceeded, true);
+    assert.strictEqual(status.onExceeded, 'skip-optional');
+    assert.match(status.reason, /1000 tokens reached the 1000 token budget/);
+
+    // The run so far (650 in / 350 out on gpt-4o) cost about $0.0051
+    assert.strictEqual(configureUsage({ budget: { maxCostUsd: 0.005 } }), null);
+    assert.strictEqual(getBudgetStatus().onExceeded, 'abort');
+    configureUsage();
+});
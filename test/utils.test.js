@@ -0,0 +1,50 @@
+// test/utils.test.js - Bounded parallel mapping and line diffs
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency, diffLines } = require('../src/utils');
+
+/**
+ * Resolves after a short delay, so calls overlap.
+ * @returns {Promise<void>}
+ */
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('mapWithConcurrency keeps the input order and never exceeds the limit', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 4, async item => {
+        active++;
+        peak = Math.max(peak, active);
+        await tick();
+        active--;
+        return item * 2;
+    });
+    assert.deepStrictEqual(results, [2, 4, 6, 8, 10, 12, 14, 16, 18, 20]);
+    assert.strictEqual(peak, 4);
+});
+
+test('mapWithConcurrency starts no new items after a call throws', async () => {
+    const started = [];
+    await assert.rejects(mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async item => {
+        started.push(item);
+        if (item === 1) throw new Error('cancelled');
+        await tick();
+    }), /cancelled/);
+    await tick();
+    assert.deepStrictEqual(started, [0, 1]);
+});
+
+test('diffLines keeps unchanged lines and marks removed and added ones in order', () => {
+    const diff = diffLines('# Plan\n1. Use SQLite\n2. Add auth', '# Plan\n1. Use PostgreSQL\n2. Add auth\n3. Deploy');
+    assert.deepStrictEqual(diff, [
+        { type: 'same', line: '# Plan' },
+        { type: 'removed', line: '1. Use SQLite' },
+        { type: 'added', line: '1. Use PostgreSQL' },
+        { type: 'same', line: '2. Add auth' },
+        { type: 'added', line: '3. Deploy' }
+    ]);
+});